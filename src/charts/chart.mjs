@@ -1,9 +1,40 @@
-("use strict");
-
-const {
+import Tooltip from "../components/tooltip.mjs";
+import { chartSpec } from "../spec.mjs";
+import { ChartValidationError, ISSUE_CODES } from "../validation.mjs";
+import {
+  THEMES,
+  THEME_PROPERTY_PREFIX,
+  THEME_STYLESHEET,
+  resolveTheme,
+  themeProperties,
+} from "../themes.mjs";
+import { LOCALES, resolveLocale, timeTickFormat } from "../locales.mjs";
+import {
+  LEGEND_POSITIONS,
+  colorBins,
+  colorLegendType,
+  isOutsideLegend,
+  layoutLegend,
+  legendMargin,
+  measureText,
+  measureTextHeight,
+  rampStops,
+  truncateText,
+} from "../legends.mjs";
+import {
   select,
-  transition,
   dispatch,
+  axisBottom,
+  axisRight,
+  extent,
+  max,
+  min,
+  timeParse,
+  timeFormat,
+  timerFlush,
+  format,
+  formatLocale,
+  timeFormatLocale,
   greatestIndex,
   leastIndex,
   scaleLinear,
@@ -21,7 +52,277 @@ const {
   scaleQuantize,
   scaleThreshold,
   scaleOrdinal,
-} = d3;
+  hasD3,
+  finishTransitions,
+} from "../d3.mjs";
+
+("use strict");
+
+/**
+ * @description
+ * The data types that a field of the dataset can be declared with in the schema.
+ * @type {string[]}
+ */
+const FIELD_TYPES = ["quantitative", "categorical", "temporal", "ordinal"];
+
+/**
+ * @description
+ * The names of the D3 js scales available by the library. See `_getD3Scale()`.
+ * @type {string[]}
+ */
+const SCALE_NAMES = [
+  "linear",
+  "time",
+  "utc",
+  "pow",
+  "sqrt",
+  "log",
+  "symlog",
+  "band",
+  "point",
+  "sequential",
+  "diverging",
+  "quantile",
+  "quantize",
+  "threshold",
+  "ordinal",
+];
+
+/**
+ * @description
+ * Pattern of the names of the methods which draw a layer of the chart (series, axes, grids, labels, legends, etc.).
+ * Their calls are recorded to draw the layers again when the chart is rendered again.
+ * @type {RegExp}
+ */
+const LAYER_METHOD = /^(add[A-Z]\w*|[xy](Grid|AxisArrow|AxisName)|y2AxisName)$/;
+
+/**
+ * @description
+ * The names of the events that the chart dispatches to its listeners.
+ * The mouseover and mouseout listeners receive the DOM event of the series group, the toggle listeners receive
+ * the serie toggled and the series hidden, the other listeners receive the data of the element of the chart
+ * (point, bar, slice or marker) and the DOM event.
+ * @type {string[]}
+ */
+const CHART_EVENTS = [
+  "mouseover",
+  "mouseout",
+  "click",
+  "dblclick",
+  "pointerenter",
+  "pointerleave",
+  "focus",
+  "select",
+  "toggle",
+];
+
+/**
+ * @description
+ * The css selector of the elements which represent a datum of the dataset (points, bars, slices and markers).
+ * @type {string}
+ */
+const MARK_SELECTOR = "circle.point, rect.bar, path.slice, path.icon";
+
+/**
+ * @description
+ * The css selector of the groups of the marks: the groups of each serie, or of each category for the bars.
+ * @type {string}
+ */
+const SERIE_GROUP_SELECTOR =
+  ".series > g, .bars > g, .lines > g, .main > g.serie";
+
+/**
+ * @description
+ * The css selector of the entries of the interactive legends: the squares and the names of the series.
+ * @type {string}
+ */
+const LEGEND_ENTRY_SELECTOR =
+  ".legends.interactive rect.legend, .legends.interactive text.legend-name";
+
+/**
+ * @description
+ * The opacity of the entries of the legends whose serie is hidden.
+ * @type {number}
+ */
+const HIDDEN_LEGEND_OPACITY = 0.35;
+
+/**
+ * @description
+ * The delay in milliseconds before a click on a legend entry toggles its serie, to let a double click isolate it
+ * instead.
+ * @type {number}
+ */
+const DOUBLE_CLICK_DELAY = 250;
+
+/**
+ * @description
+ * The number of color ramps drawn in the page, to give an unique id to their gradients.
+ * @type {number}
+ */
+let colorRamps = 0;
+
+/**
+ * @description
+ * The names of the charts in their accessible title and summary by type of chart.
+ * @type {{[type: string]: string}}
+ */
+const CHART_NAMES = {
+  MultiLineChart: "Line chart",
+  MultiAreaChart: "Area chart",
+  VBarChart: "Vertical bar chart",
+  HBarChart: "Horizontal bar chart",
+  SlopeChart: "Slope chart",
+  RadarChart: "Radar chart",
+  PieChart: "Pie chart",
+  DonutChart: "Donut chart",
+  PolarChart: "Polar area chart",
+  ScatterPlot: "Scatter plot",
+  ScatterPlotMarker: "Scatter plot",
+  BubbleChart: "Bubble chart",
+};
+
+/**
+ * @description
+ * The default CSS styles of the tooltip of the chart.
+ * @type {object}
+ */
+const TOOLTIP_STYLES = {
+  opacity: "0",
+  background: "#eeeeee",
+  pointerEvents: "none",
+  borderRadius: "2px",
+  padding: "5px",
+  position: "fixed",
+  top: "0",
+  left: "0",
+  zIndex: "1",
+  whiteSpace: "pre-line",
+};
+
+/**
+ * @description
+ * The CSS styles which hide the data table of the chart from the screen but not from the screen readers.
+ * @type {{[property: string]: string}}
+ */
+const VISUALLY_HIDDEN_STYLES = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  padding: "0",
+  margin: "-1px",
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  "white-space": "nowrap",
+  border: "0",
+};
+
+/**
+ * @description
+ * The CSS properties that are inlined in the exported SVG, so that it looks the same outside of the page.
+ * @type {string[]}
+ */
+const EXPORTED_STYLES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "opacity",
+  "visibility",
+  "display",
+  "font-family",
+  "font-size",
+  "font-style",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+  "shape-rendering",
+];
+
+/**
+ * @description
+ * The initial values of the exported CSS properties which are not inherited, the other properties are inherited
+ * from the parent element.
+ * @type {{[property: string]: string}}
+ */
+const NOT_INHERITED_STYLES = { opacity: "1", display: "inline" };
+
+/**
+ * @description
+ * The milliseconds to keep the URL of a downloaded file before releasing it, so that the download can start.
+ * @type {number}
+ */
+const DOWNLOAD_URL_LIFETIME = 1000;
+
+/**
+ * @description
+ * The file formats to export the chart.
+ * @type {string[]}
+ */
+const EXPORT_FORMATS = ["svg", "png"];
+
+/**
+ * @description
+ * The namespace of the SVG elements.
+ * @type {string}
+ */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * @description
+ * Pattern of the ISO 8601 dates (and date times) detected as temporal values when the types are inferred.
+ * @type {RegExp}
+ */
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * @description
+ * Whether a value of the dataset is considered missing (null, undefined, NaN or an empty string).
+ * @param {*} value The value to check.
+ * @returns {boolean}
+ */
+const isMissing = (value) =>
+  value === null ||
+  value === undefined ||
+  value === "" ||
+  (typeof value === "number" && Number.isNaN(value));
+
+/**
+ * @description
+ * The D3 js time format specifier of the ISO 8601 dates without time.
+ * @type {string}
+ */
+const ISO_DATE_FORMAT = "%Y-%m-%d";
+
+/**
+ * @description
+ * Transform a raw value of the dataset to a date. The ISO 8601 dates without time are local dates, as the ones of
+ * the time scales of D3 js, instead of the UTC dates of the Date constructor. The parser is created on each call
+ * with the current D3 js instance, so that nothing of D3 js runs when the module is imported.
+ * @param {string|number} value The date as a string or the milliseconds since the epoch.
+ * @returns {Date}
+ */
+const toDate = (value) =>
+  timeParse(ISO_DATE_FORMAT)(String(value).trim()) ?? new Date(value);
+
+/**
+ * @description
+ * The default parsers to transform the raw values of the dataset according to the type of the field.
+ * The missing values are always transformed to null.
+ * @enum {callback}
+ */
+const DEFAULT_PARSERS = {
+  quantitative: (value) => (isMissing(value) ? null : +value),
+  temporal: (value) =>
+    isMissing(value) ? null : value instanceof Date ? value : toDate(value),
+  categorical: (value) => (isMissing(value) ? null : String(value)),
+  ordinal: (value) => (isMissing(value) ? null : String(value)),
+};
 
 /**
  * @description
@@ -90,12 +391,57 @@ export default class Chart {
    * @type {string[]}
    */
   #ySeries = [];
+  /**
+   * @description
+   * The selection of the series of the chart: the names of the fields to draw, the fields or functions of the rows
+   * by the names of the series, or a function of the row which returns the values of the series by their names.
+   * All the numerical fields are series when it is not set.
+   * @type {string[]|{[name: string]: string|callback}|callback|undefined}
+   */
+  #series;
+  /**
+   * @description
+   * The names of the selected series which have values in the dataset, in their order.
+   * @type {string[]}
+   */
+  #seriesNames = [];
   /**
    * @description
    * The array of the names of the numerical series to displat in the chart. This can you all the ySeries or just one at a time.
    * @type {string[]}
    */
   #seriesShown;
+  /**
+   * @description
+   * The names of the series hidden with the legend, or of the categories for the pie, donut and polar charts.
+   * @type {Set<string>}
+   */
+  #hiddenSeries = new Set();
+  /**
+   * @description
+   * Whether the scale of the values only fits the visible series.
+   * @type {boolean}
+   */
+  #rescaleVisible = false;
+  /**
+   * @description
+   * The room made in the margins for each legend placed outside the plot, by the class of its group, in the
+   * order the legends are drawn.
+   * @type {Map<string, {top: number, right: number, bottom: number, left: number}>}
+   */
+  #legendMargins = new Map();
+  /**
+   * @description
+   * Whether the chart is drawn again to make room for its legend.
+   * @type {boolean}
+   */
+  #fittingLegend = false;
+  /**
+   * @description
+   * The id of the gradient of the color ramp of the legend.
+   * @type {string}
+   */
+  #rampId;
   /**
    * @description
    * The durantion of any transition in the chart measure in milliseconds.
@@ -110,9 +456,27 @@ export default class Chart {
   #listeners;
   /**
    * @description
-   * The array with the names of the fields of the dataset and the type of the data.
+   * The dataset as it was given by the user, before being parsed by the schema.
+   * @type {object[]}
+   */
+  #source;
+  /**
+   * @description
+   * The declared types and parsers of the fields of the dataset.
+   * @type {{[key: string]: {type: string, parse: callback}}}
+   */
+  #schema = {};
+  /**
+   * @description
+   * The fields drawn as categories, whose values are kept as strings when the schema does not declare their type.
    * @type {string[]}
    */
+  #categoryFields = [];
+  /**
+   * @description
+   * The map with the names of the fields of the dataset and the type of the data.
+   * @type {Map<string, string>}
+   */
   #fieldsTypes;
   /**
    * @description
@@ -122,70 +486,1222 @@ export default class Chart {
   #categoricalSeries = [];
   /**
    * @description
-   * The name of the fields in the dataset which are numerical type.
-   * @type {string[]}
+   * The name of the fields in the dataset which are numerical type.
+   * @type {string[]}
+   */
+  #numericalSeries = [];
+  /**
+   * @description
+   * The name of the fields in the dataset which are temporal type.
+   * @type {string[]}
+   */
+  #temporalSeries = [];
+  /**
+   * @description
+   * The object with the maximum and minimum values per each numerical serie in the dataset.
+   * @type {{[key: string]: {serie: string, point: string, x: number, y: number}[]}}
+   */
+  #criticalPoints;
+  /**
+   * @description
+   * The calls of the methods which draw the layers of the chart. The keys are the names of the methods and the values are the arguments of the last call.
+   * @type {Map<string, any[]>}
+   */
+  #layers = new Map();
+  /**
+   * @description
+   * The elements which were inside of the svg container before the chart was created. They do not belong to the chart.
+   * @type {Set<Element>}
+   */
+  #foreignNodes;
+  /**
+   * @description
+   * The tooltip of the chart to describe the hovered data.
+   * @type {Tooltip}
+   */
+  #tooltip;
+  /**
+   * @description
+   * The HTML table with the data of the chart, next to the svg container.
+   * @type {Selection}
+   */
+  #dataTable;
+  /**
+   * @description
+   * The rows of the dataset given by the user by each parsed row of the dataset.
+   * @type {WeakMap<object, object>}
+   */
+  #sourceRows = new WeakMap();
+  /**
+   * @description
+   * The observer of the size of the svg container when the chart is responsive.
+   * @type {ResizeObserver}
+   */
+  #resizeObserver;
+  /**
+   * @description
+   * The id of the timer which delays the render after the svg container is resized.
+   * @type {number}
+   */
+  #resizeTimer;
+  /**
+   * @description
+   * The id of the timer which delays the toggle of a serie after a click on its legend entry.
+   * @type {number}
+   */
+  #legendClickTimer;
+  /**
+   * @description
+   * Whether the chart is drawn without a browser, for example in a server. The animations are skipped.
+   * @type {boolean}
+   */
+  #headless = false;
+  /**
+   * @description
+   * Whether the warnings of the validation and the invalid values of the setters throw an error.
+   * @type {boolean}
+   */
+  #strict = false;
+  /**
+   * @description
+   * The name of the built-in theme or the custom theme of the chart, undefined when the chart has no theme.
+   * @type {string|object}
+   */
+  #theme;
+  /**
+   * @description
+   * The name of the built-in locale or the custom locale of the chart, undefined when the chart uses the default
+   * locale of D3 js.
+   * @type {string|object}
+   */
+  #locale;
+  /**
+   * @description
+   * The D3 js number and time locales created from the locale of the chart.
+   * @type {{number: object, time: object}}
+   */
+  #formatLocales;
+
+  /**
+   * @description
+   * Create a new instance of a Chart object.
+   * @constructor
+   * @param {object} config The object for the constructor parameters.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
+   * @param {object[]} config.dataset The dataset to create the chart.
+   * @example
+   * ```JavaScript
+   * const dataset = [
+   *    { date: "12-Feb-12", europe: 52, asia: 40, america: 65 },
+   *    { date: "27-Feb-12", europe: 56, asia: 35, america: 70 }
+   * ];
+   *
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * });
+   * ```
+   */
+  constructor({ bindTo, dataset }) {
+    if (!hasD3()) {
+      throw new Error(
+        "D3 js was not found. Install the d3 package, load it with a script tag or set it with useD3()"
+      );
+    }
+    // Set the D3 js selection pf the svg element container
+    this._svg = bindTo;
+    this.#foreignNodes = new Set(this.svg.node().children);
+    this._dataset = dataset;
+    this.#source = this.dataset;
+    // Set the metadata of the fields and parse the dataset
+    this.#applySchema();
+    // Set the values of the svg element width and height, a detached svg element cannot be measured
+    const size = this.svg.node().getBoundingClientRect?.();
+    this.#width = size?.width || 800;
+    this.#height = size?.height || 600;
+    this.#margin = { top: 0, right: 0, bottom: 0, left: 0 };
+    this.#yAxisOffset = 0.05;
+    this._colorScale = this._getD3Scale("ordinal");
+    this.#seriesShown = undefined;
+    this.#duration = 2000;
+    this.#listeners = dispatch(...CHART_EVENTS);
+    this.#recordLayers();
+    this.#prepareInit();
+    this.#listenDatumEvents();
+    this.#listenLegendEvents();
+  }
+
+  /**
+   * @description
+   * Wrap the initialization of the chart, so that its configuration is validated and its theme is applied before
+   * the chart is drawn. The errors are thrown and the warnings are logged, in strict mode the warnings are thrown too.
+   * @returns {void}
+   */
+  #prepareInit() {
+    const init = this.init;
+    if (typeof init !== "function") {
+      return;
+    }
+    this.init = (...args) => {
+      const issues = this.validate();
+      const errors = issues.filter(
+        ({ severity }) => severity === "error" || this.#strict
+      );
+      if (errors.length) {
+        throw new ChartValidationError(errors);
+      }
+      issues.forEach(({ code, path, message }) =>
+        console.warn(`[${code}] ${path}: ${message}`)
+      );
+      // The stylesheet of the theme is removed with the elements of the chart in a headless render
+      this.#applyTheme();
+      const initialization = init.apply(this, args);
+      this.#describe();
+      return initialization;
+    };
+  }
+
+  /**
+   * @description
+   * Wrap the methods which draw a layer of the chart, so that their calls are recorded in order to render them again.
+   * @returns {void}
+   */
+  #recordLayers() {
+    /** @type {Set<string>} */
+    const methods = new Set();
+    for (
+      let prototype = Object.getPrototypeOf(this);
+      prototype && prototype !== Object.prototype;
+      prototype = Object.getPrototypeOf(prototype)
+    ) {
+      Object.getOwnPropertyNames(prototype)
+        .filter((name) => LAYER_METHOD.test(name))
+        .forEach((name) => methods.add(name));
+    }
+    for (const method of methods) {
+      const draw = this[method];
+      this[method] = (...args) => {
+        // The last call is moved to the end to keep the order of the calls
+        this.#layers.delete(method);
+        this.#layers.set(method, args);
+        const layer = this.#headless
+          ? this.#withoutAnimations(() => draw.apply(this, args))
+          : draw.apply(this, args);
+        this.#describe();
+        return layer;
+      };
+    }
+  }
+
+  /**
+   * @description
+   * Listen the events of the points, bars, slices and markers of the chart from the svg container and dispatch
+   * them to the listeners of the chart with the data of the element.
+   * @returns {void}
+   */
+  #listenDatumEvents() {
+    /**
+     * @description
+     * Dispatch an event of the chart if the DOM event happened in one element which represents a datum.
+     * @param {string} type The name of the event of the chart.
+     * @param {Event} event The DOM event.
+     * @param {callback} [condition] Whether the event must be dispatched given the element of the datum.
+     * @returns {void}
+     */
+    const emit = (type, event, condition = () => true) => {
+      const mark = event.target.closest?.(MARK_SELECTOR);
+      if (mark && condition(mark)) {
+        this.#listeners.call(
+          type,
+          this,
+          { chart: this, ...this._normalizeDatum(select(mark).datum()) },
+          event
+        );
+      }
+    };
+    // The pointer enters or leaves an element when it comes from or goes to outside of the element
+    const crossed = (event) => (mark) => !mark.contains(event.relatedTarget);
+
+    this.svg
+      .on("click.datum", (event) => {
+        emit("click", event);
+        emit("select", event);
+      })
+      .on("dblclick.datum", (event) => emit("dblclick", event))
+      .on("pointerover.datum", (event) =>
+        emit("pointerenter", event, crossed(event))
+      )
+      .on("pointerout.datum", (event) =>
+        emit("pointerleave", event, crossed(event))
+      )
+      .on("focusin.datum", (event) => {
+        const mark = event.target.closest?.(MARK_SELECTOR);
+        if (mark) {
+          // The tab key comes back to the last mark focused
+          this.svg.selectAll(MARK_SELECTOR).attr("tabindex", -1);
+          mark.setAttribute("tabindex", 0);
+        }
+        emit("focus", event);
+      })
+      .on("keydown.datum", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+          emit("select", event);
+          return;
+        }
+        const mark = event.target.closest?.(MARK_SELECTOR);
+        const next = mark && this.#adjacentMark(mark, event.key);
+        if (next) {
+          event.preventDefault();
+          next.focus();
+        }
+      });
+  }
+
+  /**
+   * @description
+   * Get the mark where the focus moves with a key. The right and left arrows move to the next and previous mark
+   * of the same group, the down and up arrows to the mark at the same position in the next and previous group,
+   * and the home and end keys to the first and last marks of the chart.
+   * @param {Element} mark The focused mark.
+   * @param {string} key The key pressed.
+   * @returns {Element|undefined} The mark to focus, undefined when the focus does not move.
+   */
+  #adjacentMark(mark, key) {
+    const marks = this.svg.selectAll(MARK_SELECTOR).nodes();
+    const groupOf = (element) => element.closest(SERIE_GROUP_SELECTOR);
+    const groups = [...new Set(marks.map(groupOf))];
+    const group = groupOf(mark);
+    const marksOf = (node) =>
+      marks.filter((element) => groupOf(element) === node);
+    const position = marksOf(group).indexOf(mark);
+    switch (key) {
+      case "ArrowRight":
+        return marksOf(group)[position + 1];
+      case "ArrowLeft":
+        return marksOf(group)[position - 1];
+      case "ArrowDown":
+      case "ArrowUp": {
+        const step = key === "ArrowDown" ? 1 : -1;
+        const next = marksOf(groups[groups.indexOf(group) + step]);
+        return next[Math.min(position, next.length - 1)];
+      }
+      case "Home":
+        return marks[0];
+      case "End":
+        return marks.at(-1);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * @description
+   * Describe the chart for the assistive technologies. The svg container is a graphics document with a title and a
+   * summary of the data, or an image when nothing can be focused in the chart. The groups of the series have the name of the serie and the points, bars, slices and markers are
+   * described with their values. Only one mark is in the tab order, the arrow keys move the focus between them.
+   * @returns {void}
+   */
+  #describe() {
+    // The title and description of an svg element are its first children, the title goes first
+    this.#accessibleElement("desc").text(this._summary());
+    this.#accessibleElement("title").text(this.#accessibleName());
+    this.svg
+      .selectAll(SERIE_GROUP_SELECTOR)
+      .attr("role", "group")
+      // The groups are bound to the name of the serie, or to an object with the serie or the category
+      .attr("aria-label", (d) => this._formatX(d?.serie ?? d?.x ?? d));
+    const marks = this.svg
+      .selectAll(MARK_SELECTOR)
+      .attr("role", "img")
+      .attr("aria-label", (d) =>
+        this._describeDatum(this._normalizeDatum(d)).replaceAll("\n", ", ")
+      );
+    marks.filter(":not([tabindex])").attr("tabindex", -1);
+    if (marks.filter('[tabindex="0"]').empty()) {
+      marks.filter((_, i) => i === 0).attr("tabindex", 0);
+    }
+    // An image hides its children, the marks and the legend entries which can be focused must be exposed
+    this.svg.attr(
+      "role",
+      this.svg.select("[tabindex]").empty() ? "img" : "graphics-document"
+    );
+  }
+
+  /**
+   * @description
+   * Get the name of the chart for the assistive technologies: the title of the chart, or the kind of chart when it has no title.
+   * @returns {string}
+   */
+  #accessibleName() {
+    return (
+      this.svg.select(".chart-title text").node()?.textContent ||
+      (CHART_NAMES[this.constructor.type] ?? "Chart")
+    );
+  }
+
+  /**
+   * @description
+   * Get the element of the accessible title or description of the chart, it is created when it does not exist.
+   * @param {string} tag The name of the element, title or desc.
+   * @returns {Selection}
+   */
+  #accessibleElement(tag) {
+    const element = this.svg.selectChildren(`${tag}.chart-accessible`);
+    return element.empty()
+      ? this.svg.insert(tag, ":first-child").attr("class", "chart-accessible")
+      : element;
+  }
+
+  /**
+   * @description
+   * Summarize the chart for the assistive technologies: the kind of chart, the number of rows and the range of
+   * values of each serie.
+   * @returns {string}
+   * @access @protected
+   */
+  _summary() {
+    const fnFormat = this._format(",.2~f");
+    const ranges = this.ySeries
+      .filter((serie) => this.#criticalPoints?.[serie]?.length)
+      .map((serie) => {
+        const [max, min] = this.#criticalPoints[serie];
+        return `${serie} from ${fnFormat(min.y)} to ${fnFormat(max.y)}`;
+      });
+    const name = CHART_NAMES[this.constructor.type] ?? "Chart";
+    const rows = `${name} of ${this.#source.length} rows`;
+    return ranges.length ? `${rows}: ${ranges.join(", ")}.` : `${rows}.`;
+  }
+
+  /**
+   * @description
+   * Render the chart again: initialize the scales and axes with the current dataset and configuration
+   * and draw again all the layers which were added to the chart. The existing elements are transitioned
+   * to their new positions.
+   * @param {object} [options={}] The options of the render.
+   * @param {boolean} [options.animate=true] Whether the elements are animated. Otherwise they are drawn immediately at their new positions.
+   * @returns {Chart}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.addXAxis();
+   * // Change some configuration and draw the chart again
+   * chart.yAxisOffset(0.1).render();
+   * ```
+   */
+  render({ animate = true } = {}) {
+    const draw = () => {
+      // Start again from the source dataset, the charts can rearrange the dataset in the initialization
+      this.#applySchema();
+      this.init();
+      for (const [method, args] of [...this.#layers]) {
+        this[method](...args);
+      }
+    };
+    if (this.#headless) {
+      // Draw everything again as new elements, without a browser the elements cannot be transitioned
+      this.#chartNodes().remove();
+    }
+    if (animate && !this.#headless) {
+      draw();
+    } else {
+      this.#withoutAnimations(draw);
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Draw the elements of the chart in their final positions, without animations.
+   * @param {callback} draw The function which draws the elements.
+   * @returns {any} The value returned by the draw function.
+   */
+  #withoutAnimations(draw) {
+    const duration = this.#duration;
+    this.#duration = 0;
+    try {
+      return draw();
+    } finally {
+      this.#duration = duration;
+      // Finish the transitions without duration now instead of in the next frame
+      timerFlush();
+    }
+  }
+
+  /**
+   * @description
+   * Getter and setter of the headless mode to draw the chart without a browser, for example to render it in a
+   * server with jsdom or linkedom. The animations are skipped, so that the elements are drawn in their final
+   * positions. Set the width and height of the chart, because the size of the svg container cannot be measured.
+   * @param {boolean} enabled Whether the chart is drawn without a browser.
+   * @returns {boolean|Chart}
+   * @example
+   * ```JavaScript
+   * const { document } = new JSDOM("<svg></svg>").window;
+   * const chart = new Chart({
+   *    bindTo: document.querySelector("svg"),
+   *    dataset
+   * })
+   * .headless(true)
+   * .width(800)
+   * .height(600);
+   * ```
+   */
+  headless(enabled) {
+    if (!arguments.length) {
+      return this.#headless;
+    }
+    this.#headless = Boolean(enabled);
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter and setter of the strict mode. In strict mode the invalid values given to the setters and the warnings
+   * of the validation throw a ChartValidationError, instead of being logged in the console.
+   * @param {boolean} enabled Whether the chart is in strict mode.
+   * @returns {boolean|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .strict(true)
+   * .yAxisOffset(2); // Throws a ChartValidationError with the INVALID_VALUE code
+   * ```
+   */
+  strict(enabled) {
+    if (!arguments.length) {
+      return this.#strict;
+    }
+    this.#strict = Boolean(enabled);
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter and setter of the theme of the chart. The built-in themes are light, dark, high-contrast and print.
+   * A custom theme is an object with the values to change of the light theme, or of the theme named in its base key.
+   * The theme is applied as CSS custom properties on the svg container (--chart-font-family, --chart-axis-color,
+   * --chart-grid-color, --chart-series-opacity, etc.), so the stylesheets of the page can use them too. Its palette
+   * colors the series when the configuration of the chart has no colors. Set null to remove the theme.
+   * @param {string|object|null} theme The name of a built-in theme or a custom theme.
+   * @returns {string|object|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .yConfiguration({ scale: "linear" })
+   * .theme("dark");
+   *
+   * // Change some values of a built-in theme
+   * chart.theme({ base: "dark", fontFamily: "Georgia, serif", seriesOpacity: 0.7 });
+   * ```
+   */
+  theme(theme) {
+    if (!arguments.length) {
+      return this.#theme;
+    }
+    if (theme !== null && !resolveTheme(theme)) {
+      return this._invalidValue(
+        "theme",
+        `The theme must be one of ${Object.keys(THEMES).join(
+          ", "
+        )} or an object with the values of the theme`
+      );
+    }
+    if (theme === null) {
+      this.#theme = undefined;
+    } else {
+      this.#theme = typeof theme === "object" ? { ...theme } : theme;
+    }
+    this.#applyTheme();
+    return this;
+  }
+
+  /**
+   * @description
+   * Set the CSS custom properties of the theme on the svg container and add the stylesheet which uses them.
+   * Without a theme, the properties and the stylesheet are removed.
+   * @returns {void}
+   */
+  #applyTheme() {
+    const node = this.svg.node();
+    Array.from(node.style)
+      .filter((property) => property.startsWith(THEME_PROPERTY_PREFIX))
+      .forEach((property) => node.style.removeProperty(property));
+    const stylesheet = this.svg.selectChildren("style.chart-theme");
+    if (this.#theme === undefined) {
+      node.removeAttribute("data-chart-theme");
+      stylesheet.remove();
+      return;
+    }
+    this.svg.attr(
+      "data-chart-theme",
+      typeof this.#theme === "string" ? this.#theme : "custom"
+    );
+    for (const [property, value] of themeProperties(
+      resolveTheme(this.#theme)
+    )) {
+      node.style.setProperty(property, value);
+    }
+    if (stylesheet.empty()) {
+      this.svg
+        .insert("style", ":first-child")
+        .attr("class", "chart-theme")
+        .text(THEME_STYLESHEET);
+    }
+  }
+
+  /**
+   * @description
+   * Get the colors of the series: the configured colors, or the palette of the theme when they are not set or
+   * empty.
+   * @param {string[]} [colors=[]] The colors of the configuration of the chart.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _seriesColors(colors = []) {
+    return colors.length || this.#theme === undefined
+      ? colors
+      : [...resolveTheme(this.#theme).palette];
+  }
+
+  /**
+   * @description
+   * Getter and setter of the locale of the chart, which formats the numbers and the dates of the default ticks,
+   * labels, critical points, tooltips, accessible descriptions and data table. The built-in locales are en-US,
+   * es-MX, de-DE and fr-FR. A custom locale is an object with the D3 js number and time definitions to change of
+   * en-US, or of the locale named in its base key. The format functions given to the chart are not changed.
+   * Set null to use the default locale of D3 js.
+   * @param {string|object|null} locale The name of a built-in locale or a custom locale.
+   * @returns {string|object|Chart}
+   * @see {@link https://d3js.org/d3-format#formatLocale}
+   * @see {@link https://d3js.org/d3-time-format#timeFormatLocale}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .locale("de-DE");
+   *
+   * // Change the separators of the numbers of a built-in locale
+   * chart.locale({ base: "es-MX", number: { decimal: ",", thousands: "." } });
+   * ```
+   */
+  locale(locale) {
+    if (!arguments.length) {
+      return this.#locale;
+    }
+    if (locale !== null && !resolveLocale(locale)) {
+      return this._invalidValue(
+        "locale",
+        `The locale must be one of ${Object.keys(LOCALES).join(
+          ", "
+        )} or an object with the number and time definitions of the locale`
+      );
+    }
+    if (locale === null) {
+      this.#locale = undefined;
+      this.#formatLocales = undefined;
+      return this;
+    }
+    this.#locale = typeof locale === "object" ? { ...locale } : locale;
+    const { number, time } = resolveLocale(locale);
+    this.#formatLocales = {
+      number: formatLocale(number),
+      time: timeFormatLocale(time),
+    };
+    return this;
+  }
+
+  /**
+   * @description
+   * Create a function to format the numbers in the locale of the chart.
+   * @param {string} specifier The D3 js format specifier.
+   * @returns {callback}
+   * @access @protected
+   */
+  _format(specifier) {
+    return this.#formatLocales
+      ? this.#formatLocales.number.format(specifier)
+      : format(specifier);
+  }
+
+  /**
+   * @description
+   * Create a function to format the dates in the locale of the chart.
+   * @param {string} specifier The D3 js time format specifier.
+   * @returns {callback}
+   * @access @protected
+   */
+  _timeFormat(specifier) {
+    return this.#formatLocales
+      ? this.#formatLocales.time.format(specifier)
+      : timeFormat(specifier);
+  }
+
+  /**
+   * @description
+   * Get the format of the ticks of a time axis in the locale of the chart. Without a locale it is undefined,
+   * so that the time scale formats its ticks.
+   * @param {boolean} [utc=false] Whether the dates are read in UTC.
+   * @returns {callback|undefined}
+   * @access @protected
+   */
+  _timeTickFormat(utc = false) {
+    return this.#formatLocales
+      ? timeTickFormat(this.#formatLocales.time, utc)
+      : undefined;
+  }
+
+  /**
+   * @description
+   * Check the configuration of the chart before drawing it: the required configurations are set, the series
+   * exist in the dataset with the right types and the scales are known by the library. The validation runs
+   * before each initialization of the chart, which throws a ChartValidationError with the errors found.
+   * @returns {{code: string, severity: string, path: string, message: string}[]} The errors and warnings found.
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * const issues = chart.validate();
+   * // [{ code: "UNKNOWN_FIELD", severity: "error", path: "xConfiguration.serie", message: "..." }]
+   * ```
+   */
+  validate() {
+    return this._validate();
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The charts add their own checks to the ones of the parent class.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    const issues = [];
+    if (!this.#source.length) {
+      issues.push(
+        this._issue(
+          ISSUE_CODES.EMPTY_DATASET,
+          "dataset",
+          "The dataset has no rows",
+          "warning"
+        )
+      );
+    }
+    issues.push(
+      ...this._checkScale("yConfiguration.scale", this.yConfiguration().scale)
+    );
+    issues.push(...this.#seriesIssues());
+    for (const field of Object.keys(this.#schema)) {
+      if (!this.#hasField(field)) {
+        issues.push(
+          this._issue(
+            ISSUE_CODES.UNKNOWN_FIELD,
+            `schema.${field}`,
+            `The field ${field} is not in the dataset`,
+            "warning"
+          )
+        );
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * @description
+   * Get the problems of the selection of the series: the fields which are not in the dataset and the series which
+   * are not numerical.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   */
+  #seriesIssues() {
+    const series = this.#series;
+    if (!series) {
+      return [];
+    }
+    if (typeof series === "function") {
+      return this.#seriesNames.flatMap((serie) =>
+        this._checkField(`series.${serie}`, serie, ["quantitative"])
+      );
+    }
+    const accessors = Array.isArray(series)
+      ? series.map((serie) => [serie, serie])
+      : Object.entries(series);
+    return accessors.flatMap(([name, accessor]) =>
+      this._checkField(
+        `series.${name}`,
+        typeof accessor === "string" ? accessor : name,
+        ["quantitative"]
+      )
+    );
+  }
+
+  /**
+   * @description
+   * Create a problem of the configuration of the chart.
+   * @param {string} code The code of the problem, see ISSUE_CODES.
+   * @param {string} path The setting where the problem is, for example "xConfiguration.serie".
+   * @param {string} message The description of the problem.
+   * @param {string} [severity="error"] The severity of the problem, error or warning.
+   * @returns {{code: string, severity: string, path: string, message: string}}
+   * @access @protected
+   */
+  _issue(code, path, message, severity = "error") {
+    return { code, severity, path, message };
+  }
+
+  /**
+   * @description
+   * Whether any row of the dataset has the field.
+   * @param {string} field The name of the field.
+   * @returns {boolean}
+   */
+  #hasField(field) {
+    return (
+      this.#seriesNames.includes(field) ||
+      this.#source.some((row) => Object.hasOwn(row, field))
+    );
+  }
+
+  /**
+   * @description
+   * Check that a serie of the configuration is set, that it is a field of the dataset and that it has one of the types.
+   * @param {string} path The setting of the serie, for example "xConfiguration.serie".
+   * @param {string} serie The name of the serie.
+   * @param {string[]} [types] The types allowed for the serie, any type when they are not given.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _checkField(path, serie, types = FIELD_TYPES) {
+    if (serie === undefined) {
+      return [
+        this._issue(
+          ISSUE_CODES.MISSING_CONFIGURATION,
+          path,
+          "The serie is not set"
+        ),
+      ];
+    }
+    // Nothing can be checked without rows, the empty dataset is already a warning
+    if (!this.#source.length) {
+      return [];
+    }
+    if (!this.#hasField(serie)) {
+      return [
+        this._issue(
+          ISSUE_CODES.UNKNOWN_FIELD,
+          path,
+          `The field ${serie} is not in the dataset. The fields are ${[
+            ...this.fieldsTypes.keys(),
+          ].join(", ")}`
+        ),
+      ];
+    }
+    const type = this.fieldsTypes.get(serie);
+    return types.includes(type)
+      ? []
+      : [
+          this._issue(
+            ISSUE_CODES.INVALID_FIELD_TYPE,
+            path,
+            `The field ${serie} is ${type}, it must be ${types.join(" or ")}`
+          ),
+        ];
+  }
+
+  /**
+   * @description
+   * Check that the name of a scale of the configuration is one of the D3 js scales of the library.
+   * A scale which is not set is not checked, the charts use a linear scale by default.
+   * @param {string} path The setting of the scale, for example "yConfiguration.scale".
+   * @param {string} scale The name of the scale.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _checkScale(path, scale) {
+    return scale === undefined || SCALE_NAMES.includes(scale)
+      ? []
+      : [
+          this._issue(
+            ISSUE_CODES.UNKNOWN_SCALE,
+            path,
+            `The scale ${scale} is unknown. The scales allowed are ${SCALE_NAMES.join(
+              ", "
+            )}`
+          ),
+        ];
+  }
+
+  /**
+   * @description
+   * Report an invalid value given to a setter. The value is ignored and the setting keeps its previous value.
+   * In strict mode a ChartValidationError is thrown instead of logging the problem.
+   * @param {string} path The setting which received the value, for example "margin".
+   * @param {string} message The description of the values allowed.
+   * @returns {this}
+   * @access @protected
+   */
+  _invalidValue(path, message) {
+    const issue = this._issue(
+      ISSUE_CODES.INVALID_VALUE,
+      path,
+      message,
+      "warning"
+    );
+    if (this.#strict) {
+      throw new ChartValidationError([issue]);
+    }
+    console.error(`[${issue.code}] ${path}: ${message}`);
+    return this;
+  }
+
+  /**
+   * @description
+   * Select the elements of the svg container which were created by the chart.
+   * @returns {Selection}
+   */
+  #chartNodes() {
+    return this.svg
+      .selectChildren()
+      .filter((_, i, nodes) => !this.#foreignNodes.has(nodes[i]));
+  }
+
+  /**
+   * @description
+   * Getter and setter of the responsive mode. When it is enabled, the size of the svg container is observed and
+   * the chart is rendered again with the new width and height without animations. The svg element should be
+   * sized with CSS, for example width: 100%.
+   * @param {boolean} enabled Whether the chart fits the size of the svg container.
+   * @param {object} [options={}] The options of the responsive mode.
+   * @param {number} [options.debounce=100] The milliseconds to wait since the last resize before rendering the chart.
+   * @returns {boolean|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .responsive(true, { debounce: 200 });
+   * ```
+   */
+  responsive(enabled, { debounce = 100 } = {}) {
+    if (!arguments.length) {
+      return this.#resizeObserver !== undefined;
+    }
+    if (!(debounce >= 0)) {
+      return this._invalidValue(
+        "responsive.debounce",
+        "The debounce must be a number of milliseconds"
+      );
+    }
+    this.#resizeObserver?.disconnect();
+    this.#resizeObserver = undefined;
+    clearTimeout(this.#resizeTimer);
+    if (!enabled) {
+      return this;
+    }
+    const { ResizeObserver } = this.svg.node().ownerDocument.defaultView;
+    if (!ResizeObserver) {
+      console.error("The responsive mode requires the ResizeObserver API");
+      return this;
+    }
+    this.#resizeObserver = new ResizeObserver(() => {
+      clearTimeout(this.#resizeTimer);
+      this.#resizeTimer = setTimeout(() => this.#fitContainer(), debounce);
+    });
+    this.#resizeObserver.observe(this.svg.node());
+    return this;
+  }
+
+  /**
+   * @description
+   * Set the width and height of the chart to the size of the svg container and render the chart again
+   * if it has been drawn.
+   * @returns {void}
+   */
+  #fitContainer() {
+    const { width, height } = this.svg.node().getBoundingClientRect();
+    if (
+      !width ||
+      !height ||
+      (width === this.#width && height === this.#height)
+    ) {
+      return;
+    }
+    this.#width = width;
+    this.#height = height;
+    if (this.#layers.size) {
+      this.render({ animate: false });
+    }
+  }
+
+  /**
+   * @description
+   * Replace the dataset of the chart and render it again in place.
+   * @param {object[]} dataset The new dataset to draw the chart as an array of objects.
+   * @returns {Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.update([
+   *    { date: "12-Feb-12", europe: 60, asia: 32, america: 71 },
+   *    { date: "27-Feb-12", europe: 49, asia: 45, america: 66 }
+   * ]);
+   * ```
+   */
+  update(dataset) {
+    this._dataset = dataset;
+    this.#source = this.dataset;
+    return this.render();
+  }
+
+  /**
+   * @description
+   * Remove the chart from the DOM. All the elements created inside of the svg container are removed, the running
+   * animations are cancelled, the event listeners are detached and the tooltip created by the chart is removed.
+   * The elements of the svg container that were not created by the chart are kept.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * // When the chart is not needed anymore
+   * chart.destroy();
+   * ```
+   */
+  destroy() {
+    const events = CHART_EVENTS.join(" ");
+    const chartNodes = this.#chartNodes();
+    // Stop the animations before removing the elements
+    chartNodes.interrupt().on(events, null);
+    chartNodes.selectAll("*").interrupt().on(events, null);
+    chartNodes.remove();
+    this.svg.on(".tooltip", null).on(".datum", null).on(".legend", null);
+    clearTimeout(this.#legendClickTimer);
+    this.#listeners.on(events, null);
+    this.#tooltip?.remove();
+    this.#tooltip = undefined;
+    this.#dataTable?.remove();
+    this.#dataTable = undefined;
+    this.responsive(false);
+    this.svg.attr("role", null);
+    // Leave the svg container without the custom properties of the theme
+    this.#theme = undefined;
+    this.#applyTheme();
+    // Nothing is drawn again in a later render
+    this.#layers.clear();
+    this.#legendMargins.clear();
+  }
+
+  /**
+   * @description
+   * Get the array of the fields from the given input.
+   * @param {...string} fieldTypes The types of the fields to be got. See the schema types.
+   * @returns {string[]} The array of the fields names of the given types.
+   */
+  #getFieldDataTypes(...fieldTypes) {
+    return [...this.fieldsTypes]
+      .filter(([field, type]) => fieldTypes.includes(type) && field.length)
+      .map(([field, _]) => field);
+  }
+
+  /**
+   * @description
+   * Set the types of the fields, parse the source dataset with them and compute the metadata of the series.
+   * @returns {void}
+   */
+  #applySchema() {
+    // Set the metadata of the fields
+    this._fieldsTypes = this.#source;
+    // Transform the raw values according to the type of each field
+    const parsers = [...this.fieldsTypes].map(([field, type]) => [
+      field,
+      this.#schema[field]?.parse ?? DEFAULT_PARSERS[type],
+    ]);
+    // The names of the selected series which have values
+    const names = new Set();
+    this._dataset = this.#source.map((row) => {
+      const parsedRow = {
+        ...row,
+        ...Object.fromEntries(
+          parsers.map(([field, parse]) => [field, parse(row[field])])
+        ),
+      };
+      // The selected series are added to the row by their names
+      if (this.#series) {
+        const values = this.#serieValues(parsedRow);
+        Object.entries(values)
+          .filter(([_, value]) => !isMissing(value))
+          .forEach(([name]) => names.add(name));
+        Object.assign(parsedRow, values);
+      }
+      this.#sourceRows.set(parsedRow, row);
+      return parsedRow;
+    });
+    this.#typeSeries([...names]);
+    // Which are the categorical fields in the dataset
+    this._categoricalSeries = this.#getFieldDataTypes("categorical", "ordinal");
+    // Which are the numerical fields in the dataset
+    this._numericalSeries = this.#getFieldDataTypes("quantitative");
+    // Which are the temporal fields in the dataset
+    this._temporalSeries = this.#getFieldDataTypes("temporal");
+    // The minimum and maximum values per series
+    this._criticalPoints = this.dataset;
+  }
+
+  /**
+   * @description
+   * Get the values of the selected series of a row by their names.
+   * @param {object} row The parsed row of the dataset.
+   * @returns {{[name: string]: any}}
+   */
+  #serieValues(row) {
+    const series = this.#series;
+    if (typeof series === "function") {
+      return { ...series(row) };
+    }
+    if (Array.isArray(series)) {
+      return Object.fromEntries(series.map((serie) => [serie, row[serie]]));
+    }
+    return Object.fromEntries(
+      Object.entries(series).map(([name, accessor]) => [
+        name,
+        typeof accessor === "function" ? accessor(row) : row[accessor],
+      ])
+    );
+  }
+
+  /**
+   * @description
+   * Set the names of the selected series and their types from the values of the parsed dataset. The series which
+   * are declared in the schema keep their type.
+   * @param {string[]} names The names of the selected series which have values in the dataset.
+   * @returns {void}
    */
-  #numericalSeries = [];
+  #typeSeries(names) {
+    const series = this.#series;
+    // The series without values are not fields of the dataset
+    if (typeof series === "function") {
+      this.#seriesNames = names;
+    } else {
+      this.#seriesNames = (
+        Array.isArray(series) ? series : Object.keys(series ?? {})
+      ).filter((serie) => names.includes(serie));
+    }
+    for (const serie of this.#seriesNames) {
+      this.#fieldsTypes.set(
+        serie,
+        this.#schema[serie]?.type ??
+          this.#inferFieldType(this.dataset.map((row) => row[serie]))
+      );
+    }
+  }
+
   /**
    * @description
-   * The object with the maximum and minimum values per each numerical serie in the dataset.
-   * @type {{[key: string]: {serie: string, point: string, x: number, y: number}[]}}
+   * Add the parser of dates to the declaration of a temporal field which has a D3 js time format specifier.
+   * @param {{type: string, parse: callback, format: string}} config The declaration of the field.
+   * @returns {{type: string, parse: callback, format: string}}
    */
-  #criticalPoints;
+  #withDateParser(config) {
+    if (
+      config?.type !== "temporal" ||
+      typeof config.format !== "string" ||
+      config.parse
+    ) {
+      return config;
+    }
+    const parseDate = timeParse(config.format);
+    return {
+      ...config,
+      parse: (value) =>
+        isMissing(value) || value instanceof Date
+          ? DEFAULT_PARSERS.temporal(value)
+          : parseDate(value),
+    };
+  }
 
   /**
    * @description
-   * Create a new instance of a Chart object.
-   * @constructor
-   * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
-   * @param {object[]} config.dataset The dataset to create the chart.
+   * Getter and setter of the schema which declares the type of the fields of the dataset.
+   * The allowed types are quantitative, categorical, temporal and ordinal. Each field can
+   * have an optional parser to transform the raw values. The temporal fields also accept a D3 js
+   * time format specifier to parse the dates. The fields not declared are inferred from all the
+   * rows of the dataset, and the ISO 8601 dates without time are parsed as local dates. The fields
+   * drawn as categories, like the x serie of the bars or of the slices, are categorical.
+   * @param {{[key: string]: string|{type: string, parse: callback, format: string}}} fields The object whose keys are the names of the fields and the values are the type or the configuration of the type and parser.
+   * @returns {{[key: string]: {type: string, parse: callback}}|Chart}
    * @example
    * ```JavaScript
-   * const dataset = [
-   *    { date: "12-Feb-12", europe: 52, asia: 40, america: 65 },
-   *    { date: "27-Feb-12", europe: 56, asia: 35, america: 70 }
-   * ];
-   *
    * const chart = new Chart({
    *    bindTo: "svg.chart",
    *    dataset
+   * })
+   * .schema({
+   *    date: { type: "temporal", format: "%d-%b-%y" },
+   *    europe: { type: "quantitative", parse: (value) => +value.replace(",", "") },
+   *    region: "categorical"
    * });
    * ```
    */
-  constructor({ bindTo, dataset }) {
-    // Set the D3 js selection pf the svg element container
-    this._svg = bindTo;
-    this._dataset = dataset;
-    // Set the metadata of the fields
-    this._fieldsTypes = dataset.at(0);
-    // Which are the categorical fields in the dataset
-    this._categoricalSeries = this.#getFieldDataTypes("categorical");
-    // Which are the numerical fields in the dataset
-    this._numericalSeries = this.#getFieldDataTypes("numerical");
-    // The minimum and maximum values per series
-    this._criticalPoints = dataset;
-    // Set the values of the svg element width and height
-    this.#width = this.svg?.node().getBoundingClientRect().width || 800;
-    this.#height = this.svg?.node().getBoundingClientRect().height || 600;
-    this.#margin = { top: 0, right: 0, bottom: 0, left: 0 };
-    this.#yAxisOffset = 0.05;
-    this._colorScale = this._getD3Scale("ordinal");
-    this.#seriesShown = undefined;
-    this.#duration = 2000;
-    this.#listeners = dispatch("mouseover", "mouseout");
-  }
-
-  /**
-   * @description
-   * Get the array of the fields from the given input.
-   * @param {string} fieldType The type of the field to be got. The fieldType must be numerical or categorical.
-   * @returns {string[]} The array of the fields names (categorical or numerical).
-   */
-  #getFieldDataTypes(fieldType) {
-    return [...this.fieldsTypes]
-      .filter(([field, type]) => type === fieldType && field.length)
-      .map(([field, _]) => field);
+  schema(fields) {
+    if (!arguments.length) {
+      return this.#schema;
+    }
+    const declarations = Object.entries(fields ?? {})
+      .map(([field, config]) =>
+        typeof config === "string" ? [field, { type: config }] : [field, config]
+      )
+      .map(([field, config]) => [field, this.#withDateParser(config)]);
+    if (
+      typeof fields === "object" &&
+      declarations.every(
+        ([_, config]) =>
+          FIELD_TYPES.includes(config?.type) &&
+          (config.parse === undefined || typeof config.parse === "function")
+      )
+    ) {
+      this.#schema = Object.fromEntries(
+        declarations.map(([field, config]) => [field, { ...config }])
+      );
+      this.#applySchema();
+    } else {
+      return this._invalidValue(
+        "schema",
+        `Invalid schema. The types allowed are ${FIELD_TYPES.join(", ")}`
+      );
+    }
+    return this;
   }
 
   /**
@@ -203,9 +1719,15 @@ export default class Chart {
    * ```
    */
   height(value) {
-    return arguments.length && value > 0
+    if (!arguments.length) {
+      return this.#height;
+    }
+    return value > 0
       ? ((this.#height = +value), this)
-      : this.#height;
+      : this._invalidValue(
+          "height",
+          "The height must be a number greater than zero"
+        );
   }
 
   /**
@@ -223,14 +1745,21 @@ export default class Chart {
    * ```
    */
   width(value) {
-    return arguments.length && value > 0
+    if (!arguments.length) {
+      return this.#width;
+    }
+    return value > 0
       ? ((this.#width = +value), this)
-      : this.#width;
+      : this._invalidValue(
+          "width",
+          "The width must be a number greater than zero"
+        );
   }
 
   /**
    * @description
-   * Getter and setter for the margins properties of chart according to D3 js convention, see below.
+   * Getter and setter for the margins properties of chart according to D3 js convention, see below. The margins
+   * got include the room made for the legends placed outside the plot, see `addLegend()`.
    * @see {@link https://observablehq.com/@d3/margin-convention}
    * @param {object} margins The object literal for the configuration of the margins.
    * @param {number} margins.top The top margin pixels for the plot.
@@ -254,7 +1783,15 @@ export default class Chart {
    */
   margin(margins) {
     if (!arguments.length) {
-      return this.#margin;
+      return Object.fromEntries(
+        Object.entries(this.#margin).map(([side, value]) => [
+          side,
+          [...this.#legendMargins.values()].reduce(
+            (total, room) => total + room[side],
+            value
+          ),
+        ])
+      );
     }
     if (
       margins &&
@@ -266,12 +1803,22 @@ export default class Chart {
     ) {
       this.#margin = { ...margins };
     } else {
-      console.error(
+      return this._invalidValue(
+        "margin",
         "Invalid margin object. Must contain keys: top, right, bottom, and left."
       );
     }
     return this;
   }
+  /**
+   * @description
+   * Get the margins set to the chart, without the room made for the legends placed outside the plot.
+   * @returns {{top: number, right: number, bottom: number, left: number}}
+   * @access @protected
+   */
+  _configuredMargin() {
+    return { ...this.#margin };
+  }
 
   /**
    * @description
@@ -303,9 +1850,10 @@ export default class Chart {
    * @description
    * Getter and setter of the configuration of the y numerical values to draw in the chart.
    * @param {object} config The configuration to give to the y (numerical) values series.
-   * @param {string[]} config.colorSeries The string of the color to classify a each of the datasets.
+   * @param {string[]} [config.colorSeries] The string of the color to classify a each of the datasets. When it is
+   * not set or empty the series take the colors of the palette of the theme.
    * @param {string} config.scale The name of the D3 js scale available by the library.
-   * @returns {{colorSeries: string[], scale: string}|Chart}
+   * @returns {{colorSeries?: string[], scale: string}|Chart}
    * @see {@link https://d3js.org/d3-scale}
    * @example
    * ```JavaScript
@@ -325,12 +1873,16 @@ export default class Chart {
     }
     if (
       typeof config === "object" &&
-      config.colorSeries.every((serie) => typeof serie === "string")
+      config !== null &&
+      (config.colorSeries === undefined ||
+        (Array.isArray(config.colorSeries) &&
+          config.colorSeries.every((serie) => typeof serie === "string")))
     ) {
       this.#yConfiguration = { ...config };
     } else {
-      console.error(
-        `Invalid configuration of the object ${config}, verifiy the documentation`
+      return this._invalidValue(
+        "yConfiguration",
+        "The colors of the series of the configuration must be an array of strings"
       );
     }
     return this;
@@ -360,6 +1912,59 @@ export default class Chart {
     return this.#ySeries;
   }
 
+  /**
+   * @description
+   * Getter and setter of the series of the chart. By default every numerical field of the dataset, except the
+   * ones used by the axes, is a serie. The selection can be the names of the fields to draw, in their order, or an
+   * object with the names of the series and the field or the function of the row which gives their values, to
+   * rename or compute the series. It can also be a function of the row which returns the values of the series by
+   * their names. The series are added to the rows of the dataset, null draws all the numerical fields again.
+   * @param {string[]|{[name: string]: string|callback}|callback|null} series The selection of the series.
+   * @returns {string[]|{[name: string]: string|callback}|callback|undefined|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .series({
+   *    "Last year": "last_year",
+   *    "This year": "this_year",
+   *    Change: (d) => d.this_year - d.last_year
+   * });
+   * ```
+   */
+  series(series) {
+    if (!arguments.length) {
+      return this.#series;
+    }
+    if (series === null) {
+      this.#series = undefined;
+    } else if (typeof series === "function") {
+      this.#series = series;
+    } else if (
+      Array.isArray(series) &&
+      series.every((serie) => typeof serie === "string")
+    ) {
+      this.#series = [...series];
+    } else if (
+      typeof series === "object" &&
+      !Array.isArray(series) &&
+      Object.values(series).every((accessor) =>
+        ["string", "function"].includes(typeof accessor)
+      )
+    ) {
+      this.#series = { ...series };
+    } else {
+      return this._invalidValue(
+        "series",
+        "The series must be an array of fields, an object of fields or functions by name, a function of the row or null"
+      );
+    }
+    this.#applySchema();
+    return this;
+  }
+
   /**
    * @description
    * Add a percentage offset value to the maximum and minimum value for the domain limiits of the chart.
@@ -382,7 +1987,8 @@ export default class Chart {
     if (percentage >= 0 && percentage <= 1) {
       this.#yAxisOffset = +percentage;
     } else {
-      console.error(
+      return this._invalidValue(
+        "yAxisOffset",
         "Invalid number. The only value allowed is between 0 and 1"
       );
     }
@@ -392,12 +1998,13 @@ export default class Chart {
   /**
    * @description
    * Set the svg element container for drawing the chart in the DOM.
-   * @param {string} bindTo The css selector for the svg element to draw the chart.
+   * @param {string|SVGSVGElement} bindTo The css selector for the svg element or the svg element itself to draw the chart. The element can be detached from any document.
    * @returns {void}
    * @access @protected
    */
   set _svg(bindTo) {
-    const svgContainer = document.querySelector(bindTo);
+    const svgContainer =
+      typeof bindTo === "string" ? document.querySelector(bindTo) : bindTo;
     if (!svgContainer) {
       throw new Error("Cannot find SVG element container for the chart");
     }
@@ -417,8 +2024,9 @@ export default class Chart {
   /**
    * @description
    * Obtain an object literat with the minimum and maximum values of the serie.
-   * @param {number[]} serie Serie of values of the dataset.
-   * @returns {{min: number, max: number}}
+   * The missing values are ignored and the dates are kept as Date objects.
+   * @param {number[]|Date[]} serie Serie of values of the dataset.
+   * @returns {{min: number|Date, max: number|Date}}
    * @access @protected
    */
   _serieRange(serie) {
@@ -426,10 +2034,30 @@ export default class Chart {
       console.error("Not access allowed");
       return;
     }
-    return {
-      min: Math.min(...serie),
-      max: Math.max(...serie),
-    };
+    const [min, max] = extent(serie);
+    return { min, max };
+  }
+
+  /**
+   * @description
+   * Whether a value of the dataset is missing (null, undefined, NaN or an empty string).
+   * @param {*} value The value to check.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isMissing(value) {
+    return isMissing(value);
+  }
+
+  /**
+   * @description
+   * Whether the field of the dataset is temporal type.
+   * @param {string} field The name of the field in the dataset.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isTemporal(field) {
+    return this.fieldsTypes.get(field) === "temporal";
   }
 
   /**
@@ -480,9 +2108,13 @@ export default class Chart {
    * @access @protected
    */
   _getNumericalFieldsToUse(fieldsToExclude) {
-    return this.numericalSeries.filter(
-      (serie) => !fieldsToExclude.includes(serie)
-    );
+    // The selected series keep their order, the ones which are not numerical are not drawn
+    const series = this.#series
+      ? this.#seriesNames.filter((serie) =>
+          this.numericalSeries.includes(serie)
+        )
+      : this.numericalSeries;
+    return series.filter((serie) => !fieldsToExclude.includes(serie));
   }
 
   /**
@@ -496,17 +2128,661 @@ export default class Chart {
     if (series.length && series.every((serie) => typeof serie === "string")) {
       this.#seriesShown = series;
     } else {
-      console.error("Only accepts an array of strings");
+      console.error("Only accepts an array of strings");
+    }
+  }
+
+  /**
+   * @description
+   * Getter of the series to be shown in the chart. The series hidden with the legend are not shown.
+   * @returns {string[]}
+   */
+  get seriesShown() {
+    return this.#seriesShown?.filter((serie) => !this.#hiddenSeries.has(serie));
+  }
+
+  /**
+   * @description
+   * Getter and setter of the series hidden in the chart. For the pie, donut and polar charts the names are the
+   * categories of the x serie. The chart is not drawn again, see `toggleSerie()`.
+   * @param {string[]} series The names of the series to hide.
+   * @returns {string[]|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .hiddenSeries(["europe"]);
+   * ```
+   */
+  hiddenSeries(series) {
+    if (!arguments.length) {
+      return [...this.#hiddenSeries];
+    }
+    if (
+      !Array.isArray(series) ||
+      !series.every((serie) => typeof serie === "string")
+    ) {
+      return this._invalidValue(
+        "hiddenSeries",
+        "The hidden series must be an array of names"
+      );
+    }
+    this.#hiddenSeries = new Set(series);
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter and setter of whether the scale of the values only fits the visible series, so that the chart zooms
+   * in when a serie is hidden. By default the scale fits all the series and does not change.
+   * @param {boolean} enabled Whether the scale only fits the visible series.
+   * @returns {boolean|Chart}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .rescaleVisible(true);
+   * ```
+   */
+  rescaleVisible(enabled) {
+    if (!arguments.length) {
+      return this.#rescaleVisible;
+    }
+    this.#rescaleVisible = Boolean(enabled);
+    return this;
+  }
+
+  /**
+   * @description
+   * Hide or show a serie, or a category for the pie, donut and polar charts, and draw the chart again with an
+   * animation. The toggle listeners receive the serie and the series hidden.
+   * @param {string} name The name of the serie.
+   * @param {boolean} [visible] Whether the serie is shown. By default the serie is hidden when it is visible and the other way around.
+   * @returns {Chart}
+   * @example
+   * ```JavaScript
+   * chart.on("toggle", ({ serie, hiddenSeries }) => console.log(serie, hiddenSeries));
+   * chart.toggleSerie("europe");
+   * ```
+   */
+  toggleSerie(name, visible = this.#hiddenSeries.has(name)) {
+    if (visible) {
+      this.#hiddenSeries.delete(name);
+    } else {
+      this.#hiddenSeries.add(name);
+    }
+    this.#redrawVisible(name);
+    return this;
+  }
+
+  /**
+   * @description
+   * Show only one serie, or one category for the pie, donut and polar charts, and draw the chart again with an
+   * animation. When the serie is already the only one shown, all the series are shown again.
+   * @param {string} name The name of the serie.
+   * @returns {Chart}
+   * @example
+   * ```JavaScript
+   * chart.isolateSerie("europe");
+   * ```
+   */
+  isolateSerie(name) {
+    const others = this._legendKeys().filter((key) => key !== name);
+    const isolated =
+      !this.#hiddenSeries.has(name) &&
+      others.every((key) => this.#hiddenSeries.has(key));
+    this.#hiddenSeries = new Set(isolated ? [] : others);
+    this.#redrawVisible(name);
+    return this;
+  }
+
+  /**
+   * @description
+   * Notify the toggle listeners and draw the chart again when it has been drawn, after the visible series change.
+   * @param {string} name The name of the serie toggled.
+   * @returns {void}
+   */
+  #redrawVisible(name) {
+    this.#listeners.call("toggle", this, {
+      chart: this,
+      serie: name,
+      hiddenSeries: this.hiddenSeries(),
+    });
+    if (this.#layers.size) {
+      this.render();
+    }
+  }
+
+  /**
+   * @description
+   * Whether a serie, or a category for the pie, donut and polar charts, is not hidden.
+   * @param {string} name The name of the serie.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isVisible(name) {
+    return !this.#hiddenSeries.has(name);
+  }
+
+  /**
+   * @description
+   * Get the series which fit the scale of the values: all the series, or only the visible ones when the chart is
+   * rescaled to them. When every serie is hidden, all of them fit the scale.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _scaledSeries() {
+    const visible = this.ySeries.filter((serie) => this._isVisible(serie));
+    return this.#rescaleVisible && visible.length ? visible : this.ySeries;
+  }
+
+  /**
+   * @description
+   * Get the names of the entries of the legend, the hidden series included.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _legendKeys() {
+    return this.#seriesShown ?? [];
+  }
+
+  /**
+   * @description
+   * Style the entries of a legend after they are drawn: the hidden series are faded, and the entries of an
+   * interactive legend are buttons which toggle their serie.
+   * @param {object} legendGroup The D3 js selection of the group of the legend.
+   * @param {boolean} [interactive=false] Whether the entries toggle their serie.
+   * @returns {void}
+   * @access @protected
+   */
+  _styleLegend(legendGroup, interactive = false) {
+    legendGroup.classed("interactive", interactive);
+    legendGroup
+      .selectAll("rect.legend, text.legend-name")
+      .classed("hidden", (d) => !this._isVisible(d))
+      .style("opacity", (d) =>
+        this._isVisible(d) ? null : HIDDEN_LEGEND_OPACITY
+      )
+      .style("cursor", interactive ? "pointer" : null);
+    legendGroup
+      .selectAll("text.legend-name")
+      .attr("role", interactive ? "button" : null)
+      .attr("tabindex", interactive ? 0 : null)
+      .attr("aria-pressed", (d) =>
+        interactive ? String(this._isVisible(d)) : null
+      );
+  }
+
+  /**
+   * @description
+   * Draw the legend of the chart with the layout engine of the legends, shared by all the charts. The legend is
+   * chosen from the type of the color scale: the entries of the series or categories for an ordinal scale, a color
+   * ramp for a sequential or diverging scale, and the bins of a quantize, quantile or threshold scale. The entries
+   * are stacked or lined up and wrapped when they exceed the room of the legend, and their names are truncated with
+   * an ellipsis when they are too long. A legend placed on a side of the chart makes room for itself in the margins,
+   * so the chart is drawn again when its size changes.
+   * @param {object} config The configuration of the legend, see `addLegend()`.
+   * @param {object} [options] The options of the chart which draws the legend.
+   * @param {object} [options.parent] The D3 js selection where the legend is drawn when it has no position. By default the svg container.
+   * @param {[number, number]} [options.relativeTo] The width and height the offsets of a legend without position are relative to. By default the size of the chart.
+   * @param {callback} [options.entryClass] The class of the entries of a serie. By default the name of the serie.
+   * @param {string} [options.title] The title of a color ramp or bins when the configuration has none.
+   * @param {boolean} [options.animate=false] Whether the entries are moved with an animation.
+   * @returns {void}
+   * @access @protected
+   */
+  _drawLegend(
+    config,
+    {
+      parent = this.svg,
+      relativeTo = [this.width(), this.height()],
+      entryClass = (d) => d,
+      title,
+      animate = false,
+    } = {}
+  ) {
+    const {
+      widthOffset = 0.85,
+      heightOffset = 0.05,
+      size = 5,
+      spacing = 5,
+      position,
+      orientation = position === "top" || position === "bottom"
+        ? "horizontal"
+        : "vertical",
+      padding = 10,
+      interactive = false,
+    } = config;
+    const legendGroup = this._legendGroup("legends", position, parent);
+    if (!legendGroup) {
+      return;
+    }
+
+    // The room of the legend: the side of the chart, the plot for the corners, or the given maximum sizes
+    const margin = this.margin();
+    const [roomWidth, roomHeight] = !position
+      ? [Infinity, Infinity]
+      : isOutsideLegend(position)
+        ? [this.width(), this.height()]
+        : [
+            this.width() - margin.left - margin.right,
+            this.height() - margin.top - margin.bottom,
+          ];
+    const {
+      maxWidth = roomWidth - 2 * padding,
+      maxHeight = roomHeight - 2 * padding,
+    } = config;
+    const settings = {
+      title,
+      ...config,
+      size,
+      spacing,
+      orientation,
+      maxWidth,
+      maxHeight,
+    };
+    const categorical = colorLegendType(this.colorScale) === "categorical";
+    const move = (selection) =>
+      animate ? selection.transition(this.getTransition()) : selection;
+    const layout = categorical
+      ? this.#drawLegendEntries(legendGroup, settings, entryClass, move)
+      : this.#drawColorLegend(legendGroup, settings);
+
+    const placed = this._placeLegend(legendGroup, layout, {
+      position,
+      padding,
+      relativeTo,
+      widthOffset,
+      heightOffset,
+    });
+    if (placed) {
+      this._styleLegend(legendGroup, categorical && interactive);
+    }
+  }
+
+  /**
+   * @description
+   * Get the group of a legend, in the svg container when the legend has a position or in the given parent.
+   * @param {string} className The class of the group of the legend.
+   * @param {string} [position] The placement of the legend.
+   * @param {object} [parent] The D3 js selection where the legend is drawn when it has no position. By default the svg container.
+   * @returns {object|undefined} The D3 js selection of the group, undefined when the position is not valid.
+   * @access @protected
+   */
+  _legendGroup(className, position, parent = this.svg) {
+    if (position !== undefined && !LEGEND_POSITIONS.includes(position)) {
+      this._invalidValue(
+        "legend.position",
+        `The position of the legend must be one of ${LEGEND_POSITIONS.join(
+          ", "
+        )}`
+      );
+      return undefined;
+    }
+    const container = position ? this.svg : parent;
+    // A legend moved between the plot and the svg container is not left behind
+    this.svg
+      .selectAll(`.${className}`)
+      .filter(function () {
+        return this.parentNode !== container.node();
+      })
+      .remove();
+    return container
+      .selectChildren(`g.${className}`)
+      .data([null])
+      .join("g")
+      .attr("class", className);
+  }
+
+  /**
+   * @description
+   * Place a legend once it is drawn. A legend placed on a side of the chart makes room for itself in the margins,
+   * next to the legends drawn before it on the same side, so the chart is drawn again when its size changes.
+   * @param {object} legendGroup The D3 js selection of the group of the legend, see `_legendGroup()`.
+   * @param {{width: number, height: number}} layout The size of the legend in pixels.
+   * @param {object} options The placement of the legend.
+   * @param {string} [options.position] The placement of the legend, by the offsets when it is not given.
+   * @param {number} options.padding The space in pixels between the legend and the plot or the edges of the chart.
+   * @param {[number, number]} options.relativeTo The width and height the offsets are relative to.
+   * @param {number} options.widthOffset The offset in percentage of the legend in horizontal position.
+   * @param {number} options.heightOffset The offset in percentage of the legend in vertical position.
+   * @returns {boolean} Whether the legend is placed, false when the chart is drawn again instead.
+   * @access @protected
+   */
+  _placeLegend(
+    legendGroup,
+    layout,
+    { position, padding, relativeTo, widthOffset, heightOffset }
+  ) {
+    const key = legendGroup.attr("class");
+    const room = legendMargin(position, layout, padding);
+    const current = this.#legendMargins.get(key);
+    if (
+      !this.#fittingLegend &&
+      Object.keys(room).some((side) => room[side] !== (current?.[side] ?? 0))
+    ) {
+      this.#legendMargins.set(key, room);
+      this.#fittingLegend = true;
+      try {
+        this.render();
+      } finally {
+        this.#fittingLegend = false;
+      }
+      return false;
+    }
+
+    // The room of the legends drawn before on the same side
+    const legends = [...this.#legendMargins.keys()];
+    const before = legends.includes(key)
+      ? legends.indexOf(key)
+      : legends.length;
+    const offset = isOutsideLegend(position)
+      ? legends
+          .slice(0, before)
+          .reduce(
+            (total, name) => total + this.#legendMargins.get(name)[position],
+            0
+          )
+      : 0;
+    legendGroup.attr("transform", () => {
+      if (!position) {
+        return `translate(${widthOffset * relativeTo[0]}, ${
+          heightOffset * relativeTo[1]
+        })`;
+      }
+      const { top, right, bottom, left } = this.margin();
+      const [plotWidth, plotHeight] = [
+        this.width() - left - right,
+        this.height() - top - bottom,
+      ];
+      const [x, y] = {
+        top: [left + (plotWidth - layout.width) / 2, offset + padding],
+        right: [
+          this.width() - offset - padding - layout.width,
+          top + (plotHeight - layout.height) / 2,
+        ],
+        bottom: [
+          left + (plotWidth - layout.width) / 2,
+          this.height() - offset - padding - layout.height,
+        ],
+        left: [offset + padding, top + (plotHeight - layout.height) / 2],
+        "top-left": [left + padding, top + padding],
+        "top-right": [
+          this.width() - right - padding - layout.width,
+          top + padding,
+        ],
+        "bottom-left": [
+          left + padding,
+          this.height() - bottom - padding - layout.height,
+        ],
+        "bottom-right": [
+          this.width() - right - padding - layout.width,
+          this.height() - bottom - padding - layout.height,
+        ],
+      }[position];
+      return `translate(${Math.max(x, 0)}, ${Math.max(y, 0)})`;
+    });
+    return true;
+  }
+
+  /**
+   * @description
+   * Draw the entries of a legend, a square and the name of each serie or category, and lay them out.
+   * @param {object} legendGroup The D3 js selection of the group of the legend.
+   * @param {object} settings The configuration of the legend with the defaults and the room of the legend.
+   * @param {callback} entryClass The class of the entries of a serie.
+   * @param {callback} move The function which animates the positions of the entries, if they are animated.
+   * @returns {{width: number, height: number}} The size of the legend.
+   */
+  #drawLegendEntries(
+    legendGroup,
+    {
+      size,
+      spacing,
+      orientation,
+      maxWidth,
+      maxHeight,
+      maxLabelWidth = Infinity,
+    },
+    entryClass,
+    move
+  ) {
+    legendGroup.selectChildren("g.legend-color").remove();
+    const squares = legendGroup
+      .selectAll("rect.legend")
+      .data(this._legendKeys())
+      .join("rect")
+      .attr("class", (d) => `${entryClass(d)} legend`)
+      .style("fill", (d) => this.colorScale(d));
+    const names = legendGroup
+      .selectAll("text.legend-name")
+      .data(this._legendKeys())
+      .join("text")
+      .attr("class", (d) => `${entryClass(d)} legend-name`)
+      .text((d) => d);
+    const labelWidth = Math.min(maxLabelWidth, maxWidth - size - spacing);
+    const widths = names.nodes().map((node) => truncateText(node, labelWidth));
+    // The full name of the truncated entries is shown on hover
+    names
+      .filter(function (d) {
+        return this.textContent !== d;
+      })
+      .append("title")
+      .text((d) => d);
+    const layout = layoutLegend(widths, {
+      orientation,
+      size,
+      spacing,
+      maxWidth,
+      maxHeight,
+    });
+
+    move(squares)
+      .attr("width", size)
+      .attr("height", size)
+      .attr("x", (_, i) => layout.positions[i].x)
+      .attr("y", (_, i) => layout.positions[i].y);
+    names.attr("dy", size).style("fill", (d) => this.colorScale(d));
+    move(names)
+      .attr("x", (_, i) => layout.positions[i].x + size + spacing)
+      .attr("y", (_, i) => layout.positions[i].y);
+    return layout;
+  }
+
+  /**
+   * @description
+   * Draw the legend of a continuous or binned color scale: a title, a color ramp with a gradient or the swatches
+   * of the bins, and an axis with the values of the scale or the thresholds between the bins.
+   * @param {object} legendGroup The D3 js selection of the group of the legend.
+   * @param {object} settings The configuration of the legend with the defaults and the room of the legend.
+   * @returns {{width: number, height: number}} The size of the legend.
+   */
+  #drawColorLegend(
+    legendGroup,
+    {
+      size,
+      spacing,
+      orientation,
+      title,
+      length = 200,
+      ticks = 5,
+      tickFormat = ",.3~r",
+    }
+  ) {
+    legendGroup.selectAll("rect.legend, text.legend-name").remove();
+    const horizontal = orientation === "horizontal";
+    // The ramp is as thick as an entry of the legends of the categories
+    const thickness = size + spacing;
+    const colorGroup = legendGroup
+      .selectChildren("g.legend-color")
+      .data([null])
+      .join("g")
+      .attr("class", "legend-color");
+
+    const titleText = colorGroup
+      .selectChildren("text.legend-title")
+      .data(title === undefined ? [] : [title])
+      .join("text")
+      .attr("class", "legend-title")
+      .attr("dy", "0.71em")
+      .text((d) => d);
+    const [titleWidth, titleHeight] = titleText.empty()
+      ? [0, 0]
+      : [
+          measureText(titleText.node()),
+          measureTextHeight(titleText.node()) + spacing,
+        ];
+
+    const ramp = colorGroup
+      .selectChildren("g.legend-ramp")
+      .data([null])
+      .join("g")
+      .attr("class", "legend-ramp")
+      .attr("transform", `translate(0, ${titleHeight})`);
+    const [width, height] = horizontal
+      ? [length, thickness]
+      : [thickness, length];
+    const axisScale = scaleLinear().range(
+      horizontal ? [0, length] : [length, 0]
+    );
+    const axis = (horizontal ? axisBottom : axisRight)(axisScale);
+    const fnFormat = this._format(tickFormat);
+
+    if (colorLegendType(this.colorScale) === "continuous") {
+      this.#rampId ??= `chart-legend-ramp-${++colorRamps}`;
+      ramp
+        .selectChildren("defs")
+        .data([null])
+        .join("defs")
+        .selectChildren("linearGradient")
+        .data([null])
+        .join("linearGradient")
+        .attr("id", this.#rampId)
+        .attr("x1", 0)
+        .attr("y1", horizontal ? 0 : 1)
+        .attr("x2", horizontal ? 1 : 0)
+        .attr("y2", 0)
+        .selectAll("stop")
+        .data(rampStops(this.colorScale))
+        .join("stop")
+        .attr("offset", (d) => d.offset)
+        .attr("stop-color", (d) => d.color);
+      ramp.selectChildren("rect.legend-bin").remove();
+      ramp
+        .selectChildren("rect.legend-gradient")
+        .data([null])
+        .join("rect")
+        .attr("class", "legend-gradient")
+        .attr("width", width)
+        .attr("height", height)
+        .style("fill", `url(#${this.#rampId})`);
+      const domain = this.colorScale.domain();
+      axisScale.domain([domain.at(0), domain.at(-1)]);
+      axis.ticks(ticks).tickFormat(fnFormat);
+    } else {
+      const { colors, thresholds } = colorBins(this.colorScale);
+      // The bins have the same size whatever the extent of their values
+      const binLength = length / colors.length;
+      ramp.selectChildren("defs, rect.legend-gradient").remove();
+      ramp
+        .selectChildren("rect.legend-bin")
+        .data(colors)
+        .join("rect")
+        .attr("class", "legend-bin")
+        .attr("x", (_, i) => (horizontal ? i * binLength : 0))
+        .attr("y", (_, i) => (horizontal ? 0 : length - (i + 1) * binLength))
+        .attr("width", horizontal ? binLength : thickness)
+        .attr("height", horizontal ? thickness : binLength)
+        .style("fill", (d) => d);
+      axisScale.domain([0, colors.length]);
+      axis
+        .tickValues(thresholds.map((_, i) => i + 1))
+        .tickFormat((i) => fnFormat(thresholds[i - 1]));
     }
+
+    const axisGroup = ramp
+      .selectChildren("g.legend-axis")
+      .data([null])
+      .join("g")
+      .attr("class", "legend-axis")
+      .attr(
+        "transform",
+        horizontal ? `translate(0, ${thickness})` : `translate(${thickness}, 0)`
+      )
+      .call(axis)
+      .call((group) => group.select(".domain").remove());
+    const labels = axisGroup.selectAll(".tick text").nodes();
+    const axisSize = axis.tickSize() + axis.tickPadding();
+    return horizontal
+      ? {
+          width: Math.max(length, titleWidth),
+          height:
+            titleHeight +
+            thickness +
+            axisSize +
+            Math.max(0, ...labels.map(measureTextHeight)),
+        }
+      : {
+          width: Math.max(
+            titleWidth,
+            thickness + axisSize + Math.max(0, ...labels.map(measureText))
+          ),
+          height: titleHeight + length,
+        };
   }
 
   /**
    * @description
-   * Getter of the series to be shown in the chart.
-   * @returns {string[]}
+   * Toggle the series with the entries of the interactive legends: a click or the Enter and Space keys toggle the
+   * serie, and a double click or the Shift key with Enter and Space isolate it. The toggle of a click waits for the
+   * delay of a double click, so that a double click only isolates the serie.
+   * @returns {void}
    */
-  get seriesShown() {
-    return this.#seriesShown;
+  #listenLegendEvents() {
+    const entryKey = (event) => {
+      const entry = event.target.closest?.(LEGEND_ENTRY_SELECTOR);
+      return entry ? select(entry).datum() : undefined;
+    };
+    this.svg
+      .on("click.legend", (event) => {
+        const key = entryKey(event);
+        if (key === undefined) {
+          return;
+        }
+        clearTimeout(this.#legendClickTimer);
+        // The clicks without a pointer, as the ones of the assistive technologies, cannot start a double click
+        if (event.detail === 0) {
+          this.toggleSerie(key);
+        } else if (event.detail === 1) {
+          this.#legendClickTimer = setTimeout(
+            () => this.toggleSerie(key),
+            DOUBLE_CLICK_DELAY
+          );
+        }
+      })
+      .on("dblclick.legend", (event) => {
+        const key = entryKey(event);
+        if (key !== undefined) {
+          clearTimeout(this.#legendClickTimer);
+          this.isolateSerie(key);
+        }
+      })
+      .on("keydown.legend", (event) => {
+        const key = entryKey(event);
+        if (key === undefined || (event.key !== "Enter" && event.key !== " ")) {
+          return;
+        }
+        event.preventDefault();
+        if (event.shiftKey) {
+          this.isolateSerie(key);
+        } else {
+          this.toggleSerie(key);
+        }
+      });
   }
 
   /**
@@ -521,9 +2797,15 @@ export default class Chart {
    * ```
    */
   duration(milliseconds) {
-    return arguments.length && milliseconds >= 0
+    if (!arguments.length) {
+      return this.#duration;
+    }
+    return milliseconds >= 0
       ? ((this.#duration = +milliseconds), this)
-      : this.#duration;
+      : this._invalidValue(
+          "duration",
+          "The duration must be a number of milliseconds"
+        );
   }
 
   /**
@@ -532,14 +2814,24 @@ export default class Chart {
    * @returns {object}
    */
   getTransition() {
-    return transition().duration(this.duration());
+    return this.svg.transition().duration(this.duration());
   }
 
   /**
    * @description
-   * Attaches event listeners to the chart.
+   * Attaches event listeners to the chart. The events of the points, bars, slices and markers are click, dblclick,
+   * pointerenter, pointerleave, focus and select (click or Enter and Space keys). Their listeners receive the
+   * chart, serie, category, x, y and the original row of the dataset, and the DOM event.
    * @param {...*} args - Arguments to be passed to the event listener.
    * @returns {callback|Chart} Returns the Chart instance if no additional function is returned, otherwise returns the function returned by the event listener.
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .on("click", ({ serie, x, y, row }, event) => console.log(serie, x, y, row));
+   * ```
    */
   on() {
     /**
@@ -568,26 +2860,70 @@ export default class Chart {
     return this.#listeners;
   }
 
+  /**
+   * @description
+   * Infer the type of a field from all of its values. The missing values are ignored.
+   * @param {any[]} values The values of the field in every row of the dataset.
+   * @returns {string} The type of the field: quantitative, temporal or categorical.
+   */
+  #inferFieldType(values) {
+    const present = values.filter((value) => !isMissing(value));
+    if (!present.length) {
+      return "categorical";
+    }
+    if (present.every((value) => value instanceof Date)) {
+      return "temporal";
+    }
+    if (
+      present.every(
+        (value) =>
+          typeof value === "number" ||
+          (typeof value === "string" && !Number.isNaN(+value))
+      )
+    ) {
+      return "quantitative";
+    }
+    if (
+      present.every(
+        (value) => typeof value === "string" && ISO_DATE.test(value.trim())
+      )
+    ) {
+      return "temporal";
+    }
+    return "categorical";
+  }
+
   /**
    * @description
    * Setter function to set the types of fields in the dataset.
-   * If the provided sample is an object, it determines whether each field is numerical or categorical.
-   * @param {object} row - The row object representing the dataset.
+   * The declared types in the schema are used first, then the fields drawn as categories are categorical, otherwise
+   * the type is inferred scanning all the rows.
+   * @param {object[]} dataset - The array of rows representing the dataset.
    * @returns {void}
    * @access @protected
    */
-  set _fieldsTypes(row) {
-    if (typeof row === "object") {
+  set _fieldsTypes(dataset) {
+    if (Array.isArray(dataset)) {
+      /** @type {string[]} */
+      const fields = [
+        ...new Set([
+          ...dataset.flatMap((row) => Object.keys(row)),
+          ...Object.keys(this.#schema),
+        ]),
+      ];
       /**
        * @description
        * Map storing the types of fields in the dataset.
-       * Keys represent field names, values represent field types (either "numerical" or "categorical").
+       * Keys represent field names, values represent field types (quantitative, categorical, temporal or ordinal).
        * @type {Map<string, string>}
        */
       this.#fieldsTypes = new Map(
-        Object.entries(row).map(([field, value]) => [
+        fields.map((field) => [
           field,
-          typeof value === "number" ? "numerical" : "categorical",
+          this.#schema[field]?.type ??
+            (this.#categoryFields.includes(field)
+              ? "categorical"
+              : this.#inferFieldType(dataset.map((row) => row[field]))),
         ])
       );
     } else {
@@ -595,6 +2931,20 @@ export default class Chart {
     }
   }
 
+  /**
+   * @description
+   * Setter of the fields drawn as categories, like the x serie of the bars or of the slices. Their values are kept
+   * as strings when the schema does not declare their type, so that the years or the dates name the categories as
+   * they are written in the dataset. The source dataset is parsed again with the new types.
+   * @param {string[]} fields The names of the fields drawn as categories.
+   * @returns {void}
+   * @access @protected
+   */
+  set _categoryFields(fields) {
+    this.#categoryFields = [...fields];
+    this.#applySchema();
+  }
+
   /**
    * @description
    * Getter function to access the types of fields in the dataset.
@@ -612,7 +2962,10 @@ export default class Chart {
    * @access @protected
    */
   set _categoricalSeries(series) {
-    if (series.length && series.every((serie) => typeof serie === "string")) {
+    if (
+      Array.isArray(series) &&
+      series.every((serie) => typeof serie === "string")
+    ) {
       this.#categoricalSeries = [...series];
     } else {
       console.error("The field names must be string type");
@@ -636,7 +2989,10 @@ export default class Chart {
    * @access @protected
    */
   set _numericalSeries(series) {
-    if (series.length && series.every((serie) => typeof serie === "string")) {
+    if (
+      Array.isArray(series) &&
+      series.every((serie) => typeof serie === "string")
+    ) {
       this.#numericalSeries = [...series];
     } else {
       console.error("The field names must be string type");
@@ -652,6 +3008,33 @@ export default class Chart {
     return this.#numericalSeries;
   }
 
+  /**
+   * @description
+   * Setter function to define the names of temporal series.
+   * @param {string[]} series An array of strings representing the names of temporal series.
+   * @returns {void}
+   * @access @protected
+   */
+  set _temporalSeries(series) {
+    if (
+      Array.isArray(series) &&
+      series.every((serie) => typeof serie === "string")
+    ) {
+      this.#temporalSeries = [...series];
+    } else {
+      console.error("The field names must be string type");
+    }
+  }
+
+  /**
+   * @description
+   * Getter function to access the names of temporal series.
+   * @returns {string[]} An array containing the names of temporal series.
+   */
+  get temporalSeries() {
+    return this.#temporalSeries;
+  }
+
   /**
    * @description
    * Setter of the critical points (maximum and minimum) of each serie in an object.
@@ -662,6 +3045,10 @@ export default class Chart {
   set _criticalPoints(dataset) {
     this.#criticalPoints = this.numericalSeries.reduce((group, serie) => {
       const currentSerie = dataset.map((d) => d[serie]);
+      // The missing values are skipped, a serie without values has no critical points
+      if (currentSerie.every((value) => isMissing(value))) {
+        return { ...group, [serie]: [] };
+      }
       return {
         ...group,
         [serie]: [
@@ -669,20 +3056,19 @@ export default class Chart {
             serie,
             point: "max",
             x: greatestIndex(currentSerie),
-            y: Math.max(...currentSerie),
+            y: max(currentSerie),
           },
           {
             serie,
             point: "min",
             x: leastIndex(currentSerie),
-            y: Math.min(...currentSerie),
+            y: min(currentSerie),
           },
         ],
       };
     }, {});
   }
 
-
   /**
    * @description
    * Get any of the D3 js scales of the library. See details.
@@ -724,8 +3110,72 @@ export default class Chart {
 
   /**
    * @description
-   * Add the div elements to the DOM, so that it can be used to display the tooltip.
-   * @param {object} tooltipStyles The object literal with the CSS styles to apply to the tooltip.
+   * Transform the data bound to an element of the chart to a common structure for all the charts.
+   * @param {object} datum The data bound to the element.
+   * @returns {{serie: string, x: any, y: number, category: string, slice: object, row: object}}
+   * @access @protected
+   */
+  _normalizeDatum(datum) {
+    return {
+      serie: datum.serie,
+      x: datum.x,
+      y: datum.y,
+      category: datum.category,
+      slice: undefined,
+      row: this._sourceRow(datum.row),
+    };
+  }
+
+  /**
+   * @description
+   * Get the row of the dataset as it was given by the user from a row of the parsed dataset.
+   * @param {object} row The row of the parsed dataset.
+   * @returns {object}
+   * @access @protected
+   */
+  _sourceRow(row) {
+    return this.#sourceRows.get(row) ?? row;
+  }
+
+  /**
+   * @description
+   * Format a value of the x serie to be displayed as text.
+   * @param {any} value The value to format.
+   * @returns {string}
+   * @access @protected
+   */
+  _formatX(value) {
+    return value instanceof Date
+      ? this._timeFormat("%b %d, %Y")(value)
+      : `${value ?? ""}`;
+  }
+
+  /**
+   * @description
+   * Describe a normalized datum with text, one line per property: the serie, the category and the x and y values.
+   * @param {{serie: string, x: any, y: number, category: string}} datum The normalized datum.
+   * @returns {string}
+   * @access @protected
+   */
+  _describeDatum({ serie, x, y, category }) {
+    const value = typeof y === "number" ? this._format(",.2~f")(y) : y;
+    return [
+      serie,
+      category !== undefined && category !== x ? category : undefined,
+      `${this._formatX(x)}: ${value}`,
+    ]
+      .filter((line) => line !== undefined)
+      .join("\n");
+  }
+
+  /**
+   * @description
+   * Add the tooltip of the chart. It is displayed next to the pointer when it is over a point, bar, slice or
+   * marker of the chart, and it is hidden when the pointer leaves it.
+   * @param {object} [config={}] The configuration object of the tooltip.
+   * @param {callback} [config.template] The function that receives the hovered datum (serie, x, y, category and slice) and returns the content of the tooltip as a string or a DOM node. By default the values of the datum are displayed.
+   * @param {object} [config.styles] The object literal with the CSS styles to apply to the tooltip.
+   * @param {{x: number, y: number}} [config.offset={x: 10, y: 10}] The distance in pixels between the pointer and the tooltip.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -738,43 +3188,478 @@ export default class Chart {
    *
    * chart.init();
    * chart.addTooltip({
-   *      opacity: "0",
-   *      background: "#eeeeee",
-   *      pointerEvents: "none",
-   *      borderRadius: "2px",
-   *      padding: "5px",
-   *      position: "absolute",
-   *      top: "0",
-   *      left: "0",
-   *      zIndex: "1",
+   *    template: (d) => `${d.serie}: ${d3.format("$.2f")(d.y)}`,
+   *    styles: { background: "#333333", color: "#ffffff" },
+   *    offset: { x: 15, y: 5 }
    * });
    * ```
    */
-  addTooltip(
-    tooltipStyles = {
-      opacity: "0",
-      background: "#eeeeee",
-      pointerEvents: "none",
-      borderRadius: "2px",
-      padding: "5px",
-      position: "absolute",
-      top: "0",
-      left: "0",
-      zIndex: "1",
+  addTooltip({ template, styles = {}, offset = { x: 10, y: 10 } } = {}) {
+    if (!this.#tooltip) {
+      this.#tooltip = new Tooltip({
+        container: this.svg.node().ownerDocument.body,
+        template: (d) => this._describeDatum(d),
+        styles: TOOLTIP_STYLES,
+      });
     }
-  ) {
-    let tooltip = document.querySelector("#tooltip");
-    // In case the tooltip element exists
-    if (tooltip) {
-      return;
+    this.#tooltip.styles(styles).offset(offset);
+    if (template) {
+      this.#tooltip.template(template);
+    }
+
+    this.svg
+      .on("pointermove.tooltip", (event) => {
+        const mark = event.target.closest?.(MARK_SELECTOR);
+        if (mark) {
+          this.#tooltip.show(this._normalizeDatum(select(mark).datum()), event);
+        } else {
+          this.#tooltip.hide();
+        }
+      })
+      .on("pointerleave.tooltip", () => this.#tooltip.hide());
+  }
+
+  /**
+   * @description
+   * Getter of the tooltip of the chart. It is undefined until the tooltip is added.
+   * @returns {Tooltip}
+   */
+  get tooltip() {
+    return this.#tooltip;
+  }
+
+  /**
+   * @description
+   * Add an HTML table with the data of the chart next to the svg container, so that the screen readers can read the
+   * values behind the chart. The first column has the categories and the rest the values of the series, formatted
+   * as in the chart. The table is hidden from the screen unless it is visible.
+   * @param {object} [config={}] The configuration object of the table.
+   * @param {boolean} [config.visible=false] Whether the table is displayed on the screen too.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.addDataTable();
+   * // Display the table on the screen
+   * chart.addDataTable({ visible: true });
+   * ```
+   */
+  addDataTable({ visible = false } = {}) {
+    const svg = this.svg.node();
+    if (!this.#dataTable) {
+      const table = svg.ownerDocument.createElement("table");
+      svg.after(table);
+      this.#dataTable = select(table).attr("class", "chart-data-table");
+    }
+    const { columns, rows } = this._tableData();
+    const table = this.#dataTable;
+    for (const [property, value] of Object.entries(VISUALLY_HIDDEN_STYLES)) {
+      table.style(property, visible ? null : value);
+    }
+    table
+      .selectChildren("caption")
+      .data([null])
+      .join("caption")
+      .text(this.#accessibleName());
+    table
+      .selectChildren("thead")
+      .data([null])
+      .join("thead")
+      .selectChildren("tr")
+      .data([columns])
+      .join("tr")
+      .selectChildren("th")
+      .data((d) => d)
+      .join("th")
+      .attr("scope", "col")
+      .text((d) => d);
+    table
+      .selectChildren("tbody")
+      .data([null])
+      .join("tbody")
+      .selectChildren("tr")
+      .data(rows)
+      .join("tr")
+      .selectChildren()
+      .data((d) => d)
+      // The first cell is the header of the row
+      .join((enter) =>
+        enter.append((_, i) => svg.ownerDocument.createElement(i ? "td" : "th"))
+      )
+      .attr("scope", (_, i) => (i ? null : "row"))
+      .text((d) => d);
+  }
+
+  /**
+   * @description
+   * Getter of the HTML table with the data of the chart. It is undefined until the table is added.
+   * @returns {HTMLTableElement}
+   */
+  get dataTable() {
+    return this.#dataTable?.node();
+  }
+
+  /**
+   * @description
+   * Get the content of the data table of the chart. The first column has the values of the categorical field of the
+   * chart and the rest of the columns the values of the series shown.
+   * @returns {{columns: string[], rows: string[][]}} The headers of the columns and the cells of each row.
+   * @access @protected
+   */
+  _tableData() {
+    const field = this._tableField();
+    const series = this._tableSeries();
+    return {
+      columns: [field, ...series],
+      rows: this.dataset.map((row) => [
+        this._formatX(row[field]),
+        ...series.map((serie) => this._formatY(row[serie], serie)),
+      ]),
+    };
+  }
+
+  /**
+   * @description
+   * Get the name of the categorical field in the first column of the data table.
+   * @returns {string}
+   * @access @protected
+   */
+  _tableField() {
+    return "";
+  }
+
+  /**
+   * @description
+   * Get the series in the columns of the data table: the series shown in the chart, or all the series.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _tableSeries() {
+    const shown = this.ySeries.filter((serie) =>
+      this.seriesShown?.includes(serie)
+    );
+    return shown.length ? shown : this.ySeries;
+  }
+
+  /**
+   * @description
+   * Format a value of a serie to be displayed as text. The missing values are empty. The name of the serie is
+   * given as second argument to the charts which format each serie with the format of its axis.
+   * @param {any} value The value to format.
+   * @returns {string}
+   * @access @protected
+   */
+  _formatY(value) {
+    if (isMissing(value)) {
+      return "";
+    }
+    return typeof value === "number"
+      ? this._format(",.2~f")(value)
+      : `${value}`;
+  }
+
+  /**
+   * @description
+   * Write the chart as a JSON specification with its type, data, settings and the layers drawn, so that the same
+   * chart can be created again with `createChart()`. The values which cannot be written in JSON are left out,
+   * like the parsers of the schema, the template of the tooltip and the format functions not created with D3 js.
+   * The functions of the series change what is drawn, leaving them out is an UNSERIALIZABLE_VALUE warning which
+   * is logged, or thrown in strict mode.
+   * @returns {object}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.addXAxis();
+   * const json = JSON.stringify(chart.toSpec());
+   * ```
+   */
+  toSpec() {
+    const issues = this.#unserializableIssues();
+    if (this.#strict && issues.length) {
+      throw new ChartValidationError(issues);
+    }
+    issues.forEach(({ code, path, message }) =>
+      console.warn(`[${code}] ${path}: ${message}`)
+    );
+    const schema = Object.entries(this.#schema).map(([field, config]) => [
+      field,
+      config.format
+        ? { type: config.type, format: config.format }
+        : config.type,
+    ]);
+    const spec = {
+      type: this.constructor.type,
+      data: this.#source,
+      schema: Object.fromEntries(schema),
+      ...chartSpec(this, this.#layers),
+    };
+    return JSON.parse(JSON.stringify(spec));
+  }
+
+  /**
+   * @description
+   * Get the settings which change what the chart draws and cannot be written in its JSON specification: the
+   * functions of the selection of the series.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   */
+  #unserializableIssues() {
+    const series = this.#series;
+    if (typeof series === "function") {
+      return [
+        this._issue(
+          ISSUE_CODES.UNSERIALIZABLE_VALUE,
+          "series",
+          "The function of the series cannot be written in JSON, the chart of the specification draws all the numerical fields",
+          "warning"
+        ),
+      ];
+    }
+    const computed = Object.entries(
+      series && !Array.isArray(series) ? series : {}
+    )
+      .filter(([_, accessor]) => typeof accessor === "function")
+      .map(([name]) => name);
+    return computed.length
+      ? [
+          this._issue(
+            ISSUE_CODES.UNSERIALIZABLE_VALUE,
+            "series",
+            `The functions of the series cannot be written in JSON, the series ${computed.join(
+              ", "
+            )} are left out`,
+            "warning"
+          ),
+        ]
+      : [];
+  }
+
+  /**
+   * @description
+   * Serialize the chart as a standalone SVG document. The chart is drawn in its final state without animations,
+   * the computed CSS styles of the elements are inlined and the title of the chart is embedded.
+   * @returns {string}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * const svg = chart.toSVGString();
+   * ```
+   */
+  toSVGString() {
+    // Capture the final positions instead of the frames of the animations, the chart is not drawn again
+    finishTransitions(this.svg.node());
+    const node = this.svg.node();
+    const view = node.ownerDocument.defaultView;
+    const clone = node.cloneNode(true);
+    const copies = [clone, ...clone.querySelectorAll("*")];
+    const elements = [node, ...node.querySelectorAll("*")];
+    // Without a browser there can be no styles to compute
+    const computedStyles = new Map(
+      elements.map((element) => [element, view?.getComputedStyle?.(element)])
+    );
+    elements.forEach((element, i) => {
+      const computedStyle = computedStyles.get(element);
+      if (!computedStyle) {
+        return;
+      }
+      const { style } = copies.at(i);
+      const parentStyle =
+        element === node ? undefined : computedStyles.get(element.parentNode);
+      for (const property of EXPORTED_STYLES) {
+        const value = computedStyle.getPropertyValue(property);
+        // Only the values that the element would not get anyway in the file, from its parent or by default
+        const expected = Object.hasOwn(NOT_INHERITED_STYLES, property)
+          ? NOT_INHERITED_STYLES[property]
+          : parentStyle?.getPropertyValue(property);
+        // The inline styles already win over the stylesheets
+        if (value && value !== expected && !style.getPropertyValue(property)) {
+          style.setProperty(property, value);
+        }
+      }
+    });
+    clone.setAttribute("width", this.width());
+    clone.setAttribute("height", this.height());
+    clone.setAttribute("viewBox", `0 0 ${this.width()} ${this.height()}`);
+    const title = this.svg.select(".chart-title text").node()?.textContent;
+    if (title && !clone.querySelector(":scope > title")) {
+      const titleElement = node.ownerDocument.createElementNS(
+        SVG_NAMESPACE,
+        "title"
+      );
+      titleElement.textContent = title;
+      clone.prepend(titleElement);
+    }
+    return view?.XMLSerializer
+      ? new view.XMLSerializer().serializeToString(clone)
+      : clone.outerHTML;
+  }
+
+  /**
+   * @description
+   * Draw the chart in a PNG image.
+   * @param {object} [options={}] The options of the image.
+   * @param {number} [options.scale=1] The factor to multiply the width and height of the chart, for example 2 for high density screens.
+   * @returns {Promise<Blob>}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * const image = await chart.toPNGBlob({ scale: 2 });
+   * ```
+   */
+  async toPNGBlob({ scale = 1 } = {}) {
+    if (!(scale > 0)) {
+      throw new Error("The scale of the image must be greater than zero");
+    }
+    const { ownerDocument } = this.svg.node();
+    const image = new ownerDocument.defaultView.Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () =>
+        reject(new Error("Cannot load the SVG image of the chart"));
+      image.src = this.#svgDataURL();
+    });
+    const canvas = ownerDocument.createElement("canvas");
+    canvas.width = Math.round(this.width() * scale);
+    canvas.height = Math.round(this.height() * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    return new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (blob) =>
+          blob
+            ? resolve(blob)
+            : reject(new Error("Cannot create the PNG image of the chart")),
+        "image/png"
+      )
+    );
+  }
+
+  /**
+   * @description
+   * Get the chart as a data URL to be used, for example, as the source of an image element.
+   * @param {string} [format="svg"] The format of the image: svg or png.
+   * @param {object} [options={}] The options of the image.
+   * @param {number} [options.scale=1] The factor to multiply the width and height of the PNG image.
+   * @returns {Promise<string>}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * document.querySelector("img").src = await chart.toDataURL("png");
+   * ```
+   */
+  async toDataURL(format = "svg", { scale = 1 } = {}) {
+    this.#checkExportFormat(format);
+    if (format === "svg") {
+      return this.#svgDataURL();
     }
-    // If the tooltip element does not exist then create it
-    tooltip = document.createElement("div");
-    tooltip.setAttribute("id", "tooltip");
-    // Apply the styles for the tooltip
-    for (const cssStyle in tooltipStyles) {
-      tooltip.style[cssStyle] = tooltipStyles[cssStyle];
+    const blob = await this.toPNGBlob({ scale });
+    const reader = new (this.svg.node().ownerDocument.defaultView.FileReader)();
+    return new Promise((resolve, reject) => {
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * @description
+   * Save the chart as a file.
+   * @param {string} [filename="chart"] The name of the file. The extension of the format is added when it is missing.
+   * @param {string} [format="svg"] The format of the file: svg or png.
+   * @param {object} [options={}] The options of the image.
+   * @param {number} [options.scale=1] The factor to multiply the width and height of the PNG image.
+   * @returns {Promise<void>}
+   * @example
+   * ```JavaScript
+   * const chart = new Chart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.download("sales-report", "png");
+   * ```
+   */
+  async download(filename = "chart", format = "svg", { scale = 1 } = {}) {
+    this.#checkExportFormat(format);
+    const { ownerDocument } = this.svg.node();
+    const { Blob, URL } = ownerDocument.defaultView;
+    const blob =
+      format === "svg"
+        ? new Blob([this.toSVGString()], { type: "image/svg+xml" })
+        : await this.toPNGBlob({ scale });
+    const link = ownerDocument.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename.endsWith(`.${format}`)
+      ? filename
+      : `${filename}.${format}`;
+    // Some browsers only download the links of the document, and only once the click is handled
+    link.style.display = "none";
+    ownerDocument.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+  }
+
+  /**
+   * @description
+   * Get the chart as a data URL of a SVG image.
+   * @returns {string}
+   */
+  #svgDataURL() {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+      this.toSVGString()
+    )}`;
+  }
+
+  /**
+   * @description
+   * Check that the chart can be exported in the given format.
+   * @param {string} format The format of the file.
+   * @returns {void}
+   */
+  #checkExportFormat(format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(
+        `Invalid format. The formats allowed are ${EXPORT_FORMATS.join(", ")}`
+      );
     }
-    document.body.append(tooltip);
   }
 }
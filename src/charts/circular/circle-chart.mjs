@@ -27,7 +27,7 @@ export default class CircleChart extends Chart {
    * Create a new instance of a CircleChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -63,7 +63,39 @@ export default class CircleChart extends Chart {
    * ```
    */
   xSerie(name) {
-    return arguments.length && typeof name === "string" ? ((this.#xSerie = name), this) : this.#xSerie;
+    if (!arguments.length) {
+      return this.#xSerie;
+    }
+    if (typeof name !== "string") {
+      return this._invalidValue(
+        "xSerie",
+        "The name of the serie must be a string"
+      );
+    }
+    this.#xSerie = name;
+    // The x values name the slices or the axes of the chart
+    this._categoryFields = [name];
+    return this;
+  }
+
+  /**
+   * @description
+   * Get the name of the categorical field in the first column of the data table, the x serie.
+   * @returns {string}
+   * @access @protected
+   */
+  _tableField() {
+    return this.xSerie();
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The x serie is required and it must be a field of the dataset.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    return [...super._validate(), ...this._checkField("xSerie", this.xSerie())];
   }
 
   /**
@@ -1,9 +1,8 @@
 import PieChart from "./pie-chart.mjs";
+import { pie, arc } from "../../../d3.mjs";
 
 ("use strict");
 
-const { pie, arc } = d3;
-
 /**
  * @description
  * DonutChart represents a donut chart for categorical data.
@@ -11,6 +10,13 @@ const { pie, arc } = d3;
  * @extends PieChart
  */
 export default class DonutChart extends PieChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "DonutChart";
+
   /**
    * @description
    * The value between one ring and the other ring of the donut chart. The value must be between 0 and 1.
@@ -23,7 +29,7 @@ export default class DonutChart extends PieChart {
    * Create a new instance of a Donuthart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -65,7 +71,8 @@ export default class DonutChart extends PieChart {
     if (value >= 0 && value <= 1) {
       this.#donutSpacing = +value;
     } else {
-      console.error(
+      return this._invalidValue(
+        "donutSpacing",
         "Invalid number. The only value allowed is between 0 and 1"
       );
     }
@@ -99,11 +106,13 @@ export default class DonutChart extends PieChart {
      * @param {object} row The row in the dataset.
      * @param {string} serie The name of the serie to get the numeric values.
      * @param {number} index The index of the dataset row.
-     * @returns {{x: string, y: number, radius: {inner: number, outer: number}}}
+     * @returns {{x: string, y: number, serie: string, row: object, radius: {inner: number, outer: number}}}
      */
     const getSerie = (row, serie, index) => ({
       x: row[this.xSerie()],
       y: row[serie],
+      serie,
+      row,
       radius: {
         inner: this.donutSpacing() * (2 * index + 1) * this.circleRadius,
         outer: this.donutSpacing() * (2 * (index + 1)) * this.circleRadius,
@@ -177,10 +186,19 @@ export default class DonutChart extends PieChart {
      * @param {number} outerRadius The outer radius of the arc.
      * @param {number} startAngle The starting angle of the arc in degrees.
      * @param {number} endAngle The ending angle of the arc in degrees.
+     * @param {{startAngle: number, endAngle: number}} [previous] The slice drawn before. By default the slice grows from its starting angle.
      * @returns {callback} An interpolator function that generates SVG path segments sized according to time.
      */
     const interpolateSlice =
-      (x, y, innerRadius, outerRadius, startAngle, endAngle) =>
+      (
+        x,
+        y,
+        innerRadius,
+        outerRadius,
+        startAngle,
+        endAngle,
+        previous = { startAngle, endAngle: startAngle }
+      ) =>
       /**
        * Interpolator function that generates SVG path segments.
        * @param {number} t The time parameter ranging from 0 to 1.
@@ -192,18 +210,20 @@ export default class DonutChart extends PieChart {
           y,
           innerRadius,
           outerRadius,
-          startAngle,
-          startAngle + (endAngle - startAngle) * t
+          previous.startAngle + (startAngle - previous.startAngle) * t,
+          previous.endAngle + (endAngle - previous.endAngle) * t
         );
 
     const groupSlices = groupSeries
       .selectAll(".arc")
-      .data((d, i) =>
-        pieData(
-          this.dataset
-            .map((row) => getSerie(row, d, i))
-            .sort((a, b) => b.y - a.y)
-        )
+      .data(
+        (d, i) =>
+          pieData(
+            this._visibleRows()
+              .map((row) => getSerie(row, d, i))
+              .sort((a, b) => b.y - a.y)
+          ),
+        (d) => d.data.x
       )
       .join("g")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} arc`);
@@ -215,6 +235,7 @@ export default class DonutChart extends PieChart {
      * @returns {number}
      */
     const degreesToRadians = (degrees) => degrees * (180 / Math.PI);
+    const chart = this;
 
     groupSlices
       .selectAll("path")
@@ -222,16 +243,21 @@ export default class DonutChart extends PieChart {
       .join("path")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} slice`)
       .transition(this.getTransition())
-      .attrTween("d", (d) =>
-        interpolateSlice(
+      .attrTween("d", function (d) {
+        const slice = {
+          startAngle: degreesToRadians(d.startAngle),
+          endAngle: degreesToRadians(d.endAngle),
+        };
+        return interpolateSlice(
           0,
           0,
           d.data.radius.inner,
           d.data.radius.outer,
-          degreesToRadians(d.startAngle),
-          degreesToRadians(d.endAngle)
-        )
-      )
+          slice.startAngle,
+          slice.endAngle,
+          chart._swapDrawnSlice(this, slice)
+        );
+      })
       .style("fill", (d) => this.colorScale(d.data.x));
   }
 
@@ -1,9 +1,8 @@
 import CircleChart from "../circle-chart.mjs";
+import { pie, arc } from "../../../d3.mjs";
 
 ("use strict");
 
-const { pie, arc, format } = d3;
-
 /**
  * @description
  * PieChart represents a single pie chart.
@@ -11,12 +10,26 @@ const { pie, arc, format } = d3;
  * @extends CircleChart
  */
 export default class PieChart extends CircleChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "PieChart";
+
+  /**
+   * @description
+   * The last geometry drawn by each slice path, so that an update can animate from it.
+   * @type {WeakMap<Element, {startAngle: number, endAngle: number}>}
+   */
+  #drawnSlices = new WeakMap();
+
   /**
    * @description
    * Create a new instance of a PieChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -52,10 +65,12 @@ export default class PieChart extends CircleChart {
     // Set the color schema
     this.colorScale
       .domain(this.dataset.map((d) => d[this.xSerie()]))
-      .range(this.yConfiguration().colorSeries);
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
     // Set the g element for centered
     this.svg
-      .append("g")
+      .selectChildren("g.main")
+      .data([null])
+      .join("g")
       .attr("class", "main")
       .attr(
         "transform",
@@ -101,31 +116,72 @@ export default class PieChart extends CircleChart {
     ].join(" ");
   }
 
-    /**
+  /**
    * Generates an interpolator function for transitioning between SVG path segments.
    * @param {number} x The x-coordinate of the center of the circle.
    * @param {number} y The y-coordinate of the center of the circle.
    * @param {number} r The radius of the circle.
    * @param {number} startAngle The starting angle of the arc in degrees.
    * @param {number} endAngle The ending angle of the arc in degrees.
+   * @param {{r: number, startAngle: number, endAngle: number}} [previous] The slice drawn before. By default the slice grows from its starting angle.
    * @returns {callback} An interpolator function that generates SVG path segments sized according to time.
    */
-    interpolateSlice(x, y, r, startAngle, endAngle) {
-      /**
-       * Interpolator function that generates SVG path segments.
-       * @param {number} t The time parameter ranging from 0 to 1.
-       * @returns {string} SVG path segment representing the arc.
-       */
-      return (t) =>
-        this.#generatePieSlice(
-          x,
-          y,
-          r,
-          startAngle,
-          startAngle + (endAngle - startAngle) * t
-        );
-    }
+  interpolateSlice(
+    x,
+    y,
+    r,
+    startAngle,
+    endAngle,
+    previous = { r, startAngle, endAngle: startAngle }
+  ) {
+    /**
+     * Interpolator function that generates SVG path segments.
+     * @param {number} t The time parameter ranging from 0 to 1.
+     * @returns {string} SVG path segment representing the arc.
+     */
+    return (t) =>
+      this.#generatePieSlice(
+        x,
+        y,
+        previous.r + (r - previous.r) * t,
+        previous.startAngle + (startAngle - previous.startAngle) * t,
+        previous.endAngle + (endAngle - previous.endAngle) * t
+      );
+  }
 
+  /**
+   * @description
+   * Save the geometry of the slice drawn by a path and give back the geometry drawn before by the same path.
+   * @param {Element} node The path element of the slice.
+   * @param {object} slice The geometry of the slice that will be drawn.
+   * @returns {object|undefined}
+   * @access @protected
+   */
+  _swapDrawnSlice(node, slice) {
+    const previous = this.#drawnSlices.get(node);
+    this.#drawnSlices.set(node, slice);
+    return previous;
+  }
+
+  /**
+   * @description
+   * Get the names of the entries of the legend, the categories of the x serie.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _legendKeys() {
+    return this.colorScale.domain();
+  }
+
+  /**
+   * @description
+   * Get the rows of the dataset whose category is not hidden, the slices are computed only with them.
+   * @returns {object[]}
+   * @access @protected
+   */
+  _visibleRows() {
+    return this.dataset.filter((row) => this._isVisible(row[this.xSerie()]));
+  }
 
   /**
    * @description
@@ -163,20 +219,26 @@ export default class PieChart extends CircleChart {
      * The row of the dataset to create the slice of the pie chart.
      * @param {object} row The row in the dataset.
      * @param {string} serie The name of the serie to get the numeric values
-     * @returns {{x: string, y: number, radius: {inner: number, outer: number}}}
+     * @returns {{x: string, y: number, serie: string, row: object, radius: {inner: number, outer: number}}}
      */
     const getSerie = (row, serie) => ({
       x: row[this.xSerie()],
       y: row[serie],
+      serie,
+      row,
       radius: { inner: 0, outer: this.circleRadius },
     });
 
     const groupSlices = groupSeries
       .selectAll(".arc")
-      .data((d) =>
-        pieData(
-          this.dataset.map((row) => getSerie(row, d)).sort((a, b) => b.y - a.y)
-        )
+      .data(
+        (d) =>
+          pieData(
+            this._visibleRows()
+              .map((row) => getSerie(row, d))
+              .sort((a, b) => b.y - a.y)
+          ),
+        (d) => d.data.x
       )
       .join("g")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} arc`);
@@ -188,6 +250,7 @@ export default class PieChart extends CircleChart {
      * @returns {number}
      */
     const degreesToRadians = (degrees) => degrees * (180 / Math.PI);
+    const chart = this;
 
     groupSlices
       .selectAll("path")
@@ -195,22 +258,46 @@ export default class PieChart extends CircleChart {
       .join("path")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} slice`)
       .transition(this.getTransition())
-      .attrTween("d", (d) =>
-        this.interpolateSlice(
+      .attrTween("d", function (d) {
+        const slice = {
+          r: d.data.radius.outer,
+          startAngle: degreesToRadians(d.startAngle),
+          endAngle: degreesToRadians(d.endAngle),
+        };
+        return chart.interpolateSlice(
           0,
           0,
-          d.data.radius.outer,
-          degreesToRadians(d.startAngle),
-          degreesToRadians(d.endAngle)
-        )
-      )
+          slice.r,
+          slice.startAngle,
+          slice.endAngle,
+          chart._swapDrawnSlice(this, slice)
+        );
+      })
       .style("fill", (d) => this.colorScale(d.data.x));
   }
 
+  /**
+   * @description
+   * Transform the data bound to a slice to a common structure for all the charts.
+   * @param {object} datum The data bound to the slice by the D3 js pie generator.
+   * @returns {{serie: string, x: string, y: number, category: string, slice: {startAngle: number, endAngle: number, index: number}, row: object}}
+   * @access @protected
+   */
+  _normalizeDatum({ data, startAngle, endAngle, index }) {
+    return {
+      serie: data.serie,
+      x: data.x,
+      y: data.y,
+      category: data.x,
+      slice: { startAngle, endAngle, index },
+      row: this._sourceRow(data.row),
+    };
+  }
+
   /**
    * @description
    * Add labels of data of each slice.
-   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js function to format the value in each slice. By default the function is d3.format(".1f").
+   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js function to format the value in each slice. By default the function is d3.format(".1f") in the locale of the chart.
    * @returns {void}
    * @see {@link https://d3js.org/d3-format}
    * @example
@@ -226,20 +313,27 @@ export default class PieChart extends CircleChart {
    * chart.addLabels(d3.format("$.1f"));
    * ```
    */
-  addLabels(fnFormat = format(".1f")) {
+  addLabels(fnFormat = this._format(".1f")) {
     const groupSlices = this.svg.selectAll(".arc");
 
-    groupSlices
-      .selectAll("text")
-      .data((d) => [d])
-      .join("text")
-      .attr(
+    const positionLabels = (labels) =>
+      labels.attr(
         "transform",
         (d) =>
           `translate(${arc()
             .innerRadius(d.data.radius.inner)
             .outerRadius(d.data.radius.outer)
             .centroid(d)})`
+      );
+
+    groupSlices
+      .selectAll("text")
+      .data((d) => [d])
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} label`)
       .text((d) => `${d.data.x}: ${fnFormat(d.data.y)}`)
@@ -254,6 +348,13 @@ export default class PieChart extends CircleChart {
    * @param {number} config.heightOffset The offset in percentage to position the legend group in vertical position. Zero means closest to top of the screen. The value must be between 0 and 1.
    * @param {number} config.size The size of the square in pixels.
    * @param {number} config.spacing The spacing in pixels between the square and the name of the serie.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {string} [config.orientation] Whether the entries are stacked (vertical) or lined up (horizontal). By default horizontal at the top and bottom, vertical elsewhere.
+   * @param {number} [config.maxWidth] The width in pixels from which the entries wrap in a new row, or the names are truncated. By default the room of the position.
+   * @param {number} [config.maxHeight] The height in pixels from which the entries wrap in a new column. By default the room of the position.
+   * @param {number} [config.maxLabelWidth] The width in pixels from which the names are truncated with an ellipsis.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @param {boolean} [config.interactive=false] Whether the entries of the legend are buttons which toggle their serie with a click or the Enter and Space keys, and isolate it with a double click or the Shift key. See `toggleSerie()` and `isolateSerie()`.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -276,39 +377,11 @@ export default class PieChart extends CircleChart {
   addLegend(
     config = { widthOffset: 0.85, heightOffset: 0.05, size: 5, spacing: 5 }
   ) {
-    const legendGroup = this.svg
-      .select(".main")
-      .selectAll(".legends")
-      .data([null])
-      .join("g")
-      .attr("class", "legends")
-      .attr(
-        "transform",
-        `translate(${config.widthOffset * this.circleRadius}, ${
-          config.heightOffset * this.circleRadius
-        })`
-      );
-
-    legendGroup
-      .selectAll("rect")
-      .data(this.colorScale.domain())
-      .join("rect")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend`)
-      .attr("width", config.size)
-      .attr("height", config.size)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .style("fill", (d) => this.colorScale(d));
-
-    legendGroup
-      .selectAll("text")
-      .data(this.colorScale.domain())
-      .join("text")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend-name`)
-      .attr("x", config.size + config.spacing)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .attr("dy", config.size)
-      .text((d) => d)
-      .style("fill", (d) => this.colorScale(d));
+    this._drawLegend(config, {
+      parent: this.svg.select(".main"),
+      relativeTo: [this.circleRadius, this.circleRadius],
+      entryClass: (d) => d.toLowerCase().replace(" ", "-"),
+    });
   }
 
   /**
@@ -336,9 +409,15 @@ export default class PieChart extends CircleChart {
    * ```
    */
   addTitle(config) {
-    const titleGroup = this.svg.append("g").attr("class", "chart-title");
+    const titleGroup = this.svg
+      .selectChildren(".chart-title")
+      .data([null])
+      .join("g")
+      .attr("class", "chart-title");
     titleGroup
-      .append("text")
+      .selectAll("text")
+      .data([null])
+      .join("text")
       .attr("x", this.width() * config.widthOffset)
       .attr("y", this.height() * config.heightOffset)
       .text(config.title)
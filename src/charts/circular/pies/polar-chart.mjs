@@ -1,9 +1,8 @@
 import PieChart from "./pie-chart.mjs";
+import { pie, arc } from "../../../d3.mjs";
 
 ("use strict");
 
-const { pie, arc } = d3;
-
 /**
  * @description
  * PolarChart represents a polar chart for categorical values.
@@ -11,6 +10,13 @@ const { pie, arc } = d3;
  * @extends PieChart
  */
 export default class PolarChart extends PieChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "PolarChart";
+
   /**
    * @description
    * The fator of the slice to be multiplied, so that it can grow.
@@ -29,7 +35,7 @@ export default class PolarChart extends PieChart {
    * Create a new instance of a PieChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -62,9 +68,15 @@ export default class PolarChart extends PieChart {
    * ```
    */
   sliceSize(value) {
-    return arguments.length && value >= 2
+    if (!arguments.length) {
+      return this.#sliceSize;
+    }
+    return value >= 2
       ? ((this.#sliceSize = +value), this)
-      : this.#sliceSize;
+      : this._invalidValue(
+          "sliceSize",
+          "The slice size must be a number greater than or equal to 2"
+        );
   }
 
   /**
@@ -98,13 +110,14 @@ export default class PolarChart extends PieChart {
      * The row of the dataset to create the slice of the pie chart.
      * @param {object} row The row in the dataset.
      * @param {string} serie The name of the serie to get the numeric values.
-     * @returns {{x: string, y: number, textValue: string, serie: string, radius: {inner: number, outer: number}}}
+     * @returns {{x: string, y: number, textValue: string, serie: string, row: object, radius: {inner: number, outer: number}}}
      */
     const getSerie = (row, serie) => ({
       x: row[this.xSerie()],
       y: serie === name ? row[serie] : row[this.#serieToShow],
       textValue: row[serie],
       serie,
+      row,
       radius: {
         inner: 0,
         outer: this.sliceSize() * row[this.#serieToShow],
@@ -113,10 +126,14 @@ export default class PolarChart extends PieChart {
 
     const groupSlices = groupSeries
       .selectAll(".arc")
-      .data((d) =>
-        pieData(
-          this.dataset.map((row) => getSerie(row, d)).sort((a, b) => b.y - a.y)
-        )
+      .data(
+        (d) =>
+          pieData(
+            this._visibleRows()
+              .map((row) => getSerie(row, d))
+              .sort((a, b) => b.y - a.y)
+          ),
+        (d) => d.data.x
       )
       .join("g")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} arc`);
@@ -128,6 +145,7 @@ export default class PolarChart extends PieChart {
      * @returns {number}
      */
     const degreesToRadians = (degrees) => degrees * (180 / Math.PI);
+    const chart = this;
 
     groupSlices
       .selectAll("path")
@@ -135,22 +153,40 @@ export default class PolarChart extends PieChart {
       .join("path")
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} slice`)
       .transition(this.getTransition())
-      .attrTween("d", (d) =>
-        this.interpolateSlice(
+      .attrTween("d", function (d) {
+        const slice = {
+          r: d.data.radius.outer,
+          startAngle: degreesToRadians(d.startAngle),
+          endAngle: degreesToRadians(d.endAngle),
+        };
+        return chart.interpolateSlice(
           0,
           0,
-          d.data.radius.outer,
-          degreesToRadians(d.startAngle),
-          degreesToRadians(d.endAngle)
-        )
-      )
+          slice.r,
+          slice.startAngle,
+          slice.endAngle,
+          chart._swapDrawnSlice(this, slice)
+        );
+      })
       .style("fill", (d) => this.colorScale(d.data.x));
   }
 
+  /**
+   * @description
+   * Transform the data bound to a slice to a common structure for all the charts. The y value is the value
+   * of the serie of the slice, not the value of the serie that sizes the slices.
+   * @param {object} datum The data bound to the slice by the D3 js pie generator.
+   * @returns {{serie: string, x: string, y: number, category: string, slice: {startAngle: number, endAngle: number, index: number}, row: object}}
+   * @access @protected
+   */
+  _normalizeDatum(datum) {
+    return { ...super._normalizeDatum(datum), y: datum.data.textValue };
+  }
+
   /**
    * @description
    * Add labels of data of each slice.
-   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js function to format the value in each slice. By default the function is d3.format(".1f").
+   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js function to format the value in each slice. By default the function is d3.format(".1f") in the locale of the chart.
    * @returns {void}
    * @see {@link https://d3js.org/d3-format}
    * @example
@@ -163,11 +199,11 @@ export default class PolarChart extends PieChart {
    * chart.addLabels(d3.format("$.1f"));
    * ```
    */
-  addLabels(fnFormat = format(".1f")) {
+  addLabels(fnFormat = this._format(".1f")) {
     const groupSlices = this.svg.selectAll(".arc");
-    groupSlices
-      .append("text")
-      .attr("transform", (d) => {
+
+    const positionLabels = (labels) =>
+      labels.attr("transform", (d) => {
         const coordinates = arc()
           .innerRadius(d.data.radius.inner)
           .outerRadius(d.data.radius.outer)
@@ -175,7 +211,17 @@ export default class PolarChart extends PieChart {
         return this.#serieToShow === d.data.serie
           ? `translate(${coordinates})`
           : `translate(${coordinates.at(0) * 2.5}, ${coordinates.at(1) * 2.5})`;
-      })
+      });
+
+    groupSlices
+      .selectAll("text")
+      .data((d) => [d])
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
+      )
       .attr("class", (d) => `${d.data.x.toLowerCase().replace(" ", "-")} label`)
       .text((d) => `${d.data.x}: ${fnFormat(d.data.textValue)}`)
       .style("text-anchor", "middle");
@@ -1,9 +1,8 @@
 import CircleChart from "../circle-chart.mjs";
+import { lineRadial, curveLinearClosed } from "../../../d3.mjs";
 
 ("use strict");
 
-const { select, lineRadial, curveLinearClosed, format } = d3;
-
 /**
  * @description
  * RadarChart represents a radial chart in polar coordinates.
@@ -11,6 +10,13 @@ const { select, lineRadial, curveLinearClosed, format } = d3;
  * @extends CircleChart
  */
 export default class RadarChart extends CircleChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "RadarChart";
+
   /**
    * @description
    * The quantity of circles to show as the x axis.
@@ -29,7 +35,7 @@ export default class RadarChart extends CircleChart {
    * Create a new instance of a RadarChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -57,9 +63,15 @@ export default class RadarChart extends CircleChart {
    * @returns {number|this}
    */
   axisTicks(value) {
-    return arguments.length && value > 0
+    if (!arguments.length) {
+      return this.#axisTicks;
+    }
+    return value > 0
       ? ((this.#axisTicks = +value), this)
-      : this.#axisTicks;
+      : this._invalidValue(
+          "axisTicks",
+          "The number of ticks must be greater than zero"
+        );
   }
 
   /**
@@ -77,9 +89,15 @@ export default class RadarChart extends CircleChart {
    * ```
    */
   radius(value) {
-    return arguments.length && value >= 0
+    if (!arguments.length) {
+      return this.#radius;
+    }
+    return value >= 0
       ? ((this.#radius = +value), this)
-      : this.#radius;
+      : this._invalidValue(
+          "radius",
+          "The radius must be a number greater than or equal to zero"
+        );
   }
 
   /**
@@ -97,10 +115,12 @@ export default class RadarChart extends CircleChart {
     // Set the color schema
     this.colorScale
       .domain(this.ySeries)
-      .range(this.yConfiguration().colorSeries);
-    // Find the highest value of all series
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
+    // Find the highest value of all series, or of the visible series when the chart is rescaled
     const ySerieRange = this._serieRange(
-      this.dataset.flatMap((row) => this.ySeries.map((serie) => row[serie]))
+      this.dataset.flatMap((row) =>
+        this._scaledSeries().map((serie) => row[serie])
+      )
     );
     // Set the scale of the radius
     this._y = this._getD3Scale(this.yConfiguration().scale);
@@ -109,7 +129,9 @@ export default class RadarChart extends CircleChart {
       .range([0, this.circleRadius]);
     // Set the g element for centered
     this.svg
-      .append("g")
+      .selectChildren("g.main")
+      .data([null])
+      .join("g")
       .attr("class", "main")
       .attr(
         "transform",
@@ -122,7 +144,7 @@ export default class RadarChart extends CircleChart {
   /**
    * @description
    * Add circles of axis for the radar chart.
-   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js format function to format the data displayed in the label. By default the function is d3.format(".1f"). See the link for more details.
+   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js format function to format the data displayed in the label. By default the function is d3.format(".1f") in the locale of the chart. See the link for more details.
    * @returns {void}
    * @see {@link https://d3js.org/d3-format}
    * @example
@@ -143,14 +165,16 @@ export default class RadarChart extends CircleChart {
    * chart.addRadialAxis(customUnits.format("$.1f"));
    * ```
    */
-  addRadialAxis(fnFormat = format(".1f")) {
+  addRadialAxis(fnFormat = this._format(".1f")) {
     const ticks = Array.from({ length: this.axisTicks() }).map(
       (_, i) => (this.y.domain().at(-1) * i) / this.axisTicks()
     );
 
     const groupAxes = this.svg
       .select(".main")
-      .append("g")
+      .selectChildren(".radial.axes")
+      .data([null])
+      .join("g")
       .attr("class", "radial axes");
 
     const circlesGroup = groupAxes
@@ -160,12 +184,16 @@ export default class RadarChart extends CircleChart {
       .attr("class", "axes ticks");
     // Draw the circles for the axis
     circlesGroup
-      .append("circle")
+      .selectAll("circle")
+      .data((d) => [d])
+      .join("circle")
       .attr("class", "x axis tick")
       .attr("r", (d) => this.y(d));
     // Add the meaning of the size per each axis circle
     circlesGroup
-      .append("text")
+      .selectAll("text")
+      .data((d) => [d])
+      .join("text")
       .attr("class", "x axis size")
       .attr("dy", (d) => this.y(d))
       .text((d) => fnFormat(d))
@@ -192,7 +220,9 @@ export default class RadarChart extends CircleChart {
   addAxisLines() {
     const groupAxes = this.svg
       .select(".main")
-      .append("g")
+      .selectChildren(".lines.axes")
+      .data([null])
+      .join("g")
       .attr("class", "lines axes");
 
     /** @type {{x: string, radians: number}[]}*/
@@ -242,7 +272,7 @@ export default class RadarChart extends CircleChart {
 
     const pathsGroup = seriesGroup
       .selectAll("g")
-      .data(this.seriesShown)
+      .data(this.seriesShown, (d) => d)
       .join("g")
       .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")}`);
 
@@ -281,12 +311,19 @@ export default class RadarChart extends CircleChart {
         .style("fill", (d) => this.colorScale(d.serie))
         .style("stroke", (d) => this.colorScale(d.serie));
 
+    const movePaths = (paths) =>
+      paths
+        .transition(this.getTransition())
+        .attr("d", (d) => pathGenerator(d.values))
+        .style("fill", (d) => this.colorScale(d.serie))
+        .style("stroke", (d) => this.colorScale(d.serie));
+
     pathsGroup
       .selectAll("path")
       .data((d) => getSerie(d))
       .join(
         (enter) => enter.append("path").call(initializePaths).call(showPaths),
-        (update) => update.call(initializePaths).call(showPaths),
+        (update) => update.call(movePaths),
         (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.serie.toLowerCase().replace(" ", "-")} serie`);
@@ -338,7 +375,7 @@ export default class RadarChart extends CircleChart {
   /**
    * @description
    * Add the text labels of data of each serie.
-   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js format function to format the data displayed in the label. By default the function is d3.format(".1f"). See the link for more details.
+   * @param {callback} [fnFormat=d3.format(".1f")] The D3 js format function to format the data displayed in the label. By default the function is d3.format(".1f") in the locale of the chart. See the link for more details.
    * @returns {void}
    * @see {@link https://d3js.org/d3-format}
    * @example
@@ -358,100 +395,84 @@ export default class RadarChart extends CircleChart {
    * chart.addLabels(customUnits.format("$.1f"));
    * ```
    */
-  addLabels(fnFormat = format(".1f")) {
-    const pathsSeries = this.svg.selectAll(".series > g path");
-
-    pathsSeries.each((d, i, ns) => {
-      const currentPath = select(ns[i]);
-      /** @type {{category: string, value: number}[]} */
-      const serie = this.dataset.map((row) => ({
-        value: row[d],
-        category: row[this.xSerie()],
-      }));
-      const coordinates = this.#extractCoordinates(
-        currentPath.attr("d"),
-        serie
-      );
+  addLabels(fnFormat = this._format(".1f")) {
+    const seriesGroups = this.svg.selectAll(".series > g");
 
-      const parent = select(ns[i].parentElement);
-      parent
-        .selectAll("text")
-        .data(coordinates)
-        .join("text")
-        .attr(
-          "class",
-          (r) =>
-            `${d.toLowerCase().replace(" ", "-")} ${r.category
-              .toLowerCase()
-              .replace(" ", "-")} label`
-        )
-        .attr("x", (r) => r.xPosition)
-        .attr("y", (r) => r.yPosition)
-        .text((r) => fnFormat(r.y));
-    });
+    const positionLabels = (labels) =>
+      labels.attr("x", (r) => r.xPosition).attr("y", (r) => r.yPosition);
+
+    seriesGroups
+      .selectAll("text")
+      .data(
+        (d) => this.#extractCoordinates(d),
+        (r) => r.category
+      )
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
+      )
+      .attr(
+        "class",
+        (r) =>
+          `${r.serie.toLowerCase().replace(" ", "-")} ${r.category
+            .toLowerCase()
+            .replace(" ", "-")} label`
+      )
+      .text((r) => fnFormat(r.y));
   }
 
   addPoints() {
-    const pathsSeries = this.svg.selectAll(".series > g path");
+    const seriesGroups = this.svg.selectAll(".series > g");
 
-    pathsSeries.each((d, i, ns) => {
-      const currentPath = select(ns[i]);
-      /** @type {{category: string, value: number}[]} */
-      const serie = this.dataset.map((row) => ({
-        value: row[d.serie],
-        category: row[this.xSerie()],
-      }));
-      const coordinates = this.#extractCoordinates(
-        currentPath.attr("d"),
-        serie
-      );
-      const parent = select(ns[i].parentElement);
-      parent
-        .selectAll("circle")
-        .data(coordinates)
-        .join("circle")
-        .attr(
-          "class",
-          (r) =>
-            `${d.serie.toLowerCase().replace(" ", "-")} ${r.category
-              .toLowerCase()
-              .replace(" ", "-")} point`
-        )
-        .attr("r", this.radius())
+    const positionPoints = (points) =>
+      points
         .attr("cx", (r) => r.xPosition)
         .attr("cy", (r) => r.yPosition)
-        .style("fill", this.colorScale(d.serie));
-    });
+        .style("fill", (r) => this.colorScale(r.serie));
+
+    seriesGroups
+      .selectAll("circle")
+      .data(
+        (d) => this.#extractCoordinates(d),
+        (r) => r.category
+      )
+      .join(
+        (enter) => enter.append("circle").call(positionPoints),
+        (update) =>
+          update.transition(this.getTransition()).call(positionPoints),
+        (exit) => exit.remove()
+      )
+      .attr(
+        "class",
+        (r) =>
+          `${r.serie.toLowerCase().replace(" ", "-")} ${r.category
+            .toLowerCase()
+            .replace(" ", "-")} point`
+      )
+      .attr("r", this.radius());
   }
 
   /**
    * @description
-   * From a svg path which was created using line radial, extract the x and y coordinates.
-   * @param {string} svgPath The string of the SVG path element.
-   * @param {{category: string, value: number}[]} serieValues The values of data points.
-   * @returns {{xPosition: number, yPosition: number, y: number, category: string}[]}
+   * Compute the x and y coordinates of each data point of a serie, at the same positions of the line radial drawn for the serie.
+   * @param {string} serie The name of the serie to get the numerical values.
+   * @returns {{xPosition: number, yPosition: number, x: string, y: number, serie: string, category: string, row: object}[]}
    */
-  #extractCoordinates(svgPath, serieValues) {
-    const re = /[-+]?\d+(\.\d+)?/g;
-    return svgPath
-      .match(re)
-      .map((match, i, matches) => {
-        // Iterate to each pair of matches to rearrange the numbers in x and y
-        // rectangular coordinates. Return null when the positioning is an odd number
-        // Later the null's will be removed
-        if (!(i % 2)) {
-          const xPosition = +match;
-          const yPosition = +matches.at(i + 1);
-          return { xPosition, yPosition };
-        }
-        return null;
-      })
-      .filter((match) => match)
-      .map((match, i) => ({
-        ...match,
-        y: serieValues.at(i).value,
-        category: serieValues.at(i).category,
-      }));
+  #extractCoordinates(serie) {
+    return this.dataset.map((row, i, ns) => {
+      const radian = ((2 * Math.PI) / ns.length) * i;
+      return {
+        xPosition: this.y(row[serie]) * Math.sin(radian),
+        yPosition: -this.y(row[serie]) * Math.cos(radian),
+        x: row[this.xSerie()],
+        y: row[serie],
+        serie,
+        category: row[this.xSerie()],
+        row,
+      };
+    });
   }
 
   /**
@@ -462,6 +483,13 @@ export default class RadarChart extends CircleChart {
    * @param {number} config.heightOffset The offset in percentage to position the legend group in vertical position. Zero means closest to top of the screen. The value must be between 0 and 1.
    * @param {number} config.size The size of the square in pixels.
    * @param {number} config.spacing The spacing in pixels between the square and the name of the serie.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {string} [config.orientation] Whether the entries are stacked (vertical) or lined up (horizontal). By default horizontal at the top and bottom, vertical elsewhere.
+   * @param {number} [config.maxWidth] The width in pixels from which the entries wrap in a new row, or the names are truncated. By default the room of the position.
+   * @param {number} [config.maxHeight] The height in pixels from which the entries wrap in a new column. By default the room of the position.
+   * @param {number} [config.maxLabelWidth] The width in pixels from which the names are truncated with an ellipsis.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @param {boolean} [config.interactive=false] Whether the entries of the legend are buttons which toggle their serie with a click or the Enter and Space keys, and isolate it with a double click or the Shift key. See `toggleSerie()` and `isolateSerie()`.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -484,37 +512,11 @@ export default class RadarChart extends CircleChart {
   addLegend(
     config = { widthOffset: 0.85, heightOffset: 0.05, size: 5, spacing: 5 }
   ) {
-    const legendGroup = this.svg
-      .select(".main")
-      .append("g")
-      .attr("class", "legends")
-      .attr(
-        "transform",
-        `translate(${config.widthOffset * this.circleRadius}, ${
-          config.heightOffset * this.circleRadius
-        })`
-      );
-
-    legendGroup
-      .selectAll("rect")
-      .data(this.seriesShown)
-      .join("rect")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend`)
-      .attr("width", config.size)
-      .attr("height", config.size)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .style("fill", (d) => this.colorScale(d));
-
-    legendGroup
-      .selectAll("text")
-      .data(this.seriesShown)
-      .join("text")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend-name`)
-      .attr("x", config.size + config.spacing)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .attr("dy", config.size)
-      .text((d) => d)
-      .style("fill", (d) => this.colorScale(d));
+    this._drawLegend(config, {
+      parent: this.svg.select(".main"),
+      relativeTo: [this.circleRadius, this.circleRadius],
+      entryClass: (d) => d.toLowerCase().replace(" ", "-"),
+    });
   }
 
   /**
@@ -542,9 +544,15 @@ export default class RadarChart extends CircleChart {
    * ```
    */
   addTitle(config) {
-    const titleGroup = this.svg.append("g").attr("class", "chart-title");
+    const titleGroup = this.svg
+      .selectChildren(".chart-title")
+      .data([null])
+      .join("g")
+      .attr("class", "chart-title");
     titleGroup
-      .append("text")
+      .selectAll("text")
+      .data([null])
+      .join("text")
       .attr("x", this.width() * config.widthOffset)
       .attr("y", this.height() * config.heightOffset)
       .text(config.title)
@@ -9,12 +9,26 @@ import VBarChart from "./vertical-bar-chart.mjs";
  * @extends VBarChart
  */
 export default class HBarChart extends VBarChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "HBarChart";
+
+  /**
+   * @description
+   * The horizontal bars have no secondary y axis nor lines over them.
+   * @type {boolean}
+   */
+  static dualAxis = false;
+
   /**
    * @description
    * Create a new instance of a HBarChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -48,15 +62,7 @@ export default class HBarChart extends VBarChart {
     // Rearrange the dataset
     this._reestructureData();
     // Which are the maximum values for the domain of the y configuration
-    const yValues = this.dataset.map((row) => ({
-      values: row.values,
-      total: row.total,
-    }));
-    const ySerieRange = this._serieRange(
-      this.isStacked()
-        ? yValues.map((d) => d.total)
-        : yValues.flatMap((d) => d.values.map((r) => r.y))
-    );
+    const ySerieRange = this._barsRange();
     // Set the band scale for the nain categories
     this.x
       .domain(this.dataset.map((row) => row.x))
@@ -70,20 +76,14 @@ export default class HBarChart extends VBarChart {
     // Set the color schema
     this.colorScale
       .domain(this.ySeries)
-      .range(this.yConfiguration().colorSeries);
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
     // Set the axes
     this._xAxis = this._D3Axis(this.xAxisConfig().position).scale(this.x);
     this._yAxis = this._D3Axis(this.yAxisConfig().position).scale(this.y);
     // Set the second scale for the grouped bar chart if the graph is not stacked
-    this.x1.domain(this.ySeries).range([0, this.x.bandwidth()]);
+    this.x1.domain(this.seriesShown).range([0, this.x.bandwidth()]);
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -104,30 +104,52 @@ export default class HBarChart extends VBarChart {
    * ```
    */
   addBars() {
-    const barsGroup = this.svg.append("g").attr("class", "bars");
-    barsGroup
-      .selectAll("g")
-      .data(this.dataset)
+    const barsGroup = this.svg
+      .selectChildren("g.bars")
+      .data([null])
       .join("g")
-      .attr("transform", (d) => `translate(0, ${this.x(d.x)})`)
+      .attr("class", "bars");
+
+    const positionGroups = (groups) =>
+      groups.attr("transform", (d) => `translate(0, ${this.x(d.x)})`);
+
+    barsGroup
+      .selectAll(".bar-group")
+      .data(this.dataset, (d) => d.x)
+      .join(
+        (enter) => enter.append("g").call(positionGroups),
+        (update) =>
+          update.transition(this.getTransition()).call(positionGroups),
+        (exit) => exit.remove()
+      )
       .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar-group`);
 
+    const positionBars = (bars) =>
+      bars
+        .attr(
+          "height",
+          this.isStacked() ? this.x.bandwidth() : this.x1.bandwidth()
+        )
+        .attr("width", (d) => this.y(d.y) - this.y(this.y.domain().at(0)))
+        .attr("x", (d) =>
+          this.isStacked() ? this.y(d.previous) : this.y(this.y.domain().at(0))
+        )
+        .attr("y", (d) => (this.isStacked() ? 0 : this.x1(d.serie)))
+        .style("fill", (d) => this.colorScale(d.serie));
+
     barsGroup
-      .selectAll("g")
+      .selectAll(".bar-group")
       .selectAll("rect")
-      .data((d) => d.values)
-      .join("rect")
-      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar`)
-      .attr(
-        "height",
-        this.isStacked() ? this.x.bandwidth() : this.x1.bandwidth()
+      .data(
+        (d) => d.values,
+        (d) => d.serie
       )
-      .attr("width", (d) => this.y(d.y) - this.y(this.y.domain().at(0)))
-      .attr("x", (d) =>
-        this.isStacked() ? this.y(d.previous) : this.y(this.y.domain().at(0))
+      .join(
+        (enter) => enter.append("rect").call(positionBars),
+        (update) => update.transition(this.getTransition()).call(positionBars),
+        (exit) => exit.remove()
       )
-      .attr("y", (d) => (this.isStacked() ? 0 : this.x1(d.serie)))
-      .style("fill", (d) => this.colorScale(d.serie));
+      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar`);
   }
 
   /**
@@ -148,15 +170,27 @@ export default class HBarChart extends VBarChart {
    * ```
    */
   yGrid() {
-    const yGridGroup = this.svg.append("g").attr("class", "y grid");
+    const yGridGroup = this.svg
+      .selectChildren("g.y.grid")
+      .data([null])
+      .join("g")
+      .attr("class", "y grid");
+
+    const positionLines = (lines) =>
+      lines
+        .attr("x1", (d) => this.y(d))
+        .attr("y1", this.margin().top)
+        .attr("x2", (d) => this.y(d))
+        .attr("y2", this.height() - this.margin().bottom);
+
     yGridGroup
       .selectAll("line")
       .data(this.y.ticks())
-      .join("line")
-      .attr("x1", (d) => this.y(d))
-      .attr("y1", this.margin().top)
-      .attr("x2", (d) => this.y(d))
-      .attr("y2", this.height() - this.margin().bottom);
+      .join(
+        (enter) => enter.append("line").call(positionLines),
+        (update) => update.transition(this.getTransition()).call(positionLines),
+        (exit) => exit.remove()
+      );
   }
 
   /**
@@ -180,16 +214,28 @@ export default class HBarChart extends VBarChart {
    */
   addLabels(deltaX = -5, deltaY = 5) {
     const bars = this.svg.select(".bars");
+
+    const positionLabels = (labels) =>
+      labels
+        .attr("x", (d) => (this.isStacked() ? this.y(d.previous) : this.y(d.y)))
+        .attr("y", (d) =>
+          this.isStacked() ? this.x.bandwidth() / 2 : this.x1(d.serie)
+        );
+
     bars
-      .selectAll("g")
+      .selectAll(".bar-group")
       .selectAll("text")
-      .data((d) => d.values)
-      .join("text")
-      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} text-label`)
-      .attr("x", (d) => (this.isStacked() ? this.y(d.previous) : this.y(d.y)))
-      .attr("y", (d) =>
-        this.isStacked() ? this.x.bandwidth() / 2 : this.x1(d.serie)
+      .data(
+        (d) => d.values,
+        (d) => d.serie
       )
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
+      )
+      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} text-label`)
       .attr("dx", deltaX)
       .attr("dy", this.x1.bandwidth() / 2 + deltaY)
       .text((d) => this.yAxis.tickFormat()(d.y));
@@ -220,7 +266,9 @@ export default class HBarChart extends VBarChart {
       .attr("class", "axis arrows");
 
     arrowGroup
-      .append("path")
+      .selectAll(".x.axis.arrow")
+      .data([null])
+      .join("path")
       .attr("class", "x axis arrow")
       .attr("d", () => {
         const x1 = this.y(this.y.domain().at(-1));
@@ -1,4 +1,6 @@
 import RectangularChart from "../rectangular-chart.mjs";
+import { line } from "../../../d3.mjs";
+import { ISSUE_CODES } from "../../../validation.mjs";
 
 ("use strict");
 
@@ -9,6 +11,20 @@ import RectangularChart from "../rectangular-chart.mjs";
  * @extends RectangularChart
  */
 export default class VBarChart extends RectangularChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "VBarChart";
+
+  /**
+   * @description
+   * The lines over the bars can be drawn on a secondary y axis, see `y2Configuration()`.
+   * @type {boolean}
+   */
+  static dualAxis = true;
+
   /**
    * @description
    * The D3 js scaleBand for the grouped columns when the vertical bar chart is not stcaked.
@@ -46,19 +62,32 @@ export default class VBarChart extends RectangularChart {
    * @type {number}
    */
   #granTotal;
+  /**
+   * @description
+   * The rearranged dataset with the series which fit the scale of the values, the hidden series included
+   * unless the chart is rescaled to the visible series.
+   * @type {{x: string, row: object, values: object[], total: number}[]}
+   */
+  #scaledRecords;
   /**
    * @description
    * Whether the data is represented as normalized (the percentage per category).
    * @type {boolean}
    */
   #isNormalized;
+  /**
+   * @description
+   * The names of the series drawn as lines over the bars instead of bars.
+   * @type {string[]}
+   */
+  #lineSeries;
 
   /**
    * @description
    * Create a new instance of a VBarChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -83,6 +112,7 @@ export default class VBarChart extends RectangularChart {
     this.#isPercentage = false;
     this.#granTotal = 0;
     this.#isNormalized = false;
+    this.#lineSeries = [];
   }
 
   /**
@@ -101,9 +131,15 @@ export default class VBarChart extends RectangularChart {
    * ```
    */
   innerPadding(value) {
-    return arguments.length && value >= 0 && value <= 1
+    if (!arguments.length) {
+      return this.#innerPadding;
+    }
+    return value >= 0 && value <= 1
       ? ((this.#innerPadding = +value), this)
-      : this.#innerPadding;
+      : this._invalidValue(
+          "innerPadding",
+          "The inner padding must be a number between 0 and 1"
+        );
   }
 
   /**
@@ -121,9 +157,12 @@ export default class VBarChart extends RectangularChart {
    * ```
    */
   sortAscending(value) {
-    return arguments.length && typeof value === "boolean"
+    if (!arguments.length) {
+      return this.#sortAscending;
+    }
+    return typeof value === "boolean"
       ? ((this.#sortAscending = value), this)
-      : this.#sortAscending;
+      : this._invalidValue("sortAscending", "The value must be a boolean");
   }
 
   /**
@@ -141,9 +180,12 @@ export default class VBarChart extends RectangularChart {
    * ```
    */
   isStacked(value) {
-    return arguments.length && typeof value === "boolean"
+    if (!arguments.length) {
+      return this.#isStacked;
+    }
+    return typeof value === "boolean"
       ? ((this.#isStacked = value), this)
-      : this.#isStacked;
+      : this._invalidValue("isStacked", "The value must be a boolean");
   }
 
   /**
@@ -153,9 +195,12 @@ export default class VBarChart extends RectangularChart {
    * @returns {boolean|this}
    */
   isPercentage(value) {
-    return arguments.length && typeof value === "boolean"
+    if (!arguments.length) {
+      return this.#isPercentage;
+    }
+    return typeof value === "boolean"
       ? ((this.#isPercentage = value), this)
-      : this.#isPercentage;
+      : this._invalidValue("isPercentage", "The value must be a boolean");
   }
 
   /**
@@ -165,9 +210,104 @@ export default class VBarChart extends RectangularChart {
    * @returns {boolean|this}
    */
   isNormalized(value) {
-    return arguments.length && typeof value === "boolean"
+    if (!arguments.length) {
+      return this.#isNormalized;
+    }
+    return typeof value === "boolean"
       ? ((this.#isNormalized = value), this)
-      : this.#isNormalized;
+      : this._invalidValue("isNormalized", "The value must be a boolean");
+  }
+
+  /**
+   * @description
+   * Getter and setter of the series drawn as lines over the bars, with `addLines()`, instead of bars. The lines
+   * share the categories of the x axis with the bars and they can be drawn on a secondary y axis with their own
+   * scale, see `y2Configuration()`.
+   * @param {string[]} series The names of the series of the lines.
+   * @returns {string[]|this}
+   * @example
+   * ```JavaScript
+   * const chart = new VBarChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .lineSeries(["margin"])
+   * .y2Configuration({ series: ["margin"], scale: "linear" });
+   * ```
+   */
+  lineSeries(series) {
+    if (!arguments.length) {
+      return [...this.#lineSeries];
+    }
+    if (
+      !Array.isArray(series) ||
+      !series.every((serie) => typeof serie === "string")
+    ) {
+      return this._invalidValue(
+        "lineSeries",
+        "The line series must be an array of names"
+      );
+    }
+    this.#lineSeries = [...series];
+    return this;
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The line series must be numerical fields of the dataset,
+   * and only the lines can be drawn on the secondary y axis, the bars are drawn on the y axis. The values of the
+   * lines do not fit the y axis of the percentage and normalized bars, then they must be on the secondary y axis.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    const issues = super._validate();
+    if (this.#lineSeries.length && !this.constructor.dualAxis) {
+      return [
+        ...issues,
+        this._issue(
+          ISSUE_CODES.UNKNOWN_OPTION,
+          "lineSeries",
+          `The lines over the bars are not available for the ${this.constructor.type}`
+        ),
+      ];
+    }
+    return [
+      ...issues,
+      ...this.#lineSeries.flatMap((serie) =>
+        this._checkField("lineSeries", serie, ["quantitative"])
+      ),
+      ...(this.y2Configuration()?.series ?? [])
+        .filter((serie) => !this.#lineSeries.includes(serie))
+        .map((serie) =>
+          this._issue(
+            ISSUE_CODES.INVALID_VALUE,
+            "y2Configuration.series",
+            `The serie ${serie} must be a line serie, the bars are drawn on the y axis`
+          )
+        ),
+      ...(this.isPercentage() || this.isNormalized()
+        ? this.#lineSeries
+            .filter((serie) => !this._onY2(serie))
+            .map((serie) =>
+              this._issue(
+                ISSUE_CODES.INVALID_VALUE,
+                "lineSeries",
+                `The line serie ${serie} must be on the secondary y axis, the y axis has the shares of the bars`
+              )
+            )
+        : []),
+    ];
+  }
+
+  /**
+   * @description
+   * Get the series drawn as bars, the ones which are not drawn as lines.
+   * @param {string[]} series The names of the series.
+   * @returns {string[]}
+   */
+  #barSeries(series) {
+    return series.filter((serie) => !this.#lineSeries.includes(serie));
   }
 
   /**
@@ -191,13 +331,23 @@ export default class VBarChart extends RectangularChart {
 
   /**
    * @description
-   * Calculate the grant total of each numeric series.
+   * Calculate the grant total of each numeric series shown.
    * @returns {void}
    * @access @protected
    */
   _setGrantTotal() {
-    this.#granTotal = this.dataset
-      .flatMap((d) => this.ySeries.map((serie) => d[serie]))
+    this.#granTotal = this.#total(this.#barSeries(this.seriesShown));
+  }
+
+  /**
+   * @description
+   * Sum the values of the series in all the rows of the dataset.
+   * @param {string[]} series The names of the series to sum.
+   * @returns {number}
+   */
+  #total(series) {
+    return this.dataset
+      .flatMap((d) => series.map((serie) => d[serie]))
       .reduce((acc, d) => acc + d, 0);
   }
 
@@ -212,21 +362,39 @@ export default class VBarChart extends RectangularChart {
 
   /**
    * @description
-   * Rearrange the dataset to draw the bar chart.
+   * Rearrange the dataset to draw the bars of the series shown. The records of the series which fit the scale of
+   * the values are kept to compute its domain.
    * @returns {void}
    * @access @protected
    */
   _reestructureData() {
-    const records = this.dataset
+    this.#scaledRecords = this.#records(
+      this.#barSeries(this._scaledAxisSeries())
+    );
+    // Reset the records sorted
+    this._dataset = this.#records(this.#barSeries(this.seriesShown));
+  }
+
+  /**
+   * @description
+   * Rearrange the rows of the dataset with the values of some series, sorted by their total. The row is kept for
+   * the values of the lines.
+   * @param {string[]} series The names of the series of the bars.
+   * @returns {{x: string, row: object, values: object[], total: number}[]}
+   */
+  #records(series) {
+    const grantTotal = this.#total(series);
+    return this.dataset
       .map((row) => {
-        const totalPerCategory = this.ySeries
+        const totalPerCategory = series
           .flatMap((serie) => row[serie])
           .reduce((acc, d) => acc + d, 0);
-        const percentageFactor = this.isPercentage() ? this.grantTotal : 1;
+        const percentageFactor = this.isPercentage() ? grantTotal : 1;
         const normalizedFactor = this.isNormalized() ? totalPerCategory : 1;
         return {
           x: row[this.xConfiguration().serie],
-          values: this.ySeries
+          row,
+          values: series
             .map((serie) => ({
               serie,
               x: row[this.xConfiguration().serie],
@@ -240,6 +408,7 @@ export default class VBarChart extends RectangularChart {
               previous:
                 ns.slice(0, i).reduce((acc, r) => acc + r.y, 0) /
                 (percentageFactor * normalizedFactor),
+              row,
             })),
           total: totalPerCategory / (percentageFactor * normalizedFactor),
         };
@@ -247,8 +416,67 @@ export default class VBarChart extends RectangularChart {
       .sort((a, b) =>
         !this.sortAscending() ? b.total - a.total : a.total - b.total
       );
-    // Reset the records sorted
-    this._dataset = records;
+  }
+
+  /**
+   * @description
+   * Get the range of the values of the bars which fit the scale of the values: the totals of the stacked bars or
+   * the values of the grouped bars.
+   * @returns {{min: number, max: number}}
+   * @access @protected
+   */
+  _barsRange() {
+    return this._serieRange(
+      this.isStacked()
+        ? this.#scaledRecords.map((d) => d.total)
+        : this.#scaledRecords.flatMap((d) => d.values.map((r) => r.y))
+    );
+  }
+
+  /**
+   * @description
+   * Get the content of the data table of the chart. The values are the ones of the bars, so they are percentages or
+   * normalized values when the chart is.
+   * @returns {{columns: string[], rows: string[][]}} The headers of the columns and the cells of each row.
+   * @access @protected
+   */
+  _tableData() {
+    const series = this._tableSeries();
+    return {
+      columns: [this._tableField(), ...series],
+      rows: this.dataset.map(({ x, row, values }) => [
+        this._formatX(x),
+        ...series.map((serie) =>
+          this._formatY(
+            this.#lineSeries.includes(serie)
+              ? row[serie]
+              : values.find((d) => d.serie === serie)?.y,
+            serie
+          )
+        ),
+      ]),
+    };
+  }
+
+  /**
+   * @description
+   * Get the types of the x serie allowed. The bars are positioned with a band scale and named by their category, so
+   * the values of the x serie must be strings.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _xSerieTypes() {
+    return ["categorical", "ordinal"];
+  }
+
+  /**
+   * @description
+   * Whether the values of the x serie are drawn as categories. The bars are always categories of a band scale.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isCategoricalX() {
+    return true;
   }
 
   /**
@@ -266,16 +494,14 @@ export default class VBarChart extends RectangularChart {
     this._setGrantTotal();
     // Rearrange the dataset
     this._reestructureData();
-    // Which are the maximum values for the domain of the y configuration
-    const yValues = this.dataset.map((row) => ({
-      values: row.values,
-      total: row.total,
-    }));
-    const ySerieRange = this._serieRange(
-      this.isStacked()
-        ? yValues.map((d) => d.total)
-        : yValues.flatMap((d) => d.values.map((r) => r.y))
-    );
+    // Which are the maximum values for the domain of the y configuration, the bars and the lines of the y axis
+    const lineValues = (serie) => this.dataset.map(({ row }) => row[serie]);
+    const ySerieRange = this._serieRange([
+      ...Object.values(this._barsRange()),
+      ...this._scaledAxisSeries()
+        .filter((serie) => this.#lineSeries.includes(serie))
+        .flatMap(lineValues),
+    ]);
     // Set the band scale for the nain categories
     this.x
       .domain(this.dataset.map((row) => row.x))
@@ -289,20 +515,18 @@ export default class VBarChart extends RectangularChart {
     // Set the color schema
     this.colorScale
       .domain(this.ySeries)
-      .range(this.yConfiguration().colorSeries);
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
     // Set the axes
     this._xAxis = this._D3Axis(this.xAxisConfig().position).scale(this.x);
     this._yAxis = this._D3Axis(this.yAxisConfig().position).scale(this.y);
+    // Set the scale and the axis of the lines on the secondary y axis
+    this._initY2(lineValues);
     // Set the second scale for the grouped bar chart if the graph is not stacked
-    this.x1.domain(this.ySeries).range([0, this.x.bandwidth()]);
+    this.x1
+      .domain(this.#barSeries(this.seriesShown))
+      .range([0, this.x.bandwidth()]);
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -323,29 +547,138 @@ export default class VBarChart extends RectangularChart {
    * ```
    */
   addBars() {
-    const barsGroup = this.svg.append("g").attr("class", "bars");
-    barsGroup
-      .selectAll("g")
-      .data(this.dataset)
+    const barsGroup = this.svg
+      .selectChildren("g.bars")
+      .data([null])
       .join("g")
-      .attr("transform", (d) => `translate(${this.x(d.x)}, 0)`)
+      .attr("class", "bars");
+
+    const positionGroups = (groups) =>
+      groups.attr("transform", (d) => `translate(${this.x(d.x)}, 0)`);
+
+    barsGroup
+      .selectAll(".bar-group")
+      .data(this.dataset, (d) => d.x)
+      .join(
+        (enter) => enter.append("g").call(positionGroups),
+        (update) =>
+          update.transition(this.getTransition()).call(positionGroups),
+        (exit) => exit.remove()
+      )
       .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar-group`);
 
+    const positionBars = (bars) =>
+      bars
+        .attr(
+          "width",
+          this.isStacked() ? this.x.bandwidth() : this.x1.bandwidth()
+        )
+        .attr("height", (d) => this.y(this.y.domain().at(0)) - this.y(d.y))
+        .attr("x", (d) => (this.isStacked() ? 0 : this.x1(d.serie)))
+        .attr("y", (d) =>
+          this.isStacked() ? this.y(d.previous + d.y) : this.y(d.y)
+        )
+        .style("fill", (d) => this.colorScale(d.serie));
+
     barsGroup
-      .selectAll("g")
+      .selectAll(".bar-group")
       .selectAll("rect")
-      .data((d) => d.values)
-      .join("rect")
-      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar`)
-      .attr(
-        "width",
-        this.isStacked() ? this.x.bandwidth() : this.x1.bandwidth()
+      .data(
+        (d) => d.values,
+        (d) => d.serie
+      )
+      .join(
+        (enter) => enter.append("rect").call(positionBars),
+        (update) => update.transition(this.getTransition()).call(positionBars),
+        (exit) => exit.remove()
+      )
+      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} bar`);
+  }
+
+  /**
+   * @description
+   * Add the lines of the line series over the bars, with a point at the middle of the band of each category.
+   * The lines are drawn with the scale of their axis, see `lineSeries()` and `y2Configuration()`.
+   * @param {object} [config={}] The configuration of the lines.
+   * @param {number} [config.radius=3] The radius in pixels of the points of the lines.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new VBarChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .lineSeries(["margin"])
+   * .y2Configuration({ series: ["margin"], scale: "linear" });
+   *
+   * chart.init();
+   * chart.addBars();
+   * chart.addLines();
+   * chart.addY2Axis();
+   * ```
+   */
+  addLines({ radius = 3 } = {}) {
+    const linesGroup = this.svg
+      .selectChildren("g.lines")
+      .data([null])
+      .join("g")
+      .on("mouseover", (e) => this.listeners.call("mouseover", this, e))
+      .on("mouseout", (e) => this.listeners.call("mouseout", this, e))
+      .attr("class", "lines");
+
+    // The values of a line in the order of the categories of the bars
+    const serieValues = (serie) =>
+      this.dataset.map(({ x, row }) => ({ serie, x, y: row[serie], row }));
+    const middle = (d) => this.x(d.x) + this.x.bandwidth() / 2;
+    const lineGenerator = line()
+      .defined((d) => !this._isMissing(d.y))
+      .x(middle)
+      .y((d) => this._yScaleOf(d.serie)(d.y));
+
+    const serieGroups = linesGroup
+      .selectAll("g")
+      .data(
+        this.#lineSeries.filter((serie) => this.seriesShown.includes(serie)),
+        (d) => d
       )
-      .attr("height", (d) => this.y(this.y.domain().at(0)) - this.y(d.y))
-      .attr("x", (d) => (this.isStacked() ? 0 : this.x1(d.serie)))
-      .attr("y", (d) =>
-        this.isStacked() ? this.y(d.previous + d.y) : this.y(d.y)
+      .join("g")
+      .attr("class", (d) => d.toLowerCase().replace(" ", "-"));
+
+    serieGroups
+      .selectAll("path")
+      .data((serie) => [{ serie, values: serieValues(serie) }])
+      .join(
+        (enter) =>
+          enter.append("path").attr("d", (d) => lineGenerator(d.values)),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("d", (d) => lineGenerator(d.values)),
+        (exit) => exit.remove()
+      )
+      .attr("class", (d) => `${d.serie} serie`)
+      .style("fill", "none")
+      .style("stroke", (d) => this.colorScale(d.serie));
+
+    const positionPoints = (points) =>
+      points
+        .attr("cx", middle)
+        .attr("cy", (d) => this._yScaleOf(d.serie)(d.y))
+        .attr("r", radius);
+
+    serieGroups
+      .selectAll("circle")
+      .data((serie) =>
+        serieValues(serie).filter(({ y }) => !this._isMissing(y))
       )
+      .join(
+        (enter) => enter.append("circle").call(positionPoints),
+        (update) =>
+          update.transition(this.getTransition()).call(positionPoints),
+        (exit) => exit.remove()
+      )
+      .attr("class", (d) => `${d.serie} point`)
       .style("fill", (d) => this.colorScale(d.serie));
   }
 
@@ -367,15 +700,27 @@ export default class VBarChart extends RectangularChart {
    * ```
    */
   yGrid() {
-    const yGridGroup = this.svg.append("g").attr("class", "y grid");
+    const yGridGroup = this.svg
+      .selectChildren("g.y.grid")
+      .data([null])
+      .join("g")
+      .attr("class", "y grid");
+
+    const positionLines = (lines) =>
+      lines
+        .attr("x1", this.x(this.x.domain().at(0)))
+        .attr("y1", (d) => this.y(d))
+        .attr("x2", this.x(this.x.domain().at(-1)) + this.x.bandwidth())
+        .attr("y2", (d) => this.y(d));
+
     yGridGroup
       .selectAll("line")
       .data(this.y.ticks())
-      .join("line")
-      .attr("x1", this.x(this.x.domain().at(0)))
-      .attr("y1", (d) => this.y(d))
-      .attr("x2", this.x(this.x.domain().at(-1)) + this.x.bandwidth())
-      .attr("y2", (d) => this.y(d));
+      .join(
+        (enter) => enter.append("line").call(positionLines),
+        (update) => update.transition(this.getTransition()).call(positionLines),
+        (exit) => exit.remove()
+      );
   }
 
   /**
@@ -398,20 +743,32 @@ export default class VBarChart extends RectangularChart {
    */
   addLabels(deltaY = -5) {
     const bars = this.svg.select(".bars");
+
+    const positionLabels = (labels) =>
+      labels
+        .attr("x", (d) =>
+          this.isStacked()
+            ? this.x.bandwidth() / 2
+            : this.x1(d.serie) + this.x1.bandwidth() / 2
+        )
+        .attr("y", (d) =>
+          this.isStacked() ? this.y(d.previous + d.y) : this.y(d.y)
+        );
+
     bars
-      .selectAll("g")
+      .selectAll(".bar-group")
       .selectAll("text")
-      .data((d) => d.values)
-      .join("text")
-      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} text-label`)
-      .attr("x", (d) =>
-        this.isStacked()
-          ? this.x.bandwidth() / 2
-          : this.x1(d.serie) + this.x1.bandwidth() / 2
+      .data(
+        (d) => d.values,
+        (d) => d.serie
       )
-      .attr("y", (d) =>
-        this.isStacked() ? this.y(d.previous + d.y) : this.y(d.y)
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
       )
+      .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} text-label`)
       .attr("dy", deltaY)
       .text((d) => this.yAxis.tickFormat()(d.y))
       .style("text-anchor", "middle");
@@ -442,7 +799,9 @@ export default class VBarChart extends RectangularChart {
       .attr("class", "axis arrows");
 
     arrowGroup
-      .append("path")
+      .selectAll(".x.axis.arrow")
+      .data([null])
+      .join("path")
       .attr("class", "x axis arrow")
       .attr("d", () => {
         const x1 = this.x(this.x.domain().at(-1)) + 0.95 * this.x.bandwidth();
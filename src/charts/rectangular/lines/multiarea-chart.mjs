@@ -1,9 +1,8 @@
 import MultiLineChart from "./multiline-chart.mjs";
+import { area } from "../../../d3.mjs";
 
 ("use strict");
 
-const { area } = d3;
-
 /**
  * @description
  * MultiAreaChart represents a multiserie chart in rectangular coordinates.
@@ -11,12 +10,19 @@ const { area } = d3;
  * @extends MultiLineChart
  */
 export default class MultiAreaChart extends MultiLineChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "MultiAreaChart";
+
     /**
    * @description
    * Create a new instance of a MultiAreaChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -56,14 +62,15 @@ export default class MultiAreaChart extends MultiLineChart {
 
     groupSeries
       .selectAll("g")
-      .data(this.seriesShown)
+      .data(this.seriesShown, (d) => d)
       .join("g")
       .attr("class", (d) => d.toLowerCase().replace(" ", "-"));
 
     const areaGenerator = area()
+      .defined((d) => d.y !== null)
       .y0(this.y.range().at(0))
       .x((d) => this.x(d.x))
-      .y1((d) => this.y(d.y));
+      .y1((d) => this._yScaleOf(d.serie)(d.y));
 
     /**
      * @description
@@ -74,10 +81,7 @@ export default class MultiAreaChart extends MultiLineChart {
     const rearrangedData = (serie) => [
       {
         serie,
-        values: this.dataset.map((row) => ({
-          x: row[this.xConfiguration().serie],
-          y: row[serie],
-        })),
+        values: this._serieValues(serie),
       },
     ];
 
@@ -102,8 +106,9 @@ export default class MultiAreaChart extends MultiLineChart {
             .call(drawSeriesPaths),
         (update) =>
           update
-            .call(initializeAreas)
-            .call(drawSeriesPaths),
+            .transition(this.getTransition())
+            .attr("d", (d) => areaGenerator(d.values))
+            .style("opacity", 0.5),
         (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.serie} serie`)
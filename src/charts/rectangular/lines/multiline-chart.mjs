@@ -1,9 +1,8 @@
 import RectangularChart from "../rectangular-chart.mjs";
+import { line } from "../../../d3.mjs";
 
 ("use strict");
 
-const { line } = d3;
-
 /**
  * @description
  * MultiLineChart represents a multiserie chart in rectangular coordinates.
@@ -11,19 +10,39 @@ const { line } = d3;
  * @extends RectangularChart
  */
 export default class MultiLineChart extends RectangularChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "MultiLineChart";
+
+  /**
+   * @description
+   * The lines can be drawn on a secondary y axis, see `y2Configuration()`.
+   * @type {boolean}
+   */
+  static dualAxis = true;
+
   /**
    * @description
    * The size of the radius of the point to draw the serie.
    * @type {number}
    */
   #radius;
+  /**
+   * @description
+   * The policy to deal with the missing values of the series: gap, zero, interpolate or carry.
+   * @type {string}
+   */
+  #missingData;
 
   /**
    * @description
    * Create a new instance of a MultiLineChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -41,6 +60,7 @@ export default class MultiLineChart extends RectangularChart {
   constructor({ bindTo, dataset }) {
     super({ bindTo, dataset });
     this.#radius = 3;
+    this.#missingData = "gap";
   }
 
   /**
@@ -58,9 +78,46 @@ export default class MultiLineChart extends RectangularChart {
    * ```
    */
   radius(value) {
-    return arguments.length && value >= 0
+    if (!arguments.length) {
+      return this.#radius;
+    }
+    return value >= 0
       ? ((this.#radius = +value), this)
-      : this.#radius;
+      : this._invalidValue(
+          "radius",
+          "The radius must be a number greater than or equal to zero"
+        );
+  }
+
+  /**
+   * @description
+   * Getter and setter of the policy to draw the missing values (null, undefined or NaN) of the series.
+   * The gap policy breaks the line, zero draws the value as zero, interpolate draws the value linearly
+   * between the previous and next values and carry draws the previous value.
+   * @param {string} policy The name of the policy: gap, zero, interpolate or carry.
+   * @returns {string|MultiLineChart}
+   * @example
+   * ```JavaScript
+   * const chart = new MultiLineChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .missingData("interpolate");
+   * ```
+   */
+  missingData(policy) {
+    if (!arguments.length) {
+      return this.#missingData;
+    }
+    if (["gap", "zero", "interpolate", "carry"].includes(policy)) {
+      this.#missingData = policy;
+    } else {
+      return this._invalidValue(
+        "missingData",
+        "Invalid policy. The only values allowed are gap, zero, interpolate or carry"
+      );
+    }
+    return this;
   }
 
   /**
@@ -73,15 +130,18 @@ export default class MultiLineChart extends RectangularChart {
       this.dataset.map(({ [this.xConfiguration().serie]: value }) => value)
     );
     // Set the scale for the values in the bottom position of the x axis
-    this._x = this._getD3Scale(this.xConfiguration().scale);
+    this._x = this._getXScale();
     this.x
       .domain(Object.values(xSerieRange))
       .range([this.margin().left, this.width() - this.margin().right]);
     // Set the numerical series to use
-    this._ySeries = this._getNumericalFieldsToUse([this.xConfiguration().serie]);
-    // Which are the range of values for the y scale
+    this._ySeries = this._getNumericalFieldsToUse([
+      this.xConfiguration().serie,
+    ]);
+    // Which are the range of values for the y scale, only the visible series when the chart is rescaled
+    const serieValues = (serie) => this._serieValues(serie).map(({ y }) => y);
     const ySerieRange = this._serieRange(
-      this.dataset.flatMap((d) => this.ySeries.map((serie) => d[serie]))
+      this._scaledAxisSeries().flatMap(serieValues)
     );
     // Set the scale for the values in the left position of the y series
     this._y = this._getD3Scale(this.yConfiguration().scale);
@@ -94,26 +154,16 @@ export default class MultiLineChart extends RectangularChart {
     // Set the axes
     this._xAxis = this._D3Axis(this.xAxisConfig().position).scale(this.x);
     this._yAxis = this._D3Axis(this.yAxisConfig().position).scale(this.y);
+    // Set the scale and the axis of the series on the secondary y axis
+    this._initY2(serieValues);
     // Set the color schema
     this.colorScale
       .domain(this.ySeries)
-      .range(this.yConfiguration().colorSeries);
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
     // Set the the x axis customizations of format
-    if (this.xAxisConfig().customizations) {
-      for (const [xFormat, customFormat] of Object.entries(
-        this.xAxisConfig().customizations
-      )) {
-        this.xAxis[xFormat](customFormat);
-      }
-    }
+    this._customizeXAxis();
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -121,11 +171,64 @@ export default class MultiLineChart extends RectangularChart {
    * Callback function to iterate throught a serie in the dataset by the serie name.
    * @param {object} row An object from the dataset.
    * @param {string} serie Name of the serie to get the data from the dataset.
-   * @returns {{serie: string, x: number, y: number}}
+   * @returns {{serie: string, x: number, y: number, row: object}}
    * @access @protected
    */
   getSerieData(row, serie) {
-    return { serie, x: row[this.xConfiguration().serie], y: row[serie] };
+    return { serie, x: row[this.xConfiguration().serie], y: row[serie], row };
+  }
+
+  /**
+   * @description
+   * The values of a serie to be drawn where the missing values are filled according to the missing data policy.
+   * The values that cannot be filled remain null, so that the line is broken.
+   * @param {string} serie Name of the serie to get the data from the dataset.
+   * @returns {{serie: string, x: number, y: number, missing: boolean}[]}
+   * @access @protected
+   */
+  _serieValues(serie) {
+    const values = this.dataset.map((row) => {
+      const data = this.getSerieData(row, serie);
+      const missing = this._isMissing(data.y);
+      return { ...data, y: missing ? null : data.y, missing };
+    });
+    /** @type {number[]} */
+    const observed = values
+      .map(({ missing }, i) => (missing ? -1 : i))
+      .filter((i) => i >= 0);
+    // The numerical position of the x values to interpolate, the categories use their index
+    const position = (i) =>
+      typeof values.at(i).x === "string" ? i : +values.at(i).x;
+
+    return values.map((d, i) => {
+      if (!d.missing || this.missingData() === "gap") {
+        return d;
+      }
+      if (this.missingData() === "zero") {
+        return { ...d, y: 0 };
+      }
+      const previous = observed.filter((j) => j < i).at(-1);
+      const next = observed.find((j) => j > i);
+      if (this.missingData() === "carry") {
+        return {
+          ...d,
+          y: previous === undefined ? null : values.at(previous).y,
+        };
+      }
+      // The interpolation is not possible at the extremes of the serie
+      if (previous === undefined || next === undefined) {
+        return d;
+      }
+      const t =
+        (position(i) - position(previous)) /
+        (position(next) - position(previous));
+      return {
+        ...d,
+        y:
+          values.at(previous).y +
+          t * (values.at(next).y - values.at(previous).y),
+      };
+    });
   }
 
   /**
@@ -149,13 +252,14 @@ export default class MultiLineChart extends RectangularChart {
 
     groupSeries
       .selectAll("g")
-      .data(this.seriesShown)
+      .data(this.seriesShown, (d) => d)
       .join("g")
       .attr("class", (d) => d.toLowerCase().replace(" ", "-"));
 
     const lineGenerator = line()
+      .defined((d) => d.y !== null)
       .x((d) => this.x(d.x))
-      .y((d) => this.y(d.y));
+      .y((d) => this._yScaleOf(d.serie)(d.y));
 
     /**
      * @description
@@ -166,10 +270,7 @@ export default class MultiLineChart extends RectangularChart {
     const rearrangedData = (serie) => [
       {
         serie,
-        values: this.dataset.map((row) => ({
-          x: row[this.xConfiguration().serie],
-          y: row[serie],
-        })),
+        values: this._serieValues(serie),
       },
     ];
 
@@ -177,15 +278,23 @@ export default class MultiLineChart extends RectangularChart {
       selection
         .transition(this.getTransition())
         .delay((d, i) => i * (this.duration() / d.values.length))
-        .attrTween("d", function (d) {
+        .attrTween("d", (d) => {
           /** @type {string}*/
           const linePath = lineGenerator(d.values);
+          // The path is drawn by its characters, so that the last frame is the whole path
           /** @type {number}*/
-          const length = this.getTotalLength();
+          const length = linePath.length;
           return (/** @type {number}*/ time) =>
-            linePath.substring(0, length * time); //
+            linePath.substring(0, length * time);
         })
-        .style("stroke", (d) => this.colorScale(d));
+        .style("stroke", (d) => this.colorScale(d.serie));
+
+    // The existing lines are transitioned to their new path
+    const moveSerie = (selection) =>
+      selection
+        .transition(this.getTransition())
+        .attr("d", (d) => lineGenerator(d.values))
+        .style("stroke", (d) => this.colorScale(d.serie));
 
     groupSeries
       .selectAll("g")
@@ -198,7 +307,7 @@ export default class MultiLineChart extends RectangularChart {
             .attr("d", (d) => lineGenerator(d.values))
             .style("fill", "none")
             .call(drawSerie),
-        (update) => update.style("stroke", null).call(drawSerie),
+        (update) => update.call(moveSerie),
         (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.serie} serie`);
@@ -266,25 +375,24 @@ export default class MultiLineChart extends RectangularChart {
 
     const positionCircles = (circles) =>
       circles
-        .attr("r", 0)
         .attr("cx", (d) => this.x(d.x))
-        .attr("cy", (d) => this.y(d.y));
+        .attr("cy", (d) => this._yScaleOf(d.serie)(d.y));
 
     seriesGroup
       .selectAll("circle")
-      .data((d) => this.dataset.map((row) => this.getSerieData(row, d)))
+      .data((d) => this._serieValues(d).filter(({ missing }) => !missing))
       .join(
         (enter) =>
           enter
             .append("circle")
+            .attr("r", 0)
             .call(positionCircles)
             .transition(this.getTransition())
             .attr("r", this.radius()),
         (update) =>
           update
-            .call(positionCircles)
             .transition(this.getTransition())
-            .delay((_, i) => i * 100)
+            .call(positionCircles)
             .attr("r", this.radius()),
         (exit) => exit.remove()
       )
@@ -333,8 +441,15 @@ export default class MultiLineChart extends RectangularChart {
       .attr("x", (d) =>
         this.x(this.dataset.at(d.x)[this.xConfiguration().serie])
       )
-      .attr("y", (d) => this.y(d.y))
-      .text((d) => this.yAxis.tickFormat()(d.y))
+      .attr("y", (d) => this._yScaleOf(d.serie)(d.y))
+      .text((d) => {
+        const x = this.dataset.at(d.x)[this.xConfiguration().serie];
+        const value = this._yAxisOf(d.serie).tickFormat()(d.y);
+        // Print the date when the critical point happened in the time series
+        return this._isTemporal(this.xConfiguration().serie)
+          ? `${value} (${this._formatX(x)})`
+          : value;
+      })
       .style("text-anchor", "middle");
   }
 
@@ -356,13 +471,21 @@ export default class MultiLineChart extends RectangularChart {
    */
   addLabels() {
     const seriesGroup = this.svg.selectAll(".series").selectChildren("g");
+    const positionLabels = (labels) =>
+      labels
+        .attr("x", (d) => this.x(d.x))
+        .attr("y", (d) => this._yScaleOf(d.serie)(d.y));
+
     seriesGroup
       .selectAll("text")
-      .data((d) => this.dataset.map((row) => this.getSerieData(row, d)))
-      .join("text")
+      .data((d) => this._serieValues(d).filter(({ missing }) => !missing))
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
+      )
       .attr("class", (d) => `${d.serie} label`)
-      .attr("x", (d) => this.x(d.x))
-      .attr("y", (d) => this.y(d.y))
-      .text((d) => this.yAxis.tickFormat()(d.y));
+      .text((d) => this._yAxisOf(d.serie).tickFormat()(d.y));
   }
 }
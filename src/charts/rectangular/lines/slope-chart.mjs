@@ -9,6 +9,13 @@ import RectangularChart from "../rectangular-chart.mjs";
  * @extends RectangularChart
  */
 export default class SlopeChart extends RectangularChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "SlopeChart";
+
   /**
    * @description
    * The size of the radius of the points of the chart.
@@ -20,7 +27,7 @@ export default class SlopeChart extends RectangularChart {
    * Create a new instance of a SlopeChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -56,9 +63,35 @@ export default class SlopeChart extends RectangularChart {
    * ```
    */
   radius(value) {
-    return arguments.length && value >= 0
+    if (!arguments.length) {
+      return this.#radius;
+    }
+    return value >= 0
       ? ((this.#radius = +value), this)
-      : this.#radius;
+      : this._invalidValue(
+          "radius",
+          "The radius must be a number greater than or equal to zero"
+        );
+  }
+
+  /**
+   * @description
+   * Get the types of the x serie allowed. The x serie only names the rows, so it can have any type.
+   * @returns {undefined}
+   * @access @protected
+   */
+  _xSerieTypes() {
+    return undefined;
+  }
+
+  /**
+   * @description
+   * Whether the values of the x serie are drawn as categories. Each row is a line named by its x value.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isCategoricalX() {
+    return true;
   }
 
   /**
@@ -89,15 +122,9 @@ export default class SlopeChart extends RectangularChart {
     // Set the color schema
     this.colorScale
       .domain(this.dataset.map((row) => row[this.xConfiguration().serie]))
-      .range(this.yConfiguration().colorSeries);
+      .range(this._seriesColors(this.yConfiguration().colorSeries));
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -122,7 +149,7 @@ export default class SlopeChart extends RectangularChart {
     /**
      * @description
      * The rearranged data to create the g elements per category
-     * @type {{x: string, values: {serie: string, x: number, y: number}[]}[]}
+     * @type {{x: string, values: {serie: string, x: number, y: number, row: object}[]}[]}
      */
     const series = this.dataset.map((row) => ({
       x: row[this.xConfiguration().serie],
@@ -130,12 +157,16 @@ export default class SlopeChart extends RectangularChart {
         serie,
         x: row[this.xConfiguration().serie],
         y: row[serie],
+        row,
       })),
     }));
 
     const groupSerie = groupSeries
       .selectAll("g")
-      .data(!name ? series : series.filter((row) => row.x === name))
+      .data(
+        series.filter((row) => this.seriesShown.includes(row.x)),
+        (d) => d.x
+      )
       .join("g")
       .attr("class", (d) => d.x.toLowerCase().replace(" ", "-"));
 
@@ -164,7 +195,13 @@ export default class SlopeChart extends RectangularChart {
             .append("line")
             .call(startPositionLines)
             .call(finishPositionLines),
-        (update) => update.call(startPositionLines).call(finishPositionLines),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("x1", (d) => this.x(d.values.at(0).serie))
+            .attr("y1", (d) => this.y(d.values.at(0).y))
+            .attr("x2", (d) => this.x(d.values.at(-1).serie))
+            .attr("y2", (d) => this.y(d.values.at(-1).y)),
         (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} serie`)
@@ -257,7 +294,12 @@ export default class SlopeChart extends RectangularChart {
             .attr("r", 0)
             .call(positionCircles)
             .call(growRadius),
-        (update) => update.call(positionCircles).call(growRadius),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("cx", (d) => this.x(d.serie))
+            .attr("cy", (d) => this.y(d.y))
+            .style("fill", (d) => this.colorScale(d.x)),
         (exit) => exit.remove()
       )
       .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} point`);
@@ -283,14 +325,21 @@ export default class SlopeChart extends RectangularChart {
    */
   addLabels(deltaY = -5) {
     const groupSeries = this.svg.select(".series");
+
+    const positionLabels = (labels) =>
+      labels.attr("x", (d) => this.x(d.serie)).attr("y", (d) => this.y(d.y));
+
     groupSeries
       .selectAll("g")
       .selectAll("text")
       .data((d) => d.values)
-      .join("text")
+      .join(
+        (enter) => enter.append("text").call(positionLabels),
+        (update) =>
+          update.transition(this.getTransition()).call(positionLabels),
+        (exit) => exit.remove()
+      )
       .attr("class", (d) => `${d.x.toLowerCase().replace(" ", "-")} point`)
-      .attr("x", (d) => this.x(d.serie))
-      .attr("y", (d) => this.y(d.y))
       .attr("dy", deltaY)
       .text((d) => this.yAxis.tickFormat()(d.y))
       .style("fill", (d) => this.colorScale(d.x))
@@ -305,6 +354,13 @@ export default class SlopeChart extends RectangularChart {
    * @param {number} config.heightOffset The offset in percentage to position the legend group in vertical position. Zero means closest to top of the screen. The value must be between 0 and 1.
    * @param {number} config.size The size of the square in pixels.
    * @param {number} config.spacing The spacing in pixels between the square and the name of the serie.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {string} [config.orientation] Whether the entries are stacked (vertical) or lined up (horizontal). By default horizontal at the top and bottom, vertical elsewhere.
+   * @param {number} [config.maxWidth] The width in pixels from which the entries wrap in a new row, or the names are truncated. By default the room of the position.
+   * @param {number} [config.maxHeight] The height in pixels from which the entries wrap in a new column. By default the room of the position.
+   * @param {number} [config.maxLabelWidth] The width in pixels from which the names are truncated with an ellipsis.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @param {boolean} [config.interactive=false] Whether the entries of the legend are buttons which toggle their serie with a click or the Enter and Space keys, and isolate it with a double click or the Shift key. See `toggleSerie()` and `isolateSerie()`.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -327,37 +383,8 @@ export default class SlopeChart extends RectangularChart {
   addLegend(
     config = { widthOffset: 0.85, heightOffset: 0.05, size: 5, spacing: 5 }
   ) {
-    const legendGroup = this.svg
-      .selectAll(".legends")
-      .data([null])
-      .join("g")
-      .attr("class", "legends")
-      .attr(
-        "transform",
-        `translate(${config.widthOffset * this.width()}, ${
-          config.heightOffset * this.height()
-        })`
-      );
-
-    legendGroup
-      .selectAll("rect")
-      .data(this.seriesShown)
-      .join("rect")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend`)
-      .attr("width", config.size)
-      .attr("height", config.size)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .style("fill", (d) => this.colorScale(d));
-
-    legendGroup
-      .selectAll("text")
-      .data(this.seriesShown)
-      .join("text")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend-name`)
-      .attr("x", config.size + config.spacing)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .attr("dy", config.size)
-      .text((d) => d)
-      .style("fill", (d) => this.colorScale(d));
+    this._drawLegend(config, {
+      entryClass: (d) => d.toLowerCase().replace(" ", "-"),
+    });
   }
 }
@@ -1,8 +1,15 @@
 import Chart from "../chart.mjs";
+import { axisTop, axisRight, axisBottom, axisLeft, format } from "../../d3.mjs";
+import { ISSUE_CODES } from "../../validation.mjs";
 
 ("use strict");
 
-const { axisTop, axisRight, axisBottom, axisLeft, format } = d3;
+/**
+ * @description
+ * The D3 js scales which can position any type of values, the rest of scales need numbers or dates.
+ * @type {string[]}
+ */
+const DISCRETE_SCALES = ["band", "point", "ordinal"];
 
 /**
  * @description
@@ -11,6 +18,13 @@ const { axisTop, axisRight, axisBottom, axisLeft, format } = d3;
  * @extends Chart
  */
 export default class RectangularChart extends Chart {
+  /**
+   * @description
+   * Whether the chart can draw some series on a secondary y axis, see `y2Configuration()`.
+   * @type {boolean}
+   */
+  static dualAxis = false;
+
   /**
    * @description
    * The D3 js function generator which sets the x axis.
@@ -53,13 +67,44 @@ export default class RectangularChart extends Chart {
    * @type {string}
    */
   #categorySerie;
+  /**
+   * @description
+   * The default format of the ticks of the axes when they are not customized. The axes are formatted with the
+   * same specifier in the locale of the chart.
+   * @type {callback}
+   */
+  #defaultTickFormat;
+  /**
+   * @description
+   * The configuration of the secondary y axis. The names of the series drawn with its scale and the scale to be used.
+   * @type {{series: string[], scale: string}}
+   */
+  #y2Configuration;
+  /**
+   * @description
+   * The object with parameters to position the secondary y axis and the customizations such as format, etc.
+   * @type {{position: string, customizations: object}}
+   */
+  #y2AxisConfiguration;
+  /**
+   * @description
+   * The scale function to compute the values of the series of the secondary y axis to set the position in screen.
+   * @type {D3Scale}
+   */
+  #y2;
+  /**
+   * @description
+   * The D3 js function generator which sets the secondary y axis.
+   * @type {D3Axis}
+   */
+  #y2Axis;
 
   /**
    * @description
    * Create a new instance of a RectangularChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -80,15 +125,20 @@ export default class RectangularChart extends Chart {
     this.#yAxis = undefined;
     this.#xConfiguration = undefined;
     this.#x = undefined;
+    this.#defaultTickFormat = format(".1f");
     this.#yAxisConfiguration = {
       position: "left",
-      customizations: { tickFormat: format(".1f") },
+      customizations: { tickFormat: this.#defaultTickFormat },
     };
     this.#xAxisConfiguration = {
       position: "bottom",
-      customizations: { tickFormat: format(".1f") },
+      customizations: { tickFormat: this.#defaultTickFormat },
     };
     this.#categorySerie = undefined;
+    this.#y2AxisConfiguration = {
+      position: "right",
+      customizations: { tickFormat: this.#defaultTickFormat },
+    };
   }
 
   /**
@@ -114,16 +164,33 @@ export default class RectangularChart extends Chart {
     if (!arguments.length) {
       return this.#xConfiguration;
     }
-    if (typeof config === "object" && "serie" in config && "scale" in config) {
+    if (
+      config &&
+      typeof config === "object" &&
+      "serie" in config &&
+      "scale" in config
+    ) {
       this.#xConfiguration = { ...config };
     } else {
-      console.error(
-        `Invalid configuration of the object ${config}, verifiy the documentation`
+      return this._invalidValue(
+        "xConfiguration",
+        "The configuration must have the serie and the scale of the x values"
       );
     }
+    this._categoryFields = this._isCategoricalX() ? [config.serie] : [];
     return this;
   }
 
+  /**
+   * @description
+   * Whether the values of the x serie are drawn as categories. The discrete scales place each value as a category.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isCategoricalX() {
+    return DISCRETE_SCALES.includes(this.xConfiguration().scale);
+  }
+
   /**
    * @description
    * Getter and setter of the configuration of the y axis.
@@ -149,11 +216,14 @@ export default class RectangularChart extends Chart {
       return this.#yAxisConfiguration;
     }
     if (
-      ["top", "right", "bottom", "left"].includes(config.position ?? "left")
+      ["top", "right", "bottom", "left"].includes(config?.position ?? "left")
     ) {
       this.#yAxisConfiguration = { ...config };
     } else {
-      console.error(`Invalid yAxis configuration object ${config}`);
+      return this._invalidValue(
+        "yAxisConfig",
+        "The position of the axis must be top, right, bottom or left"
+      );
     }
     return this;
   }
@@ -183,15 +253,377 @@ export default class RectangularChart extends Chart {
       return this.#xAxisConfiguration;
     }
     if (
-      ["top", "right", "bottom", "left"].includes(config.position ?? "bottom")
+      ["top", "right", "bottom", "left"].includes(config?.position ?? "bottom")
     ) {
       this.#xAxisConfiguration = { ...config };
     } else {
-      console.error(`Invalid yAxis configuration object ${config}`);
+      return this._invalidValue(
+        "xAxisConfig",
+        "The position of the axis must be top, right, bottom or left"
+      );
     }
     return this;
   }
 
+  /**
+   * @description
+   * Getter and setter of the configuration of the secondary y axis. The series of the configuration are drawn with
+   * their own scale, fitted to their values, and explained by the secondary y axis, so that series of different
+   * magnitudes can be compared. The rest of the series keep the scale of the y axis.
+   * @param {object|null} config The configuration of the secondary y axis, null to draw all the series on the y axis.
+   * @param {string[]} config.series The names of the series drawn on the secondary y axis.
+   * @param {string} [config.scale="linear"] The name of the D3 js scale available by the library.
+   * @returns {{series: string[], scale: string}|undefined|RectangularChart}
+   * @example
+   * ```JavaScript
+   * const chart = new MultiLineChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .y2Configuration({
+   *    series: ["snowfall"],
+   *    scale: "linear"
+   * });
+   * ```
+   */
+  y2Configuration(config) {
+    if (!arguments.length) {
+      return this.#y2Configuration;
+    }
+    if (config === null) {
+      this.#y2Configuration = undefined;
+      return this;
+    }
+    if (
+      typeof config === "object" &&
+      Array.isArray(config?.series) &&
+      config.series.every((serie) => typeof serie === "string")
+    ) {
+      this.#y2Configuration = { ...config, series: [...config.series] };
+    } else {
+      return this._invalidValue(
+        "y2Configuration",
+        "The configuration must have the names of the series of the secondary y axis as an array of strings"
+      );
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter and setter of the configuration of the secondary y axis. By default the axis is on the right.
+   * @param {object} config Configuration object of the secondary y axis position and customizations.
+   * @param {string} config.position The position of the secondary y axis. It can only be right or left inputs, the axis is vertical.
+   * @param {object} config.customizations The customizations of the secondary y axis according to the D3 js axis.
+   * @returns {{position: string, customizations: object}|RectangularChart}
+   * @example
+   * ```JavaScript
+   * const chart = new MultiLineChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .y2AxisConfig({
+   *    position: "right",
+   *    customizations: { tickFormat: d3.format(".0%") }
+   * });
+   * ```
+   */
+  y2AxisConfig(config) {
+    if (!arguments.length) {
+      return this.#y2AxisConfiguration;
+    }
+    if (["right", "left"].includes(config?.position ?? "right")) {
+      this.#y2AxisConfiguration = { position: "right", ...config };
+    } else {
+      return this._invalidValue(
+        "y2AxisConfig",
+        "The position of the secondary y axis must be right or left"
+      );
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The x configuration is required, its serie must be a field
+   * of the dataset with a type allowed by the scale.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    const issues = super._validate();
+    const config = this.xConfiguration();
+    if (!config) {
+      return [
+        ...issues,
+        this._issue(
+          ISSUE_CODES.MISSING_CONFIGURATION,
+          "xConfiguration",
+          "Set the x serie and scale with xConfiguration()"
+        ),
+      ];
+    }
+    const scaleIssues = this._checkScale("xConfiguration.scale", config.scale);
+    return [
+      ...issues,
+      ...this.#y2Issues(),
+      ...scaleIssues,
+      // The types allowed are unknown when the scale is unknown
+      ...this._checkField(
+        "xConfiguration.serie",
+        config.serie,
+        scaleIssues.length ? undefined : this._xSerieTypes()
+      ),
+    ];
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the secondary y axis: the chart must be able to draw it, its scale must
+   * be known and its series must be numerical fields of the dataset.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   */
+  #y2Issues() {
+    const config = this.y2Configuration();
+    if (!config) {
+      return [];
+    }
+    if (!this.constructor.dualAxis) {
+      return [
+        this._issue(
+          ISSUE_CODES.UNKNOWN_OPTION,
+          "y2Configuration",
+          `The secondary y axis is not available for the ${this.constructor.type}`
+        ),
+      ];
+    }
+    return [
+      ...this._checkScale("y2Configuration.scale", config.scale),
+      ...config.series.flatMap((serie) =>
+        this._checkField("y2Configuration.series", serie, ["quantitative"])
+      ),
+    ];
+  }
+
+  /**
+   * @description
+   * Get the types of the x serie allowed by the scale of the x configuration. The continuous scales need numbers or dates.
+   * @returns {string[]|undefined} The types allowed, undefined when any type is allowed.
+   * @access @protected
+   */
+  _xSerieTypes() {
+    return DISCRETE_SCALES.includes(this.xConfiguration().scale)
+      ? undefined
+      : ["quantitative", "temporal"];
+  }
+
+  /**
+   * @description
+   * Get the D3 js scale for the x serie. A temporal x serie always uses a time scale.
+   * @returns {D3Scale}
+   * @access @protected
+   */
+  _getXScale() {
+    const { serie, scale } = this.xConfiguration();
+    return this._getD3Scale(
+      this._isTemporal(serie) && !["time", "utc"].includes(scale)
+        ? "time"
+        : scale
+    );
+  }
+
+  /**
+   * @description
+   * Set the customizations of the x axis configuration in the x axis generator.
+   * When the x serie is temporal, the default numerical format is replaced by the time format of the scale,
+   * or by the time format of the locale of the chart.
+   * @returns {void}
+   * @access @protected
+   */
+  _customizeXAxis() {
+    for (const [xFormat, customFormat] of Object.entries(
+      this.xAxisConfig().customizations ?? {}
+    )) {
+      if (
+        xFormat !== "tickFormat" ||
+        customFormat !== this.#defaultTickFormat
+      ) {
+        this.xAxis[xFormat](customFormat);
+      } else if (!this._isTemporal(this.xConfiguration().serie)) {
+        this.xAxis.tickFormat(this._format(".1f"));
+      } else if (this.locale() !== undefined) {
+        this.xAxis.tickFormat(
+          this._timeTickFormat(this.xConfiguration().scale === "utc")
+        );
+      }
+    }
+  }
+
+  /**
+   * @description
+   * Set the customizations of the y axis configuration in the y axis generator.
+   * The default format of the ticks is created in the locale of the chart.
+   * @returns {void}
+   * @access @protected
+   */
+  _customizeYAxis() {
+    this.#customizeAxis(this.yAxis, this.yAxisConfig());
+  }
+
+  /**
+   * @description
+   * Whether the format of the ticks is the default format of the axes, which follows the type of the serie and
+   * the locale of the chart.
+   * @param {callback} tickFormat The format of the ticks.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _isDefaultTickFormat(tickFormat) {
+    return tickFormat === this.#defaultTickFormat;
+  }
+
+  /**
+   * @description
+   * Set the customizations of the configuration of a y axis in its generator.
+   * @param {D3Axis} axis The D3 js axis generator.
+   * @param {{position: string, customizations: object}} config The configuration of the axis.
+   * @returns {void}
+   */
+  #customizeAxis(axis, config) {
+    for (const [yFormat, customFormat] of Object.entries(
+      config.customizations ?? {}
+    )) {
+      axis[yFormat](
+        customFormat === this.#defaultTickFormat
+          ? this._format(".1f")
+          : customFormat
+      );
+    }
+  }
+
+  /**
+   * @description
+   * Whether a serie is drawn on the secondary y axis.
+   * @param {string} serie The name of the serie.
+   * @returns {boolean}
+   * @access @protected
+   */
+  _onY2(serie) {
+    return Boolean(this.y2Configuration()?.series.includes(serie));
+  }
+
+  /**
+   * @description
+   * Get the series of the y axis or of the secondary y axis which fit the scale of the axis, see `_scaledSeries()`.
+   * When none of the series of the axis is visible, all of them fit the scale.
+   * @param {boolean} [onY2=false] Whether the series are the ones of the secondary y axis.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _scaledAxisSeries(onY2 = false) {
+    const ofAxis = (series) =>
+      series.filter((serie) => this._onY2(serie) === onY2);
+    const scaled = ofAxis(this._scaledSeries());
+    return scaled.length ? scaled : ofAxis(this.ySeries);
+  }
+
+  /**
+   * @description
+   * Set the scale and the axis of the secondary y axis from the values of its series, like the y scale they are
+   * widened by the y axis offset. Without a configuration of the secondary y axis, there is no scale nor axis.
+   * It must be called once the y scale is set, both scales share the range.
+   * @param {callback} serieValues The function which gets the numerical values of a serie.
+   * @returns {void}
+   * @access @protected
+   */
+  _initY2(serieValues) {
+    const config = this.y2Configuration();
+    if (!config) {
+      this.#y2 = undefined;
+      this.#y2Axis = undefined;
+      return;
+    }
+    const y2SerieRange = this._serieRange(
+      this._scaledAxisSeries(true).flatMap(serieValues)
+    );
+    this.#y2 = this._getD3Scale(config.scale)
+      .domain([
+        (1 - this.yAxisOffset()) * y2SerieRange.min,
+        (1 + this.yAxisOffset()) * y2SerieRange.max,
+      ])
+      .range(this.y.range());
+    this.#y2Axis = this._D3Axis(this.y2AxisConfig().position).scale(this.#y2);
+    this.#customizeAxis(this.#y2Axis, this.y2AxisConfig());
+  }
+
+  /**
+   * @description
+   * Get the D3 js scale of the values of a serie, the scale of the secondary y axis for its series.
+   * @param {string} serie The name of the serie.
+   * @returns {D3Scale}
+   * @access @protected
+   */
+  _yScaleOf(serie) {
+    return this._onY2(serie) && this.y2 ? this.y2 : this.y;
+  }
+
+  /**
+   * @description
+   * Get the D3 js axis generator which explains the values of a serie, the secondary y axis for its series.
+   * @param {string} serie The name of the serie.
+   * @returns {D3Axis}
+   * @access @protected
+   */
+  _yAxisOf(serie) {
+    return this._onY2(serie) && this.y2Axis ? this.y2Axis : this.yAxis;
+  }
+
+  /**
+   * @description
+   * Format a value of the x serie to be displayed as text. The dates are printed as complete dates.
+   * @param {number|string|Date} value The value of the x serie.
+   * @returns {string}
+   * @access @protected
+   */
+  _formatX(value) {
+    if (value instanceof Date) {
+      return this._timeFormat("%b %d, %Y")(value);
+    }
+    // The format of the ticks of a time axis cannot print the rest of values
+    const tickFormat = this._isTemporal(this.xConfiguration().serie)
+      ? undefined
+      : this.xAxis?.tickFormat();
+    return tickFormat ? tickFormat(value) : `${value}`;
+  }
+
+  /**
+   * @description
+   * Format a value of a serie to be displayed as text with the format of the ticks of the y axis, or of the
+   * secondary y axis for its series.
+   * @param {any} value The value of the serie.
+   * @param {string} [serie] The name of the serie.
+   * @returns {string}
+   * @access @protected
+   */
+  _formatY(value, serie) {
+    const tickFormat = (
+      serie === undefined ? this.yAxis : this._yAxisOf(serie)
+    )?.tickFormat();
+    return tickFormat && typeof value === "number"
+      ? tickFormat(value)
+      : super._formatY(value);
+  }
+
+  /**
+   * @description
+   * Get the name of the categorical field in the first column of the data table, the x serie.
+   * @returns {string}
+   * @access @protected
+   */
+  _tableField() {
+    return this.xConfiguration().serie;
+  }
+
   /**
    * @description
    * Set the D3 axis function according to its position.
@@ -248,6 +680,24 @@ export default class RectangularChart extends Chart {
     return this.#yAxis;
   }
 
+  /**
+   * @description
+   * Getter of the D3 js scale of the series of the secondary y axis, undefined without secondary y axis.
+   * @returns {D3Scale|undefined}
+   */
+  get y2() {
+    return this.#y2;
+  }
+
+  /**
+   * @description
+   * Getter of the D3 axis generator of the secondary y axis, undefined without secondary y axis.
+   * @return {D3Axis|undefined}
+   */
+  get y2Axis() {
+    return this.#y2Axis;
+  }
+
   /**
    * @description
    * Setter of the D3 js x scale to transform data in pixels size.
@@ -302,9 +752,15 @@ export default class RectangularChart extends Chart {
    * ```
    */
   categorySerie(name) {
-    return arguments.length && typeof name === "string"
+    if (!arguments.length) {
+      return this.#categorySerie;
+    }
+    return typeof name === "string"
       ? ((this.#categorySerie = name), this)
-      : this.#categorySerie;
+      : this._invalidValue(
+          "categorySerie",
+          "The name of the serie must be a string"
+        );
   }
 
   /**
@@ -327,10 +783,21 @@ export default class RectangularChart extends Chart {
   addXAxis() {
     const translation = this.#translateAxis(this.xAxisConfig().position);
     this.svg
-      .append("g")
-      .attr("class", "x axis")
-      .attr("transform", translation)
-      .call(this.xAxis);
+      .selectChildren("g.x.axis")
+      .data([null])
+      .join(
+        (enter) =>
+          enter
+            .append("g")
+            .attr("class", "x axis")
+            .attr("transform", translation)
+            .call(this.xAxis),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("transform", translation)
+            .call(this.xAxis)
+      );
   }
 
   /**
@@ -353,10 +820,63 @@ export default class RectangularChart extends Chart {
   addYAxis() {
     const translation = this.#translateAxis(this.yAxisConfig().position);
     this.svg
-      .append("g")
-      .attr("class", "y axis")
-      .attr("transform", translation)
-      .call(this.yAxis);
+      .selectChildren("g.y.axis")
+      .data([null])
+      .join(
+        (enter) =>
+          enter
+            .append("g")
+            .attr("class", "y axis")
+            .attr("transform", translation)
+            .call(this.yAxis),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("transform", translation)
+            .call(this.yAxis)
+      );
+  }
+
+  /**
+   * @description
+   * Add the secondary y axis to the chart, see `y2Configuration()`. Nothing is drawn without secondary y axis.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new MultiLineChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .y2Configuration({ series: ["snowfall"], scale: "linear" });
+   *
+   * chart.init();
+   * chart.addYAxis();
+   * chart.addY2Axis();
+   * ```
+   */
+  addY2Axis() {
+    if (!this.y2Axis) {
+      this.svg.selectChildren("g.y2.axis").remove();
+      return;
+    }
+    const translation = this.#translateAxis(this.y2AxisConfig().position);
+    this.svg
+      .selectChildren("g.y2.axis")
+      .data([null])
+      .join(
+        (enter) =>
+          enter
+            .append("g")
+            .attr("class", "y2 axis")
+            .attr("transform", translation)
+            .call(this.y2Axis),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("transform", translation)
+            .call(this.y2Axis)
+      );
   }
 
   /**
@@ -377,15 +897,27 @@ export default class RectangularChart extends Chart {
    * ```
    */
   xGrid() {
-    const xGridGroup = this.svg.append("g").attr("class", "x grid");
+    const xGridGroup = this.svg
+      .selectChildren("g.x.grid")
+      .data([null])
+      .join("g")
+      .attr("class", "x grid");
+
+    const positionLines = (lines) =>
+      lines
+        .attr("x1", (d) => this.x(d))
+        .attr("y1", this.y(this.y.domain().at(0)))
+        .attr("x2", (d) => this.x(d))
+        .attr("y2", this.y(this.y.domain().at(-1)));
+
     xGridGroup
       .selectAll("line")
       .data(this.x.ticks())
-      .join("line")
-      .attr("x1", (d) => this.x(d))
-      .attr("y1", this.y(this.y.domain().at(0)))
-      .attr("x2", (d) => this.x(d))
-      .attr("y2", this.y(this.y.domain().at(-1)));
+      .join(
+        (enter) => enter.append("line").call(positionLines),
+        (update) => update.transition(this.getTransition()).call(positionLines),
+        (exit) => exit.remove()
+      );
   }
 
   /**
@@ -406,15 +938,27 @@ export default class RectangularChart extends Chart {
    * ```
    */
   yGrid() {
-    const yGridGroup = this.svg.append("g").attr("class", "y grid");
+    const yGridGroup = this.svg
+      .selectChildren("g.y.grid")
+      .data([null])
+      .join("g")
+      .attr("class", "y grid");
+
+    const positionLines = (lines) =>
+      lines
+        .attr("x1", this.x(this.x.domain().at(0)))
+        .attr("y1", (d) => this.y(d))
+        .attr("x2", this.x(this.x.domain().at(-1)))
+        .attr("y2", (d) => this.y(d));
+
     yGridGroup
       .selectAll("line")
       .data(this.y.ticks())
-      .join("line")
-      .attr("x1", this.x(this.x.domain().at(0)))
-      .attr("y1", (d) => this.y(d))
-      .attr("x2", this.x(this.x.domain().at(-1)))
-      .attr("y2", (d) => this.y(d));
+      .join(
+        (enter) => enter.append("line").call(positionLines),
+        (update) => update.transition(this.getTransition()).call(positionLines),
+        (exit) => exit.remove()
+      );
   }
 
   /**
@@ -442,7 +986,9 @@ export default class RectangularChart extends Chart {
       .attr("class", "axis arrows");
 
     arrowGroup
-      .append("path")
+      .selectAll(".x.axis.arrow")
+      .data([null])
+      .join("path")
       .attr("class", "x axis arrow")
       .attr("d", () => {
         const x1 = this.x(this.x.domain().at(-1));
@@ -479,7 +1025,9 @@ export default class RectangularChart extends Chart {
       .attr("class", "axis arrows");
 
     arrowGroup
-      .append("path")
+      .selectAll(".y.axis.arrow")
+      .data([null])
+      .join("path")
       .attr("class", "y axis arrow")
       .attr("d", () => {
         const y1 = this.y(this.y.domain().at(-1));
@@ -533,7 +1081,9 @@ export default class RectangularChart extends Chart {
       .attr("class", "axes-name");
 
     axisNameGroup
-      .append("text")
+      .selectAll(".x.axis-name")
+      .data([null])
+      .join("text")
       .attr("class", "x axis-name")
       .attr("x", config.widthOffset * this.width())
       .attr(
@@ -584,7 +1134,9 @@ export default class RectangularChart extends Chart {
       .attr("class", "axes-name");
 
     axisNameGroup
-      .append("text")
+      .selectAll(".y.axis-name")
+      .data([null])
+      .join("text")
       .attr("class", "y axis-name")
       .attr("transform", "rotate(-90)")
       .attr("x", -this.height() * config.heightOffset)
@@ -599,6 +1151,60 @@ export default class RectangularChart extends Chart {
       .text(config.title);
   }
 
+  /**
+   * @description
+   * Render the secondary y axis title in the chart, next to the secondary y axis.
+   * @param {object} [config={title: "[y2 axis]", heightOffset: 0.5, deltaX: 0, deltaY: 0}] The secondary y axis configuration object for the name of the axis.
+   * @param {string} config.title The name of the secondary y axis. By default the name is "[y2 axis]".
+   * @param {number} config.heightOffset The percentage of the height to position the axis name. The value must be between 0 and 1. The 0 value is closest to the top of the screen. By default the value is 0.5 (50%).
+   * @param {number} config.deltaX A small offset in pixels to reposition horizontally the name of the axis in case it required. By default the value is 0.
+   * @param {number} config.deltaY A small offset in pixels to reposition the name vertically of the axis in case it required. By default the value is 0.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * // Set all the parameters of the chart
+   * const chart = new MultiLineChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * ...;
+   *
+   * chart.init();
+   * chart.y2AxisName({
+   *    title: "Snowfall (cm)",
+   *    heightOffset: 0.5,
+   *    deltaX: 0,
+   *    deltaY: -5
+   * });
+   * ```
+   */
+  y2AxisName(
+    config = { title: "[y2 axis]", heightOffset: 0.5, deltaX: 0, deltaY: 0 }
+  ) {
+    const axisNameGroup = this.svg
+      .selectAll(".axes-name")
+      .data([null])
+      .join("g")
+      .attr("class", "axes-name");
+
+    axisNameGroup
+      .selectAll(".y2.axis-name")
+      .data([null])
+      .join("text")
+      .attr("class", "y2 axis-name")
+      .attr("transform", "rotate(-90)")
+      .attr("x", -this.height() * config.heightOffset)
+      .attr(
+        "y",
+        this.y2AxisConfig().position === "left"
+          ? this.margin().left
+          : this.width() - this.margin().right
+      )
+      .attr("dx", config.deltaX)
+      .attr("dy", config.deltaY)
+      .text(config.title);
+  }
+
   /**
    * @description
    * Add the title to the chart and configure the position of it.
@@ -624,9 +1230,15 @@ export default class RectangularChart extends Chart {
    * ```
    */
   addTitle(config) {
-    const titleGroup = this.svg.append("g").attr("class", "chart-title");
+    const titleGroup = this.svg
+      .selectChildren(".chart-title")
+      .data([null])
+      .join("g")
+      .attr("class", "chart-title");
     titleGroup
-      .append("text")
+      .selectAll("text")
+      .data([null])
+      .join("text")
       .attr("x", this.width() * config.widthOffset)
       .attr("y", this.height() * config.heightOffset)
       .text(config.title)
@@ -641,6 +1253,13 @@ export default class RectangularChart extends Chart {
    * @param {number} config.heightOffset The offset in percentage to position the legend group in vertical position. Zero means closest to top of the screen. The value must be between 0 and 1.
    * @param {number} config.size The size of the square in pixels.
    * @param {number} config.spacing The spacing in pixels between the square and the name of the serie.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {string} [config.orientation] Whether the entries are stacked (vertical) or lined up (horizontal). By default horizontal at the top and bottom, vertical elsewhere.
+   * @param {number} [config.maxWidth] The width in pixels from which the entries wrap in a new row, or the names are truncated. By default the room of the position.
+   * @param {number} [config.maxHeight] The height in pixels from which the entries wrap in a new column. By default the room of the position.
+   * @param {number} [config.maxLabelWidth] The width in pixels from which the names are truncated with an ellipsis.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @param {boolean} [config.interactive=false] Whether the entries of the legend are buttons which toggle their serie with a click or the Enter and Space keys, and isolate it with a double click or the Shift key. See `toggleSerie()` and `isolateSerie()`.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -663,39 +1282,6 @@ export default class RectangularChart extends Chart {
   addLegend(
     config = { widthOffset: 0.85, heightOffset: 0.05, size: 5, spacing: 5 }
   ) {
-    const legendGroup = this.svg
-      .selectAll(".legends")
-      .data([null])
-      .join("g")
-      .attr("class", "legends")
-      .attr(
-        "transform",
-        `translate(${config.widthOffset * this.width()}, ${
-          config.heightOffset * this.height()
-        })`
-      );
-
-    legendGroup
-      .selectAll("rect")
-      .data(this.seriesShown)
-      .join("rect")
-      .attr("class", (d) => `${d} legend`)
-      .transition(this.getTransition())
-      .attr("width", config.size)
-      .attr("height", config.size)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .style("fill", (d) => this.colorScale(d));
-
-    legendGroup
-      .selectAll("text")
-      .data(this.seriesShown)
-      .join("text")
-      .attr("class", (d) => `${d} legend-name`)
-      .transition(this.getTransition())
-      .attr("x", config.size + config.spacing)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .attr("dy", config.size)
-      .text((d) => d)
-      .style("fill", (d) => this.colorScale(d));
+    this._drawLegend(config, { animate: true });
   }
 }
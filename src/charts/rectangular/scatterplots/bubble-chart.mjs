@@ -1,4 +1,6 @@
 import ScatterPlot from "./scatterplot-chart.mjs";
+import { max } from "../../../d3.mjs";
+import { measureText, measureTextHeight } from "../../../legends.mjs";
 
 ("use strict");
 
@@ -9,6 +11,13 @@ import ScatterPlot from "./scatterplot-chart.mjs";
  * @extends ScatterPlot
  */
 export default class BubbleChart extends ScatterPlot {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "BubbleChart";
+
   /**
    * @description
    * The name of the serie which has the values to size the radius of each point.
@@ -21,12 +30,25 @@ export default class BubbleChart extends ScatterPlot {
    * @type {number}
    */
   #radiusFactor;
+  /**
+   * @description
+   * The minimum and maximum radius in pixels of the points. When it is set, the radius is sized by the area of the
+   * points instead of the radius factor.
+   * @type {[number, number]}
+   */
+  #radiusRange;
+  /**
+   * @description
+   * The D3 js scale to get the radius in pixels of each point from the radius serie.
+   * @type {object}
+   */
+  #radiusScale;
   /**
    * @description
    * Create a new instance of a BubbleChart object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -61,9 +83,15 @@ export default class BubbleChart extends ScatterPlot {
    * ```
    */
   radiusSerie(name) {
-    return arguments.length && typeof name === "string"
+    if (!arguments.length) {
+      return this.#radiusSerie;
+    }
+    return typeof name === "string"
       ? ((this.#radiusSerie = name), this)
-      : this.#radiusSerie;
+      : this._invalidValue(
+          "radiusSerie",
+          "The name of the serie must be a string"
+        );
   }
 
   /**
@@ -87,11 +115,77 @@ export default class BubbleChart extends ScatterPlot {
     if (value > 0 && value <= 1) {
       this.#radiusFactor = +value;
     } else {
-      console.error("Invalid value. It must be between 0 and 1");
+      return this._invalidValue(
+        "radiusFactor",
+        "Invalid value. It must be between 0 and 1"
+      );
     }
     return this;
   }
 
+  /**
+   * @description
+   * Getter and setter for the minimum and maximum radius in pixels of the points. With a range, the radius is got
+   * from a square root scale, so the area of the points is proportional to their values, and the biggest value
+   * has the maximum radius whatever its size. The radius of a zero value is the minimum radius. Without a range,
+   * the radius is the value multiplied by the radius factor.
+   * @param {[number, number]|null} range The minimum and maximum radius in pixels, null to use the radius factor.
+   * @returns {[number, number]|undefined|BubbleChart}
+   * @example
+   * ```JavaScript
+   * const chart = new BubbleChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .radiusRange([2, 30]);
+   * ```
+   */
+  radiusRange(range) {
+    if (!arguments.length) {
+      return this.#radiusRange && [...this.#radiusRange];
+    }
+    if (range === null) {
+      this.#radiusRange = undefined;
+      return this;
+    }
+    if (
+      !Array.isArray(range) ||
+      range.length !== 2 ||
+      !range.every((value) => Number.isFinite(value) && value >= 0) ||
+      range[0] > range[1]
+    ) {
+      return this._invalidValue(
+        "radiusRange",
+        "The range must be the minimum and maximum radius, two numbers greater or equal than zero"
+      );
+    }
+    this.#radiusRange = [...range];
+    return this;
+  }
+
+  /**
+   * @description
+   * Get the D3 js scale of the radius of the points, set in the initialization of the chart.
+   * @returns {object}
+   */
+  get radiusScale() {
+    return this.#radiusScale;
+  }
+
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The serie of the radius is required and it must be a
+   * numerical field of the dataset.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    return [
+      ...super._validate(),
+      ...this._checkField("radiusSerie", this.radiusSerie(), ["quantitative"]),
+    ];
+  }
+
   /**
    * @description
    * Start and set all the values for the D3 Scales, axis data rearranged data. Before creating the chart.
@@ -102,15 +196,12 @@ export default class BubbleChart extends ScatterPlot {
       this.dataset.map((d) => d[this.xConfiguration().serie])
     );
     // Set the scale for the values in the bottom position of the x axis
-    this._x = this._getD3Scale(this.xConfiguration().scale);
+    this._x = this._getXScale();
     this.x
       .domain(Object.values(xSerieRange))
       .range([this.margin().left, this.width() - this.margin().right]);
     // Get the numerical fields names
-    this._ySeries = this._getNumericalFieldsToUse([
-      this.xConfiguration().serie,
-      this.radiusSerie(),
-    ]);
+    this._ySeries = this._pointSeries([this.radiusSerie()]);
     const ySerieRange = this._serieRange(
       this.dataset.flatMap((d) => this.ySeries.map((serie) => d[serie]))
     );
@@ -129,27 +220,24 @@ export default class BubbleChart extends ScatterPlot {
     const categoryValues = this.dataset.map(
       (d) => d[this.categoryConfiguration().serie]
     );
+    // Set the scale of the radius, from zero to the biggest value
+    const maxRadius = max(this.dataset, (d) => d[this.radiusSerie()]) ?? 0;
+    this.#radiusScale = this.#radiusRange
+      ? this._getD3Scale("sqrt")
+          .domain([0, maxRadius])
+          .range(this.#radiusRange)
+          .clamp(true)
+      : this._getD3Scale("linear")
+          .domain([0, maxRadius])
+          .range([0, maxRadius * this.radiusFactor()]);
     // Set the color schema
-    this.colorScale
-      .domain(categoryValues.filter((d, i, ns) => ns.indexOf(d) == i))
-      .range(this.categoryConfiguration().colors);
-    // );
+    this._setCategoryColors(
+      categoryValues.filter((d, i, ns) => ns.indexOf(d) == i)
+    );
     // Set the the x axis customizations of format
-    if (this.xAxisConfig().customizations) {
-      for (const [xFormat, customFormat] of Object.entries(
-        this.xAxisConfig().customizations
-      )) {
-        this.xAxis[xFormat](customFormat);
-      }
-    }
+    this._customizeXAxis();
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -186,14 +274,14 @@ export default class BubbleChart extends ScatterPlot {
     const growthCircles = (circles) =>
       circles
         .transition(this.getTransition())
-        .delay((_, i) => 100 * i)
-        .attr("r", (d) => d.radius * this.radiusFactor());
+        .delay((_, i) => (i * this.duration()) / this.dataset.length)
+        .attr("r", (d) => this.radiusScale(d.radius));
 
     seriesGroup
       .selectAll(".serie")
       .selectAll("circle")
       .data((d) =>
-        this.dataset.map((row) => ({
+        this._visibleRows().map((row) => ({
           ...this.getSerie(row, d),
           radius: row[this.radiusSerie()],
         }))
@@ -201,13 +289,18 @@ export default class BubbleChart extends ScatterPlot {
       .join(
         (enter) =>
           enter.append("circle").call(initializeCircles).call(growthCircles),
-        (update) => update.call(initializeCircles).call(growthCircles),
+        (update) =>
+          update
+            .transition(this.getTransition())
+            .attr("cx", (d) => this.x(d.x))
+            .attr("cy", (d) => this.y(d.y))
+            .attr("r", (d) => this.radiusScale(d.radius)),
         (exit) => exit.remove()
       )
       .attr(
         "class",
         (d) =>
-          `${d.serie.toLowerCase().replace(" ", "-")} ${d.category
+          `${d.serie.toLowerCase().replace(" ", "-")} ${String(d.category)
             .toLowerCase()
             .replace(" ", "-")} point`
       )
@@ -254,4 +347,141 @@ export default class BubbleChart extends ScatterPlot {
   addSerie(name) {
     this.#addSeries(name);
   }
+
+  /**
+   * @description
+   * Render the legend of the radius of the points: nested circles with the radius of representative values of the
+   * radius serie and their formatted values. The legend is placed like the legend of the colors, see `addLegend()`,
+   * so both legends can be placed on the same side of the chart.
+   * @param {object} [config={}] The object configuration of the legend.
+   * @param {number[]} [config.values] The values of the circles. By default the nice values of the scale of the radius, up to the count of circles.
+   * @param {number} [config.count=3] The number of circles when the values are not given.
+   * @param {string} [config.title] The title of the legend. By default the name of the radius serie.
+   * @param {string} [config.tickFormat=",.3~r"] The D3 js format specifier of the values.
+   * @param {number} [config.spacing=5] The spacing in pixels between the circles and their values.
+   * @param {number} [config.widthOffset=0.85] The offset in percentage to position the legend group in horizontal position when it has no position.
+   * @param {number} [config.heightOffset=0.5] The offset in percentage to position the legend group in vertical position when it has no position.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @returns {void}
+   * @example
+   * ```JavaScript
+   * const chart = new BubbleChart({
+   *    bindTo: "svg.chart",
+   *    dataset
+   * })
+   * .radiusSerie("population")
+   * .radiusRange([2, 30]);
+   *
+   * chart.init();
+   * chart.addAllSeries();
+   * chart.addSizeLegend({ position: "right", count: 3, tickFormat: ".2s" });
+   * ```
+   */
+  addSizeLegend({
+    values,
+    count = 3,
+    title = this.radiusSerie(),
+    tickFormat = ",.3~r",
+    spacing = 5,
+    widthOffset = 0.85,
+    heightOffset = 0.5,
+    position,
+    padding = 10,
+  } = {}) {
+    const legendGroup = this._legendGroup("size-legend", position);
+    if (!legendGroup) {
+      return;
+    }
+    const radius = this.radiusScale;
+    // The biggest circles are drawn first to keep the smallest ones on top
+    const sizes = (
+      values ??
+      radius
+        .ticks(count)
+        .filter((value) => value > 0)
+        .slice(-count)
+    )
+      .filter((value) => Number.isFinite(value) && radius(value) > 0)
+      .sort((a, b) => b - a);
+    const maxRadius = Math.max(0, ...sizes.map((value) => radius(value)));
+    const fnFormat = this._format(tickFormat);
+
+    const titleText = legendGroup
+      .selectChildren("text.legend-title")
+      .data(title === undefined ? [] : [title])
+      .join("text")
+      .attr("class", "legend-title")
+      .attr("dy", "0.71em")
+      .text((d) => d);
+    const [titleWidth, titleHeight] = titleText.empty()
+      ? [0, 0]
+      : [
+          measureText(titleText.node()),
+          measureTextHeight(titleText.node()) + spacing,
+        ];
+
+    const entries = legendGroup
+      .selectChildren("g.legend-sizes")
+      .data([null])
+      .join("g")
+      .attr("class", "legend-sizes")
+      .selectAll("g.legend-size")
+      .data(sizes)
+      .join((enter) => {
+        const entry = enter.append("g").attr("class", "legend-size");
+        entry.append("circle");
+        entry.append("line");
+        entry.append("text");
+        return entry;
+      });
+    // The circles share the bottom and each value is at the top of its circle
+    const top = (value) => 2 * maxRadius - 2 * radius(value);
+    entries
+      .select("circle")
+      .attr("cx", maxRadius)
+      .attr("cy", (d) => 2 * maxRadius - radius(d))
+      .attr("r", (d) => radius(d))
+      .style("fill", "none")
+      .style("stroke", "var(--chart-axis-color, currentColor)");
+    entries
+      .select("line")
+      .attr("x1", maxRadius)
+      .attr("x2", 2 * maxRadius + spacing)
+      .attr("y1", top)
+      .attr("y2", top)
+      .style("stroke", "var(--chart-axis-color, currentColor)")
+      .style("stroke-dasharray", "2, 2");
+    const labels = entries
+      .select("text")
+      .attr("x", 2 * maxRadius + 2 * spacing)
+      .attr("y", top)
+      .attr("dy", "0.32em")
+      .text((d) => fnFormat(d));
+
+    const labelHeight = Math.max(
+      0,
+      ...labels.nodes().map((node) => measureTextHeight(node))
+    );
+    // The values at the top and bottom of the circles are centered on their lines
+    legendGroup
+      .select("g.legend-sizes")
+      .attr("transform", `translate(0, ${titleHeight + labelHeight / 2})`);
+    const layout = {
+      width: Math.max(
+        titleWidth,
+        2 * maxRadius +
+          2 * spacing +
+          Math.max(0, ...labels.nodes().map((node) => measureText(node)))
+      ),
+      height: titleHeight + 2 * maxRadius + labelHeight,
+    };
+    this._placeLegend(legendGroup, layout, {
+      position,
+      padding,
+      relativeTo: [this.width(), this.height()],
+      widthOffset,
+      heightOffset,
+    });
+  }
 }
@@ -2,6 +2,21 @@ import RectangularChart from "../rectangular-chart.mjs";
 
 ("use strict");
 
+/**
+ * @description
+ * The D3 js scales which can color the categories. The ordinal scale colors each category, the others color the
+ * numbers of the category serie.
+ * @type {string[]}
+ */
+const CATEGORY_SCALES = [
+  "ordinal",
+  "sequential",
+  "diverging",
+  "quantize",
+  "quantile",
+  "threshold",
+];
+
 /**
  * @description
  * ScattePlot represents a chart in rectangular coordinates.
@@ -9,6 +24,13 @@ import RectangularChart from "../rectangular-chart.mjs";
  * @extends RectangularChart
  */
 export default class ScatterPlot extends RectangularChart {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "ScatterPlot";
+
   /**
    * @description
    * The radius size of the points displayed on the chart.
@@ -18,7 +40,7 @@ export default class ScatterPlot extends RectangularChart {
   /**
    * @description
    * The serie to set analyze per category and the color to be used to differenciate each category.
-   * @type {{serie: string, colors: string[]}}
+   * @type {{serie: string, colors: string[], scale?: string, thresholds?: number[], midpoint?: number}}
    */
   #categoryConfiguration;
   /**
@@ -32,7 +54,7 @@ export default class ScatterPlot extends RectangularChart {
    * Create a new instance of a ScatterPlot object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -69,18 +91,29 @@ export default class ScatterPlot extends RectangularChart {
    * ```
    */
   radius(value) {
-    return arguments.length && value >= 0
+    if (!arguments.length) {
+      return this.#radius;
+    }
+    return value >= 0
       ? ((this.#radius = +value), this)
-      : this.#radius;
+      : this._invalidValue(
+          "radius",
+          "The radius must be a number greater than or equal to zero"
+        );
   }
 
   /**
    * @description
-   * Getter and setter a callback to iterate in series with has statistical category data type.
+   * Getter and setter a callback to iterate in series with has statistical category data type. A numerical serie
+   * can color the points with a sequential or diverging scale, which are explained by a color ramp in the legend, or
+   * with a quantize, quantile or threshold scale, which group the numbers in bins of one color.
    * @param {object} config The configuration object of the serie that contains the categories in the dataset.
    * @param {string} config.serie The name of the serie to iterate the categories.
-   * @param {string[]} config.colors The colors to set each category.
-   * @returns {{serie: string, colors: string[]}|ScatterPlot}
+   * @param {string[]} [config.colors] The colors to set each category. The sequential scales interpolate the first two colors, the diverging scales the first three, the other scales have one bin per color. By default the palette of the theme.
+   * @param {string} [config.scale="ordinal"] The D3 js scale of the colors: ordinal, sequential, diverging, quantize, quantile or threshold.
+   * @param {number[]} [config.thresholds] The values between the bins of a threshold scale. By default the extent of the serie is split in bins of the same size.
+   * @param {number} [config.midpoint] The value of the middle color of a diverging scale. By default the middle of the extent of the serie.
+   * @returns {{serie: string, colors?: string[], scale?: string, thresholds?: number[], midpoint?: number}|ScatterPlot}
    * @example
    * ```JavaScript
    * const chart = new ScatterPlot({
@@ -91,6 +124,14 @@ export default class ScatterPlot extends RectangularChart {
    *    serie: "group",
    *    colors: ["black", "green", "yellow"]
    * });
+   *
+   * // Color the points by a numerical serie
+   * chart.categoryConfiguration({
+   *    serie: "temperature",
+   *    colors: ["blue", "white", "red"],
+   *    scale: "diverging",
+   *    midpoint: 0
+   * });
    * ```
    */
   categoryConfiguration(config) {
@@ -99,12 +140,24 @@ export default class ScatterPlot extends RectangularChart {
     }
     if (
       typeof config === "object" &&
-      typeof config.serie === "string" &&
-      config.colors.every((color) => typeof color === "string")
+      typeof config?.serie === "string" &&
+      (config.colors === undefined ||
+        (Array.isArray(config.colors) &&
+          config.colors.every((color) => typeof color === "string"))) &&
+      (config.scale === undefined || CATEGORY_SCALES.includes(config.scale)) &&
+      (config.thresholds === undefined ||
+        (Array.isArray(config.thresholds) &&
+          config.thresholds.every((value) => typeof value === "number"))) &&
+      (config.midpoint === undefined || typeof config.midpoint === "number")
     ) {
       this.#categoryConfiguration = { ...config };
     } else {
-      console.error(`Invalid configuration object ${config}`);
+      return this._invalidValue(
+        "categoryConfiguration",
+        `The configuration must have the name of the serie and the colors of the categories as strings, the scale must be one of ${CATEGORY_SCALES.join(
+          ", "
+        )} and the thresholds and midpoint numbers`
+      );
     }
     return this;
   }
@@ -118,6 +171,102 @@ export default class ScatterPlot extends RectangularChart {
     return this.#slopes;
   }
 
+  /**
+   * @description
+   * Get the problems of the configuration of the chart. The serie of the categories is required and it must be a
+   * field of the dataset, a numerical one when it is not colored by an ordinal scale.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   * @access @protected
+   */
+  _validate() {
+    const { serie, scale = "ordinal" } = this.categoryConfiguration() ?? {};
+    return [
+      ...super._validate(),
+      ...(scale === "ordinal"
+        ? this._checkField("categoryConfiguration.serie", serie)
+        : this._checkField("categoryConfiguration.serie", serie, [
+            "quantitative",
+          ])),
+    ];
+  }
+
+  /**
+   * @description
+   * Get the series of the points: the numerical series but the x serie, and the category serie when it colors the
+   * points by their numbers.
+   * @param {string[]} [fieldsToExclude=[]] The names of other fields which are not series.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _pointSeries(fieldsToExclude = []) {
+    return this._getNumericalFieldsToUse([
+      this.xConfiguration().serie,
+      this.categoryConfiguration().serie,
+      ...fieldsToExclude,
+    ]);
+  }
+
+  /**
+   * @description
+   * Set the color scale of the categories. The categories are the domain of an ordinal scale, the other scales
+   * color the numbers of the category serie.
+   * @param {any[]} categories The categories of the dataset in the order of their colors.
+   * @returns {void}
+   * @access @protected
+   */
+  _setCategoryColors(categories) {
+    const {
+      serie,
+      colors,
+      scale = "ordinal",
+      thresholds,
+      midpoint,
+    } = this.categoryConfiguration();
+    const range = this._seriesColors(colors);
+    this._colorScale = this._getD3Scale(scale);
+    if (scale === "ordinal") {
+      this.colorScale.domain(categories).range(range);
+      return;
+    }
+    const values = this.dataset.map((d) => d[serie]);
+    const { min, max } = this._serieRange(values);
+    const domain = {
+      sequential: [min, max],
+      diverging: [
+        min,
+        midpoint === undefined ? (min + max) / 2 : midpoint,
+        max,
+      ],
+      quantize: [min, max],
+      quantile: values,
+      threshold:
+        thresholds ||
+        range
+          .slice(1)
+          .map((_, i) => min + ((i + 1) * (max - min)) / range.length),
+    }[scale];
+    this.colorScale.domain(domain).range(range);
+  }
+
+  /**
+   * @description
+   * Get the content of the data table of the chart. The category of each point is in the second column.
+   * @returns {{columns: string[], rows: string[][]}} The headers of the columns and the cells of each row.
+   * @access @protected
+   */
+  _tableData() {
+    const { columns, rows } = super._tableData();
+    const { serie } = this.categoryConfiguration();
+    return {
+      columns: [columns[0], serie, ...columns.slice(1)],
+      rows: rows.map(([x, ...values], i) => [
+        x,
+        `${this.dataset[i][serie]}`,
+        ...values,
+      ]),
+    };
+  }
+
   /**
    * @description
    * Start and set all the values for the D3 Scales, axis data rearranged data. Before creating the chart.
@@ -128,14 +277,12 @@ export default class ScatterPlot extends RectangularChart {
       this.dataset.map((d) => d[this.xConfiguration().serie])
     );
     // Set the scale for the values in the bottom position of the x axis
-    this._x = this._getD3Scale(this.xConfiguration().scale);
+    this._x = this._getXScale();
     this.x
       .domain(Object.values(xSerieRange))
       .range([this.margin().left, this.width() - this.margin().right]);
     // Get the numerical fields names
-    this._ySeries = this._getNumericalFieldsToUse([
-      this.xConfiguration().serie,
-    ]);
+    this._ySeries = this._pointSeries();
     const ySerieRange = this._serieRange(
       this.dataset.flatMap((d) => this.ySeries.map((serie) => d[serie]))
     );
@@ -155,25 +302,13 @@ export default class ScatterPlot extends RectangularChart {
       (d) => d[this.categoryConfiguration().serie]
     );
     // Set the color schema
-    this.colorScale
-      .domain(categoryValues.filter((d, i, ns) => ns.indexOf(d) == i).sort())
-      .range(this.categoryConfiguration().colors);
+    this._setCategoryColors(
+      categoryValues.filter((d, i, ns) => ns.indexOf(d) == i).sort()
+    );
     // Set the the x axis customizations of format
-    if (this.xAxisConfig().customizations) {
-      for (const [xFormat, customFormat] of Object.entries(
-        this.xAxisConfig().customizations
-      )) {
-        this.xAxis[xFormat](customFormat);
-      }
-    }
+    this._customizeXAxis();
     // Set the y axis customizations of the y axis.
-    if (this.yAxisConfig().customizations) {
-      for (const [yFormat, customFormat] of Object.entries(
-        this.yAxisConfig().customizations
-      )) {
-        this.yAxis[yFormat](customFormat);
-      }
-    }
+    this._customizeYAxis();
   }
 
   /**
@@ -210,7 +345,7 @@ export default class ScatterPlot extends RectangularChart {
     seriesGroup
       .selectAll(".serie")
       .selectAll("circle")
-      .data((d) => this.dataset.map((row) => this.getSerie(row, d)))
+      .data((d) => this._visibleRows().map((row) => this.getSerie(row, d)))
       .join(
         (enter) =>
           enter
@@ -223,25 +358,47 @@ export default class ScatterPlot extends RectangularChart {
         (update) =>
           update
             .transition(this.getTransition())
-            .delay((_, i) => i * this.duration())
+            .delay((_, i) => (i * this.duration()) / this.dataset.length)
             .call(positionCircles),
         (exit) => exit.remove()
       )
       .attr(
         "class",
         (d) =>
-          `${d.serie.toLowerCase().replace(" ", "-")} ${d.category
+          `${d.serie.toLowerCase().replace(" ", "-")} ${String(d.category)
             .toLowerCase()
             .replace(" ", "-")} point`
       );
   }
 
+  /**
+   * @description
+   * Get the names of the entries of the legend, the categories of the category serie.
+   * @returns {string[]}
+   * @access @protected
+   */
+  _legendKeys() {
+    return this.colorScale.domain();
+  }
+
+  /**
+   * @description
+   * Get the rows of the dataset whose category is not hidden, only they are drawn.
+   * @returns {object[]}
+   * @access @protected
+   */
+  _visibleRows() {
+    return this.dataset.filter((row) =>
+      this._isVisible(row[this.categoryConfiguration().serie])
+    );
+  }
+
   /**
    * @description
    * The transformed data to draw in the chart.
    * @param {object} row A row of data in the dataset.
    * @param {string} serie The name of the serie to get the value.
-   * @returns {{serie: string, x: number, y: number, category: string}}
+   * @returns {{serie: string, x: number, y: number, category: string, row: object}}
    */
   getSerie(row, serie) {
     return {
@@ -249,6 +406,7 @@ export default class ScatterPlot extends RectangularChart {
       x: row[this.xConfiguration().serie],
       y: row[serie],
       category: row[this.categoryConfiguration().serie],
+      row,
     };
   }
 
@@ -295,12 +453,25 @@ export default class ScatterPlot extends RectangularChart {
 
   /**
    * @description
-   * Render the legenf of the series to explain the color  of each element.
+   * Render the legenf of the series to explain the color  of each element. When the points are colored by a
+   * numerical serie, the legend is a color ramp for a sequential or diverging scale, or the bins of a quantize,
+   * quantile or threshold scale, with the values of the serie on an axis.
    * @param {object} [config={widthOffset: 0.8, heightOffset: 0.1, size: 5, spacing: 5}] The object configuration to set the square of the legend, spacing and position.
    * @param {number} config.widthOffset The offset in percentage to position the legend group in horizontal position. Zero means closest to left of the screen. The value must be between 0 and 1.
    * @param {number} config.heightOffset The offset in percentage to position the legend group in vertical position. Zero means closest to top of the screen. The value must be between 0 and 1.
    * @param {number} config.size The size of the square in pixels.
    * @param {number} config.spacing The spacing in pixels between the square and the name of the serie.
+   * @param {string} [config.position] The placement of the legend instead of the offsets: top, right, bottom or left outside the plot, which shrink the margins to make room for it, or top-left, top-right, bottom-left or bottom-right inside the plot.
+   * @param {string} [config.orientation] Whether the entries are stacked (vertical) or lined up (horizontal). By default horizontal at the top and bottom, vertical elsewhere.
+   * @param {number} [config.maxWidth] The width in pixels from which the entries wrap in a new row, or the names are truncated. By default the room of the position.
+   * @param {number} [config.maxHeight] The height in pixels from which the entries wrap in a new column. By default the room of the position.
+   * @param {number} [config.maxLabelWidth] The width in pixels from which the names are truncated with an ellipsis.
+   * @param {number} [config.padding=10] The space in pixels between a positioned legend and the plot or the edges of the chart.
+   * @param {string} [config.title] The title of the color ramp or bins of a numerical category serie. By default the name of the serie.
+   * @param {number} [config.length=200] The length in pixels of the color ramp or bins.
+   * @param {number} [config.ticks=5] The number of ticks of the color ramp.
+   * @param {string} [config.tickFormat=",.3~r"] The D3 js format specifier of the values of the color ramp or bins.
+   * @param {boolean} [config.interactive=false] Whether the entries of the legend are buttons which toggle their serie with a click or the Enter and Space keys, and isolate it with a double click or the Shift key. See `toggleSerie()` and `isolateSerie()`.
    * @returns {void}
    * @example
    * ```JavaScript
@@ -322,36 +493,10 @@ export default class ScatterPlot extends RectangularChart {
   addLegend(
     config = { widthOffset: 0.85, heightOffset: 0.05, size: 5, spacing: 5 }
   ) {
-    const legendGroup = this.svg
-      .append("g")
-      .attr("class", "legends")
-      .attr(
-        "transform",
-        `translate(${config.widthOffset * this.width()}, ${
-          config.heightOffset * this.height()
-        })`
-      );
-
-    legendGroup
-      .selectAll("rect")
-      .data(this.colorScale.domain())
-      .join("rect")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend`)
-      .attr("width", config.size)
-      .attr("height", config.size)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .style("fill", (d) => this.colorScale(d));
-
-    legendGroup
-      .selectAll("text")
-      .data(this.colorScale.domain())
-      .join("text")
-      .attr("class", (d) => `${d.toLowerCase().replace(" ", "-")} legend-name`)
-      .attr("x", config.size + config.spacing)
-      .attr("y", (_, i) => (config.size + config.spacing) * i)
-      .attr("dy", config.size)
-      .text((d) => d)
-      .style("fill", (d) => this.colorScale(d));
+    this._drawLegend(config, {
+      entryClass: (d) => d.toLowerCase().replace(" ", "-"),
+      title: this.categoryConfiguration().serie,
+    });
   }
 
   /**
@@ -384,7 +529,7 @@ export default class ScatterPlot extends RectangularChart {
       category: key,
       totals: {
         x: group[key].reduce(
-          (acc, d) => acc + d[this.xConfiguration().serie],
+          (acc, d) => acc + +d[this.xConfiguration().serie],
           0
         ),
         xSquare: group[key].reduce(
@@ -470,7 +615,7 @@ export default class ScatterPlot extends RectangularChart {
    */
   addTrendingLines() {
     const categories = this.groupBy(
-      this.dataset,
+      this._visibleRows(),
       this.categoryConfiguration().serie
     );
     const leastSquaresCalcs = this.leastSquares(categories);
@@ -506,15 +651,12 @@ export default class ScatterPlot extends RectangularChart {
               enter.transition(this.getTransition()).call(finishPositionLines)
             ),
         (update) =>
-          update
-            .transition(this.getTransition())
-            .delay((_, i) => i * this.duration())
-            .call(finishPositionLines),
+          update.transition(this.getTransition()).call(finishPositionLines),
         (exit) => exit.remove()
       )
       .attr(
         "class",
-        (d) => `${d.category.toLowerCase().replace(" ", "-")} tendency`
+        (d) => `${String(d.category).toLowerCase().replace(" ", "-")} tendency`
       );
   }
 }
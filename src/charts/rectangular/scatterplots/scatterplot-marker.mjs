@@ -9,6 +9,13 @@ import ScatterPlot from "./scatterplot-chart.mjs";
  * @extends ScatterPlot
  */
 export default class ScatterPlotMarker extends ScatterPlot {
+  /**
+   * @description
+   * The type of the chart in the JSON specification.
+   * @type {string}
+   */
+  static type = "ScatterPlotMarker";
+
   /**
    * @description
    * Object whicj stores some examples of the marker figures to draw in chart.
@@ -45,7 +52,7 @@ export default class ScatterPlotMarker extends ScatterPlot {
    * Create a new instance of a ScatterPlotMarker object.
    * @constructor
    * @param {object} config The object for the constructor parameters.
-   * @param {string} config.bindTo The css selector for the svg container to draw the chart.
+   * @param {string|SVGSVGElement} config.bindTo The css selector for the svg container to draw the chart or the svg element itself.
    * @param {object[]} config.dataset The dataset to create the chart.
    * @example
    * ```JavaScript
@@ -63,7 +70,7 @@ export default class ScatterPlotMarker extends ScatterPlot {
   constructor({ bindTo, dataset }) {
     super({ bindTo, dataset });
     this.#markersConfiguration = undefined;
-    this.#fillColor = "#ccc";
+    this.#fillColor = undefined;
   }
 
   /**
@@ -92,13 +99,18 @@ export default class ScatterPlotMarker extends ScatterPlot {
       return this.#markers;
     }
     if (
+      marker &&
+      typeof marker === "object" &&
       Object.entries(marker).every(
         ([key, value]) => typeof key === "string" && typeof value === "string"
       )
     ) {
       this.#markers = { ...this.#markers, ...marker };
     } else {
-      console.error("The object keys and values must be strings");
+      return this._invalidValue(
+        "markers",
+        "The object keys and values must be strings"
+      );
     }
     return this;
   }
@@ -126,21 +138,31 @@ export default class ScatterPlotMarker extends ScatterPlot {
    * ```
    */
   markersConfig(config) {
-    return arguments.length && typeof config === "object"
+    if (!arguments.length) {
+      return this.#markersConfiguration;
+    }
+    return config && typeof config === "object"
       ? ((this.#markersConfiguration = { ...config }), this)
-      : this.#markersConfiguration;
+      : this._invalidValue(
+          "markersConfig",
+          "The configuration must be an object"
+        );
   }
 
   /**
    * @description
-   * Getter and setter of the color to fill the markers.
+   * Getter and setter of the color to fill the markers. When it is not set, the markers are filled with the
+   * marker fill of the theme, or #ccc when the chart has no theme.
    * @param {string} color The hexadecimal code for the color to fill the marker.
-   * @returns {string|ScatterPlotMarker}
+   * @returns {string|undefined|ScatterPlotMarker}
    */
   fillColor(color) {
-    return arguments.length && typeof color === "string"
+    if (!arguments.length) {
+      return this.#fillColor;
+    }
+    return typeof color === "string"
       ? ((this.#fillColor = color), this)
-      : this.#fillColor;
+      : this._invalidValue("fillColor", "The color must be a string");
   }
 
   /**
@@ -178,7 +200,7 @@ export default class ScatterPlotMarker extends ScatterPlot {
       .selectAll(".serie")
       .selectAll("path")
       .data((d) =>
-        this.dataset.map((row) => ({
+        this._visibleRows().map((row) => ({
           ...this.getSerie(row, d),
           marker:
             this.markers()[
@@ -196,17 +218,24 @@ export default class ScatterPlotMarker extends ScatterPlot {
               (d) => `translate(${this.x(d.x)}, ${this.y(d.y)})`
             )
             .call(showMarkers),
-        (update) => update.call(showMarkers),
+        (update) =>
+          update
+            .attr("d", (d) => d.marker)
+            .transition(this.getTransition())
+            .attr(
+              "transform",
+              (d) => `translate(${this.x(d.x)}, ${this.y(d.y)})`
+            ),
         (exit) => exit.remove()
       )
       .attr(
         "class",
         (d) =>
-          `${d.serie.toLowerCase().replace(" ", "-")} ${d.category
+          `${d.serie.toLowerCase().replace(" ", "-")} ${String(d.category)
             .toLowerCase()
             .replace(" ", "-")} icon`
       )
-      .style("fill", this.fillColor())
+      .style("fill", this.fillColor() ?? "var(--chart-marker-fill, #ccc)")
       .style("stroke", (d) => this.colorScale(d.category));
   }
 
@@ -0,0 +1,191 @@
+import { select } from "../d3.mjs";
+
+("use strict");
+
+/**
+ * @description
+ * Tooltip represents the floating box that describes the data of the element hovered in a chart.
+ * Each chart has its own tooltip.
+ * @class
+ */
+export default class Tooltip {
+  /**
+   * @description
+   * D3 js selection of the div element of the tooltip.
+   * @type {Selection}
+   */
+  #element;
+  /**
+   * @description
+   * The function to create the content of the tooltip from the hovered datum.
+   * @type {callback}
+   */
+  #template;
+  /**
+   * @description
+   * The distance in pixels between the pointer and the tooltip.
+   * @type {{x: number, y: number}}
+   */
+  #offset;
+
+  /**
+   * @description
+   * Create a new instance of a Tooltip object.
+   * @constructor
+   * @param {object} config The object for the constructor parameters.
+   * @param {Element} config.container The element where the tooltip is appended.
+   * @param {callback} config.template The function that receives the hovered datum and returns the content of the tooltip.
+   * @param {object} [config.styles={}] The object literal with the CSS styles to apply to the tooltip.
+   * @param {{x: number, y: number}} [config.offset={x: 10, y: 10}] The distance in pixels between the pointer and the tooltip.
+   * @example
+   * ```JavaScript
+   * const tooltip = new Tooltip({
+   *    container: document.body,
+   *    template: (d) => `${d.serie}: ${d.y}`,
+   *    styles: { background: "#eeeeee" }
+   * });
+   * ```
+   */
+  constructor({ container, template, styles = {}, offset = { x: 10, y: 10 } }) {
+    this.#element = select(container)
+      .append("div")
+      .attr("class", "chart-tooltip")
+      .attr("role", "tooltip");
+    this.template(template);
+    this.styles(styles);
+    this.offset(offset);
+  }
+
+  /**
+   * @description
+   * Getter and setter of the function to create the content of the tooltip. The function receives the
+   * hovered datum and returns a string, which is displayed as text, or a DOM node.
+   * @param {callback} fn The function to create the content of the tooltip.
+   * @returns {callback|Tooltip}
+   * @example
+   * ```JavaScript
+   * tooltip.template((d) => `${d.x}: ${d.y}`);
+   * ```
+   */
+  template(fn) {
+    if (!arguments.length) {
+      return this.#template;
+    }
+    if (typeof fn === "function") {
+      this.#template = fn;
+    } else {
+      console.error("The template of the tooltip must be a function");
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Apply the CSS styles to the tooltip.
+   * @param {object} styles The object literal with the CSS styles to apply to the tooltip.
+   * @returns {Tooltip}
+   * @example
+   * ```JavaScript
+   * tooltip.styles({ background: "#eeeeee", padding: "5px" });
+   * ```
+   */
+  styles(styles) {
+    const node = this.#element.node();
+    for (const cssStyle in styles) {
+      node.style[cssStyle] = styles[cssStyle];
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter and setter of the distance in pixels between the pointer and the tooltip.
+   * @param {{x: number, y: number}} value The horizontal and vertical distances.
+   * @returns {{x: number, y: number}|Tooltip}
+   * @example
+   * ```JavaScript
+   * tooltip.offset({ x: 15, y: 5 });
+   * ```
+   */
+  offset(value) {
+    if (!arguments.length) {
+      return this.#offset;
+    }
+    if (Number.isFinite(value?.x) && Number.isFinite(value?.y)) {
+      this.#offset = { x: +value.x, y: +value.y };
+    } else {
+      console.error("The offset of the tooltip must have numeric x and y");
+    }
+    return this;
+  }
+
+  /**
+   * @description
+   * Getter of the D3 js selection of the tooltip element.
+   * @returns {Selection}
+   */
+  get element() {
+    return this.#element;
+  }
+
+  /**
+   * @description
+   * Fill the tooltip with the content of the datum and display it next to the pointer.
+   * @param {object} datum The normalized datum of the hovered element.
+   * @param {PointerEvent} event The event of the pointer.
+   * @returns {void}
+   */
+  show(datum, event) {
+    const content = this.#template(datum);
+    const node = this.#element.node();
+    if (content instanceof node.ownerDocument.defaultView.Node) {
+      node.replaceChildren(content);
+    } else {
+      node.textContent = content ?? "";
+    }
+    this.#element.style("opacity", "1");
+    this.move(event);
+  }
+
+  /**
+   * @description
+   * Place the tooltip next to the pointer. The tooltip is moved to the other side of the pointer
+   * when it does not fit in the viewport.
+   * @param {PointerEvent} event The event of the pointer.
+   * @returns {void}
+   */
+  move(event) {
+    const node = this.#element.node();
+    const { innerWidth, innerHeight } = node.ownerDocument.defaultView;
+    const { width, height } = node.getBoundingClientRect();
+    let left = event.clientX + this.#offset.x;
+    let top = event.clientY + this.#offset.y;
+    if (left + width > innerWidth) {
+      left = event.clientX - this.#offset.x - width;
+    }
+    if (top + height > innerHeight) {
+      top = event.clientY - this.#offset.y - height;
+    }
+    this.#element
+      .style("left", `${Math.max(0, left)}px`)
+      .style("top", `${Math.max(0, top)}px`);
+  }
+
+  /**
+   * @description
+   * Hide the tooltip.
+   * @returns {void}
+   */
+  hide() {
+    this.#element.style("opacity", "0");
+  }
+
+  /**
+   * @description
+   * Remove the tooltip element from the DOM.
+   * @returns {void}
+   */
+  remove() {
+    this.#element.remove();
+  }
+}
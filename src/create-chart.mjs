@@ -0,0 +1,114 @@
+import MultiLineChart from "./charts/rectangular/lines/multiline-chart.mjs";
+import MultiAreaChart from "./charts/rectangular/lines/multiarea-chart.mjs";
+import VBarChart from "./charts/rectangular/bars/vertical-bar-chart.mjs";
+import SlopeChart from "./charts/rectangular/lines/slope-chart.mjs";
+import HBarChart from "./charts/rectangular/bars/horizontal-bar-chart.mjs";
+import RadarChart from "./charts/circular/radars/radar-chart.mjs";
+import PieChart from "./charts/circular/pies/pie-chart.mjs";
+import DonutChart from "./charts/circular/pies/donut-chart.mjs";
+import PolarChart from "./charts/circular/pies/polar-chart.mjs";
+import ScatterPlot from "./charts/rectangular/scatterplots/scatterplot-chart.mjs";
+import ScatterPlotMarker from "./charts/rectangular/scatterplots/scatterplot-marker.mjs";
+import BubbleChart from "./charts/rectangular/scatterplots/bubble-chart.mjs";
+import { configureChart, specIssues, specLayers } from "./spec.mjs";
+import { ChartValidationError, ISSUE_CODES } from "./validation.mjs";
+
+("use strict");
+
+/**
+ * @description
+ * The classes of the charts which can be created from a JSON specification.
+ * @type {Function[]}
+ */
+const CHARTS = [
+  MultiLineChart,
+  MultiAreaChart,
+  VBarChart,
+  SlopeChart,
+  HBarChart,
+  RadarChart,
+  PieChart,
+  DonutChart,
+  PolarChart,
+  ScatterPlot,
+  ScatterPlotMarker,
+  BubbleChart,
+];
+
+/**
+ * @description
+ * Create and draw a chart from its JSON specification. The chart of the type is created with the data, the
+ * settings are set, the chart is initialized and the layers are drawn in this order: grids, axes, series, marks,
+ * labels, axes arrows and names, legend, title, tooltip and data table.
+ * @param {object} spec The JSON specification of the chart, see `chart.toSpec()`.
+ * @param {object} [options={}] The options which do not belong to the specification.
+ * @param {string|SVGSVGElement} [options.bindTo=spec.bindTo] The css selector for the svg container to draw the chart or the svg element itself.
+ * @param {boolean} [options.headless=false] Whether the chart is drawn without a browser.
+ * @param {boolean} [options.strict=false] Whether the invalid settings and the warnings of the validation throw an error.
+ * @returns {Chart}
+ * @throws {ChartValidationError} When the specification or the configuration of the chart has errors.
+ * @example
+ * ```JavaScript
+ * const chart = createChart(
+ *    {
+ *      type: "VBarChart",
+ *      data: [
+ *        { month: "Jan", north: 10, south: 5 },
+ *        { month: "Feb", north: 12, south: 8 }
+ *      ],
+ *      encoding: {
+ *        x: { serie: "month", scale: "band" },
+ *        y: { colorSeries: ["steelblue", "orange"], scale: "linear" }
+ *      },
+ *      options: { isStacked: true },
+ *      axes: { x: { show: true }, y: { show: true } },
+ *      grids: { y: true },
+ *      series: "all",
+ *      legend: true
+ *    },
+ *    { bindTo: "svg.chart" }
+ * );
+ * ```
+ */
+export function createChart(
+  spec,
+  { bindTo = spec?.bindTo, headless = false, strict = false } = {}
+) {
+  const Chart = CHARTS.find((chart) => chart.type === spec?.type);
+  if (!Chart) {
+    throw new ChartValidationError([
+      {
+        code: ISSUE_CODES.UNKNOWN_CHART_TYPE,
+        severity: "error",
+        path: "type",
+        message: `The chart type ${spec?.type} is unknown. The types allowed are ${CHARTS.map(
+          (chart) => chart.type
+        ).join(", ")}`,
+      },
+    ]);
+  }
+  if (!Array.isArray(spec.data)) {
+    throw new ChartValidationError([
+      {
+        code: ISSUE_CODES.INVALID_VALUE,
+        severity: "error",
+        path: "data",
+        message: "The data must be an array of objects",
+      },
+    ]);
+  }
+  const chart = new Chart({ bindTo, dataset: spec.data })
+    .headless(headless)
+    .strict(strict);
+  const issues = specIssues(chart, spec);
+  if (issues.length) {
+    throw new ChartValidationError(issues);
+  }
+  configureChart(chart, spec);
+  // The configuration is validated before the initialization
+  chart.init();
+  for (const [method, args] of specLayers(chart, spec)) {
+    chart[method](...args);
+  }
+  return chart;
+}
@@ -0,0 +1,265 @@
+("use strict");
+
+/**
+ * @description
+ * The single place where the library gets the D3 js functions it uses. The functions are resolved in this order:
+ * 1. The D3 js instance injected with `useD3()`.
+ * 2. The modular `d3-*` packages, when a bundler, Node or an import map can resolve them.
+ * 3. The global `d3` object loaded with a script tag.
+ * The exports are live bindings, so the charts always call the functions of the current D3 js instance.
+ * @module d3
+ */
+
+export let select,
+  dispatch,
+  extent,
+  max,
+  min,
+  greatestIndex,
+  leastIndex,
+  timeParse,
+  timeFormat,
+  timeFormatLocale,
+  timerFlush,
+  format,
+  formatLocale,
+  scaleLinear,
+  scaleTime,
+  scaleUtc,
+  scalePow,
+  scaleSqrt,
+  scaleLog,
+  scaleSymlog,
+  scaleBand,
+  scalePoint,
+  scaleSequential,
+  scaleDiverging,
+  scaleQuantile,
+  scaleQuantize,
+  scaleThreshold,
+  scaleOrdinal,
+  axisTop,
+  axisRight,
+  axisBottom,
+  axisLeft,
+  line,
+  area,
+  lineRadial,
+  curveLinearClosed,
+  pie,
+  arc;
+
+/**
+ * @description
+ * The names of the D3 js functions that the library requires.
+ * @type {string[]}
+ */
+const REQUIRED_FUNCTIONS = [
+  "select",
+  "dispatch",
+  "extent",
+  "max",
+  "min",
+  "greatestIndex",
+  "leastIndex",
+  "timeParse",
+  "timeFormat",
+  "timeFormatLocale",
+  "timerFlush",
+  "format",
+  "formatLocale",
+  "scaleLinear",
+  "scaleTime",
+  "scaleUtc",
+  "scalePow",
+  "scaleSqrt",
+  "scaleLog",
+  "scaleSymlog",
+  "scaleBand",
+  "scalePoint",
+  "scaleSequential",
+  "scaleDiverging",
+  "scaleQuantile",
+  "scaleQuantize",
+  "scaleThreshold",
+  "scaleOrdinal",
+  "axisTop",
+  "axisRight",
+  "axisBottom",
+  "axisLeft",
+  "line",
+  "area",
+  "lineRadial",
+  "curveLinearClosed",
+  "pie",
+  "arc",
+];
+
+/**
+ * @description
+ * Replace the D3 js functions used by the library with the ones of the instance.
+ * @param {object} instance The object with the D3 js functions.
+ * @returns {void}
+ */
+function bind(instance) {
+  ({
+    select,
+    dispatch,
+    extent,
+    max,
+    min,
+    greatestIndex,
+    leastIndex,
+    timeParse,
+    timeFormat,
+    timeFormatLocale,
+    timerFlush,
+    format,
+    formatLocale,
+    scaleLinear,
+    scaleTime,
+    scaleUtc,
+    scalePow,
+    scaleSqrt,
+    scaleLog,
+    scaleSymlog,
+    scaleBand,
+    scalePoint,
+    scaleSequential,
+    scaleDiverging,
+    scaleQuantile,
+    scaleQuantize,
+    scaleThreshold,
+    scaleOrdinal,
+    axisTop,
+    axisRight,
+    axisBottom,
+    axisLeft,
+    line,
+    area,
+    lineRadial,
+    curveLinearClosed,
+    pie,
+    arc,
+  } = instance);
+}
+
+/**
+ * @description
+ * Get the names of the required D3 js functions that the instance does not have.
+ * @param {object} instance The object with the D3 js functions.
+ * @returns {string[]}
+ */
+function missingFunctions(instance) {
+  return REQUIRED_FUNCTIONS.filter(
+    (name) => typeof instance?.[name] !== "function"
+  );
+}
+
+/**
+ * @description
+ * Import the modular D3 js packages. The specifiers are written one by one, so that the bundlers can find them.
+ * The d3-transition package is imported to add the transition method to the selections.
+ * @returns {Promise<object>} The object with the functions of all the packages.
+ */
+async function importPackages() {
+  const packages = await Promise.all([
+    import("d3-array"),
+    import("d3-axis"),
+    import("d3-dispatch"),
+    import("d3-format"),
+    import("d3-scale"),
+    import("d3-selection"),
+    import("d3-shape"),
+    import("d3-time-format"),
+    import("d3-timer"),
+    import("d3-transition"),
+  ]);
+  return Object.assign({}, ...packages);
+}
+
+/**
+ * @description
+ * Set the D3 js instance that the library uses instead of the modular packages or the global `d3` object.
+ * Useful when the application bundles its own build of D3 js.
+ * @param {object} instance The D3 js object, for example `import * as d3 from "d3"`.
+ * @returns {void}
+ * @example
+ * ```JavaScript
+ * import * as d3 from "d3";
+ * import { useD3, PieChart } from "common-charts-js";
+ *
+ * useD3(d3);
+ * ```
+ */
+export function useD3(instance) {
+  const missing = missingFunctions(instance);
+  if (missing.length) {
+    throw new Error(
+      `The D3 js instance does not have the functions: ${missing.join(", ")}`
+    );
+  }
+  bind(instance);
+}
+
+/**
+ * @description
+ * Whether the D3 js functions have been found.
+ * @returns {boolean}
+ */
+export function hasD3() {
+  return typeof select === "function";
+}
+
+/**
+ * @description
+ * The maximum number of times that the transitions are jumped to their end, the ends of the transitions can
+ * schedule new ones.
+ * @type {number}
+ */
+const MAX_TRANSITION_PASSES = 10;
+
+/**
+ * @description
+ * Jump the running and scheduled transitions of an element and of its descendants to their end, like if their time
+ * had elapsed, so that the elements are in their final state and the exiting elements are removed.
+ * D3 js does not expose the timers of the transitions, so this is the only function of the library which uses its
+ * internals: the schedules that d3-transition 3.0.0 to 3.0.1 keeps in the `__transition` property of the elements,
+ * and the `_call` callback of the timers of d3-timer 3.0.0 to 3.0.1. When a schedule does not have this shape its
+ * transition is interrupted, and the element keeps its current state.
+ * @param {Element} node The element whose transitions are finished.
+ * @returns {void}
+ */
+export function finishTransitions(node) {
+  for (let pass = 0; pass < MAX_TRANSITION_PASSES; pass++) {
+    let found = false;
+    for (const element of [node, ...node.querySelectorAll("*")]) {
+      for (const schedule of Object.values(element.__transition ?? {})) {
+        found = true;
+        const { timer } = schedule;
+        if (
+          typeof timer?.restart === "function" &&
+          typeof timer._call === "function"
+        ) {
+          schedule.time = -Infinity;
+          timer.restart(timer._call, schedule.delay, -Infinity);
+        } else {
+          select(element).interrupt(schedule.name);
+        }
+      }
+    }
+    if (!found) {
+      return;
+    }
+    timerFlush();
+  }
+}
+
+try {
+  bind(await importPackages());
+} catch {
+  // The packages cannot be resolved, for example in a browser without an import map
+  if (!missingFunctions(globalThis.d3).length) {
+    bind(globalThis.d3);
+  }
+}
@@ -0,0 +1,888 @@
+import type { Axis, AxisDomain } from "d3-axis";
+import type { Dispatch } from "d3-dispatch";
+import type {
+  ScaleBand,
+  ScaleDiverging,
+  ScaleLinear,
+  ScaleLogarithmic,
+  ScaleOrdinal,
+  ScalePoint,
+  ScalePower,
+  ScaleQuantile,
+  ScaleQuantize,
+  ScaleSequential,
+  ScaleSymLog,
+  ScaleThreshold,
+  ScaleTime,
+} from "d3-scale";
+import type { Selection } from "d3-selection";
+import type { Transition } from "d3-transition";
+
+/**
+ * The names of the fields of a row of the dataset.
+ */
+export type Serie<Row> = Extract<keyof Row, string>;
+
+/**
+ * The names of the D3 js scales available by the library.
+ */
+export type ScaleName =
+  | "linear"
+  | "time"
+  | "utc"
+  | "pow"
+  | "sqrt"
+  | "log"
+  | "symlog"
+  | "band"
+  | "point"
+  | "sequential"
+  | "diverging"
+  | "quantile"
+  | "quantize"
+  | "threshold"
+  | "ordinal";
+
+/**
+ * Any of the D3 js scales available by the library.
+ */
+export type D3Scale =
+  | ScaleLinear<number, number>
+  | ScaleTime<number, number>
+  | ScalePower<number, number>
+  | ScaleLogarithmic<number, number>
+  | ScaleSymLog<number, number>
+  | ScaleBand<string>
+  | ScalePoint<string>
+  | ScaleSequential<number>
+  | ScaleDiverging<number>
+  | ScaleQuantile<number>
+  | ScaleQuantize<number>
+  | ScaleThreshold<number, number>
+  | ScaleOrdinal<string, unknown>;
+
+/**
+ * The D3 js scales which map a continuous domain to the positions in the screen.
+ */
+export type ContinuousScale =
+  | ScaleLinear<number, number>
+  | ScaleTime<number, number>
+  | ScalePower<number, number>
+  | ScaleLogarithmic<number, number>
+  | ScaleSymLog<number, number>;
+
+/**
+ * The function to format the values displayed in the labels and axes.
+ */
+export type FormatFunction = (value: number) => string;
+
+/**
+ * The D3 js selection of the svg container of the chart.
+ */
+export type SvgSelection = Selection<SVGSVGElement, unknown, null, undefined>;
+
+export type FieldType = "quantitative" | "categorical" | "temporal" | "ordinal";
+
+export interface FieldSchema {
+  type: FieldType;
+  /** The function to convert the raw value of the field. */
+  parse?: (value: any) => unknown;
+  /** The D3 js time format to parse a temporal field. */
+  format?: string;
+}
+
+export interface Margin {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export interface YConfiguration {
+  /** The colors of the series. By default the palette of the theme. */
+  colorSeries?: string[];
+  scale?: ScaleName;
+}
+
+/**
+ * The selection of the series of a chart: the fields to draw in their order, the field or the function of the row
+ * by the name of each serie, or a function of the row which returns the values of the series by their names.
+ */
+export type SeriesSelection<Row> =
+  | Serie<Row>[]
+  | { [name: string]: Serie<Row> | ((row: Row) => number) }
+  | ((row: Row) => { [name: string]: number });
+
+/** The series drawn on the secondary y axis with their own scale. */
+export interface Y2Configuration<Row> {
+  series: Serie<Row>[];
+  scale?: ScaleName;
+}
+
+export interface XConfiguration<Row> {
+  serie: Serie<Row>;
+  scale: ScaleName;
+}
+
+export interface AxisConfig {
+  position: "top" | "right" | "bottom" | "left";
+  /** The methods of the D3 js axis and their arguments, for example `{ ticks: 5, tickFormat: d3.format(".0f") }`. */
+  customizations?: { [method: string]: unknown };
+}
+
+/** The configuration of the secondary y axis, which is vertical. */
+export interface Y2AxisConfig extends AxisConfig {
+  position: "right" | "left";
+}
+
+/**
+ * The scales which color the categories. The ordinal scale colors each category, the others color the numbers of
+ * a numerical serie.
+ */
+export type CategoryScale =
+  | "ordinal"
+  | "sequential"
+  | "diverging"
+  | "quantize"
+  | "quantile"
+  | "threshold";
+
+export interface CategoryConfiguration<Row> {
+  serie: Serie<Row>;
+  /**
+   * Two colors for a sequential scale, three for a diverging scale and one per bin for the others. By default the
+   * palette of the theme.
+   */
+  colors?: string[];
+  scale?: CategoryScale;
+  /** The values between the bins of a threshold scale. */
+  thresholds?: number[];
+  /** The value of the middle color of a diverging scale. */
+  midpoint?: number;
+}
+
+export interface TitleConfig {
+  title: string;
+  /** The horizontal position in percentage, between 0 and 1. */
+  widthOffset: number;
+  /** The vertical position in percentage, between 0 and 1. */
+  heightOffset: number;
+}
+
+/**
+ * The placement of a legend. The sides are outside the plot and shrink the margins, the corners are inside the plot.
+ */
+export type LegendPosition =
+  | "top"
+  | "right"
+  | "bottom"
+  | "left"
+  | "top-left"
+  | "top-right"
+  | "bottom-left"
+  | "bottom-right";
+
+export declare const LEGEND_POSITIONS: LegendPosition[];
+
+export interface LegendConfig {
+  /** The horizontal position in percentage, between 0 and 1. */
+  widthOffset?: number;
+  /** The vertical position in percentage, between 0 and 1. */
+  heightOffset?: number;
+  /** The size of the square in pixels. */
+  size?: number;
+  /** The spacing in pixels between the square and the name of the serie. */
+  spacing?: number;
+  /** The placement of the legend instead of the offsets. */
+  position?: LegendPosition;
+  /** By default horizontal at the top and bottom, vertical elsewhere. */
+  orientation?: "vertical" | "horizontal";
+  /** The width in pixels from which the entries wrap in a new row. */
+  maxWidth?: number;
+  /** The height in pixels from which the entries wrap in a new column. */
+  maxHeight?: number;
+  /** The width in pixels from which the names are truncated with an ellipsis. */
+  maxLabelWidth?: number;
+  /** The space in pixels between a positioned legend and the plot or the edges of the chart. */
+  padding?: number;
+  /** The title of the color ramp or bins of a numerical color scale. */
+  title?: string;
+  /** The length in pixels of the color ramp or bins. */
+  length?: number;
+  /** The number of ticks of a color ramp. */
+  ticks?: number;
+  /** The D3 js format specifier of the values of a color ramp or bins. */
+  tickFormat?: string;
+  /** Whether the entries toggle their serie with a click and isolate it with a double click. */
+  interactive?: boolean;
+}
+
+export interface SizeLegendConfig {
+  /** The values of the circles. By default the nice values of the scale of the radius. */
+  values?: number[];
+  /** The number of circles when the values are not given. */
+  count?: number;
+  /** By default the name of the radius serie. */
+  title?: string;
+  /** The D3 js format specifier of the values. */
+  tickFormat?: string;
+  /** The spacing in pixels between the circles and their values. */
+  spacing?: number;
+  /** The horizontal position in percentage, between 0 and 1. */
+  widthOffset?: number;
+  /** The vertical position in percentage, between 0 and 1. */
+  heightOffset?: number;
+  /** The placement of the legend instead of the offsets. */
+  position?: LegendPosition;
+  /** The space in pixels between a positioned legend and the plot or the edges of the chart. */
+  padding?: number;
+}
+
+export interface XAxisNameConfig {
+  title: string;
+  widthOffset: number;
+  deltaX: number;
+  deltaY: number;
+}
+
+export interface YAxisNameConfig {
+  title: string;
+  heightOffset: number;
+  deltaX: number;
+  deltaY: number;
+}
+
+export interface CriticalPoint {
+  serie: string;
+  point: "max" | "min";
+  /** The index of the row of the critical point. */
+  x: number;
+  y: number;
+}
+
+/**
+ * The data of a point, bar, slice or marker of the chart.
+ */
+export interface ChartDatum<Row> {
+  serie: string;
+  x: unknown;
+  y: number;
+  category: string | undefined;
+  /** The angles of a slice of the pie, donut and polar charts. */
+  slice: { startAngle: number; endAngle: number; index: number } | undefined;
+  /** The row of the dataset as it was given to the chart. */
+  row: Row;
+}
+
+/**
+ * The data received by the listeners of the points, bars, slices and markers.
+ */
+export interface ChartEventDatum<
+  Row extends object,
+  Data = Row[],
+> extends ChartDatum<Row> {
+  chart: Chart<Row, Data>;
+}
+
+export interface ChartEventMap<Row extends object, Data = Row[]> {
+  mouseover: (event: MouseEvent) => void;
+  mouseout: (event: MouseEvent) => void;
+  click: (datum: ChartEventDatum<Row, Data>, event: MouseEvent) => void;
+  dblclick: (datum: ChartEventDatum<Row, Data>, event: MouseEvent) => void;
+  pointerenter: (
+    datum: ChartEventDatum<Row, Data>,
+    event: PointerEvent
+  ) => void;
+  pointerleave: (
+    datum: ChartEventDatum<Row, Data>,
+    event: PointerEvent
+  ) => void;
+  focus: (datum: ChartEventDatum<Row, Data>, event: FocusEvent) => void;
+  select: (
+    datum: ChartEventDatum<Row, Data>,
+    event: MouseEvent | KeyboardEvent
+  ) => void;
+  toggle: (datum: {
+    chart: Chart<Row, Data>;
+    serie: string;
+    hiddenSeries: string[];
+  }) => void;
+}
+
+/**
+ * The name of an event, optionally followed by a name to register several listeners, for example `click.details`.
+ */
+export type ChartEventType<K extends string> = K | `${K}.${string}`;
+
+export interface ChartConfig<Row> {
+  /** The css selector of the svg element or the svg element itself. */
+  bindTo: string | SVGSVGElement;
+  dataset: Row[];
+}
+
+export interface TooltipConfig<Row> {
+  template?: (datum: ChartDatum<Row>) => string | Node;
+  styles?: Partial<CSSStyleDeclaration>;
+  offset?: { x: number; y: number };
+}
+
+export interface ExportOptions {
+  /** The factor to multiply the width and height of the image. */
+  scale?: number;
+}
+
+export type ExportFormat = "svg" | "png";
+
+/** The values of a theme, applied as CSS custom properties on the svg container. */
+export interface Theme {
+  palette: readonly string[];
+  background: string;
+  fontFamily: string;
+  fontSize: string;
+  textColor: string;
+  axisColor: string;
+  gridColor: string;
+  gridWidth: number;
+  seriesOpacity: number;
+  markerFill: string;
+}
+
+export type ThemeName = "light" | "dark" | "high-contrast" | "print";
+
+/** A custom theme changes some values of the light theme or of its `base` theme. */
+export interface CustomTheme extends Partial<Theme> {
+  base?: ThemeName;
+}
+
+/** The built-in themes of the charts. */
+export declare const THEMES: { readonly [name in ThemeName]: Readonly<Theme> };
+
+/** The D3 js definition of a number locale, see `d3.formatLocale()`. */
+export interface NumberLocaleDefinition {
+  decimal: string;
+  thousands: string;
+  grouping: number[];
+  currency: [string, string];
+  numerals?: string[];
+  percent?: string;
+  minus?: string;
+  nan?: string;
+}
+
+/** The D3 js definition of a time locale, see `d3.timeFormatLocale()`. */
+export interface TimeLocaleDefinition {
+  dateTime: string;
+  date: string;
+  time: string;
+  periods: [string, string];
+  days: string[];
+  shortDays: string[];
+  months: string[];
+  shortMonths: string[];
+}
+
+/** The number and time definitions of a locale. */
+export interface Locale {
+  number: NumberLocaleDefinition;
+  time: TimeLocaleDefinition;
+}
+
+export type LocaleName = "en-US" | "es-MX" | "de-DE" | "fr-FR";
+
+/** A custom locale changes some definitions of the en-US locale or of its `base` locale. */
+export interface CustomLocale {
+  base?: LocaleName;
+  number?: Partial<NumberLocaleDefinition>;
+  time?: Partial<TimeLocaleDefinition>;
+}
+
+/** The built-in locales of the charts. */
+export declare const LOCALES: {
+  readonly [name in LocaleName]: Readonly<Locale>;
+};
+
+/** The configuration of an axis in the JSON specification, the tick format is a D3 js format specifier. */
+export interface AxisSpec<NameConfig> extends Partial<AxisConfig> {
+  show?: boolean;
+  arrow?: boolean;
+  name?: true | NameConfig;
+}
+
+/** The JSON specification of a chart, see `createChart()` and `chart.toSpec()`. */
+export interface ChartSpec<Row extends object = any> {
+  type: ChartType;
+  bindTo?: string;
+  data: Row[];
+  schema?: {
+    [field: string]: FieldType | { type: FieldType; format?: string };
+  };
+  width?: number;
+  height?: number;
+  margin?: Margin;
+  theme?: ThemeName | CustomTheme;
+  locale?: LocaleName | CustomLocale;
+  animation?: { duration?: number };
+  encoding?: {
+    x?: { serie: Serie<Row>; scale?: ScaleName };
+    y?: YConfiguration;
+    y2?: Y2Configuration<Row>;
+    series?: Serie<Row>[] | { [name: string]: Serie<Row> };
+    category?: CategoryConfiguration<Row>;
+    size?: { serie?: Serie<Row>; factor?: number; range?: [number, number] };
+  };
+  /** The values of the setters of the chart, like `{ isStacked: true }` or `{ radius: 4 }`. */
+  options?: { [setter: string]: unknown };
+  axes?: {
+    x?: AxisSpec<XAxisNameConfig>;
+    y?: AxisSpec<YAxisNameConfig>;
+    y2?: AxisSpec<YAxisNameConfig>;
+    radial?: boolean | { format?: string };
+    lines?: boolean;
+  };
+  grids?: { x?: boolean; y?: boolean };
+  /** "all" to draw all the series or the name of the serie to draw. */
+  series?: "all" | Serie<Row>;
+  marks?: {
+    points?: boolean;
+    criticalPoints?: boolean;
+    trendingLines?: boolean;
+    lines?: boolean | { radius?: number };
+  };
+  labels?: boolean | { format?: string; deltaX?: number; deltaY?: number };
+  legend?: boolean | LegendConfig;
+  sizeLegend?: boolean | SizeLegendConfig;
+  title?: TitleConfig;
+  tooltip?: boolean | TooltipConfig<Row>;
+  dataTable?: boolean | { visible?: boolean };
+}
+
+/** The codes of the problems found in the configuration of a chart. */
+export declare const ISSUE_CODES: {
+  readonly INVALID_VALUE: "INVALID_VALUE";
+  readonly MISSING_CONFIGURATION: "MISSING_CONFIGURATION";
+  readonly UNKNOWN_FIELD: "UNKNOWN_FIELD";
+  readonly INVALID_FIELD_TYPE: "INVALID_FIELD_TYPE";
+  readonly UNKNOWN_SCALE: "UNKNOWN_SCALE";
+  readonly EMPTY_DATASET: "EMPTY_DATASET";
+  readonly UNKNOWN_CHART_TYPE: "UNKNOWN_CHART_TYPE";
+  readonly UNKNOWN_OPTION: "UNKNOWN_OPTION";
+  readonly UNKNOWN_LAYER: "UNKNOWN_LAYER";
+  readonly UNSERIALIZABLE_VALUE: "UNSERIALIZABLE_VALUE";
+};
+
+export type IssueCode = (typeof ISSUE_CODES)[keyof typeof ISSUE_CODES];
+
+/** A problem of the configuration of a chart, `path` is the setting where it is, like "xConfiguration.serie". */
+export interface ChartIssue {
+  code: IssueCode;
+  severity: "error" | "warning";
+  path: string;
+  message: string;
+}
+
+/** The error thrown when a chart cannot be drawn with its configuration. */
+export declare class ChartValidationError extends Error {
+  constructor(issues: ChartIssue[]);
+  get issues(): ChartIssue[];
+  get code(): IssueCode | undefined;
+}
+
+declare class Tooltip<Row = any> {
+  constructor(config: TooltipConfig<Row> & { container: Element });
+  template(): (datum: ChartDatum<Row>) => string | Node;
+  template(fn: (datum: ChartDatum<Row>) => string | Node): this;
+  styles(styles: Partial<CSSStyleDeclaration>): this;
+  offset(): { x: number; y: number };
+  offset(value: { x: number; y: number }): this;
+  get element(): Selection<HTMLDivElement, unknown, null, undefined>;
+  show(datum: ChartDatum<Row>, event: MouseEvent): void;
+  move(event: MouseEvent): void;
+  hide(): void;
+  remove(): void;
+}
+
+/**
+ * The base class of all the charts. `Row` is the type of the rows of the dataset and `Data` the type of the
+ * dataset once the chart is initialized.
+ */
+declare abstract class Chart<Row extends object = any, Data = Row[]> {
+  /** The type of the chart in the JSON specification. */
+  static readonly type: ChartType;
+  constructor(config: ChartConfig<Row>);
+  render(options?: { animate?: boolean }): this;
+  headless(): boolean;
+  headless(enabled: boolean): this;
+  strict(): boolean;
+  strict(enabled: boolean): this;
+  theme(): ThemeName | CustomTheme | undefined;
+  theme(theme: ThemeName | CustomTheme | null): this;
+  locale(): LocaleName | CustomLocale | undefined;
+  locale(locale: LocaleName | CustomLocale | null): this;
+  validate(): ChartIssue[];
+  responsive(): boolean;
+  responsive(enabled: boolean, options?: { debounce?: number }): this;
+  update(dataset: Row[]): this;
+  destroy(): void;
+  schema(): { [field: string]: FieldSchema };
+  schema(fields: {
+    [field in Serie<Row>]?: FieldType | FieldSchema;
+  }): this;
+  height(): number;
+  height(value: number): this;
+  width(): number;
+  width(value: number): this;
+  margin(): Margin;
+  margin(margins: Margin): this;
+  get dataset(): Data;
+  yConfiguration(): YConfiguration;
+  yConfiguration(config: YConfiguration): this;
+  get ySeries(): Serie<Row>[];
+  series(): SeriesSelection<Row> | undefined;
+  series(selection: SeriesSelection<Row> | null): this;
+  yAxisOffset(): number;
+  yAxisOffset(percentage: number): this;
+  get svg(): SvgSelection;
+  get y(): D3Scale;
+  get colorScale(): ScaleOrdinal<string, string>;
+  get seriesShown(): Serie<Row>[];
+  hiddenSeries(): string[];
+  hiddenSeries(series: string[]): this;
+  rescaleVisible(): boolean;
+  rescaleVisible(enabled: boolean): this;
+  toggleSerie(name: string, visible?: boolean): this;
+  isolateSerie(name: string): this;
+  duration(): number;
+  duration(milliseconds: number): this;
+  getTransition(): Transition<SVGSVGElement, unknown, null, undefined>;
+  on<K extends keyof ChartEventMap<Row, Data>>(
+    typenames: ChartEventType<K>
+  ): ChartEventMap<Row, Data>[K] | undefined;
+  on<K extends keyof ChartEventMap<Row, Data>>(
+    typenames: ChartEventType<K>,
+    listener: ChartEventMap<Row, Data>[K] | null
+  ): this;
+  get listeners(): Dispatch<this>;
+  get fieldsTypes(): Map<Serie<Row>, FieldType>;
+  get categoricalSeries(): Serie<Row>[];
+  get numericalSeries(): Serie<Row>[];
+  get temporalSeries(): Serie<Row>[];
+  get criticalPoints(): { [serie: string]: CriticalPoint[] };
+  addTooltip(config?: TooltipConfig<Row>): void;
+  get tooltip(): Tooltip<Row> | undefined;
+  addDataTable(config?: { visible?: boolean }): void;
+  get dataTable(): HTMLTableElement | undefined;
+  toSpec(): ChartSpec<Row>;
+  toSVGString(): string;
+  toPNGBlob(options?: ExportOptions): Promise<Blob>;
+  toDataURL(format?: ExportFormat, options?: ExportOptions): Promise<string>;
+  download(
+    filename?: string,
+    format?: ExportFormat,
+    options?: ExportOptions
+  ): Promise<void>;
+}
+
+declare abstract class RectangularChart<
+  Row extends object = any,
+  Data = Row[],
+> extends Chart<Row, Data> {
+  xConfiguration(): XConfiguration<Row>;
+  xConfiguration(config: XConfiguration<Row>): this;
+  yAxisConfig(): AxisConfig;
+  yAxisConfig(config: AxisConfig): this;
+  y2Configuration(): Y2Configuration<Row> | undefined;
+  y2Configuration(config: Y2Configuration<Row> | null): this;
+  y2AxisConfig(): Y2AxisConfig;
+  y2AxisConfig(config: Partial<Y2AxisConfig>): this;
+  xAxisConfig(): AxisConfig;
+  xAxisConfig(config: AxisConfig): this;
+  get xAxis(): Axis<AxisDomain>;
+  get yAxis(): Axis<AxisDomain>;
+  get y2(): ContinuousScale | undefined;
+  get y2Axis(): Axis<AxisDomain> | undefined;
+  get x(): D3Scale;
+  categorySerie(): Serie<Row>;
+  categorySerie(name: Serie<Row>): this;
+  init(): void;
+  addXAxis(): void;
+  addYAxis(): void;
+  addY2Axis(): void;
+  xGrid(): void;
+  yGrid(): void;
+  xAxisArrow(): void;
+  yAxisArrow(): void;
+  xAxisName(config?: XAxisNameConfig): void;
+  yAxisName(config?: YAxisNameConfig): void;
+  y2AxisName(config?: YAxisNameConfig): void;
+  addTitle(config: TitleConfig): void;
+  addLegend(config?: LegendConfig): void;
+}
+
+export type MissingDataPolicy = "gap" | "zero" | "interpolate" | "carry";
+
+export declare class MultiLineChart<
+  Row extends object = any,
+> extends RectangularChart<Row> {
+  get x(): ContinuousScale;
+  get y(): ContinuousScale;
+  radius(): number;
+  radius(value: number): this;
+  missingData(): MissingDataPolicy;
+  missingData(policy: MissingDataPolicy): this;
+  getSerieData(
+    row: Row,
+    serie: Serie<Row>
+  ): { serie: Serie<Row>; x: unknown; y: number; row: Row };
+  addAllSeries(): void;
+  addSerie(name: Serie<Row>): void;
+  addPoints(): void;
+  addCriticalPoints(): void;
+  addLabels(): void;
+}
+
+export declare class MultiAreaChart<
+  Row extends object = any,
+> extends MultiLineChart<Row> {}
+
+/**
+ * The bars of a category of the x serie once the bar chart is initialized.
+ */
+export interface BarGroup<Row> {
+  x: string;
+  values: {
+    x: string;
+    serie: Serie<Row>;
+    y: number;
+    /** The sum of the values of the previous bars of the stack. */
+    previous: number;
+    row: Row;
+  }[];
+  total: number;
+}
+
+export declare class VBarChart<
+  Row extends object = any,
+> extends RectangularChart<Row, BarGroup<Row>[]> {
+  get x(): ScaleBand<string>;
+  get x1(): ScaleBand<string>;
+  get y(): ContinuousScale;
+  innerPadding(): number;
+  innerPadding(value: number): this;
+  sortAscending(): boolean;
+  sortAscending(value: boolean): this;
+  isStacked(): boolean;
+  isStacked(value: boolean): this;
+  isPercentage(): boolean;
+  isPercentage(value: boolean): this;
+  isNormalized(): boolean;
+  isNormalized(value: boolean): this;
+  lineSeries(): Serie<Row>[];
+  lineSeries(series: Serie<Row>[]): this;
+  get grantTotal(): number;
+  addBars(): void;
+  addLines(config?: { radius?: number }): void;
+  addLabels(deltaY?: number): void;
+}
+
+export declare class HBarChart<
+  Row extends object = any,
+> extends VBarChart<Row> {
+  addLabels(deltaX?: number, deltaY?: number): void;
+}
+
+export declare class SlopeChart<
+  Row extends object = any,
+> extends RectangularChart<Row> {
+  get x(): ScaleOrdinal<string, number>;
+  get y(): ContinuousScale;
+  radius(): number;
+  radius(value: number): this;
+  addAllSeries(): void;
+  addSerie(name: Serie<Row>): void;
+  addPoints(): void;
+  addLabels(deltaY?: number): void;
+}
+
+/**
+ * The sums of the least squares method of a category.
+ */
+export interface LeastSquares {
+  category: string;
+  totals: {
+    x: number;
+    xSquare: number;
+    y: number;
+    xy: number;
+    n: number;
+    xMin: number;
+    xMax: number;
+  };
+}
+
+/**
+ * The parameters of the trending line of a category: y = slope * x + b.
+ */
+export interface Slope {
+  category: string;
+  xMin: number;
+  xMax: number;
+  slope: number;
+  b: number;
+}
+
+export declare class ScatterPlot<
+  Row extends object = any,
+> extends RectangularChart<Row> {
+  get x(): ContinuousScale;
+  get y(): ContinuousScale;
+  radius(): number;
+  radius(value: number): this;
+  categoryConfiguration(): CategoryConfiguration<Row>;
+  categoryConfiguration(config: CategoryConfiguration<Row>): this;
+  get slopes(): Slope[] | undefined;
+  getSerie(
+    row: Row,
+    serie: Serie<Row>
+  ): { serie: Serie<Row>; x: number; y: number; category: string; row: Row };
+  groupBy(dataset: Row[], serie: Serie<Row>): { [category: string]: Row[] };
+  leastSquares(group: { [category: string]: any[] }): LeastSquares[];
+  calculateSlopes(leastSquare: LeastSquares[]): Slope[];
+  calculateCoordinates(slopes: Slope[]): {
+    category: string;
+    xMin: number;
+    xMax: number;
+    yMin: number;
+    yMax: number;
+  }[];
+  addAllSeries(): void;
+  addSerie(name: Serie<Row>): void;
+  addTrendingLines(): void;
+}
+
+export declare class BubbleChart<
+  Row extends object = any,
+> extends ScatterPlot<Row> {
+  radiusSerie(): Serie<Row>;
+  radiusSerie(name: Serie<Row>): this;
+  radiusFactor(): number;
+  radiusFactor(value: number): this;
+  /** With a range, the area of the points is proportional to their values. */
+  radiusRange(): [number, number] | undefined;
+  radiusRange(range: [number, number] | null): this;
+  get radiusScale(): D3Scale;
+  addSizeLegend(config?: SizeLegendConfig): void;
+}
+
+export declare class ScatterPlotMarker<
+  Row extends object = any,
+> extends ScatterPlot<Row> {
+  /** The svg paths of the markers by their names. */
+  markers(): { [name: string]: string };
+  markers(marker: { [name: string]: string }): this;
+  /** The names of the markers by the categories. */
+  markersConfig(): { [category: string]: string };
+  markersConfig(config: { [category: string]: string }): this;
+  fillColor(): string | undefined;
+  fillColor(color: string): this;
+}
+
+declare abstract class CircleChart<
+  Row extends object = any,
+> extends Chart<Row> {
+  xSerie(): Serie<Row>;
+  xSerie(name: Serie<Row>): this;
+  get circleRadius(): number;
+  init(): void;
+}
+
+export declare class PieChart<
+  Row extends object = any,
+> extends CircleChart<Row> {
+  /** Create the interpolator of the svg path of a slice from the previous slice, with the angles in degrees. */
+  interpolateSlice(
+    x: number,
+    y: number,
+    r: number,
+    startAngle: number,
+    endAngle: number,
+    previous?: { r: number; startAngle: number; endAngle: number }
+  ): (t: number) => string;
+  addSerie(name: Serie<Row>): void;
+  addLabels(fnFormat?: FormatFunction): void;
+  addLegend(config?: LegendConfig): void;
+  addTitle(config: TitleConfig): void;
+}
+
+export declare class DonutChart<
+  Row extends object = any,
+> extends PieChart<Row> {
+  donutSpacing(): number;
+  donutSpacing(value: number): this;
+  addAllSeries(): void;
+}
+
+export declare class PolarChart<
+  Row extends object = any,
+> extends PieChart<Row> {
+  sliceSize(): number;
+  sliceSize(value: number): this;
+  addSeries(name: Serie<Row>): void;
+}
+
+export declare class RadarChart<
+  Row extends object = any,
+> extends CircleChart<Row> {
+  get y(): ContinuousScale;
+  axisTicks(): number;
+  axisTicks(value: number): this;
+  radius(): number;
+  radius(value: number): this;
+  addRadialAxis(fnFormat?: FormatFunction): void;
+  addAxisLines(): void;
+  addAllSeries(): void;
+  addSerie(name: Serie<Row>): void;
+  addLabels(fnFormat?: FormatFunction): void;
+  addPoints(): void;
+  addLegend(config?: LegendConfig): void;
+  addTitle(config: TitleConfig): void;
+}
+
+/**
+ * Set the D3 js instance that the library uses instead of the modular packages or the global `d3` object.
+ */
+export declare function useD3(instance: object): void;
+
+/** The classes of the charts by their type in the JSON specification. */
+export interface ChartTypes<Row extends object = any> {
+  MultiLineChart: MultiLineChart<Row>;
+  MultiAreaChart: MultiAreaChart<Row>;
+  VBarChart: VBarChart<Row>;
+  SlopeChart: SlopeChart<Row>;
+  HBarChart: HBarChart<Row>;
+  RadarChart: RadarChart<Row>;
+  PieChart: PieChart<Row>;
+  DonutChart: DonutChart<Row>;
+  PolarChart: PolarChart<Row>;
+  ScatterPlot: ScatterPlot<Row>;
+  ScatterPlotMarker: ScatterPlotMarker<Row>;
+  BubbleChart: BubbleChart<Row>;
+}
+
+export type ChartType = keyof ChartTypes;
+
+/**
+ * Create and draw a chart from its JSON specification.
+ */
+export declare function createChart<
+  Row extends object = any,
+  Type extends ChartType = ChartType,
+>(
+  spec: ChartSpec<Row> & { type: Type },
+  options?: {
+    bindTo?: string | SVGSVGElement;
+    headless?: boolean;
+    strict?: boolean;
+  }
+): ChartTypes<Row>[Type];
+
+export type { Chart, RectangularChart, CircleChart, Tooltip };
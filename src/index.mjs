@@ -10,6 +10,12 @@ import PolarChart from "./charts/circular/pies/polar-chart.mjs";
 import ScatterPlot from "./charts/rectangular/scatterplots/scatterplot-chart.mjs";
 import ScatterPlotMarker from "./charts/rectangular/scatterplots/scatterplot-marker.mjs";
 import BubbleChart from "./charts/rectangular/scatterplots/bubble-chart.mjs"
+import { useD3 } from "./d3.mjs";
+import { createChart } from "./create-chart.mjs";
+import { ChartValidationError, ISSUE_CODES } from "./validation.mjs";
+import { THEMES } from "./themes.mjs";
+import { LOCALES } from "./locales.mjs";
+import { LEGEND_POSITIONS } from "./legends.mjs";
 
 export {
   MultiLineChart,
@@ -23,7 +29,14 @@ export {
   PolarChart,
   ScatterPlot,
   ScatterPlotMarker,
-  BubbleChart
+  BubbleChart,
+  useD3,
+  createChart,
+  ChartValidationError,
+  ISSUE_CODES,
+  THEMES,
+  LOCALES,
+  LEGEND_POSITIONS
 };
 
 console.log("Common charts of data visualizations created with D3.js!!");
@@ -0,0 +1,261 @@
+("use strict");
+
+/**
+ * @description
+ * The placements of the legends. The sides place the legend outside the plot and shrink the margins of the chart
+ * to make room for it, the corners place the legend inside the plot. See `chart.addLegend()`.
+ * @type {string[]}
+ */
+export const LEGEND_POSITIONS = [
+  "top",
+  "right",
+  "bottom",
+  "left",
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+];
+
+/**
+ * @description
+ * The placements of the legends outside the plot.
+ * @type {string[]}
+ */
+const OUTSIDE_POSITIONS = ["top", "right", "bottom", "left"];
+
+/**
+ * @description
+ * The font size in pixels to estimate the width of a text which cannot be measured, like in a detached svg.
+ * @type {number}
+ */
+const DEFAULT_FONT_SIZE = 12;
+
+/**
+ * @description
+ * The average width of a character in proportion to the font size, to estimate the width of a text.
+ * @type {number}
+ */
+const CHARACTER_WIDTH = 0.6;
+
+/**
+ * @description
+ * The character added to the names which are truncated.
+ * @type {string}
+ */
+const ELLIPSIS = "…";
+
+/**
+ * @description
+ * Whether a legend is placed outside the plot.
+ * @param {string} [position] The placement of the legend.
+ * @returns {boolean}
+ */
+export function isOutsideLegend(position) {
+  return OUTSIDE_POSITIONS.includes(position);
+}
+
+/**
+ * @description
+ * Get the font size of a text element in pixels, or the default font size when it is not known.
+ * @param {SVGTextElement} text The text element.
+ * @returns {number}
+ */
+function fontSize(text) {
+  return (
+    parseFloat(
+      text.ownerDocument.defaultView?.getComputedStyle(text).fontSize
+    ) || DEFAULT_FONT_SIZE
+  );
+}
+
+/**
+ * @description
+ * Measure the width of a text element in pixels. Without a browser the text cannot be measured, then the width is
+ * estimated from its number of characters and its font size.
+ * @param {SVGTextElement} text The text element.
+ * @returns {number}
+ */
+export function measureText(text) {
+  const length = text.getComputedTextLength?.();
+  if (length) {
+    return length;
+  }
+  return text.textContent.length * fontSize(text) * CHARACTER_WIDTH;
+}
+
+/**
+ * @description
+ * Shorten the content of a text element with an ellipsis until it fits the given width.
+ * @param {SVGTextElement} text The text element.
+ * @param {number} maxWidth The maximum width in pixels.
+ * @returns {number} The width of the text once it fits.
+ */
+export function truncateText(text, maxWidth) {
+  const content = text.textContent;
+  let width = measureText(text);
+  if (width <= maxWidth) {
+    return width;
+  }
+  // Search the longest beginning of the content which fits with the ellipsis
+  let [fits, exceeds] = [0, content.length];
+  while (exceeds - fits > 1) {
+    const middle = Math.floor((fits + exceeds) / 2);
+    text.textContent = content.slice(0, middle).trimEnd() + ELLIPSIS;
+    if (measureText(text) <= maxWidth) {
+      fits = middle;
+    } else {
+      exceeds = middle;
+    }
+  }
+  text.textContent = content.slice(0, fits).trimEnd() + ELLIPSIS;
+  width = measureText(text);
+  return width;
+}
+
+/**
+ * @description
+ * Get the positions of the entries of a legend. A vertical legend stacks the entries and wraps them in a new
+ * column when they exceed the maximum height, a horizontal legend lines them up and wraps them in a new row
+ * when they exceed the maximum width.
+ * @param {number[]} widths The widths in pixels of the names of the entries.
+ * @param {object} config The configuration of the layout.
+ * @param {string} [config.orientation="vertical"] The orientation of the legend, vertical or horizontal.
+ * @param {number} config.size The size of the square of the entries in pixels.
+ * @param {number} config.spacing The spacing in pixels between the square and the name of the entries.
+ * @param {number} [config.maxWidth=Infinity] The maximum width of the legend in pixels.
+ * @param {number} [config.maxHeight=Infinity] The maximum height of the legend in pixels.
+ * @returns {{positions: {x: number, y: number}[], width: number, height: number}} The positions of the entries and the size of the legend.
+ * @example
+ * ```JavaScript
+ * layoutLegend([30, 45, 20], {
+ *    orientation: "horizontal",
+ *    size: 5,
+ *    spacing: 5,
+ *    maxWidth: 100
+ * });
+ * ```
+ */
+export function layoutLegend(
+  widths,
+  {
+    orientation = "vertical",
+    size,
+    spacing,
+    maxWidth = Infinity,
+    maxHeight = Infinity,
+  }
+) {
+  const step = size + spacing;
+  // The space between two entries of a row or two columns
+  const gap = 2 * spacing;
+  const positions = [];
+  let [x, y, columnWidth] = [0, 0, 0];
+  widths.forEach((width) => {
+    const entryWidth = size + spacing + width;
+    if (orientation === "horizontal") {
+      if (x > 0 && x + entryWidth > maxWidth) {
+        [x, y] = [0, y + step];
+      }
+      positions.push({ x, y });
+      x += entryWidth + gap;
+      return;
+    }
+    if (y > 0 && y + size > maxHeight) {
+      [x, y, columnWidth] = [x + columnWidth + gap, 0, 0];
+    }
+    positions.push({ x, y });
+    columnWidth = Math.max(columnWidth, entryWidth);
+    y += step;
+  });
+  return {
+    positions,
+    width: Math.max(
+      0,
+      ...positions.map(({ x }, i) => x + size + spacing + widths[i])
+    ),
+    height: positions.length
+      ? Math.max(...positions.map(({ y }) => y)) + step
+      : 0,
+  };
+}
+
+/**
+ * @description
+ * Get the room to make in the margins of the chart for a legend placed outside the plot.
+ * @param {string} [position] The placement of the legend.
+ * @param {{width: number, height: number}} size The size of the legend in pixels.
+ * @param {number} padding The space in pixels between the legend and the plot.
+ * @returns {{top: number, right: number, bottom: number, left: number}}
+ */
+export function legendMargin(position, { width, height }, padding) {
+  const margin = { top: 0, right: 0, bottom: 0, left: 0 };
+  if (isOutsideLegend(position)) {
+    margin[position] =
+      (position === "top" || position === "bottom" ? height : width) +
+      2 * padding;
+  }
+  return margin;
+}
+
+/**
+ * @description
+ * Get the kind of legend which explains a color scale: the entries of the categories of an ordinal scale, a color
+ * ramp for the sequential and diverging scales, or the bins of the quantize, quantile and threshold scales.
+ * @param {object} scale The D3 js color scale.
+ * @returns {"categorical"|"continuous"|"binned"}
+ */
+export function colorLegendType(scale) {
+  if (typeof scale.interpolator === "function") {
+    return "continuous";
+  }
+  return typeof scale.invertExtent === "function" ? "binned" : "categorical";
+}
+
+/**
+ * @description
+ * Get the colors of a continuous color scale at evenly spaced values of its domain, to draw its color ramp.
+ * @param {object} scale The D3 js sequential or diverging scale.
+ * @param {number} [count=10] The number of colors.
+ * @returns {{offset: number, color: string}[]} The colors and their offset between 0 and 1 in the ramp.
+ */
+export function rampStops(scale, count = 10) {
+  const [start, end] = [scale.domain().at(0), scale.domain().at(-1)];
+  return Array.from({ length: count + 1 }, (_, i) => ({
+    offset: i / count,
+    color: scale(start + (i / count) * (end - start)),
+  }));
+}
+
+/**
+ * @description
+ * Get the bins of a quantize, quantile or threshold color scale.
+ * @param {object} scale The D3 js color scale.
+ * @returns {{colors: string[], thresholds: number[]}} The color of each bin and the values between the bins.
+ */
+export function colorBins(scale) {
+  // The colors of a threshold scale without threshold are not used
+  const colors = scale
+    .range()
+    .filter((color) =>
+      scale.invertExtent(color).some((value) => value !== undefined)
+    );
+  return {
+    colors,
+    thresholds: colors.slice(1).map((color) => scale.invertExtent(color)[0]),
+  };
+}
+
+/**
+ * @description
+ * Measure the height of a text element in pixels. Without a browser the height is estimated from its font size.
+ * @param {SVGTextElement} text The text element.
+ * @returns {number}
+ */
+export function measureTextHeight(text) {
+  const height = text.getBBox?.().height;
+  if (height) {
+    return height;
+  }
+  return fontSize(text);
+}
@@ -0,0 +1,296 @@
+("use strict");
+
+/**
+ * @description
+ * The built-in locales of the charts. A locale has the D3 js definitions to format the numbers and the dates,
+ * see `d3.formatLocale()` and `d3.timeFormatLocale()`. See `chart.locale()`.
+ * @type {{[name: string]: {number: object, time: object}}}
+ */
+export const LOCALES = Object.freeze({
+  "en-US": Object.freeze({
+    number: Object.freeze({
+      decimal: ".",
+      thousands: ",",
+      grouping: [3],
+      currency: ["$", ""],
+    }),
+    time: Object.freeze({
+      dateTime: "%x, %X",
+      date: "%-m/%-d/%Y",
+      time: "%-I:%M:%S %p",
+      periods: ["AM", "PM"],
+      days: [
+        "Sunday",
+        "Monday",
+        "Tuesday",
+        "Wednesday",
+        "Thursday",
+        "Friday",
+        "Saturday",
+      ],
+      shortDays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+      months: [
+        "January",
+        "February",
+        "March",
+        "April",
+        "May",
+        "June",
+        "July",
+        "August",
+        "September",
+        "October",
+        "November",
+        "December",
+      ],
+      shortMonths: [
+        "Jan",
+        "Feb",
+        "Mar",
+        "Apr",
+        "May",
+        "Jun",
+        "Jul",
+        "Aug",
+        "Sep",
+        "Oct",
+        "Nov",
+        "Dec",
+      ],
+    }),
+  }),
+  "es-MX": Object.freeze({
+    number: Object.freeze({
+      decimal: ".",
+      thousands: ",",
+      grouping: [3],
+      currency: ["$", ""],
+    }),
+    time: Object.freeze({
+      dateTime: "%x, %X",
+      date: "%d/%m/%Y",
+      time: "%-I:%M:%S %p",
+      periods: ["AM", "PM"],
+      days: [
+        "domingo",
+        "lunes",
+        "martes",
+        "miércoles",
+        "jueves",
+        "viernes",
+        "sábado",
+      ],
+      shortDays: ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"],
+      months: [
+        "enero",
+        "febrero",
+        "marzo",
+        "abril",
+        "mayo",
+        "junio",
+        "julio",
+        "agosto",
+        "septiembre",
+        "octubre",
+        "noviembre",
+        "diciembre",
+      ],
+      shortMonths: [
+        "ene",
+        "feb",
+        "mar",
+        "abr",
+        "may",
+        "jun",
+        "jul",
+        "ago",
+        "sep",
+        "oct",
+        "nov",
+        "dic",
+      ],
+    }),
+  }),
+  "de-DE": Object.freeze({
+    number: Object.freeze({
+      decimal: ",",
+      thousands: ".",
+      grouping: [3],
+      currency: ["", "\u00a0€"],
+    }),
+    time: Object.freeze({
+      dateTime: "%A, der %e. %B %Y, %X",
+      date: "%d.%m.%Y",
+      time: "%H:%M:%S",
+      periods: ["AM", "PM"],
+      days: [
+        "Sonntag",
+        "Montag",
+        "Dienstag",
+        "Mittwoch",
+        "Donnerstag",
+        "Freitag",
+        "Samstag",
+      ],
+      shortDays: ["So", "Mo", "Di", "Mi", "Do", "Fr", "Sa"],
+      months: [
+        "Januar",
+        "Februar",
+        "März",
+        "April",
+        "Mai",
+        "Juni",
+        "Juli",
+        "August",
+        "September",
+        "Oktober",
+        "November",
+        "Dezember",
+      ],
+      shortMonths: [
+        "Jan",
+        "Feb",
+        "Mrz",
+        "Apr",
+        "Mai",
+        "Jun",
+        "Jul",
+        "Aug",
+        "Sep",
+        "Okt",
+        "Nov",
+        "Dez",
+      ],
+    }),
+  }),
+  "fr-FR": Object.freeze({
+    number: Object.freeze({
+      decimal: ",",
+      thousands: "\u00a0",
+      grouping: [3],
+      currency: ["", "\u00a0€"],
+      percent: "\u202f%",
+    }),
+    time: Object.freeze({
+      dateTime: "%A %e %B %Y à %X",
+      date: "%d/%m/%Y",
+      time: "%H:%M:%S",
+      periods: ["AM", "PM"],
+      days: [
+        "dimanche",
+        "lundi",
+        "mardi",
+        "mercredi",
+        "jeudi",
+        "vendredi",
+        "samedi",
+      ],
+      shortDays: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+      months: [
+        "janvier",
+        "février",
+        "mars",
+        "avril",
+        "mai",
+        "juin",
+        "juillet",
+        "août",
+        "septembre",
+        "octobre",
+        "novembre",
+        "décembre",
+      ],
+      shortMonths: [
+        "janv.",
+        "févr.",
+        "mars",
+        "avr.",
+        "mai",
+        "juin",
+        "juil.",
+        "août",
+        "sept.",
+        "oct.",
+        "nov.",
+        "déc.",
+      ],
+    }),
+  }),
+});
+
+/**
+ * @description
+ * Get the definitions of a locale from its name or from a custom locale. A custom locale is an object with the
+ * number and time definitions to change of a built-in locale, the base locale is en-US unless its name is given
+ * in the base key.
+ * @param {string|object} locale The name of a built-in locale or a custom locale.
+ * @returns {{number: object, time: object}|undefined} The definitions of the locale, undefined when the locale is not valid.
+ * @example
+ * ```JavaScript
+ * resolveLocale({ base: "es-MX", number: { currency: ["", " MXN"] } });
+ * ```
+ */
+export function resolveLocale(locale) {
+  if (typeof locale === "string") {
+    return Object.hasOwn(LOCALES, locale) ? LOCALES[locale] : undefined;
+  }
+  if (!locale || typeof locale !== "object") {
+    return undefined;
+  }
+  const { base = "en-US", number = {}, time = {} } = locale;
+  if (
+    !Object.hasOwn(LOCALES, base) ||
+    [number, time].some(
+      (definition) => !definition || typeof definition !== "object"
+    )
+  ) {
+    return undefined;
+  }
+  return {
+    number: { ...LOCALES[base].number, ...number },
+    time: { ...LOCALES[base].time, ...time },
+  };
+}
+
+/**
+ * @description
+ * Get the format of the ticks of a time axis in a locale, like the default format of the D3 js time scales:
+ * the smallest unit of time which is not zero in the date is printed.
+ * @param {object} timeLocale The D3 js time locale, see `d3.timeFormatLocale()`.
+ * @param {boolean} [utc=false] Whether the dates are read in UTC.
+ * @returns {callback} The format function of the dates.
+ */
+export function timeTickFormat(timeLocale, utc = false) {
+  const create = utc ? timeLocale.utcFormat : timeLocale.format;
+  const [
+    formatMillisecond,
+    formatSecond,
+    formatMinute,
+    formatHour,
+    formatDay,
+    formatWeek,
+    formatMonth,
+    formatYear,
+  ] = [".%L", ":%S", "%I:%M", "%I %p", "%a %d", "%b %d", "%B", "%Y"].map(
+    (specifier) => create(specifier)
+  );
+  const get = (date, unit) => date[`get${utc ? "UTC" : ""}${unit}`]();
+  return (date) => {
+    if (get(date, "Milliseconds")) {
+      return formatMillisecond(date);
+    }
+    if (get(date, "Seconds")) {
+      return formatSecond(date);
+    }
+    if (get(date, "Minutes")) {
+      return formatMinute(date);
+    }
+    if (get(date, "Hours")) {
+      return formatHour(date);
+    }
+    if (get(date, "Date") !== 1) {
+      return get(date, "Day") ? formatDay(date) : formatWeek(date);
+    }
+    return get(date, "Month") ? formatMonth(date) : formatYear(date);
+  };
+}
@@ -0,0 +1,473 @@
+import { format } from "./d3.mjs";
+import { ISSUE_CODES } from "./validation.mjs";
+
+("use strict");
+
+/**
+ * @description
+ * The JSON specification of a chart and how it is translated to the setters and to the methods which draw the
+ * layers of the chart. A specification looks like:
+ * ```JavaScript
+ * {
+ *    type: "MultiLineChart",
+ *    data: [{ month: "Jan", north: 10, south: 5 }],
+ *    schema: { month: "categorical" },
+ *    width: 800,
+ *    height: 400,
+ *    margin: { top: 20, right: 20, bottom: 30, left: 40 },
+ *    theme: "dark",
+ *    locale: "es-MX",
+ *    animation: { duration: 500 },
+ *    encoding: {
+ *      x: { serie: "month", scale: "point" },
+ *      y: { colorSeries: ["red", "blue"], scale: "linear" },
+ *      y2: { series: ["south"], scale: "linear" },
+ *      series: { North: "north", South: "south" }
+ *    },
+ *    options: { radius: 4 },
+ *    axes: { x: { position: "bottom", show: true, arrow: true, name: { title: "Month", ... } }, y: { show: true }, y2: { show: true } },
+ *    grids: { y: true },
+ *    series: "all",
+ *    marks: { points: true },
+ *    labels: true,
+ *    legend: { widthOffset: 0.8, heightOffset: 0.1, size: 5, spacing: 5 },
+ *    sizeLegend: { position: "right", count: 3 },
+ *    title: { title: "Sales", widthOffset: 0.5, heightOffset: 0.05 },
+ *    tooltip: { offset: { x: 10, y: 10 } },
+ *    dataTable: { visible: true }
+ * }
+ * ```
+ * @module spec
+ */
+
+/**
+ * @description
+ * The setters of the specific settings of the charts which are written in the options of the specification.
+ * Only the setters that the chart has are used.
+ * @type {string[]}
+ */
+const OPTIONS = [
+  "yAxisOffset",
+  "radius",
+  "missingData",
+  "innerPadding",
+  "sortAscending",
+  "isStacked",
+  "isPercentage",
+  "isNormalized",
+  "donutSpacing",
+  "sliceSize",
+  "axisTicks",
+  "markers",
+  "markersConfig",
+  "fillColor",
+  "hiddenSeries",
+  "rescaleVisible",
+  "lineSeries",
+];
+
+/**
+ * @description
+ * The names of the arguments of the methods which draw the labels per type of chart. The format argument is a
+ * D3 js format specifier in the specification.
+ * @type {{[type: string]: string[]}}
+ */
+const LABELS_ARGUMENTS = {
+  VBarChart: ["deltaY"],
+  HBarChart: ["deltaX", "deltaY"],
+  SlopeChart: ["deltaY"],
+  PieChart: ["format"],
+  DonutChart: ["format"],
+  PolarChart: ["format"],
+  RadarChart: ["format"],
+};
+
+/**
+ * @description
+ * The layers of the specification in the order they are drawn. The path is where the layer is written in the
+ * specification and the methods are the ones which draw it, the first method that the chart has is used. When the
+ * value of the layer is true, the method is called without arguments, so the defaults of the chart are used.
+ * The series are drawn with the methods of all the series when the value is "all" and with the methods of a
+ * single serie when the value is the name of the serie.
+ * @type {{path: string[], methods: string[], names: callback, all: boolean}[]}
+ */
+const LAYERS = [
+  { path: ["grids", "x"], methods: ["xGrid"] },
+  { path: ["grids", "y"], methods: ["yGrid"] },
+  { path: ["axes", "x", "show"], methods: ["addXAxis"] },
+  { path: ["axes", "y", "show"], methods: ["addYAxis"] },
+  { path: ["axes", "y2", "show"], methods: ["addY2Axis"] },
+  {
+    path: ["axes", "radial"],
+    methods: ["addRadialAxis"],
+    names: () => ["format"],
+  },
+  { path: ["axes", "lines"], methods: ["addAxisLines"] },
+  { path: ["series"], methods: ["addAllSeries", "addBars"], all: true },
+  { path: ["series"], methods: ["addSeries", "addSerie"] },
+  { path: ["marks", "points"], methods: ["addPoints"] },
+  { path: ["marks", "lines"], methods: ["addLines"] },
+  { path: ["marks", "criticalPoints"], methods: ["addCriticalPoints"] },
+  { path: ["marks", "trendingLines"], methods: ["addTrendingLines"] },
+  {
+    path: ["labels"],
+    methods: ["addLabels"],
+    names: (type) => LABELS_ARGUMENTS[type] ?? [],
+  },
+  { path: ["axes", "x", "arrow"], methods: ["xAxisArrow"] },
+  { path: ["axes", "y", "arrow"], methods: ["yAxisArrow"] },
+  { path: ["axes", "x", "name"], methods: ["xAxisName"] },
+  { path: ["axes", "y", "name"], methods: ["yAxisName"] },
+  { path: ["axes", "y2", "name"], methods: ["y2AxisName"] },
+  { path: ["legend"], methods: ["addLegend"] },
+  { path: ["sizeLegend"], methods: ["addSizeLegend"] },
+  { path: ["title"], methods: ["addTitle"] },
+  { path: ["tooltip"], methods: ["addTooltip"] },
+  { path: ["dataTable"], methods: ["addDataTable"] },
+];
+
+/**
+ * @description
+ * Get the value in the path of the object.
+ * @param {object} object The object to read.
+ * @param {string[]} path The keys to follow in the object.
+ * @returns {any}
+ */
+function getPath(object, path) {
+  return path.reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * @description
+ * Write the value in the path of the object, the missing objects of the path are created.
+ * @param {object} object The object to write.
+ * @param {string[]} path The keys to follow in the object.
+ * @param {any} value The value to write.
+ * @returns {void}
+ */
+function setPath(object, path, value) {
+  const parent = path
+    .slice(0, -1)
+    .reduce((child, key) => (child[key] ??= {}), object);
+  parent[path.at(-1)] = value;
+}
+
+/**
+ * @description
+ * Get the D3 js format specifier of a format function, only the functions created with the D3 js format have one.
+ * @param {callback} fnFormat The format function.
+ * @returns {string|undefined}
+ */
+function formatSpecifier(fnFormat) {
+  try {
+    // The D3 js format functions return their specifier as string
+    format(String(fnFormat));
+    return String(fnFormat);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @description
+ * Merge the configuration of an axis of the specification with the current configuration of the chart, so that
+ * the customizations not written in the specification, like the default format of the ticks, are kept.
+ * The tick format is a D3 js format specifier in the specification.
+ * @param {{position: string, customizations: object}} current The current configuration of the axis.
+ * @param {{position: string, customizations: object}} config The configuration of the axis in the specification.
+ * @returns {{position: string, customizations: object}}
+ */
+function axisConfig(current, config) {
+  const customizations = {
+    ...current.customizations,
+    ...config.customizations,
+  };
+  if (typeof customizations.tickFormat === "string") {
+    customizations.tickFormat = format(customizations.tickFormat);
+  }
+  return { ...current, ...config, customizations };
+}
+
+/**
+ * @description
+ * Write the configuration of an axis as it is in the specification. The default format of the ticks is left out,
+ * so that the chart created again from the specification keeps formatting the ticks by the type of the serie and
+ * the locale of the chart.
+ * @param {object} chart The chart to write.
+ * @param {{position: string, customizations: object}} config The configuration of the axis.
+ * @returns {{position: string, customizations: object}}
+ */
+function axisConfigSpec(chart, config) {
+  const customizations = { ...config.customizations };
+  if (chart._isDefaultTickFormat(customizations.tickFormat)) {
+    delete customizations.tickFormat;
+  } else if (typeof customizations.tickFormat === "function") {
+    customizations.tickFormat = formatSpecifier(customizations.tickFormat);
+  }
+  return { ...config, customizations };
+}
+
+/**
+ * @description
+ * Translate the value of a layer of the specification to the arguments of the method which draws it.
+ * @param {object} chart The chart to draw.
+ * @param {{path: string[], methods: string[], names: callback, all: boolean}} layer The layer of the specification.
+ * @param {any} value The value of the layer in the specification.
+ * @returns {any[]|undefined} The arguments, undefined when the layer is not drawn.
+ */
+function layerArguments(chart, { path, names, all }, value) {
+  if (value === undefined || value === false) {
+    return undefined;
+  }
+  if (path[0] === "series") {
+    const isAll = value === "all" || value === true;
+    return Boolean(all) === isAll ? (isAll ? [] : [value]) : undefined;
+  }
+  if (value === true) {
+    return [];
+  }
+  if (!names) {
+    return [value];
+  }
+  // The undefined arguments take the default values of the method
+  return names(chart.constructor.type).map((name) =>
+    name === "format" && typeof value[name] === "string"
+      ? format(value[name])
+      : value[name]
+  );
+}
+
+/**
+ * @description
+ * Translate the arguments of the last call of the method which draws a layer to its value in the specification.
+ * @param {object} chart The chart drawn.
+ * @param {{path: string[], methods: string[], names: callback, all: boolean}} layer The layer of the specification.
+ * @param {any[]} args The arguments of the last call of the method.
+ * @returns {any}
+ */
+function layerValue(chart, { path, names, all }, args) {
+  if (path[0] === "series") {
+    return all ? "all" : args[0];
+  }
+  if (!args.length || args[0] === undefined) {
+    return true;
+  }
+  if (!names) {
+    return args[0];
+  }
+  const value = Object.fromEntries(
+    names(chart.constructor.type)
+      .map((name, i) => [
+        name,
+        name === "format" ? formatSpecifier(args[i]) : args[i],
+      ])
+      .filter(([_, argument]) => argument !== undefined)
+  );
+  return Object.keys(value).length ? value : true;
+}
+
+/**
+ * @description
+ * Whether the option of the specification is a setter of the chart.
+ * @param {object} chart The chart to configure.
+ * @param {string} option The name of the option.
+ * @returns {boolean}
+ */
+function hasOption(chart, option) {
+  return OPTIONS.includes(option) && typeof chart[option] === "function";
+}
+
+/**
+ * @description
+ * Get the problems of the specification for the chart: the options which are not setters of the chart and the
+ * layers that the chart cannot draw. The settings are checked by the setters and by the validation of the chart.
+ * @param {object} chart The chart created from the specification.
+ * @param {object} spec The JSON specification of the chart.
+ * @returns {{code: string, severity: string, path: string, message: string}[]}
+ */
+export function specIssues(chart, spec) {
+  const { type } = chart.constructor;
+  const options = Object.keys(spec.options ?? {})
+    .filter((option) => !hasOption(chart, option))
+    .map((option) => ({
+      code: ISSUE_CODES.UNKNOWN_OPTION,
+      severity: "error",
+      path: `options.${option}`,
+      message: `The option ${option} is not available for the ${type}`,
+    }));
+  const layers = LAYERS.filter(
+    (layer) =>
+      layerArguments(chart, layer, getPath(spec, layer.path)) &&
+      !layer.methods.some((name) => typeof chart[name] === "function")
+  ).map(({ path }) => ({
+    code: ISSUE_CODES.UNKNOWN_LAYER,
+    severity: "error",
+    path: path.join("."),
+    message: `The layer ${path.join(".")} is not available for the ${type}`,
+  }));
+  return [...options, ...layers];
+}
+
+/**
+ * @description
+ * Set the settings of the chart written in the specification. The data, type and layers are not set.
+ * @param {object} chart The chart to configure.
+ * @param {object} spec The JSON specification of the chart.
+ * @returns {void}
+ */
+export function configureChart(chart, spec) {
+  const { encoding = {}, axes = {}, options = {} } = spec;
+  if (spec.schema) {
+    chart.schema(spec.schema);
+  }
+  if (spec.width !== undefined) {
+    chart.width(spec.width);
+  }
+  if (spec.height !== undefined) {
+    chart.height(spec.height);
+  }
+  if (spec.margin) {
+    chart.margin(spec.margin);
+  }
+  if (spec.theme !== undefined) {
+    chart.theme(spec.theme);
+  }
+  if (spec.locale !== undefined) {
+    chart.locale(spec.locale);
+  }
+  if (spec.animation?.duration !== undefined) {
+    chart.duration(spec.animation.duration);
+  }
+  if (encoding.x && chart.xConfiguration) {
+    chart.xConfiguration(encoding.x);
+  }
+  if (encoding.x && chart.xSerie) {
+    chart.xSerie(encoding.x.serie);
+  }
+  if (encoding.y) {
+    chart.yConfiguration(encoding.y);
+  }
+  if (encoding.series !== undefined) {
+    chart.series(encoding.series);
+  }
+  if (encoding.y2 && chart.y2Configuration) {
+    chart.y2Configuration(encoding.y2);
+  }
+  if (encoding.category) {
+    chart.categoryConfiguration(encoding.category);
+  }
+  if (encoding.size?.serie !== undefined) {
+    chart.radiusSerie(encoding.size.serie);
+  }
+  if (encoding.size?.factor !== undefined) {
+    chart.radiusFactor(encoding.size.factor);
+  }
+  if (encoding.size?.range !== undefined) {
+    chart.radiusRange(encoding.size.range);
+  }
+  // The position and customizations of the axes, the rest of the keys are layers
+  for (const [axis, setter] of [
+    ["x", "xAxisConfig"],
+    ["y", "yAxisConfig"],
+    ["y2", "y2AxisConfig"],
+  ]) {
+    const { show, arrow, name, ...config } = axes[axis] ?? {};
+    if (Object.keys(config).length && chart[setter]) {
+      chart[setter](axisConfig(chart[setter](), config));
+    }
+  }
+  for (const [option, value] of Object.entries(options)) {
+    if (hasOption(chart, option)) {
+      chart[option](value);
+    }
+  }
+}
+
+/**
+ * @description
+ * Get the calls of the methods which draw the layers written in the specification, in the order to draw them.
+ * @param {object} chart The chart to draw.
+ * @param {object} spec The JSON specification of the chart.
+ * @returns {[string, any[]][]} The names of the methods and their arguments.
+ */
+export function specLayers(chart, spec) {
+  return LAYERS.map((layer) => {
+    const method = layer.methods.find(
+      (name) => typeof chart[name] === "function"
+    );
+    return [method, layerArguments(chart, layer, getPath(spec, layer.path))];
+  }).filter(([method, args]) => method && args);
+}
+
+/**
+ * @description
+ * Write the settings and the drawn layers of the chart as a JSON specification.
+ * @param {object} chart The chart to write.
+ * @param {Map<string, any[]>} layers The calls of the methods which draw the layers and their last arguments.
+ * @returns {object} The specification without the type, data and schema of the chart.
+ */
+export function chartSpec(chart, layers) {
+  const spec = {
+    width: chart.width(),
+    height: chart.height(),
+    margin: chart._configuredMargin(),
+    animation: { duration: chart.duration() },
+    encoding: {},
+  };
+  if (chart.theme() !== undefined) {
+    spec.theme = chart.theme();
+  }
+  if (chart.locale() !== undefined) {
+    spec.locale = chart.locale();
+  }
+  if (chart.xConfiguration) {
+    spec.encoding.x = { ...chart.xConfiguration() };
+  }
+  if (chart.xSerie) {
+    spec.encoding.x = { serie: chart.xSerie() };
+  }
+  spec.encoding.y = { ...chart.yConfiguration() };
+  // The functions of the series are left out of the JSON, see `chart.toSpec()`
+  if (chart.series() !== undefined) {
+    spec.encoding.series = chart.series();
+  }
+  if (chart.y2Configuration?.() !== undefined) {
+    spec.encoding.y2 = { ...chart.y2Configuration() };
+  }
+  if (chart.categoryConfiguration) {
+    spec.encoding.category = { ...chart.categoryConfiguration() };
+  }
+  if (chart.radiusSerie) {
+    spec.encoding.size = {
+      serie: chart.radiusSerie(),
+      factor: chart.radiusFactor(),
+    };
+    if (chart.radiusRange() !== undefined) {
+      spec.encoding.size.range = chart.radiusRange();
+    }
+  }
+  if (chart.xAxisConfig) {
+    spec.axes = {
+      x: axisConfigSpec(chart, chart.xAxisConfig()),
+      y: axisConfigSpec(chart, chart.yAxisConfig()),
+    };
+    if (spec.encoding.y2) {
+      spec.axes.y2 = axisConfigSpec(chart, chart.y2AxisConfig());
+    }
+  }
+  spec.options = Object.fromEntries(
+    OPTIONS.filter((option) => typeof chart[option] === "function")
+      .map((option) => [option, chart[option]()])
+      .filter(([_, value]) => value !== undefined)
+  );
+  for (const layer of LAYERS) {
+    // The last call decides the value when the layer can be drawn by several methods
+    const method = [...layers.keys()]
+      .filter((name) => layer.methods.includes(name))
+      .at(-1);
+    if (method) {
+      setPath(spec, layer.path, layerValue(chart, layer, layers.get(method)));
+    }
+  }
+  return spec;
+}
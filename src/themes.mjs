@@ -0,0 +1,182 @@
+("use strict");
+
+/**
+ * @description
+ * The built-in themes of the charts. A theme has the palette of the series and the styles of the text, axes,
+ * grids and series, which are applied as CSS custom properties on the svg container. See `chart.theme()`.
+ * @type {{[name: string]: {palette: string[], background: string, fontFamily: string, fontSize: string, textColor: string, axisColor: string, gridColor: string, gridWidth: number, seriesOpacity: number, markerFill: string}}}
+ */
+export const THEMES = Object.freeze({
+  light: Object.freeze({
+    palette: Object.freeze([
+      "#4e79a7",
+      "#f28e2c",
+      "#e15759",
+      "#76b7b2",
+      "#59a14f",
+      "#edc949",
+      "#af7aa1",
+      "#ff9da7",
+      "#9c755f",
+      "#bab0ab",
+    ]),
+    background: "#ffffff",
+    fontFamily: "sans-serif",
+    fontSize: "12px",
+    textColor: "#333333",
+    axisColor: "#555555",
+    gridColor: "#e0e0e0",
+    gridWidth: 1,
+    seriesOpacity: 1,
+    markerFill: "#cccccc",
+  }),
+  dark: Object.freeze({
+    palette: Object.freeze([
+      "#8ab4f8",
+      "#fdd663",
+      "#f28b82",
+      "#81c995",
+      "#c58af9",
+      "#78d9ec",
+      "#fcad70",
+      "#ff8bcb",
+    ]),
+    background: "#1e1e1e",
+    fontFamily: "sans-serif",
+    fontSize: "12px",
+    textColor: "#e8eaed",
+    axisColor: "#bdc1c6",
+    gridColor: "#3c4043",
+    gridWidth: 1,
+    seriesOpacity: 0.9,
+    markerFill: "#5f6368",
+  }),
+  "high-contrast": Object.freeze({
+    palette: Object.freeze([
+      "#ffff00",
+      "#00ffff",
+      "#ff00ff",
+      "#00ff00",
+      "#ff8000",
+      "#ffffff",
+    ]),
+    background: "#000000",
+    fontFamily: "sans-serif",
+    fontSize: "14px",
+    textColor: "#ffffff",
+    axisColor: "#ffffff",
+    gridColor: "#808080",
+    gridWidth: 1,
+    seriesOpacity: 1,
+    markerFill: "#000000",
+  }),
+  print: Object.freeze({
+    palette: Object.freeze([
+      "#000000",
+      "#555555",
+      "#888888",
+      "#aaaaaa",
+      "#cccccc",
+    ]),
+    background: "#ffffff",
+    fontFamily: "serif",
+    fontSize: "11px",
+    textColor: "#000000",
+    axisColor: "#000000",
+    gridColor: "#bbbbbb",
+    gridWidth: 0.5,
+    seriesOpacity: 1,
+    markerFill: "#ffffff",
+  }),
+});
+
+/**
+ * @description
+ * The CSS custom properties set on the svg container by each value of a theme.
+ * The colors of the palette are set as --chart-color-0, --chart-color-1, etc.
+ * @type {{[key: string]: string}}
+ */
+const THEME_PROPERTIES = {
+  background: "--chart-background",
+  fontFamily: "--chart-font-family",
+  fontSize: "--chart-font-size",
+  textColor: "--chart-text-color",
+  axisColor: "--chart-axis-color",
+  gridColor: "--chart-grid-color",
+  gridWidth: "--chart-grid-width",
+  seriesOpacity: "--chart-series-opacity",
+  markerFill: "--chart-marker-fill",
+};
+
+/**
+ * @description
+ * The prefix of the names of the CSS custom properties of the themes.
+ * @type {string}
+ */
+export const THEME_PROPERTY_PREFIX = "--chart-";
+
+/**
+ * @description
+ * The rules which style the elements of the charts with the CSS custom properties of their theme. They only
+ * apply to the svg containers with a theme, the inline styles set by the charts and by the users still win.
+ * @type {string}
+ */
+export const THEME_STYLESHEET = [
+  "svg[data-chart-theme] { background: var(--chart-background); }",
+  "svg[data-chart-theme] text { font-family: var(--chart-font-family); font-size: var(--chart-font-size); fill: var(--chart-text-color); }",
+  "svg[data-chart-theme] .axis path, svg[data-chart-theme] .axis line { stroke: var(--chart-axis-color); }",
+  "svg[data-chart-theme] .axis text { fill: var(--chart-axis-color); }",
+  "svg[data-chart-theme] .grid line { stroke: var(--chart-grid-color); stroke-width: var(--chart-grid-width); }",
+  "svg[data-chart-theme] .series, svg[data-chart-theme] .bars, svg[data-chart-theme] .main > .serie { opacity: var(--chart-series-opacity); }",
+].join("\n");
+
+/**
+ * @description
+ * Get the values of a theme from its name or from a custom theme. A custom theme is an object with the values to
+ * change of a built-in theme, the base theme is light unless its name is given in the base key.
+ * @param {string|object} theme The name of a built-in theme or a custom theme.
+ * @returns {object|undefined} The values of the theme, undefined when the theme is not valid.
+ * @example
+ * ```JavaScript
+ * resolveTheme({ base: "dark", palette: ["#ff0000", "#00ff00"] });
+ * ```
+ */
+export function resolveTheme(theme) {
+  if (typeof theme === "string") {
+    return Object.hasOwn(THEMES, theme) ? THEMES[theme] : undefined;
+  }
+  if (!theme || typeof theme !== "object") {
+    return undefined;
+  }
+  const { base = "light", ...values } = theme;
+  if (
+    !Object.hasOwn(THEMES, base) ||
+    (values.palette !== undefined &&
+      !(
+        Array.isArray(values.palette) &&
+        values.palette.length &&
+        values.palette.every((color) => typeof color === "string")
+      ))
+  ) {
+    return undefined;
+  }
+  return { ...THEMES[base], ...values };
+}
+
+/**
+ * @description
+ * Get the CSS custom properties of the values of a theme.
+ * @param {object} values The values of the theme, see `resolveTheme()`.
+ * @returns {[string, string][]} The names and values of the properties.
+ */
+export function themeProperties(values) {
+  return [
+    ...Object.entries(THEME_PROPERTIES)
+      .filter(([key]) => values[key] !== undefined)
+      .map(([key, property]) => [property, String(values[key])]),
+    ...values.palette.map((color, i) => [
+      `${THEME_PROPERTY_PREFIX}color-${i}`,
+      color,
+    ]),
+  ];
+}
@@ -0,0 +1,90 @@
+("use strict");
+
+/**
+ * @description
+ * The codes of the problems found in the configuration of a chart or in its JSON specification.
+ * @enum {string}
+ */
+export const ISSUE_CODES = Object.freeze({
+  /** A setter received a value that is not allowed, the value is ignored. */
+  INVALID_VALUE: "INVALID_VALUE",
+  /** A configuration required to draw the chart was never set. */
+  MISSING_CONFIGURATION: "MISSING_CONFIGURATION",
+  /** A configured serie is not a field of the dataset. */
+  UNKNOWN_FIELD: "UNKNOWN_FIELD",
+  /** A configured serie has a type that the chart cannot draw. */
+  INVALID_FIELD_TYPE: "INVALID_FIELD_TYPE",
+  /** A configured scale is not one of the D3 js scales of the library. */
+  UNKNOWN_SCALE: "UNKNOWN_SCALE",
+  /** The dataset has no rows, so nothing is drawn. */
+  EMPTY_DATASET: "EMPTY_DATASET",
+  /** The type of the JSON specification is not a chart of the library. */
+  UNKNOWN_CHART_TYPE: "UNKNOWN_CHART_TYPE",
+  /** The option of the JSON specification is not a setter of the chart. */
+  UNKNOWN_OPTION: "UNKNOWN_OPTION",
+  /** The layer of the JSON specification cannot be drawn by the chart. */
+  UNKNOWN_LAYER: "UNKNOWN_LAYER",
+  /** A setting of the chart is a function which cannot be written in the JSON specification, it is left out. */
+  UNSERIALIZABLE_VALUE: "UNSERIALIZABLE_VALUE",
+});
+
+/**
+ * @description
+ * The error thrown when a chart cannot be drawn with its configuration. It holds all the problems found, each one
+ * with its code, severity, the path of the setting and a message.
+ * @class
+ * @extends Error
+ */
+export class ChartValidationError extends Error {
+  /**
+   * @description
+   * The problems found in the configuration of the chart.
+   * @type {{code: string, severity: string, path: string, message: string}[]}
+   */
+  #issues;
+
+  /**
+   * @description
+   * Create a new instance of a ChartValidationError object.
+   * @constructor
+   * @param {{code: string, severity: string, path: string, message: string}[]} issues The problems found.
+   * @example
+   * ```JavaScript
+   * throw new ChartValidationError([
+   *    {
+   *      code: ISSUE_CODES.UNKNOWN_FIELD,
+   *      severity: "error",
+   *      path: "xConfiguration.serie",
+   *      message: "The field date is not in the dataset"
+   *    }
+   * ]);
+   * ```
+   */
+  constructor(issues) {
+    super(
+      issues
+        .map(({ code, path, message }) => `[${code}] ${path}: ${message}`)
+        .join("\n")
+    );
+    this.name = "ChartValidationError";
+    this.#issues = issues.map((issue) => ({ ...issue }));
+  }
+
+  /**
+   * @description
+   * Getter of the problems found in the configuration of the chart.
+   * @returns {{code: string, severity: string, path: string, message: string}[]}
+   */
+  get issues() {
+    return this.#issues;
+  }
+
+  /**
+   * @description
+   * Getter of the code of the first problem found.
+   * @returns {string}
+   */
+  get code() {
+    return this.#issues[0]?.code;
+  }
+}
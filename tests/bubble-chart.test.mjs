@@ -0,0 +1,166 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BubbleChart,
+  createChart as createChartFromSpec,
+} from "../src/index.mjs";
+import {
+  createChart,
+  createSvg,
+  findAll,
+  numericAttributes,
+  flowers,
+} from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = (configure = (chart) => chart) => {
+  const chart = configure(
+    createChart(BubbleChart, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .categoryConfiguration({ serie: "species", colors: ["red", "blue"] })
+      .radiusSerie("leaves")
+  );
+  chart.init();
+  return chart;
+};
+
+describe("BubbleChart", () => {
+  it("excludes the radius serie from the y series", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.ySeries, ["petal"]);
+    assert.deepEqual(chart.y.domain(), [0.95 * 3, 1.05 * 8]);
+  });
+
+  it("draws a bubble sized by the radius serie for each row", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const bubbles = findAll(chart, ".series g.petal circle.point");
+    assert.deepEqual(
+      numericAttributes(bubbles, "r"),
+      flowers.map((row) => row.leaves * 0.5)
+    );
+    assert.deepEqual(
+      numericAttributes(bubbles, "cy"),
+      flowers.map((row) => chart.y(row.petal))
+    );
+    assert.deepEqual(
+      bubbles.map((bubble) => bubble.getAttribute("class")),
+      flowers.map((row) => `petal ${row.species} point`)
+    );
+  });
+
+  it("multiplies the radius by the radius factor", () => {
+    const chart = drawChart((chart) => chart.radiusFactor(0.25));
+    chart.addAllSeries();
+    assert.deepEqual(
+      numericAttributes(findAll(chart, "circle.point"), "r"),
+      flowers.map((row) => row.leaves * 0.25)
+    );
+  });
+
+  it("sizes the area of the bubbles in the radius range", () => {
+    const chart = drawChart((chart) => chart.radiusRange([0, 30]));
+    chart.addAllSeries();
+    assert.deepEqual(chart.radiusScale.domain(), [0, 6]);
+    const radius = numericAttributes(findAll(chart, "circle.point"), "r");
+    // The biggest value has the maximum radius whatever the radius factor
+    assert.equal(Math.max(...radius), 30);
+    flowers.forEach((row, i) =>
+      assert.ok(Math.abs(radius[i] - 30 * Math.sqrt(row.leaves / 6)) < 1e-9)
+    );
+    chart.radiusRange(null);
+    assert.equal(chart.radiusRange(), undefined);
+  });
+
+  it("ignores the invalid radius ranges", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = drawChart((chart) => chart.radiusRange([2, 30]));
+    chart.radiusRange([30, 2]).radiusRange([-1, 5]).radiusRange(10);
+    assert.deepEqual(chart.radiusRange(), [2, 30]);
+    assert.equal(error.mock.callCount(), 3);
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] radiusRange:/
+    );
+  });
+
+  it("draws nested circles of representative values in the size legend", () => {
+    const chart = drawChart((chart) => chart.radiusRange([0, 30]));
+    chart.addAllSeries();
+    chart.addSizeLegend({ tickFormat: ".1f" });
+    const circles = findAll(chart, ".size-legend circle");
+    assert.deepEqual(
+      numericAttributes(circles, "r"),
+      [6, 4, 2].map((value) => chart.radiusScale(value))
+    );
+    // The circles share their bottom
+    circles.forEach((circle) =>
+      assert.equal(+circle.getAttribute("cy") + +circle.getAttribute("r"), 60)
+    );
+    assert.deepEqual(
+      findAll(chart, ".size-legend .legend-size text").map(
+        (text) => text.textContent
+      ),
+      ["6.0", "4.0", "2.0"]
+    );
+    assert.equal(
+      findAll(chart, ".size-legend .legend-title")[0].textContent,
+      "leaves"
+    );
+    chart.addSizeLegend({ values: [5, 1], title: "Leaves" });
+    assert.equal(findAll(chart, ".size-legend circle").length, 2);
+    assert.deepEqual(
+      findAll(chart, ".size-legend text").map((text) => text.textContent),
+      ["Leaves", "5", "1"]
+    );
+  });
+
+  it("places the size legend next to the color legend on the same side", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addLegend({ position: "right" });
+    const right = chart.margin().right;
+    chart.addSizeLegend({ position: "right" });
+    assert.ok(chart.margin().right > right);
+    const [legends, sizeLegend] = [".legends", ".size-legend"].map(
+      (selector) =>
+        +findAll(chart, selector)[0]
+          .getAttribute("transform")
+          .match(/-?[\d.]+/)[0]
+    );
+    assert.ok(sizeLegend < legends);
+    assert.ok(sizeLegend > chart.width() - chart.margin().right);
+  });
+
+  it("writes the radius range and the size legend in the JSON specification", () => {
+    const chart = createChartFromSpec(
+      {
+        type: "BubbleChart",
+        data: flowers,
+        encoding: {
+          x: { serie: "sepal", scale: "linear" },
+          y: { colorSeries: ["red", "blue"], scale: "linear" },
+          category: { serie: "species", colors: ["red", "blue"] },
+          size: { serie: "leaves", range: [1, 20] },
+        },
+        series: "all",
+        sizeLegend: { position: "bottom" },
+      },
+      { bindTo: createSvg(), headless: true }
+    );
+    assert.equal(
+      Math.max(...numericAttributes(findAll(chart, "circle.point"), "r")),
+      20
+    );
+    assert.ok(chart.margin().bottom > 0);
+    const spec = chart.toSpec();
+    assert.deepEqual(spec.encoding.size, {
+      serie: "leaves",
+      factor: 0.5,
+      range: [1, 20],
+    });
+    assert.deepEqual(spec.sizeLegend, { position: "bottom" });
+  });
+});
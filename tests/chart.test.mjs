@@ -0,0 +1,695 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BubbleChart,
+  DonutChart,
+  HBarChart,
+  MultiAreaChart,
+  MultiLineChart,
+  PieChart,
+  PolarChart,
+  RadarChart,
+  ScatterPlot,
+  ScatterPlotMarker,
+  SlopeChart,
+  VBarChart,
+} from "../src/index.mjs";
+import {
+  createChart,
+  createSvg,
+  dispatch,
+  findAll,
+  flowers,
+  measures,
+  numericAttributes,
+  sales,
+} from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(VBarChart, sales)
+    .xConfiguration({ serie: "month", scale: "band" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+  chart.init();
+  chart.addXAxis();
+  chart.addYAxis();
+  chart.addBars();
+  chart.addLabels();
+  return chart;
+};
+
+describe("Chart", () => {
+  it("throws an error when the svg element is not found", () => {
+    assert.throws(() => new PieChart({ bindTo: null, dataset: sales }));
+  });
+
+  it("draws the chart again with the new dataset without duplicating elements", () => {
+    const chart = drawChart();
+    chart.update([...sales, { month: "Apr", north: 5, south: 5 }]);
+    assert.equal(findAll(chart, "g.x.axis").length, 1);
+    assert.equal(findAll(chart, "g.bar-group").length, 4);
+    assert.equal(findAll(chart, "rect.bar").length, 8);
+    assert.equal(chart.grantTotal, 130);
+  });
+
+  it("exports the final markup of the chart", () => {
+    const chart = drawChart();
+    const markup = chart.toSVGString();
+    assert.match(markup, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(markup, /width="600" height="400"/);
+    assert.equal(markup.match(/<rect /g).length, 6);
+  });
+
+  it("exports the end of the animations without drawing the chart again", (t) => {
+    const chart = new VBarChart({ bindTo: createSvg(), dataset: sales })
+      .width(600)
+      .height(400)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.init();
+    chart.addBars();
+    const init = t.mock.method(chart, "init");
+    const markup = chart.toSVGString();
+    assert.equal(init.mock.callCount(), 0);
+    const bars = findAll(chart, "rect.bar");
+    assert.ok(bars.every((bar) => !bar.__transition));
+    assert.deepEqual(
+      numericAttributes(bars, "height").sort((a, b) => a - b),
+      [10, 15, 20, 20, 25, 30]
+        .map((value) => chart.y(0) - chart.y(value))
+        .sort((a, b) => a - b)
+    );
+    assert.ok(markup.includes(`height="${bars[0].getAttribute("height")}"`));
+    // The styles that the elements inherit are not repeated
+    assert.equal(markup.match(/visibility:/g).length, 1);
+  });
+
+  it("downloads the file from a link of the document and releases its URL later", async (t) => {
+    const chart = drawChart();
+    const { document, URL, HTMLAnchorElement } =
+      chart.svg.node().ownerDocument.defaultView;
+    const revoked = [];
+    URL.createObjectURL = () => "blob:chart";
+    URL.revokeObjectURL = (url) => revoked.push(url);
+    t.after(() => {
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+    const clicks = [];
+    t.mock.method(HTMLAnchorElement.prototype, "click", function () {
+      clicks.push([this.download, this.isConnected]);
+    });
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    await chart.download("sales");
+    assert.deepEqual(clicks, [["sales.svg", true]]);
+    assert.equal(document.querySelectorAll("a").length, 0);
+    assert.deepEqual(revoked, []);
+    t.mock.timers.runAll();
+    assert.deepEqual(revoked, ["blob:chart"]);
+  });
+
+  it("removes the elements of the chart when it is destroyed", () => {
+    const chart = drawChart();
+    chart.destroy();
+    assert.equal(chart.svg.node().children.length, 0);
+  });
+});
+
+const bars = (chart) =>
+  chart
+    .xConfiguration({ serie: "month", scale: "band" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+const lines = (chart) =>
+  chart
+    .xConfiguration({ serie: "day", scale: "linear" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+const pies = (chart) =>
+  chart
+    .xSerie("month")
+    .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+const scatters = (chart) =>
+  chart
+    .xConfiguration({ serie: "sepal", scale: "linear" })
+    .categoryConfiguration({ serie: "species", colors: ["red", "blue"] });
+
+/**
+ * @description
+ * The charts of every type drawn with their marks: the class, the dataset, the configuration and the layers.
+ * @type {[Function, object[], callback, callback][]}
+ */
+const charts = [
+  [VBarChart, sales, bars, (c) => c.addBars()],
+  [HBarChart, sales, bars, (c) => c.addBars()],
+  [MultiLineChart, measures, lines, (c) => (c.addAllSeries(), c.addPoints())],
+  [MultiAreaChart, measures, lines, (c) => (c.addAllSeries(), c.addPoints())],
+  [
+    SlopeChart,
+    sales,
+    (c) =>
+      c
+        .xConfiguration({ serie: "month", scale: "point" })
+        .yConfiguration({ colorSeries: ["red", "blue", "green"] }),
+    (c) => (c.addAllSeries(), c.addPoints()),
+  ],
+  [PieChart, sales, pies, (c) => c.addSerie("north")],
+  [DonutChart, sales, pies, (c) => c.addAllSeries()],
+  [PolarChart, sales, pies, (c) => c.addSeries("north")],
+  [RadarChart, sales, pies, (c) => (c.addAllSeries(), c.addPoints())],
+  [ScatterPlot, flowers, scatters, (c) => c.addAllSeries()],
+  [
+    BubbleChart,
+    flowers,
+    (c) => scatters(c).radiusSerie("leaves"),
+    (c) => c.addAllSeries(),
+  ],
+  [
+    ScatterPlotMarker,
+    flowers,
+    (c) => scatters(c).markersConfig({ setosa: "star", virginica: "circle" }),
+    (c) => c.addAllSeries(),
+  ],
+];
+
+const drawMarks = ([ChartClass, dataset, configure, draw]) => {
+  const chart = configure(createChart(ChartClass, dataset));
+  chart.init();
+  draw(chart);
+  return chart;
+};
+
+const marksOf = (chart) =>
+  findAll(chart, "circle.point, rect.bar, path.slice, path.icon");
+
+describe("Chart accessibility", () => {
+  it("describes the chart with a title and a summary of the data", () => {
+    const chart = drawChart();
+    const svg = chart.svg.node();
+    assert.equal(svg.getAttribute("role"), "graphics-document");
+    assert.equal(svg.firstElementChild.tagName, "title");
+    assert.equal(svg.firstElementChild.textContent, "Vertical bar chart");
+    assert.equal(
+      svg.querySelector(":scope > desc").textContent,
+      "Vertical bar chart of 3 rows: north from 10 to 30, south from 15 to 25."
+    );
+    chart.addTitle({ title: "Sales", widthOffset: 0.5, heightOffset: 0.05 });
+    assert.equal(findAll(chart, ":scope > title").length, 1);
+    assert.equal(svg.firstElementChild.textContent, "Sales");
+    // Without marks to focus the chart is a single image
+    const axes = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    axes.init();
+    axes.addXAxis();
+    assert.equal(axes.svg.attr("role"), "img");
+  });
+
+  it("names the groups and the marks of every type of chart", () => {
+    for (const config of charts) {
+      const chart = drawMarks(config);
+      const marks = marksOf(chart);
+      const name = config[0].type;
+      assert.ok(marks.length, name);
+      assert.ok(
+        marks.every((mark) => mark.getAttribute("aria-label")),
+        name
+      );
+      assert.ok(
+        findAll(chart, "[role=group]").every((group) =>
+          group.getAttribute("aria-label")
+        ),
+        name
+      );
+      assert.equal(
+        marks.filter((mark) => mark.getAttribute("tabindex") === "0").length,
+        1,
+        name
+      );
+    }
+    const [bar] = marksOf(drawMarks(charts[0]));
+    assert.equal(bar.getAttribute("aria-label"), "north, Feb: 30");
+    const [slice] = marksOf(drawMarks(charts[5]));
+    assert.equal(slice.getAttribute("aria-label"), "north, Feb: 30");
+  });
+
+  it("moves the focus between the marks with the arrow keys", () => {
+    const chart = drawMarks(charts[2]);
+    const svg = chart.svg.node();
+    const { body, defaultView } = svg.ownerDocument;
+    body.append(svg);
+    const focused = [];
+    chart.on("focus", ({ serie, x }) => focused.push(`${serie} ${x}`));
+    const press = (key) =>
+      svg.ownerDocument.activeElement.dispatchEvent(
+        new defaultView.KeyboardEvent("keydown", { key, bubbles: true })
+      );
+    const [first] = marksOf(chart);
+    first.focus();
+    press("ArrowRight");
+    press("ArrowDown");
+    press("ArrowLeft");
+    press("End");
+    assert.deepEqual(focused, [
+      "indoor 1",
+      "indoor 2",
+      "outdoor 2",
+      "outdoor 1",
+      "outdoor 4",
+    ]);
+    const active = svg.ownerDocument.activeElement;
+    assert.equal(active.getAttribute("tabindex"), "0");
+    assert.equal(
+      marksOf(chart).filter((mark) => mark.getAttribute("tabindex") === "0")
+        .length,
+      1
+    );
+    svg.remove();
+  });
+});
+
+const cells = (table) =>
+  [...table.rows].map((row) => [...row.cells].map((cell) => cell.textContent));
+
+describe("Chart data table", () => {
+  it("adds a table with the data next to the svg container", () => {
+    const chart = drawChart();
+    const svg = chart.svg.node();
+    svg.ownerDocument.body.append(svg);
+    chart.addDataTable();
+    const table = chart.dataTable;
+    assert.equal(svg.nextElementSibling, table);
+    assert.equal(table.caption.textContent, "Vertical bar chart");
+    assert.deepEqual(cells(table), [
+      ["month", "north", "south"],
+      ["Feb", "30.0", "15.0"],
+      ["Mar", "20.0", "25.0"],
+      ["Jan", "10.0", "20.0"],
+    ]);
+    assert.equal(table.querySelector("tbody th").getAttribute("scope"), "row");
+    svg.remove();
+    table.remove();
+  });
+
+  it("hides the table from the screen unless it is visible", () => {
+    const chart = drawChart();
+    chart.addDataTable();
+    assert.equal(chart.dataTable.style.position, "absolute");
+    chart.addDataTable({ visible: true });
+    assert.equal(chart.dataTable.style.position, "");
+    assert.equal(chart.dataTable.getAttribute("style") ?? "", "");
+  });
+
+  it("updates the table with the dataset and removes it with the chart", () => {
+    const chart = drawChart();
+    chart.addDataTable();
+    chart.update([...sales, { month: "Apr", north: 5, south: 5 }]);
+    assert.equal(chart.dataTable.tBodies[0].rows.length, 4);
+    const table = chart.dataTable;
+    const container = chart.svg.node().ownerDocument.createElement("div");
+    container.append(chart.svg.node(), table);
+    chart.destroy();
+    assert.equal(chart.dataTable, undefined);
+    assert.equal(container.children.length, 1);
+  });
+});
+
+const drawLegend = (chart) => {
+  chart.init();
+  chart.addLegend({
+    widthOffset: 0.8,
+    heightOffset: 0.1,
+    size: 5,
+    spacing: 5,
+    interactive: true,
+  });
+  return chart;
+};
+
+const legendEntry = (chart, name) =>
+  findAll(chart, "text.legend-name").find((text) => text.textContent === name);
+
+// A fake ResizeObserver in the window of the svg, which records the observers to call them by hand
+const stubResizeObserver = (t, svg) => {
+  const view = svg.ownerDocument.defaultView;
+  const observers = [];
+  view.ResizeObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+      this.observed = [];
+      this.connected = true;
+      observers.push(this);
+    }
+
+    observe(node) {
+      this.observed.push(node);
+    }
+
+    disconnect() {
+      this.connected = false;
+    }
+  };
+  t.after(() => delete view.ResizeObserver);
+  return observers;
+};
+
+describe("Chart responsive mode", () => {
+  const drawBars = (t) => {
+    const chart = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.init();
+    chart.addBars();
+    t.mock.method(chart.svg.node(), "getBoundingClientRect", () => ({
+      width: 800,
+      height: 300,
+    }));
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    return chart;
+  };
+
+  it("draws the chart again with the size of the container after a resize", (t) => {
+    const chart = drawBars(t);
+    const observers = stubResizeObserver(t, chart.svg.node());
+    chart.responsive(true, { debounce: 50 });
+    const [observer] = observers;
+    assert.equal(chart.responsive(), true);
+    assert.deepEqual(observer.observed, [chart.svg.node()]);
+    observer.callback();
+    t.mock.timers.tick(30);
+    // A new resize waits again for the debounce
+    observer.callback();
+    t.mock.timers.tick(30);
+    assert.equal(chart.width(), 600);
+    t.mock.timers.tick(20);
+    assert.equal(chart.width(), 800);
+    assert.equal(chart.height(), 300);
+    assert.deepEqual(chart.x.range(), [0, 800]);
+    const widths = numericAttributes(findAll(chart, "rect.bar"), "width");
+    assert.ok(widths.every((width) => width > 0));
+  });
+
+  it("stops observing the container when it is disabled or destroyed", (t) => {
+    const chart = drawBars(t);
+    const observers = stubResizeObserver(t, chart.svg.node());
+    chart.responsive(true);
+    observers[0].callback();
+    chart.responsive(false);
+    t.mock.timers.tick(1000);
+    assert.equal(chart.responsive(), false);
+    assert.equal(observers[0].connected, false);
+    assert.equal(chart.width(), 600);
+    chart.responsive(true).destroy();
+    assert.equal(observers[1].connected, false);
+    assert.equal(chart.responsive(), false);
+  });
+
+  it("needs the ResizeObserver API and a valid debounce", (t) => {
+    const chart = drawBars(t);
+    const error = t.mock.method(console, "error", () => {});
+    chart.responsive(true);
+    assert.equal(chart.responsive(), false);
+    assert.match(error.mock.calls[0].arguments[0], /ResizeObserver/);
+    stubResizeObserver(t, chart.svg.node());
+    chart.responsive(true, { debounce: -1 });
+    assert.equal(chart.responsive(), false);
+    assert.match(
+      error.mock.calls[1].arguments[0],
+      /^\[INVALID_VALUE\] responsive.debounce:/
+    );
+  });
+});
+
+describe("Chart events", () => {
+  it("gives the datum and the row of the mark to the listeners", () => {
+    const chart = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.init();
+    chart.addBars();
+    const events = [];
+    const listener = (type) => (datum, event) =>
+      events.push({ type, datum, event });
+    ["click", "select", "pointerenter", "pointerleave"].forEach((type) =>
+      chart.on(type, listener(type))
+    );
+    // The bars are sorted by their total, the first one is the north sales of February
+    const [bar] = findAll(chart, "rect.bar");
+    const svg = chart.svg.node();
+    dispatch(bar, "click");
+    dispatch(bar, "pointerover", { relatedTarget: svg });
+    // Moving inside the mark does not enter it again
+    dispatch(bar, "pointerover", { relatedTarget: bar });
+    dispatch(bar, "pointerout", { relatedTarget: svg });
+    assert.deepEqual(
+      events.map(({ type, event }) => [type, event.type]),
+      [
+        ["click", "click"],
+        ["select", "click"],
+        ["pointerenter", "pointerover"],
+        ["pointerleave", "pointerout"],
+      ]
+    );
+    for (const { datum } of events) {
+      const { chart: target, serie, x, y, row } = datum;
+      assert.equal(target, chart);
+      assert.deepEqual([serie, x, y], ["north", "Feb", 30]);
+      assert.deepEqual(row, { month: "Feb", north: 30, south: 15 });
+    }
+    // Out of the marks nothing is dispatched
+    dispatch(svg, "click");
+    assert.equal(events.length, 4);
+  });
+});
+
+describe("Chart legends", () => {
+  it("toggles a serie with a click or the keyboard on the legend", () => {
+    const chart = drawLegend(
+      createChart(VBarChart, sales)
+        .xConfiguration({ serie: "month", scale: "band" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    );
+    chart.addBars();
+    const toggled = [];
+    chart.on("toggle", ({ serie, hiddenSeries }) =>
+      toggled.push([serie, hiddenSeries])
+    );
+    const entry = legendEntry(chart, "north");
+    assert.equal(entry.getAttribute("role"), "button");
+    assert.equal(entry.getAttribute("aria-pressed"), "true");
+    dispatch(entry, "click");
+    assert.deepEqual(chart.hiddenSeries(), ["north"]);
+    assert.deepEqual(chart.seriesShown, ["south"]);
+    assert.equal(findAll(chart, "rect.bar").length, 3);
+    const hidden = legendEntry(chart, "north");
+    assert.equal(hidden.getAttribute("aria-pressed"), "false");
+    assert.equal(hidden.style.opacity, "0.35");
+    dispatch(hidden, "keydown", { key: "Enter" });
+    assert.deepEqual(chart.hiddenSeries(), []);
+    assert.equal(findAll(chart, "rect.bar").length, 6);
+    assert.deepEqual(toggled, [
+      ["north", ["north"]],
+      ["north", []],
+    ]);
+  });
+
+  it("isolates a serie with a double click and shows all of them again", () => {
+    const chart = drawLegend(
+      createChart(MultiLineChart, measures)
+        .xConfiguration({ serie: "day", scale: "linear" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    );
+    chart.addAllSeries();
+    chart.isolateSerie("indoor");
+    assert.deepEqual(chart.hiddenSeries(), ["outdoor"]);
+    assert.equal(findAll(chart, "path.serie, .serie path").length, 1);
+    dispatch(legendEntry(chart, "indoor"), "dblclick");
+    assert.deepEqual(chart.hiddenSeries(), []);
+    dispatch(legendEntry(chart, "outdoor"), "keydown", {
+      key: " ",
+      shiftKey: true,
+    });
+    assert.deepEqual(chart.hiddenSeries(), ["indoor"]);
+  });
+
+  it("only isolates a serie with a double click of a pointer", (t) => {
+    const chart = drawLegend(
+      createChart(VBarChart, sales)
+        .xConfiguration({ serie: "month", scale: "band" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    );
+    chart.addBars();
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const toggled = [];
+    chart.on("toggle", ({ hiddenSeries }) => toggled.push(hiddenSeries));
+    dispatch(legendEntry(chart, "north"), "click", { detail: 1 });
+    dispatch(legendEntry(chart, "north"), "click", { detail: 2 });
+    dispatch(legendEntry(chart, "north"), "dblclick", { detail: 2 });
+    t.mock.timers.tick(1000);
+    assert.deepEqual(toggled, [["south"]]);
+    dispatch(legendEntry(chart, "south"), "click", { detail: 1 });
+    assert.deepEqual(chart.hiddenSeries(), ["south"]);
+    t.mock.timers.tick(1000);
+    assert.deepEqual(chart.hiddenSeries(), []);
+  });
+
+  it("fits the scale to the visible series when they are rescaled", () => {
+    const chart = drawLegend(
+      createChart(MultiLineChart, measures)
+        .xConfiguration({ serie: "day", scale: "linear" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    );
+    chart.addAllSeries();
+    const [, max] = chart.y.domain();
+    chart.toggleSerie("indoor");
+    assert.equal(chart.y.domain()[1], max);
+    chart.rescaleVisible(true).render();
+    assert.ok(chart.y.domain()[1] < max);
+    chart.toggleSerie("indoor", true);
+    assert.equal(chart.y.domain()[1], max);
+  });
+
+  it("recomputes the slices of the visible categories of a pie", () => {
+    const chart = createChart(PieChart, sales)
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+    drawLegend(chart).addSerie("north");
+    chart.toggleSerie("Feb");
+    const slices = findAll(chart, "g.north.serie path.slice");
+    assert.deepEqual(slices.map((slice) => slice.__data__.data.x).sort(), [
+      "Jan",
+      "Mar",
+    ]);
+    const [jan, mar] = slices.map(
+      ({ __data__: { startAngle, endAngle } }) => endAngle - startAngle
+    );
+    assert.ok(Math.abs(jan + mar - 2 * Math.PI) < 1e-9);
+  });
+
+  it("ignores the hidden series which are not an array of names", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = createChart(VBarChart, sales).hiddenSeries("north");
+    assert.deepEqual(chart.hiddenSeries(), []);
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] hiddenSeries:/
+    );
+  });
+});
+
+describe("Chart series", () => {
+  // The rows have an identifier which is numerical but not a serie
+  const rows = sales.map((row, i) => ({ id: i + 1, ...row }));
+
+  it("draws only the selected fields in their order", () => {
+    const chart = createChart(MultiLineChart, rows)
+      .xConfiguration({ serie: "month", scale: "point" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.init();
+    assert.deepEqual(chart.ySeries, ["id", "north", "south"]);
+    chart.series(["south", "north"]).init();
+    chart.addAllSeries();
+    assert.deepEqual(chart.ySeries, ["south", "north"]);
+    assert.deepEqual(chart.colorScale.domain(), ["south", "north"]);
+    assert.deepEqual(
+      findAll(chart, ".series > g").map((group) => group.getAttribute("class")),
+      ["south", "north"]
+    );
+    chart.series(null).init();
+    assert.deepEqual(chart.ySeries, ["id", "north", "south"]);
+  });
+
+  it("renames and computes the series from the rows", () => {
+    const chart = createChart(VBarChart, rows)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .series({ North: "north", Total: (d) => d.north + d.south });
+    chart.init();
+    chart.addBars();
+    assert.deepEqual(chart.ySeries, ["North", "Total"]);
+    assert.equal(chart.fieldsTypes.get("Total"), "quantitative");
+    assert.ok(chart.y.domain()[1] >= 45);
+    assert.equal(findAll(chart, "rect.bar").length, 6);
+    const svg = chart.svg.node();
+    svg.ownerDocument.body.append(svg);
+    chart.addDataTable();
+    assert.deepEqual(cells(chart.dataTable)[0], ["month", "North", "Total"]);
+    svg.remove();
+    chart.dataTable.remove();
+    // The listeners receive the rows of the dataset given
+    const [datum] = chart.dataset[0].values;
+    assert.deepEqual(
+      chart._sourceRow(datum.row),
+      rows.find(({ month }) => month === datum.x)
+    );
+  });
+
+  it("gets the series of each row with a function", (t) => {
+    const chart = createChart(PieChart, rows)
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue", "green"] })
+      .series((d) => ({ Share: d.north / (d.north + d.south) }));
+    chart.init();
+    chart.addSerie("Share");
+    assert.deepEqual(chart.ySeries, ["Share"]);
+    assert.equal(findAll(chart, "path.slice").length, 3);
+    const error = t.mock.method(console, "error", () => {});
+    chart.series([1, 2]);
+    assert.equal(typeof chart.series(), "function");
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] series:/
+    );
+  });
+});
+
+describe("Chart schema", () => {
+  it("infers the types from all the rows when the first one has missing values", () => {
+    const chart = createChart(MultiLineChart, [
+      { day: null, city: null, temperature: null },
+      { day: "2024-01-05", city: "Paris", temperature: "12.5" },
+      { day: "2024-01-06", city: "Lyon", temperature: " 8" },
+    ]);
+    assert.deepEqual(Object.fromEntries(chart.fieldsTypes), {
+      day: "temporal",
+      city: "categorical",
+      temperature: "quantitative",
+    });
+    assert.deepEqual(
+      chart.dataset.map(({ temperature }) => temperature),
+      [null, 12.5, 8]
+    );
+    assert.deepEqual(
+      chart.dataset.map(({ city }) => city),
+      [null, "Paris", "Lyon"]
+    );
+  });
+
+  it("parses the ISO dates without time as local dates", (t) => {
+    // A time zone behind UTC, where the UTC midnight is still the previous day
+    const { TZ } = process.env;
+    process.env.TZ = "America/Mexico_City";
+    t.after(() => {
+      if (TZ === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = TZ;
+      }
+    });
+    const chart = createChart(MultiLineChart, [
+      { day: "2024-01-05", temperature: 1 },
+      { day: "2024-01-06T10:30:00Z", temperature: 2 },
+      { day: "2024-01-07 08:00", temperature: 3 },
+    ]);
+    assert.equal(chart.fieldsTypes.get("day"), "temporal");
+    const [date, dateTime, localDateTime] = chart.dataset.map(({ day }) => day);
+    assert.deepEqual(
+      [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()],
+      [2024, 0, 5, 0]
+    );
+    assert.equal(dateTime.getTime(), Date.UTC(2024, 0, 6, 10, 30));
+    assert.deepEqual(
+      [localDateTime.getDate(), localDateTime.getHours()],
+      [7, 8]
+    );
+  });
+});
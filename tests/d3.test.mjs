@@ -0,0 +1,136 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { select } from "d3";
+import { finishTransitions } from "../src/d3.mjs";
+import { createSvg } from "./helpers.mjs";
+
+("use strict");
+
+const dataUrl = (code) => `data:text/javascript,${encodeURIComponent(code)}`;
+
+// The d3 packages cannot be resolved from the library, as in a browser without an import map
+const resolveWithoutD3 = dataUrl(`
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("d3-") && context.parentURL?.endsWith("/src/d3.mjs")) {
+    throw new Error(\`Cannot find package \${specifier}\`);
+  }
+  return nextResolve(specifier, context);
+}`);
+
+const withoutD3 = dataUrl(`
+import { register } from "node:module";
+register(${JSON.stringify(resolveWithoutD3)});`);
+
+const library = new URL("../src/index.mjs", import.meta.url).href;
+const d3Module = new URL("../src/d3.mjs", import.meta.url).href;
+
+/**
+ * @description
+ * Run the script in a new Node process where the library cannot import the d3 packages.
+ * @param {string} script The body of an ES module, which prints the results in JSON.
+ * @returns {object} The results printed by the script.
+ */
+const runWithoutD3 = (script) => {
+  const output = execFileSync(
+    process.execPath,
+    ["--import", withoutD3, "--input-type=module", "-e", script],
+    { cwd: fileURLToPath(new URL(".", import.meta.url)), encoding: "utf8" }
+  );
+  return JSON.parse(output.trim().split("\n").at(-1));
+};
+
+const DRAW_PIE = `
+const { JSDOM } = await import("jsdom");
+const { document } = new JSDOM("<svg></svg>").window;
+const chart = new PieChart({
+  bindTo: document.querySelector("svg"),
+  dataset: [{ month: "2024-01-01", north: 10 }, { month: "2024-02-01", north: 30 }],
+})
+  .headless(true)
+  .xSerie("month")
+  .yConfiguration({ colorSeries: ["red", "blue"] });
+chart.init();
+chart.addSerie("north");
+const slices = document.querySelectorAll("path.slice").length;
+`;
+
+describe("D3 js instance", () => {
+  it("imports the library without D3 js and draws after useD3()", () => {
+    const results = runWithoutD3(`
+const { PieChart, useD3 } = await import(${JSON.stringify(library)});
+const { hasD3 } = await import(${JSON.stringify(d3Module)});
+const before = hasD3();
+let notFound;
+try {
+  new PieChart({ bindTo: "svg", dataset: [] });
+} catch (error) {
+  notFound = error.message;
+}
+let missing;
+try {
+  useD3({ select() {}, format() {} });
+} catch (error) {
+  missing = error.message;
+}
+useD3(await import("d3"));
+${DRAW_PIE}
+console.log(JSON.stringify({ before, notFound, missing, after: hasD3(), slices }));
+`);
+    assert.equal(results.before, false);
+    assert.match(results.notFound, /^D3 js was not found/);
+    assert.match(
+      results.missing,
+      /^The D3 js instance does not have the functions: dispatch, extent, .*, arc$/
+    );
+    assert.doesNotMatch(results.missing, /\bselect\b|\bformat\b/);
+    assert.equal(results.after, true);
+    assert.equal(results.slices, 2);
+  });
+
+  it("uses the global d3 object when the packages cannot be imported", () => {
+    const results = runWithoutD3(`
+globalThis.d3 = await import("d3");
+const { PieChart } = await import(${JSON.stringify(library)});
+const { hasD3 } = await import(${JSON.stringify(d3Module)});
+${DRAW_PIE}
+console.log(JSON.stringify({ found: hasD3(), slices }));
+`);
+    assert.deepEqual(results, { found: true, slices: 2 });
+  });
+
+  it("jumps the transitions to their end, and the next ones of their chains", () => {
+    const svg = createSvg();
+    const rect = select(svg).append("rect").attr("x", 0);
+    rect
+      .transition()
+      .duration(1000)
+      .attr("x", 10)
+      .transition()
+      .duration(1000)
+      .attr("x", 20);
+    select(svg).append("circle").transition().duration(1000).remove();
+    finishTransitions(svg);
+    assert.equal(rect.attr("x"), "20");
+    assert.equal(svg.querySelector("circle"), null);
+    assert.equal(rect.node().__transition, undefined);
+  });
+
+  it("interrupts the transitions whose timers are not the ones expected", () => {
+    const svg = createSvg();
+    const rect = select(svg).append("rect").attr("x", 0);
+    rect.transition().duration(1000).attr("x", 10);
+    // As if the timers of d3-timer kept their callback with another name
+    for (const schedule of Object.values(rect.node().__transition)) {
+      const { timer } = schedule;
+      schedule.timer = {
+        restart: (...args) => timer.restart(...args),
+        stop: () => timer.stop(),
+      };
+    }
+    finishTransitions(svg);
+    assert.equal(rect.attr("x"), "0");
+    assert.equal(rect.node().__transition, undefined);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DonutChart } from "../src/index.mjs";
+import { createChart, findAll, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(DonutChart, sales)
+    .xSerie("month")
+    .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+  chart.init();
+  return chart;
+};
+
+/**
+ * @description
+ * Get the radii of the outer and inner arcs of the path of a slice.
+ * @param {SVGPathElement} slice The path of the slice.
+ * @returns {number[]}
+ */
+const arcRadii = (slice) =>
+  [...slice.getAttribute("d").matchAll(/A ([\d.]+) /g)].map(([, r]) =>
+    Math.round(r)
+  );
+
+describe("DonutChart", () => {
+  it("draws a ring for each serie", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    assert.deepEqual(
+      findAll(chart, "g.main > g.serie").map((ring) =>
+        ring.getAttribute("class")
+      ),
+      ["north serie", "south serie"]
+    );
+    // The rings are separated by the donut spacing of 20% of the radius
+    assert.equal(chart.donutSpacing(), 0.2);
+    assert.deepEqual(
+      arcRadii(findAll(chart, "g.north path.slice")[0]),
+      [80, 40]
+    );
+    assert.deepEqual(
+      arcRadii(findAll(chart, "g.south path.slice")[0]),
+      [160, 120]
+    );
+  });
+
+  it("draws a slice for each row in each ring", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    assert.deepEqual(
+      findAll(chart, "g.south path.slice").map((slice) =>
+        slice.getAttribute("class")
+      ),
+      ["mar slice", "jan slice", "feb slice"]
+    );
+    assert.equal(findAll(chart, "path.slice").length, 6);
+  });
+
+  it("labels each slice with its category and value", () => {
+    const chart = drawChart();
+    chart.addSerie("north");
+    chart.addLabels();
+    assert.deepEqual(
+      findAll(chart, "text.label").map((label) => label.textContent),
+      ["Feb: 30.0", "Mar: 20.0", "Jan: 10.0"]
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { JSDOM } from "jsdom";
+
+("use strict");
+
+/**
+ * @description
+ * The namespace of the svg elements.
+ * @type {string}
+ */
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * @description
+ * The DOM where the svg elements of the tests are created.
+ * @type {Document}
+ */
+const { document } = new JSDOM("<!DOCTYPE html><body></body>").window;
+
+/**
+ * @description
+ * Monthly sales of two regions. The x serie is categorical.
+ * @type {object[]}
+ */
+export const sales = [
+  { month: "Jan", north: 10, south: 20 },
+  { month: "Feb", north: 30, south: 15 },
+  { month: "Mar", north: 20, south: 25 },
+];
+
+/**
+ * @description
+ * Daily measures of two sensors. The x serie is numerical.
+ * @type {object[]}
+ */
+export const measures = [
+  { day: 1, indoor: 21, outdoor: 12 },
+  { day: 2, indoor: 23, outdoor: 8 },
+  { day: 3, indoor: 22, outdoor: 15 },
+  { day: 4, indoor: 25, outdoor: 10 },
+];
+
+/**
+ * @description
+ * Sizes of flowers of two species. Each species follows a straight line.
+ * @type {object[]}
+ */
+export const flowers = [
+  { sepal: 1, petal: 3, leaves: 2, species: "setosa" },
+  { sepal: 2, petal: 5, leaves: 4, species: "setosa" },
+  { sepal: 3, petal: 7, leaves: 6, species: "setosa" },
+  { sepal: 2, petal: 8, leaves: 1, species: "virginica" },
+  { sepal: 4, petal: 4, leaves: 3, species: "virginica" },
+];
+
+/**
+ * @description
+ * Create a detached svg element to draw a chart.
+ * @returns {SVGSVGElement}
+ */
+export function createSvg() {
+  return document.createElementNS(SVG_NAMESPACE, "svg");
+}
+
+/**
+ * @description
+ * Create a new instance of a chart in a detached svg element, without animations.
+ * The dataset is copied, so that the fixtures are not modified by the chart.
+ * @param {Chart} ChartClass The class of the chart to create.
+ * @param {object[]} dataset The dataset to create the chart.
+ * @returns {Chart}
+ * @example
+ * ```JavaScript
+ * const chart = createChart(PieChart, sales).xSerie("month");
+ * ```
+ */
+export function createChart(ChartClass, dataset) {
+  const svg = createSvg();
+  return new ChartClass({ bindTo: svg, dataset: structuredClone(dataset) })
+    .headless(true)
+    .width(600)
+    .height(400);
+}
+
+/**
+ * @description
+ * Get the elements of the chart that match the css selector.
+ * @param {Chart} chart The chart where the elements are searched.
+ * @param {string} selector The css selector of the elements.
+ * @returns {Element[]}
+ */
+export function findAll(chart, selector) {
+  return [...chart.svg.node().querySelectorAll(selector)];
+}
+
+/**
+ * @description
+ * Get the numerical value of an attribute of each element.
+ * @param {Element[]} elements The elements to read.
+ * @param {string} name The name of the attribute.
+ * @returns {number[]}
+ */
+export function numericAttributes(elements, name) {
+  return elements.map((element) => +element.getAttribute(name));
+}
+
+/**
+ * @description
+ * Dispatch an event which bubbles from an element, as a keyboard event for the keydown type and as a mouse event
+ * for the rest.
+ * @param {Element} element The target of the event.
+ * @param {string} type The type of the event.
+ * @param {object} [init={}] The properties of the event, like the key or the coordinates of the pointer.
+ * @returns {void}
+ * @example
+ * ```JavaScript
+ * dispatch(bar, "pointermove", { clientX: 50, clientY: 60 });
+ * ```
+ */
+export function dispatch(element, type, init = {}) {
+  const { defaultView } = element.ownerDocument;
+  const Event = type === "keydown" ? "KeyboardEvent" : "MouseEvent";
+  element.dispatchEvent(
+    new defaultView[Event](type, { bubbles: true, ...init })
+  );
+}
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HBarChart } from "../src/index.mjs";
+import { createChart, findAll, numericAttributes, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = (configure = (chart) => chart) => {
+  const chart = configure(
+    createChart(HBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+  );
+  chart.init();
+  return chart;
+};
+
+describe("HBarChart", () => {
+  it("computes the grant total of the numerical series", () => {
+    assert.equal(drawChart().grantTotal, 120);
+  });
+
+  it("places the categories vertically and the values horizontally", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.x.domain(), ["Feb", "Mar", "Jan"]);
+    assert.deepEqual(chart.x.range(), [0, 400]);
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 45]);
+    assert.deepEqual(chart.y.range(), [0, 600]);
+  });
+
+  it("stacks the bars of the series from left to right", () => {
+    const chart = drawChart();
+    chart.addBars();
+    assert.deepEqual(
+      findAll(chart, ".bars g.bar-group").map((group) =>
+        group.getAttribute("class")
+      ),
+      ["feb bar-group", "mar bar-group", "jan bar-group"]
+    );
+    const bars = findAll(chart, ".bars g.feb rect.bar");
+    assert.deepEqual(numericAttributes(bars, "x"), [0, chart.y(30)]);
+    assert.deepEqual(numericAttributes(bars, "width"), [
+      chart.y(30),
+      chart.y(15),
+    ]);
+    assert.deepEqual(numericAttributes(bars, "height"), [
+      chart.x.bandwidth(),
+      chart.x.bandwidth(),
+    ]);
+  });
+
+  it("places the grouped bars one above the other", () => {
+    const chart = drawChart((chart) => chart.isStacked(false));
+    chart.addBars();
+    const bars = findAll(chart, ".bars g.feb rect.bar");
+    assert.deepEqual(numericAttributes(bars, "y"), [
+      0,
+      chart.x.bandwidth() / 2,
+    ]);
+  });
+
+  it("labels the bars with their values", () => {
+    const chart = drawChart();
+    chart.addBars();
+    chart.addLabels();
+    assert.deepEqual(
+      findAll(chart, ".bars g.jan text.text-label").map(
+        (label) => label.textContent
+      ),
+      ["20.0", "10.0"]
+    );
+  });
+});
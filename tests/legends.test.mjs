@@ -0,0 +1,250 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BubbleChart,
+  createChart as createChartFromSpec,
+  PieChart,
+  ScatterPlot,
+  VBarChart,
+} from "../src/index.mjs";
+import { layoutLegend } from "../src/legends.mjs";
+import { createChart, createSvg, findAll, flowers, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawBars = (legend) => {
+  const chart = createChart(VBarChart, sales)
+    .xConfiguration({ serie: "month", scale: "band" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    .margin({ top: 10, right: 20, bottom: 30, left: 40 });
+  chart.init();
+  chart.addXAxis();
+  chart.addBars();
+  chart.addLegend(legend);
+  return chart;
+};
+
+const translation = (chart) =>
+  chart.svg
+    .select(".legends")
+    .attr("transform")
+    .match(/-?[\d.]+/g)
+    .map(Number);
+
+describe("Chart legends layout", () => {
+  it("wraps the entries in rows or columns when they exceed the room", () => {
+    const config = { size: 5, spacing: 5 };
+    const rows = layoutLegend([30, 30, 30], {
+      ...config,
+      orientation: "horizontal",
+      maxWidth: 100,
+    });
+    assert.deepEqual(rows.positions, [
+      { x: 0, y: 0 },
+      { x: 50, y: 0 },
+      { x: 0, y: 10 },
+    ]);
+    assert.deepEqual([rows.width, rows.height], [90, 20]);
+    const columns = layoutLegend([30, 10, 20], { ...config, maxHeight: 15 });
+    assert.deepEqual(columns.positions, [
+      { x: 0, y: 0 },
+      { x: 0, y: 10 },
+      { x: 50, y: 0 },
+    ]);
+    assert.deepEqual([columns.width, columns.height], [80, 20]);
+  });
+
+  it("keeps the entries stacked at the offsets without a position", () => {
+    const chart = drawBars({
+      widthOffset: 0.5,
+      heightOffset: 0.1,
+      size: 5,
+      spacing: 5,
+    });
+    assert.deepEqual(translation(chart), [300, 40]);
+    assert.deepEqual(
+      findAll(chart, "text.legend-name").map((text) => text.getAttribute("y")),
+      ["0", "10"]
+    );
+    assert.deepEqual(chart.margin(), chart._configuredMargin());
+  });
+
+  it("shrinks the margins to place the legend outside the plot", () => {
+    const chart = drawBars({ position: "right" });
+    const { right } = chart.margin();
+    const [x] = translation(chart);
+    assert.ok(right > 20);
+    assert.equal(chart.x.range()[1], 600 - right);
+    assert.ok(x > 600 - right + 20 && x < 600);
+    assert.deepEqual(chart._configuredMargin(), {
+      top: 10,
+      right: 20,
+      bottom: 30,
+      left: 40,
+    });
+    assert.equal(findAll(chart, "rect.bar").length, 6);
+    assert.equal(findAll(chart, ".legends").length, 1);
+    assert.equal(chart.toSpec().margin.right, 20);
+    chart.addLegend({ position: "top" });
+    assert.equal(chart.margin().right, 20);
+    assert.ok(chart.margin().top > 10);
+    assert.equal(translation(chart)[1], 10);
+  });
+
+  it("places the legend in a corner of the plot without changing the margins", () => {
+    const chart = drawBars({ position: "bottom-left", padding: 5 });
+    assert.deepEqual(chart.margin(), chart._configuredMargin());
+    const [x, y] = translation(chart);
+    assert.equal(x, 45);
+    assert.ok(y < 400 - 30 - 5 && y > 300);
+  });
+
+  it("truncates the long names with an ellipsis and keeps them as title", () => {
+    const chart = drawBars({ position: "right", maxLabelWidth: 20 });
+    const [north] = findAll(chart, "text.legend-name");
+    assert.match(north.textContent, /^no?…north$/);
+    assert.equal(north.querySelector("title").textContent, "north");
+  });
+
+  it("shrinks the circle of a pie to make room for the legend", () => {
+    const chart = createChart(PieChart, sales)
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+    chart.init();
+    chart.addSerie("north");
+    const radius = chart.circleRadius;
+    chart.addLegend({ position: "bottom" });
+    assert.ok(chart.circleRadius < radius);
+    assert.equal(findAll(chart, "svg > g.legends").length, 1);
+    const [, y] = translation(chart);
+    assert.ok(y > 400 - chart.margin().bottom);
+  });
+
+  it("ignores the unknown positions", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = drawBars({ position: "center" });
+    assert.equal(findAll(chart, ".legends").length, 0);
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] legend.position:/
+    );
+  });
+
+  it("draws the legend of a JSON specification at its position", () => {
+    const chart = createChartFromSpec(
+      {
+        type: "VBarChart",
+        data: sales,
+        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+        encoding: {
+          x: { serie: "month", scale: "band" },
+          y: { colorSeries: ["red", "blue"], scale: "linear" },
+        },
+        series: "all",
+        legend: { position: "left" },
+      },
+      { bindTo: createSvg(), headless: true }
+    );
+    assert.ok(chart.margin().left > 0);
+    assert.equal(chart.toSpec().margin.left, 0);
+    assert.deepEqual(chart.toSpec().legend, { position: "left" });
+  });
+});
+
+const drawPoints = (ChartClass, categoryConfiguration, legend) => {
+  // The bubbles have their own serie of sizes
+  const dataset = flowers.map((row, i) => ({ ...row, size: i + 1 }));
+  const chart = createChart(
+    ChartClass,
+    ChartClass === BubbleChart ? dataset : flowers
+  )
+    .xConfiguration({ serie: "sepal", scale: "linear" })
+    .categoryConfiguration({ serie: "leaves", ...categoryConfiguration });
+  if (ChartClass === BubbleChart) {
+    chart.radiusSerie("size");
+  }
+  chart.init();
+  chart.addAllSeries();
+  chart.addLegend(legend);
+  return chart;
+};
+
+const texts = (chart, selector) =>
+  findAll(chart, selector).map((text) => text.textContent);
+
+describe("Chart color legends", () => {
+  it("draws a color ramp with ticks and a title for a sequential scale", () => {
+    const chart = drawPoints(
+      ScatterPlot,
+      { colors: ["white", "green"], scale: "sequential" },
+      { position: "right" }
+    );
+    assert.deepEqual(chart.ySeries, ["petal"]);
+    assert.equal(findAll(chart, "rect.legend").length, 0);
+    assert.deepEqual(texts(chart, ".legend-title"), ["leaves"]);
+    const stops = findAll(chart, "linearGradient stop");
+    assert.equal(stops.at(0).getAttribute("stop-color"), "rgb(255, 255, 255)");
+    assert.equal(stops.at(-1).getAttribute("stop-color"), "rgb(0, 128, 0)");
+    const [ramp] = findAll(chart, "rect.legend-gradient");
+    const [gradient] = findAll(chart, "linearGradient");
+    assert.equal(ramp.style.fill, `url(#${gradient.id})`);
+    assert.deepEqual(texts(chart, ".legend-axis .tick text").at(0), "1");
+    assert.deepEqual(texts(chart, ".legend-axis .tick text").at(-1), "6");
+    assert.ok(chart.margin().right > 0);
+  });
+
+  it("centers a diverging scale on its midpoint", () => {
+    const chart = drawPoints(
+      BubbleChart,
+      { colors: ["blue", "white", "red"], scale: "diverging", midpoint: 2 },
+      { position: "top", title: "Leaves" }
+    );
+    assert.deepEqual(chart.colorScale.domain(), [1, 2, 6]);
+    assert.equal(chart.colorScale(2), "rgb(255, 255, 255)");
+    assert.deepEqual(texts(chart, ".legend-title"), ["Leaves"]);
+    const [gradient] = findAll(chart, "linearGradient");
+    assert.equal(gradient.getAttribute("x2"), "1");
+    assert.ok(chart.margin().top > 0);
+  });
+
+  it("draws a swatch per bin for the quantize and threshold scales", () => {
+    const colors = ["#eeeeee", "#aaaaaa", "#555555"];
+    const threshold = drawPoints(
+      ScatterPlot,
+      { colors, scale: "threshold", thresholds: [2, 4] },
+      { orientation: "horizontal", tickFormat: ".1f" }
+    );
+    assert.deepEqual(
+      findAll(threshold, "rect.legend-bin").map((bin) => bin.style.fill),
+      colors
+    );
+    assert.deepEqual(texts(threshold, ".legend-axis .tick text"), [
+      "2.0",
+      "4.0",
+    ]);
+    const quantize = drawPoints(ScatterPlot, { colors, scale: "quantize" });
+    assert.deepEqual(texts(quantize, ".legend-axis .tick text"), [
+      "2.67",
+      "4.33",
+    ]);
+    assert.equal(findAll(quantize, "rect.legend-bin").length, 3);
+  });
+
+  it("requires a numerical serie to color the points by their numbers", (t) => {
+    const chart = createChart(ScatterPlot, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .categoryConfiguration({
+        serie: "species",
+        colors: ["white", "green"],
+        scale: "sequential",
+      });
+    assert.throws(() => chart.init(), { code: "INVALID_FIELD_TYPE" });
+    const error = t.mock.method(console, "error", () => {});
+    chart.categoryConfiguration({ serie: "leaves", colors: [], scale: "pow" });
+    assert.equal(chart.categoryConfiguration().serie, "species");
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] categoryConfiguration:/
+    );
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createChart as createChartFromSpec,
+  LOCALES,
+  MultiLineChart,
+  PieChart,
+  RadarChart,
+  VBarChart,
+} from "../src/index.mjs";
+import { createChart, createSvg, findAll, sales } from "./helpers.mjs";
+
+("use strict");
+
+/**
+ * @description
+ * The temperatures of the first day of three quarters of 2024, the x serie is temporal.
+ * @type {object[]}
+ */
+const temperatures = [
+  { date: new Date(2024, 0, 1), celsius: 1234.5 },
+  { date: new Date(2024, 3, 1), celsius: 12.5 },
+  { date: new Date(2024, 6, 1), celsius: 18 },
+];
+
+const texts = (chart, selector) =>
+  findAll(chart, selector).map((text) => text.textContent);
+
+describe("Chart locales", () => {
+  it("formats the default ticks and labels of the bars in the locale", () => {
+    const chart = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .locale("de-DE");
+    chart.init();
+    chart.addYAxis();
+    chart.addBars();
+    chart.addLabels();
+    assert.equal(chart.locale(), "de-DE");
+    assert.ok(texts(chart, ".y.axis .tick text").includes("5,0"));
+    assert.deepEqual(texts(chart, ".bars text.text-label").sort(), [
+      "10,0",
+      "15,0",
+      "20,0",
+      "20,0",
+      "25,0",
+      "30,0",
+    ]);
+  });
+
+  it("formats the dates of the time axis, critical points and tooltips", () => {
+    const chart = createChart(MultiLineChart, temperatures)
+      .xConfiguration({ serie: "date", scale: "time" })
+      .yConfiguration({ colorSeries: ["red"], scale: "linear" })
+      .locale("es-MX");
+    chart.init();
+    chart.addXAxis();
+    chart.addAllSeries();
+    chart.addCriticalPoints();
+    assert.ok(texts(chart, ".x.axis .tick text").includes("mayo"));
+    assert.deepEqual(texts(chart, ".critical-points text").sort(), [
+      "12.5 (abr 01, 2024)",
+      "1234.5 (ene 01, 2024)",
+    ]);
+    assert.equal(
+      chart._describeDatum({
+        serie: "celsius",
+        x: new Date(2024, 2, 1),
+        y: 18,
+      }),
+      "celsius\nmar 01, 2024: 18"
+    );
+  });
+
+  it("formats the default labels and radial axis of the circular charts", () => {
+    const pie = createChart(PieChart, sales)
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue", "green"] })
+      .locale("fr-FR");
+    pie.init();
+    pie.addSerie("north");
+    pie.addLabels();
+    assert.ok(texts(pie, "text.label").includes("Feb: 30,0"));
+    const radar = createChart(RadarChart, sales)
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue"] })
+      .locale("de-DE");
+    radar.init();
+    radar.addRadialAxis();
+    assert.ok(texts(radar, "text").some((text) => /^\d+,\d$/.test(text)));
+  });
+
+  it("changes the definitions of a built-in locale with a custom locale", () => {
+    const chart = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .locale({ base: "de-DE", number: { decimal: "·" } });
+    assert.equal(chart._format(",.2f")(1234.5), "1.234·50");
+    assert.equal(chart._timeFormat("%B")(new Date(2024, 2, 1)), "März");
+    chart.locale({ time: { shortMonths: LOCALES["fr-FR"].time.shortMonths } });
+    assert.equal(chart._format(",.1f")(1234.5), "1,234.5");
+    assert.equal(chart._timeFormat("%b")(new Date(2024, 6, 1)), "juil.");
+  });
+
+  it("uses the default locale of D3 js with null and ignores the unknown locales", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = createChart(VBarChart, sales).locale("fr-FR").locale(null);
+    assert.equal(chart.locale(), undefined);
+    assert.equal(chart._format(",.1f")(1234.5), "1,234.5");
+    chart.locale("pt-BR");
+    assert.equal(chart.locale(), undefined);
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] locale:/
+    );
+    assert.throws(() => chart.strict(true).locale({ number: "de-DE" }), {
+      code: "INVALID_VALUE",
+    });
+  });
+
+  it("writes the locale in the JSON specification", () => {
+    const chart = createChartFromSpec(
+      {
+        type: "VBarChart",
+        data: sales,
+        locale: "fr-FR",
+        encoding: {
+          x: { serie: "month", scale: "band" },
+          y: { colorSeries: ["red", "blue"], scale: "linear" },
+        },
+        axes: { y: { show: true } },
+      },
+      { bindTo: createSvg(), headless: true }
+    );
+    assert.ok(texts(chart, ".y.axis .tick text").includes("5,0"));
+    assert.equal(chart.toSpec().locale, "fr-FR");
+  });
+});
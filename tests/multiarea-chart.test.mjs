@@ -0,0 +1,74 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MultiAreaChart } from "../src/index.mjs";
+import { createChart, findAll, measures } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(MultiAreaChart, measures)
+    .xConfiguration({ serie: "day", scale: "linear" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+  chart.init();
+  return chart;
+};
+
+describe("MultiAreaChart", () => {
+  it("sets the domains of the scales from the dataset", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.ySeries, ["indoor", "outdoor"]);
+    assert.deepEqual(chart.x.domain(), [1, 4]);
+    assert.deepEqual(chart.y.domain(), [0.95 * 8, 1.05 * 25]);
+  });
+
+  it("draws a closed area down to the bottom of the chart for each serie", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const areas = findAll(chart, ".series path.serie");
+    assert.deepEqual(
+      areas.map((area) => area.getAttribute("class")),
+      ["indoor serie", "outdoor serie"]
+    );
+    assert.deepEqual(
+      areas.map((area) => area.style.fill),
+      ["red", "blue"]
+    );
+    for (const area of areas) {
+      assert.match(area.getAttribute("d"), /L600,400L400,400L200,400L0,400Z$/);
+    }
+  });
+
+  it("draws only the serie requested", () => {
+    const chart = drawChart();
+    chart.addSerie("indoor");
+    assert.equal(findAll(chart, ".series path.serie").length, 1);
+    assert.equal(findAll(chart, ".series g.outdoor").length, 0);
+  });
+
+  it("draws the areas over a temporal x serie and labels the dates", () => {
+    const chart = createChart(MultiAreaChart, [
+      { date: "2024-01-01", indoor: 21, outdoor: 12 },
+      { date: "2024-01-03", indoor: 25, outdoor: 8 },
+      { date: "2024-01-02", indoor: 22, outdoor: 15 },
+    ])
+      .xConfiguration({ serie: "date", scale: "time" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.init();
+    chart.addAllSeries();
+    chart.addCriticalPoints();
+    assert.equal(chart.fieldsTypes.get("date"), "temporal");
+    assert.deepEqual(chart.x.domain(), [
+      new Date(2024, 0, 1),
+      new Date(2024, 0, 3),
+    ]);
+    assert.deepEqual(
+      findAll(chart, ".critical-points text").map((label) => label.textContent),
+      [
+        "25.0 (Jan 03, 2024)",
+        "21.0 (Jan 01, 2024)",
+        "15.0 (Jan 02, 2024)",
+        "8.0 (Jan 03, 2024)",
+      ]
+    );
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { format } from "d3";
+import { MultiLineChart } from "../src/index.mjs";
+import {
+  createChart,
+  findAll,
+  numericAttributes,
+  measures,
+} from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(MultiLineChart, measures)
+    .xConfiguration({ serie: "day", scale: "linear" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+  chart.init();
+  return chart;
+};
+
+// The temperature is missing at the start, in the middle and at the end of the serie
+const gaps = [
+  { day: 1, temperature: null },
+  { day: 2, temperature: 10 },
+  { day: 3, temperature: null },
+  { day: 5, temperature: 40 },
+  { day: 6, temperature: 50 },
+  { day: 7, temperature: null },
+];
+
+const drawGaps = (policy) => {
+  const chart = createChart(MultiLineChart, gaps)
+    .xConfiguration({ serie: "day", scale: "linear" })
+    .yConfiguration({ colorSeries: ["red"], scale: "linear" })
+    .missingData(policy);
+  chart.init();
+  chart.addAllSeries();
+  return chart;
+};
+
+const filledValues = (chart) =>
+  chart._serieValues("temperature").map(({ y }) => y);
+
+// Each segment of the line starts with a move
+const lineSegments = (chart) =>
+  findAll(chart, ".series path.serie")[0].getAttribute("d").match(/M/g).length;
+
+describe("MultiLineChart", () => {
+  it("sets the domains of the scales from the dataset", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.ySeries, ["indoor", "outdoor"]);
+    assert.deepEqual(chart.x.domain(), [1, 4]);
+    assert.deepEqual(chart.x.range(), [0, 600]);
+    // The y domain is widened by the y axis offset of 5%
+    assert.deepEqual(chart.y.domain(), [0.95 * 8, 1.05 * 25]);
+  });
+
+  it("computes the critical points of each serie", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.criticalPoints.indoor, [
+      { serie: "indoor", point: "max", x: 3, y: 25 },
+      { serie: "indoor", point: "min", x: 0, y: 21 },
+    ]);
+    assert.deepEqual(chart.criticalPoints.outdoor, [
+      { serie: "outdoor", point: "max", x: 2, y: 15 },
+      { serie: "outdoor", point: "min", x: 1, y: 8 },
+    ]);
+  });
+
+  it("draws a line and its points for each serie", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addPoints();
+    const lines = findAll(chart, ".series path.serie");
+    assert.deepEqual(
+      lines.map((line) => line.getAttribute("class")),
+      ["indoor serie", "outdoor serie"]
+    );
+    assert.equal(lines[0].style.stroke, "rgb(255, 0, 0)");
+    assert.match(lines[0].getAttribute("d"), /^M0,[\d.]+(L[\d.]+,[\d.]+){3}$/);
+    const points = findAll(chart, ".series g.outdoor circle.point");
+    assert.deepEqual(numericAttributes(points, "cx"), [0, 200, 400, 600]);
+    assert.deepEqual(
+      numericAttributes(points, "cy"),
+      measures.map((row) => chart.y(row.outdoor))
+    );
+  });
+
+  it("draws only the serie requested", () => {
+    const chart = drawChart();
+    chart.addSerie("outdoor");
+    assert.deepEqual(
+      findAll(chart, ".series > g").map((group) => group.getAttribute("class")),
+      ["outdoor"]
+    );
+  });
+
+  it("labels the critical points of each serie", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addCriticalPoints();
+    const labels = findAll(chart, ".critical-points g.indoor text");
+    assert.deepEqual(
+      labels.map((label) => label.getAttribute("class")),
+      ["indoor max", "indoor min"]
+    );
+    assert.deepEqual(
+      labels.map((label) => label.textContent),
+      ["25.0", "21.0"]
+    );
+    assert.deepEqual(numericAttributes(labels, "x"), [600, 0]);
+  });
+
+  it("draws the axes", () => {
+    const chart = drawChart();
+    chart.addXAxis();
+    chart.addYAxis();
+    assert.equal(findAll(chart, "g.x.axis").length, 1);
+    assert.equal(findAll(chart, "g.y.axis").length, 1);
+    assert.ok(findAll(chart, "g.x.axis .tick").length > 0);
+  });
+
+  it("draws the series of the secondary y axis with their own scale", () => {
+    const chart = createChart(MultiLineChart, measures)
+      .xConfiguration({ serie: "day", scale: "linear" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .y2Configuration({ series: ["outdoor"], scale: "linear" })
+      .y2AxisConfig({ customizations: { tickFormat: format(".0f") } });
+    chart.init();
+    assert.deepEqual(chart.y.domain(), [0.95 * 21, 1.05 * 25]);
+    assert.deepEqual(chart.y2.domain(), [0.95 * 8, 1.05 * 15]);
+    assert.deepEqual(chart.y2.range(), chart.y.range());
+    chart.addAllSeries();
+    chart.addPoints();
+    chart.addCriticalPoints();
+    chart.addY2Axis();
+    assert.deepEqual(
+      numericAttributes(findAll(chart, "g.outdoor circle.point"), "cy"),
+      measures.map((row) => chart.y2(row.outdoor))
+    );
+    assert.deepEqual(
+      findAll(chart, ".critical-points g.outdoor text").map(
+        (label) => label.textContent
+      ),
+      ["15", "8"]
+    );
+    const axis = findAll(chart, "g.y2.axis");
+    assert.equal(axis.length, 1);
+    assert.equal(axis[0].getAttribute("transform"), "translate(600, 0)");
+    // Without secondary y axis every serie is on the y axis
+    chart.y2Configuration(null).render();
+    assert.equal(chart.y2, undefined);
+    assert.equal(findAll(chart, "g.y2.axis").length, 0);
+    assert.deepEqual(chart.y.domain(), [0.95 * 8, 1.05 * 25]);
+  });
+
+  it("breaks the line at the missing values with the gap policy", () => {
+    const chart = drawGaps("gap");
+    assert.equal(chart.missingData(), "gap");
+    assert.deepEqual(filledValues(chart), [null, 10, null, 40, 50, null]);
+    assert.equal(lineSegments(chart), 2);
+  });
+
+  it("draws the missing values as zero with the zero policy", () => {
+    const chart = drawGaps("zero");
+    assert.deepEqual(filledValues(chart), [0, 10, 0, 40, 50, 0]);
+    assert.equal(lineSegments(chart), 1);
+  });
+
+  it("interpolates the missing values between the observed ones", () => {
+    const chart = drawGaps("interpolate");
+    // Day 3 is a third of the way from day 2 to day 5, the extremes cannot be interpolated
+    assert.deepEqual(filledValues(chart), [null, 10, 20, 40, 50, null]);
+    assert.equal(lineSegments(chart), 1);
+  });
+
+  it("carries the previous value to the missing values", () => {
+    const chart = drawGaps("carry");
+    // Nothing is carried before the first value
+    assert.deepEqual(filledValues(chart), [null, 10, 10, 40, 50, 50]);
+    assert.equal(lineSegments(chart), 1);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PieChart } from "../src/index.mjs";
+import { createChart, findAll, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(PieChart, sales)
+    .xSerie("month")
+    .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+  chart.init();
+  return chart;
+};
+
+describe("PieChart", () => {
+  it("centers the chart in the svg element", () => {
+    const chart = drawChart();
+    assert.equal(chart.circleRadius, 200);
+    assert.deepEqual(chart.ySeries, ["north", "south"]);
+    assert.deepEqual(chart.colorScale.domain(), ["Jan", "Feb", "Mar"]);
+    assert.equal(
+      findAll(chart, "g.main")[0].getAttribute("transform"),
+      "translate(300, 200)"
+    );
+  });
+
+  it("draws a slice for each row sorted from the biggest value", () => {
+    const chart = drawChart();
+    chart.addSerie("north");
+    const slices = findAll(chart, "g.north.serie path.slice");
+    assert.deepEqual(
+      slices.map((slice) => slice.getAttribute("class")),
+      ["feb slice", "mar slice", "jan slice"]
+    );
+    assert.deepEqual(
+      slices.map((slice) => slice.style.fill),
+      ["rgb(0, 0, 255)", "rgb(0, 128, 0)", "rgb(255, 0, 0)"]
+    );
+    // February is the half of the sales, so its slice goes from the top to the bottom of the circle
+    assert.match(
+      slices[0].getAttribute("d"),
+      /^M 0 0 L 0 -200 A 200 200 0 0 1 [\d.e-]+ 200 Z$/
+    );
+  });
+
+  it("labels each slice with its category and value", () => {
+    const chart = drawChart();
+    chart.addSerie("south");
+    chart.addLabels();
+    assert.deepEqual(
+      findAll(chart, "text.label").map((label) => label.textContent),
+      ["Mar: 25.0", "Jan: 20.0", "Feb: 15.0"]
+    );
+  });
+
+  it("adds a legend with the categories", () => {
+    const chart = drawChart();
+    chart.addSerie("north");
+    chart.addLegend();
+    assert.deepEqual(
+      findAll(chart, ".legends text.legend-name").map(
+        (name) => name.textContent
+      ),
+      ["Jan", "Feb", "Mar"]
+    );
+  });
+
+  it("writes the values of the slices of the serie in the data table", () => {
+    const chart = drawChart();
+    chart.addSerie("south");
+    chart.addDataTable();
+    assert.deepEqual(
+      [...chart.dataTable.rows].map((row) =>
+        [...row.cells].map((cell) => cell.textContent)
+      ),
+      [
+        ["month", "south"],
+        ["Jan", "20"],
+        ["Feb", "15"],
+        ["Mar", "25"],
+      ]
+    );
+  });
+
+  it("draws the years and the dates of the x serie as categories", () => {
+    const chart = createChart(PieChart, [
+      { year: "2019", month: "2024-01-01", sales: 10 },
+      { year: "2020", month: "2024-02-01", sales: 30 },
+    ])
+      .xSerie("month")
+      .yConfiguration({ colorSeries: ["red", "blue"] });
+    chart.init();
+    chart.addSerie("sales");
+    chart.addLabels();
+    assert.equal(chart.fieldsTypes.get("month"), "categorical");
+    assert.deepEqual(
+      findAll(chart, "path.slice").map((slice) => slice.getAttribute("class")),
+      ["2024-02-01 slice", "2024-01-01 slice"]
+    );
+    chart.xSerie("year").render();
+    assert.deepEqual(
+      findAll(chart, "text.label").map((label) => label.textContent),
+      ["2020: 30.0", "2019: 10.0"]
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PolarChart } from "../src/index.mjs";
+import { createChart, findAll, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(PolarChart, sales)
+    .xSerie("month")
+    .yConfiguration({ colorSeries: ["red", "blue", "green"] });
+  chart.init();
+  return chart;
+};
+
+/**
+ * @description
+ * Get the radius of the arc of the path of a slice.
+ * @param {SVGPathElement} slice The path of the slice.
+ * @returns {number}
+ */
+const arcRadius = (slice) => +slice.getAttribute("d").match(/A ([\d.]+) /)[1];
+
+describe("PolarChart", () => {
+  it("sizes the slices with the values of the serie shown", () => {
+    const chart = drawChart();
+    chart.addSeries("north");
+    const slices = findAll(chart, "g.north path.slice");
+    assert.deepEqual(
+      slices.map((slice) => slice.getAttribute("class")),
+      ["feb slice", "mar slice", "jan slice"]
+    );
+    // The radius is the value multiplied by the slice size
+    assert.equal(chart.sliceSize(), 2);
+    assert.deepEqual(slices.map(arcRadius), [60, 40, 20]);
+  });
+
+  it("keeps the slices of the serie shown for the other series", () => {
+    const chart = drawChart();
+    chart.addSeries("north");
+    assert.deepEqual(
+      findAll(chart, "g.south path.slice").map(arcRadius),
+      [60, 40, 20]
+    );
+  });
+
+  it("labels the slices with the values of each serie", () => {
+    const chart = drawChart();
+    chart.addSeries("north");
+    chart.addLabels();
+    assert.deepEqual(
+      findAll(chart, "g.north text.label").map((label) => label.textContent),
+      ["Feb: 30.0", "Mar: 20.0", "Jan: 10.0"]
+    );
+    assert.deepEqual(
+      findAll(chart, "g.south text.label").map((label) => label.textContent),
+      ["Feb: 15.0", "Mar: 25.0", "Jan: 20.0"]
+    );
+    // The labels of the other series are placed outside of the slices
+    assert.equal(
+      findAll(chart, "g.south text.feb")[0].getAttribute("transform"),
+      "translate(75, 0)"
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RadarChart } from "../src/index.mjs";
+import { createChart, findAll, numericAttributes, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(RadarChart, sales)
+    .xSerie("month")
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+  chart.init();
+  return chart;
+};
+
+describe("RadarChart", () => {
+  it("sets the radial scale from the highest value", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.ySeries, ["north", "south"]);
+    assert.equal(chart.circleRadius, 200);
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    assert.deepEqual(chart.y.range(), [0, 200]);
+  });
+
+  it("draws a circle and a label for each tick of the radial axis", () => {
+    const chart = drawChart();
+    chart.addRadialAxis();
+    const ticks = findAll(chart, ".radial.axes circle.tick");
+    assert.equal(ticks.length, chart.axisTicks());
+    assert.deepEqual(
+      numericAttributes(ticks, "r").map(Math.round),
+      [0, 67, 133]
+    );
+    assert.deepEqual(
+      findAll(chart, ".radial.axes text.size").map(
+        (label) => label.textContent
+      ),
+      ["0.0", "10.5", "21.0"]
+    );
+  });
+
+  it("draws an axis line and a label for each category", () => {
+    const chart = drawChart();
+    chart.addAxisLines();
+    assert.deepEqual(
+      findAll(chart, ".lines.axes line").map((line) =>
+        line.getAttribute("class")
+      ),
+      ["jan axis", "feb axis", "mar axis"]
+    );
+    assert.deepEqual(
+      findAll(chart, ".lines.axes text.label").map(
+        (label) => label.textContent
+      ),
+      ["Jan", "Feb", "Mar"]
+    );
+  });
+
+  it("draws a closed path for each serie", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const paths = findAll(chart, ".series path.serie");
+    assert.deepEqual(
+      paths.map((path) => path.getAttribute("class")),
+      ["north serie", "south serie"]
+    );
+    assert.match(
+      paths[0].getAttribute("d"),
+      /^M0,-63\.492L[\d.-]+,[\d.-]+L[\d.-]+,[\d.-]+Z$/
+    );
+    assert.equal(paths[1].style.fill, "rgb(0, 0, 255)");
+  });
+
+  it("places the points and the labels at the values of each category", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addPoints();
+    chart.addLabels();
+    const [january] = findAll(chart, ".series g.south circle.point");
+    assert.equal(january.getAttribute("class"), "south jan point");
+    assert.deepEqual(numericAttributes([january], "cx"), [0]);
+    assert.deepEqual(numericAttributes([january], "cy"), [-chart.y(20)]);
+    assert.deepEqual(
+      findAll(chart, ".series g.south text.label").map(
+        (label) => label.textContent
+      ),
+      ["20.0", "15.0", "25.0"]
+    );
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ScatterPlot } from "../src/index.mjs";
+import {
+  createChart,
+  findAll,
+  numericAttributes,
+  flowers,
+} from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(ScatterPlot, flowers)
+    .xConfiguration({ serie: "sepal", scale: "linear" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+    .categoryConfiguration({ serie: "species", colors: ["red", "blue"] });
+  chart.init();
+  return chart;
+};
+
+describe("ScatterPlot", () => {
+  it("sets the domains of the scales from the dataset", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.ySeries, ["petal", "leaves"]);
+    assert.deepEqual(chart.x.domain(), [1, 4]);
+    assert.deepEqual(chart.y.domain(), [0.95 * 1, 1.05 * 8]);
+    assert.deepEqual(chart.colorScale.domain(), ["setosa", "virginica"]);
+  });
+
+  it("draws a point for each row of each serie colored by its category", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const points = findAll(chart, ".series g.petal circle.point");
+    assert.equal(points.length, flowers.length);
+    assert.deepEqual(
+      numericAttributes(points, "cx"),
+      flowers.map((row) => chart.x(row.sepal))
+    );
+    assert.deepEqual(
+      numericAttributes(points, "cy"),
+      flowers.map((row) => chart.y(row.petal))
+    );
+    assert.deepEqual(
+      points.map((point) => point.style.fill),
+      ["red", "red", "red", "blue", "blue"]
+    );
+    assert.equal(findAll(chart, ".series g.leaves circle.point").length, 5);
+  });
+
+  it("computes the slopes of the trending line of each category", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addTrendingLines();
+    assert.deepEqual(chart.slopes, [
+      { category: "setosa", xMax: 3, xMin: 1, slope: 2, b: 1 },
+      { category: "virginica", xMax: 4, xMin: 2, slope: -2, b: 12 },
+    ]);
+    const [setosa] = findAll(chart, ".series g.petal line.tendency");
+    assert.deepEqual(numericAttributes([setosa], "x1"), [chart.x(1)]);
+    assert.deepEqual(numericAttributes([setosa], "y2"), [chart.y(7)]);
+  });
+
+  it("adds a legend with the categories", () => {
+    const chart = drawChart();
+    chart.addLegend();
+    assert.deepEqual(
+      findAll(chart, ".legends text.legend-name").map(
+        (name) => name.textContent
+      ),
+      ["setosa", "virginica"]
+    );
+  });
+
+  it("writes the category of each point in the data table", () => {
+    const chart = drawChart();
+    chart.addDataTable();
+    const [header, first] = chart.dataTable.rows;
+    assert.deepEqual(
+      [...header.cells].map((cell) => cell.textContent),
+      ["sepal", "species", "petal", "leaves"]
+    );
+    assert.equal(first.cells[1].textContent, "setosa");
+  });
+
+  it("places the points over a temporal x serie", () => {
+    const chart = createChart(ScatterPlot, [
+      { date: "2024-01-01", petal: 3, species: "setosa" },
+      { date: "2024-01-03", petal: 8, species: "virginica" },
+      { date: "2024-01-02", petal: 5, species: "setosa" },
+    ])
+      .xConfiguration({ serie: "date", scale: "time" })
+      .yConfiguration({ colorSeries: ["red"], scale: "linear" })
+      .categoryConfiguration({ serie: "species", colors: ["red", "blue"] });
+    chart.init();
+    chart.addAllSeries();
+    assert.equal(chart.fieldsTypes.get("date"), "temporal");
+    assert.deepEqual(chart.x.domain(), [
+      new Date(2024, 0, 1),
+      new Date(2024, 0, 3),
+    ]);
+    const points = findAll(chart, ".series g.petal circle.point");
+    assert.deepEqual(numericAttributes(points, "cx"), [0, 600, 300]);
+    assert.equal(
+      chart._describeDatum(chart._normalizeDatum(points[0].__data__)),
+      "petal\nsetosa\nJan 01, 2024: 3"
+    );
+  });
+});
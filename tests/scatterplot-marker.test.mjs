@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ScatterPlotMarker } from "../src/index.mjs";
+import { createChart, findAll, flowers } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = (configure = (chart) => chart) => {
+  const chart = configure(
+    createChart(ScatterPlotMarker, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .categoryConfiguration({ serie: "species", colors: ["red", "blue"] })
+      .markersConfig({ setosa: "star", virginica: "moon" })
+  );
+  chart.init();
+  return chart;
+};
+
+describe("ScatterPlotMarker", () => {
+  it("draws the marker of the category of each row", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const markers = findAll(chart, ".series g.petal path.icon");
+    assert.deepEqual(
+      markers.map((marker) => marker.getAttribute("d")),
+      flowers.map((row) =>
+        row.species === "setosa" ? chart.markers().star : chart.markers().moon
+      )
+    );
+    assert.deepEqual(
+      markers.map((marker) => marker.getAttribute("class")),
+      flowers.map((row) => `petal ${row.species} icon`)
+    );
+  });
+
+  it("moves each marker to the position of its values", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const [first] = findAll(chart, ".series g.leaves path.icon");
+    assert.equal(
+      first.getAttribute("transform"),
+      `translate(${chart.x(1)}, ${chart.y(2)})`
+    );
+  });
+
+  it("fills the markers with the fill color and strokes them with the category color", () => {
+    const chart = drawChart((chart) => chart.fillColor("#000"));
+    chart.addAllSeries();
+    const markers = findAll(chart, ".series g.petal path.icon");
+    assert.ok(markers.every((marker) => marker.style.fill === "#000"));
+    assert.deepEqual(
+      markers.map((marker) => marker.style.stroke),
+      ["red", "red", "red", "blue", "blue"]
+    );
+  });
+
+  it("adds new markers to the default ones", () => {
+    const chart = drawChart((chart) =>
+      chart
+        .markers({ square: "M0 0h10v10H0z" })
+        .markersConfig({ setosa: "square" })
+    );
+    chart.addSerie("petal");
+    assert.equal(
+      findAll(chart, "path.setosa.icon")[0].getAttribute("d"),
+      "M0 0h10v10H0z"
+    );
+    assert.ok("star" in chart.markers());
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SlopeChart } from "../src/index.mjs";
+import { createChart, findAll, numericAttributes, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = () => {
+  const chart = createChart(SlopeChart, sales)
+    .xConfiguration({ serie: "month", scale: "point" })
+    .yConfiguration({ colorSeries: ["red", "blue", "green"], scale: "linear" });
+  chart.init();
+  return chart;
+};
+
+describe("SlopeChart", () => {
+  it("places the numerical series in the x axis", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.x.domain(), ["north", "south"]);
+    assert.deepEqual(chart.x.range(), [0, 600]);
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    assert.deepEqual(chart.colorScale.domain(), ["Jan", "Feb", "Mar"]);
+  });
+
+  it("draws a line from the first to the second serie for each row", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    const lines = findAll(chart, ".series line.serie");
+    assert.deepEqual(
+      lines.map((line) => line.getAttribute("class")),
+      ["jan serie", "feb serie", "mar serie"]
+    );
+    const [january] = lines;
+    assert.deepEqual(numericAttributes([january], "x1"), [0]);
+    assert.deepEqual(numericAttributes([january], "x2"), [600]);
+    assert.deepEqual(numericAttributes([january], "y1"), [chart.y(10)]);
+    assert.deepEqual(numericAttributes([january], "y2"), [chart.y(20)]);
+    assert.equal(january.style.stroke, "red");
+  });
+
+  it("adds the points and the labels at the ends of the lines", () => {
+    const chart = drawChart();
+    chart.addAllSeries();
+    chart.addPoints();
+    chart.addLabels();
+    assert.equal(findAll(chart, ".series circle.point").length, 6);
+    assert.deepEqual(
+      findAll(chart, ".series g.feb text").map((label) => label.textContent),
+      ["30.0", "15.0"]
+    );
+  });
+});
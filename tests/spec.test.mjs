@@ -0,0 +1,312 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createChart,
+  MultiLineChart,
+  PieChart,
+  VBarChart,
+} from "../src/index.mjs";
+import { createSvg, findAll, flowers, sales } from "./helpers.mjs";
+
+("use strict");
+
+const barsSpec = {
+  type: "VBarChart",
+  data: sales,
+  width: 600,
+  height: 400,
+  margin: { top: 10, right: 10, bottom: 20, left: 30 },
+  animation: { duration: 500 },
+  encoding: {
+    x: { serie: "month", scale: "band" },
+    y: { colorSeries: ["red", "blue"], scale: "linear" },
+  },
+  options: { isStacked: true },
+  axes: {
+    x: { show: true, arrow: true },
+    y: { show: true, customizations: { ticks: 4, tickFormat: ".0f" } },
+  },
+  grids: { y: true },
+  series: "all",
+  labels: { deltaY: -3 },
+  legend: true,
+  title: { title: "Sales", widthOffset: 0.5, heightOffset: 0.05 },
+};
+
+const drawSpec = (spec) =>
+  createChart(structuredClone(spec), { bindTo: createSvg(), headless: true });
+
+describe("createChart", () => {
+  it("creates the chart of the type with the settings of the spec", () => {
+    const chart = drawSpec(barsSpec);
+    assert.ok(chart instanceof VBarChart);
+    assert.equal(chart.width(), 600);
+    assert.equal(chart.duration(), 500);
+    assert.deepEqual(chart.margin(), barsSpec.margin);
+    assert.equal(chart.isStacked(), true);
+    assert.deepEqual(chart.xConfiguration(), barsSpec.encoding.x);
+    assert.equal(chart.yAxisConfig().customizations.tickFormat(2), "2");
+  });
+
+  it("draws the layers of the spec", () => {
+    const chart = drawSpec(barsSpec);
+    assert.equal(findAll(chart, "g.x.axis").length, 1);
+    assert.equal(findAll(chart, "g.y.axis").length, 1);
+    assert.equal(findAll(chart, "g.y.grid").length, 1);
+    assert.equal(findAll(chart, "rect.bar").length, 6);
+    assert.equal(findAll(chart, ".bars text.text-label").length, 6);
+    assert.equal(findAll(chart, ".legends rect").length, 2);
+    assert.equal(findAll(chart, ".chart-title text")[0].textContent, "Sales");
+  });
+
+  it("draws a single serie by its name", () => {
+    const chart = drawSpec({
+      type: "PieChart",
+      data: sales,
+      encoding: {
+        x: { serie: "month" },
+        y: { colorSeries: ["red", "blue", "green"] },
+      },
+      series: "south",
+      labels: { format: ".0f" },
+    });
+    assert.ok(chart instanceof PieChart);
+    assert.equal(findAll(chart, "g.south.serie path.slice").length, 3);
+    assert.deepEqual(
+      findAll(chart, "text.label").map((label) => label.textContent),
+      ["Mar: 25", "Jan: 20", "Feb: 15"]
+    );
+  });
+
+  it("throws with an unknown type, option or layer", () => {
+    assert.throws(() => drawSpec({ ...barsSpec, type: "GaugeChart" }), {
+      name: "ChartValidationError",
+      code: "UNKNOWN_CHART_TYPE",
+    });
+    assert.throws(
+      () =>
+        drawSpec({
+          ...barsSpec,
+          options: { radius: 2 },
+          marks: { points: true },
+        }),
+      (error) => {
+        assert.deepEqual(
+          error.issues.map(({ code, path }) => [code, path]),
+          [
+            ["UNKNOWN_OPTION", "options.radius"],
+            ["UNKNOWN_LAYER", "marks.points"],
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("validates the configuration before drawing the chart", () => {
+    const spec = {
+      ...barsSpec,
+      encoding: { ...barsSpec.encoding, x: { serie: "year", scale: "band" } },
+    };
+    assert.throws(() => drawSpec(spec), {
+      code: "UNKNOWN_FIELD",
+      message: /xConfiguration.serie: The field year is not in the dataset/,
+    });
+  });
+
+  it("throws with the invalid settings in strict mode", () => {
+    const spec = { ...barsSpec, options: { innerPadding: 2 } };
+    assert.throws(
+      () =>
+        createChart(structuredClone(spec), {
+          bindTo: createSvg(),
+          headless: true,
+          strict: true,
+        }),
+      { code: "INVALID_VALUE", message: /innerPadding/ }
+    );
+  });
+});
+
+describe("toSpec", () => {
+  it("writes the type, data, settings and layers of the chart", () => {
+    const spec = drawSpec(barsSpec).toSpec();
+    assert.equal(spec.type, "VBarChart");
+    assert.deepEqual(spec.data, sales);
+    assert.deepEqual(spec.encoding, barsSpec.encoding);
+    assert.deepEqual(spec.axes.x, {
+      position: "bottom",
+      customizations: {},
+      show: true,
+      arrow: true,
+    });
+    assert.equal(spec.options.isStacked, true);
+    assert.deepEqual(spec.grids, { y: true });
+    assert.equal(spec.series, "all");
+    assert.deepEqual(spec.labels, { deltaY: -3 });
+    assert.equal(spec.legend, true);
+    assert.deepEqual(spec.title, barsSpec.title);
+  });
+
+  it("round-trips a chart built with the methods", () => {
+    const chart = new MultiLineChart({ bindTo: createSvg(), dataset: sales })
+      .headless(true)
+      .width(600)
+      .height(400)
+      .schema({ month: "categorical" })
+      .xConfiguration({ serie: "month", scale: "point" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+      .radius(3);
+    chart.init();
+    chart.addXAxis();
+    chart.addSerie("south");
+    chart.addPoints();
+    chart.xAxisName({ title: "Month", widthOffset: 0.5, deltaX: 0, deltaY: 0 });
+    const spec = chart.toSpec();
+    assert.deepEqual(spec.schema, { month: "categorical" });
+    assert.equal(spec.series, "south");
+    assert.deepEqual(spec.marks, { points: true });
+    const copy = drawSpec(JSON.parse(JSON.stringify(spec)));
+    assert.deepEqual(copy.toSpec(), spec);
+    assert.equal(copy.toSVGString(), chart.toSVGString());
+  });
+
+  it("keeps the default format of the ticks of a temporal axis and of a locale", () => {
+    const temperatures = [
+      { date: "2024-01-01", celsius: 1234.5 },
+      { date: "2024-04-01", celsius: 12.5 },
+      { date: "2024-07-01", celsius: 18 },
+    ];
+    const draw = (ChartClass, dataset, configure) => {
+      const chart = configure(
+        new ChartClass({ bindTo: createSvg(), dataset })
+          .headless(true)
+          .width(600)
+          .height(400)
+      );
+      chart.init();
+      chart.addXAxis();
+      chart.addYAxis();
+      return chart;
+    };
+    const temporal = draw(MultiLineChart, temperatures, (chart) =>
+      chart
+        .xConfiguration({ serie: "date", scale: "time" })
+        .yConfiguration({ colorSeries: ["red"], scale: "linear" })
+    );
+    const localized = draw(VBarChart, sales, (chart) =>
+      chart
+        .xConfiguration({ serie: "month", scale: "band" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+        .y2Configuration({ series: ["south"] })
+        .lineSeries(["south"])
+        .locale("de-DE")
+    );
+    for (const chart of [temporal, localized]) {
+      const spec = chart.toSpec();
+      assert.equal(spec.axes.x.customizations.tickFormat, undefined);
+      assert.equal(spec.axes.y.customizations.tickFormat, undefined);
+      assert.equal(drawSpec(spec).toSVGString(), chart.toSVGString());
+    }
+    assert.equal(
+      localized.toSpec().axes.y2.customizations.tickFormat,
+      undefined
+    );
+    assert.ok(
+      findAll(temporal, ".x.axis .tick text").every(
+        (tick) => !/^\d+\.\d$/.test(tick.textContent)
+      )
+    );
+  });
+
+  it("keeps the size encoding and the trending lines of the scatter plots", () => {
+    const spec = {
+      type: "BubbleChart",
+      data: flowers,
+      encoding: {
+        x: { serie: "sepal", scale: "linear" },
+        y: { colorSeries: [], scale: "linear" },
+        category: { serie: "species", colors: ["red", "blue"] },
+        size: { serie: "leaves", factor: 0.25 },
+      },
+      series: "all",
+      marks: { trendingLines: true },
+    };
+    const chart = drawSpec(spec);
+    assert.equal(findAll(chart, ".series line.tendency").length, 2);
+    const written = chart.toSpec();
+    assert.deepEqual(written.encoding, spec.encoding);
+    assert.deepEqual(written.marks, spec.marks);
+  });
+
+  it("keeps the secondary y axis and the lines over the bars", () => {
+    const spec = {
+      type: "VBarChart",
+      data: sales,
+      encoding: {
+        x: { serie: "month", scale: "band" },
+        y: { colorSeries: ["red", "blue"], scale: "linear" },
+        y2: { series: ["south"], scale: "linear" },
+      },
+      options: { lineSeries: ["south"] },
+      axes: {
+        y2: {
+          show: true,
+          customizations: { tickFormat: ".0f" },
+          name: { title: "South", heightOffset: 0.5, deltaX: 0, deltaY: -5 },
+        },
+      },
+      series: "all",
+      marks: { lines: true },
+    };
+    const chart = drawSpec(spec);
+    assert.equal(findAll(chart, ".lines circle.point").length, 3);
+    assert.equal(findAll(chart, ".y2.axis-name")[0].textContent, "South");
+    assert.deepEqual(
+      findAll(chart, ".y2.axis .tick text")
+        .slice(0, 2)
+        .map((tick) => tick.textContent),
+      ["15", "16"]
+    );
+    const written = chart.toSpec();
+    assert.deepEqual(written.encoding.y2, spec.encoding.y2);
+    assert.deepEqual(written.options.lineSeries, ["south"]);
+    assert.equal(written.axes.y2.position, "right");
+    assert.deepEqual(written.axes.y2.name, spec.axes.y2.name);
+    assert.deepEqual(written.marks, spec.marks);
+    assert.equal(drawSpec(written).toSpec().axes.y2.show, true);
+  });
+
+  it("keeps the selection of the series without its functions", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const chart = drawSpec({
+      ...barsSpec,
+      encoding: { ...barsSpec.encoding, series: ["south"] },
+    });
+    assert.deepEqual(chart.ySeries, ["south"]);
+    assert.equal(findAll(chart, "rect.bar").length, 3);
+    assert.deepEqual(chart.toSpec().encoding.series, ["south"]);
+    assert.equal(warn.mock.callCount(), 0);
+    chart.series({ South: "south", Total: (d) => d.north + d.south });
+    assert.deepEqual(chart.toSpec().encoding.series, { South: "south" });
+    assert.match(
+      warn.mock.calls[0].arguments[0],
+      /^\[UNSERIALIZABLE_VALUE\] series: .* Total are left out$/
+    );
+    chart.series((d) => ({ Total: d.north + d.south }));
+    assert.equal(chart.toSpec().encoding.series, undefined);
+    assert.equal(warn.mock.callCount(), 2);
+    assert.throws(() => chart.strict(true).toSpec(), {
+      name: "ChartValidationError",
+      issues: [
+        {
+          code: "UNSERIALIZABLE_VALUE",
+          severity: "warning",
+          path: "series",
+          message:
+            "The function of the series cannot be written in JSON, the chart of the specification draws all the numerical fields",
+        },
+      ],
+    });
+  });
+});
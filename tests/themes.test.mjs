@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createChart as createChartFromSpec,
+  ScatterPlotMarker,
+  THEMES,
+  VBarChart,
+} from "../src/index.mjs";
+import { createChart, createSvg, findAll, flowers, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawBars = (colorSeries, theme) => {
+  const chart = createChart(VBarChart, sales)
+    .xConfiguration({ serie: "month", scale: "band" })
+    .yConfiguration({ colorSeries, scale: "linear" })
+    .theme(theme);
+  chart.init();
+  chart.addXAxis();
+  chart.addBars();
+  return chart;
+};
+
+const fills = (chart) =>
+  findAll(chart, "rect.bar").map((bar) => bar.style.fill);
+
+describe("Chart themes", () => {
+  it("sets the custom properties of the theme on the svg container", () => {
+    const chart = drawBars([], "dark");
+    const svg = chart.svg.node();
+    assert.equal(chart.theme(), "dark");
+    assert.equal(svg.getAttribute("data-chart-theme"), "dark");
+    assert.equal(
+      svg.style.getPropertyValue("--chart-axis-color"),
+      THEMES.dark.axisColor
+    );
+    assert.equal(
+      svg.style.getPropertyValue("--chart-series-opacity"),
+      String(THEMES.dark.seriesOpacity)
+    );
+    assert.equal(findAll(chart, ":scope > style.chart-theme").length, 1);
+  });
+
+  it("colors the series with the palette when no colors are configured", () => {
+    const [first, second] = THEMES.print.palette;
+    assert.deepEqual(fills(drawBars([], "print")).slice(0, 2), [first, second]);
+    assert.deepEqual(fills(drawBars(undefined, "print")).slice(0, 2), [
+      first,
+      second,
+    ]);
+    assert.deepEqual(fills(drawBars(["red", "blue"], "print")).slice(0, 2), [
+      "red",
+      "blue",
+    ]);
+  });
+
+  it("changes the values of a built-in theme with a custom theme", () => {
+    const chart = drawBars([], {
+      base: "dark",
+      palette: ["#ff0000", "#00ff00"],
+      fontFamily: "Georgia",
+    });
+    const { style } = chart.svg.node();
+    assert.equal(chart.svg.attr("data-chart-theme"), "custom");
+    assert.equal(style.getPropertyValue("--chart-font-family"), "Georgia");
+    assert.equal(
+      style.getPropertyValue("--chart-background"),
+      THEMES.dark.background
+    );
+    assert.equal(style.getPropertyValue("--chart-color-2"), "");
+    assert.deepEqual(fills(chart).slice(0, 2), ["#ff0000", "#00ff00"]);
+  });
+
+  it("keeps the stylesheet when the chart is rendered again", () => {
+    const chart = drawBars([], "light");
+    chart.render();
+    assert.equal(findAll(chart, "style.chart-theme").length, 1);
+  });
+
+  it("removes the theme with null and when the chart is destroyed", () => {
+    const chart = drawBars([], "dark").theme(null);
+    const svg = chart.svg.node();
+    assert.equal(chart.theme(), undefined);
+    assert.equal(svg.hasAttribute("data-chart-theme"), false);
+    assert.equal(svg.getAttribute("style") ?? "", "");
+    assert.equal(findAll(chart, "style.chart-theme").length, 0);
+    chart.theme("high-contrast").destroy();
+    assert.equal(svg.hasAttribute("data-chart-theme"), false);
+    assert.equal(svg.style.getPropertyValue("--chart-text-color"), "");
+  });
+
+  it("ignores the unknown themes", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = createChart(VBarChart, sales).theme("solarized");
+    assert.equal(chart.theme(), undefined);
+    assert.match(error.mock.calls[0].arguments[0], /^\[INVALID_VALUE\] theme:/);
+    assert.throws(() => chart.strict(true).theme({ palette: "red" }), {
+      code: "INVALID_VALUE",
+    });
+  });
+
+  it("fills the markers with the marker fill of the theme", () => {
+    const chart = createChart(ScatterPlotMarker, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .categoryConfiguration({ serie: "species" })
+      .markersConfig({ setosa: "star", virginica: "circle" })
+      .theme("dark");
+    chart.init();
+    chart.addAllSeries();
+    assert.equal(chart.fillColor(), undefined);
+    const [icon] = findAll(chart, "path.icon");
+    assert.equal(icon.style.fill, "var(--chart-marker-fill, #ccc)");
+    assert.equal(icon.style.stroke, THEMES.dark.palette[0]);
+  });
+
+  it("writes the theme in the JSON specification", () => {
+    const chart = createChartFromSpec(
+      {
+        type: "VBarChart",
+        data: sales,
+        theme: "print",
+        encoding: {
+          x: { serie: "month", scale: "band" },
+          y: { scale: "linear" },
+        },
+        series: "all",
+      },
+      { bindTo: createSvg(), headless: true }
+    );
+    assert.equal(chart.svg.attr("data-chart-theme"), "print");
+    assert.equal(chart.toSpec().theme, "print");
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { VBarChart } from "../src/index.mjs";
+import { createChart, dispatch, findAll, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = (config) => {
+  const chart = createChart(VBarChart, sales)
+    .xConfiguration({ serie: "month", scale: "band" })
+    .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+  chart.init();
+  chart.addBars();
+  chart.addTooltip(config);
+  return chart;
+};
+
+// The bars are sorted by their total, the first one is the north sales of February
+const firstBar = (chart) => findAll(chart, "rect.bar")[0];
+
+describe("Tooltip", () => {
+  it("shows the values of the hovered mark next to the pointer and hides them", () => {
+    const chart = drawChart();
+    const node = chart.tooltip.element.node();
+    assert.equal(node.getAttribute("role"), "tooltip");
+    assert.equal(node.parentNode, chart.svg.node().ownerDocument.body);
+    dispatch(firstBar(chart), "pointermove", { clientX: 50, clientY: 60 });
+    assert.equal(node.textContent, "north\nFeb: 30");
+    assert.equal(node.style.opacity, "1");
+    assert.equal(node.style.left, "60px");
+    assert.equal(node.style.top, "70px");
+    // Out of the marks the tooltip is hidden
+    dispatch(chart.svg.node(), "pointermove");
+    assert.equal(node.style.opacity, "0");
+    dispatch(firstBar(chart), "pointermove");
+    dispatch(chart.svg.node(), "pointerleave");
+    assert.equal(node.style.opacity, "0");
+    chart.destroy();
+    assert.equal(node.isConnected, false);
+  });
+
+  it("renders the content of a custom template as text or as a node", () => {
+    const chart = drawChart({
+      template: ({ serie, x, y, row }) =>
+        `<b>${serie}</b> ${x} ${y} of ${row.north + row.south}`,
+      styles: { color: "red" },
+      offset: { x: 5, y: 0 },
+    });
+    const node = chart.tooltip.element.node();
+    assert.equal(node.style.color, "red");
+    dispatch(firstBar(chart), "pointermove", { clientX: 50, clientY: 60 });
+    // The strings are not parsed as HTML
+    assert.equal(node.textContent, "<b>north</b> Feb 30 of 45");
+    assert.equal(node.children.length, 0);
+    assert.equal(node.style.left, "55px");
+    chart.tooltip.template((d) => {
+      const strong = node.ownerDocument.createElement("strong");
+      strong.textContent = d.serie;
+      return strong;
+    });
+    dispatch(firstBar(chart), "pointermove");
+    assert.equal(node.innerHTML, "<strong>north</strong>");
+    chart.destroy();
+  });
+
+  it("moves to the other side of the pointer when it does not fit in the viewport", () => {
+    const chart = drawChart();
+    const node = chart.tooltip.element.node();
+    const { innerWidth, innerHeight } = node.ownerDocument.defaultView;
+    dispatch(firstBar(chart), "pointermove", {
+      clientX: innerWidth - 5,
+      clientY: innerHeight - 5,
+    });
+    assert.equal(node.style.left, `${innerWidth - 15}px`);
+    assert.equal(node.style.top, `${innerHeight - 15}px`);
+    chart.destroy();
+  });
+});
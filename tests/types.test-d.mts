@@ -0,0 +1,222 @@
+import type { ScaleBand, ScaleOrdinal } from "d3-scale";
+import {
+  BubbleChart,
+  ChartValidationError,
+  createChart,
+  ISSUE_CODES,
+  LEGEND_POSITIONS,
+  LOCALES,
+  THEMES,
+  MultiLineChart,
+  PieChart,
+  RadarChart,
+  ScatterPlotMarker,
+  VBarChart,
+  type BarGroup,
+  type Chart,
+  type ChartEventDatum,
+  type ChartIssue,
+  type ChartSpec,
+  type ContinuousScale,
+  type CriticalPoint,
+  type Slope,
+} from "../src/index.mjs";
+
+// Checks of the typings of the public API. The file is type checked and never executed.
+
+interface Sale {
+  month: string;
+  north: number;
+  south: number;
+}
+
+declare const sales: Sale[];
+declare const svg: SVGSVGElement;
+
+const expectType = <T,>(value: T): T => value;
+
+const line = new MultiLineChart({ bindTo: "svg.chart", dataset: sales })
+  .width(800)
+  .height(400)
+  .margin({ top: 10, right: 10, bottom: 30, left: 30 })
+  .xConfiguration({ serie: "month", scale: "point" })
+  .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+  .xAxisConfig({ position: "bottom", customizations: { ticks: 5 } })
+  .missingData("interpolate");
+line.init();
+line.addXAxis();
+line.addAllSeries();
+line.addSerie("north");
+line.xAxisName({ title: "Month", widthOffset: 0.5, deltaX: 0, deltaY: 0 });
+expectType<ContinuousScale>(line.x);
+expectType<ScaleOrdinal<string, string>>(line.colorScale);
+expectType<{ [serie: string]: CriticalPoint[] }>(line.criticalPoints);
+expectType<Sale[]>(line.dataset);
+expectType<number>(line.width());
+// @ts-expect-error The serie must be a field of the rows
+line.xConfiguration({ serie: "year", scale: "point" });
+// @ts-expect-error The scale must be one of the scales of the library
+line.xConfiguration({ serie: "month", scale: "radial" });
+// @ts-expect-error The policy must be gap, zero, interpolate or carry
+line.missingData("ignore");
+line.yConfiguration({ scale: "linear" }).theme("dark");
+line
+  .y2Configuration({ series: ["south"], scale: "log" })
+  .y2AxisConfig({ customizations: { ticks: 4 } });
+line.addY2Axis();
+line.y2AxisName({ title: "South", heightOffset: 0.5, deltaX: 0, deltaY: 0 });
+expectType<ContinuousScale | undefined>(line.y2);
+// @ts-expect-error The secondary y axis is vertical
+line.y2AxisConfig({ position: "top" });
+// @ts-expect-error The series of the secondary y axis must be fields of the rows
+line.y2Configuration({ series: ["west"] });
+
+line
+  .series({ North: "north", Total: (d) => d.north + d.south })
+  .series((d) => ({ Change: d.south - d.north }))
+  .series(["south", "north"])
+  .series(null);
+// @ts-expect-error The selected fields must be fields of the rows
+line.series(["west"]);
+
+const bars = new VBarChart({ bindTo: svg, dataset: sales }).isStacked(false);
+expectType<ScaleBand<string>>(bars.x);
+expectType<ScaleBand<string>>(bars.x1);
+expectType<BarGroup<Sale>[]>(bars.dataset);
+expectType<number>(bars.grantTotal);
+bars.lineSeries(["south"]).addLines({ radius: 4 });
+expectType<Array<keyof Sale>>(bars.lineSeries());
+
+bars
+  .on("click", ({ chart, serie, x, y, row }, event) => {
+    expectType<Chart<Sale, BarGroup<Sale>[]>>(chart);
+    expectType<BarGroup<Sale>[]>(chart.dataset);
+    expectType<string>(serie);
+    expectType<unknown>(x);
+    expectType<number>(y);
+    expectType<Sale>(row);
+    expectType<MouseEvent>(event);
+  })
+  .on(
+    "focus.details",
+    (datum: ChartEventDatum<Sale, BarGroup<Sale>[]>, event) => {
+      expectType<FocusEvent>(event);
+    }
+  )
+  .on("mouseover", (event) => expectType<MouseEvent>(event));
+expectType<((event: MouseEvent) => void) | undefined>(bars.on("mouseout"));
+// @ts-expect-error The event is not dispatched by the charts
+bars.on("drag", () => {});
+// @ts-expect-error The chart of the events has the data of the bar chart
+bars.on("select", (datum: ChartEventDatum<Sale>) => datum.chart.dataset);
+
+bars.addTooltip({
+  template: ({ serie, y, row }) => `${serie} ${row.month}: ${y}`,
+  offset: { x: 5, y: 5 },
+});
+const markup: string = bars.headless(true).toSVGString();
+const image: Promise<Blob> = bars.toPNGBlob({ scale: 2 });
+// @ts-expect-error The format must be svg or png
+bars.download("sales", "gif");
+
+const pie = new PieChart({ bindTo: svg, dataset: sales }).xSerie("month");
+pie.addSerie("south");
+pie.addLegend({ widthOffset: 0.8, heightOffset: 0.1, size: 5, spacing: 5 });
+pie.addLegend({ position: LEGEND_POSITIONS[0], maxLabelWidth: 80 });
+// @ts-expect-error The position must be a side or a corner of the chart
+pie.addLegend({ position: "center" });
+pie.addTitle({ title: "Sales", widthOffset: 0.5, heightOffset: 0.05 });
+expectType<number>(pie.circleRadius);
+// @ts-expect-error The title needs its position
+pie.addTitle({ title: "Sales" });
+
+const radar = new RadarChart({ bindTo: svg, dataset: sales }).axisTicks(4);
+radar.addRadialAxis((value) => `${value}%`);
+expectType<ContinuousScale>(radar.y);
+
+interface Flower {
+  sepal: number;
+  petal: number;
+  species: string;
+}
+
+declare const flowers: Flower[];
+
+const bubbles = new BubbleChart({ bindTo: svg, dataset: flowers })
+  .categoryConfiguration({ serie: "species", colors: ["red", "blue"] })
+  .radiusSerie("petal")
+  .radiusFactor(0.5);
+expectType<Slope[] | undefined>(bubbles.slopes);
+bubbles
+  .categoryConfiguration({
+    serie: "petal",
+    colors: ["white", "green"],
+    scale: "threshold",
+    thresholds: [4, 6],
+  })
+  .addLegend({ position: "right", title: "Petal", length: 120, ticks: 3 });
+// @ts-expect-error The categories are colored by the scales of colors
+bubbles.categoryConfiguration({ serie: "petal", colors: [], scale: "linear" });
+expectType<[number, number] | undefined>(
+  bubbles.radiusRange([2, 30]).radiusRange()
+);
+bubbles.addSizeLegend({ position: "right", values: [1, 5], tickFormat: ".2s" });
+// @ts-expect-error The range is the minimum and maximum radius
+bubbles.radiusRange(30);
+
+const markers = new ScatterPlotMarker({ bindTo: svg, dataset: flowers })
+  .markers({ square: "M0 0h10v10H0z" })
+  .markersConfig({ setosa: "square" })
+  .fillColor("#ccc");
+expectType<{ [name: string]: string }>(markers.markers());
+
+const spec: ChartSpec<Sale> = {
+  type: "VBarChart",
+  data: sales,
+  encoding: { x: { serie: "month", scale: "band" } },
+  axes: { x: { show: true, customizations: { tickFormat: ".0f" } } },
+  series: "all",
+  labels: { deltaY: -3 },
+};
+const created = createChart({ ...spec, type: "VBarChart" }, { bindTo: svg });
+expectType<VBarChart<Sale>>(created);
+expectType<ChartSpec<Sale>>(created.toSpec());
+expectType<boolean>(created.strict());
+created.addDataTable({ visible: true });
+expectType<HTMLTableElement | undefined>(created.dataTable);
+created.theme("dark").theme({ base: "print", fontSize: "10px" }).theme(null);
+expectType<readonly string[]>(THEMES["high-contrast"].palette);
+// @ts-expect-error The theme must be one of the built-in themes or a custom theme
+created.theme("solarized");
+created
+  .locale("de-DE")
+  .locale({ base: "fr-FR", number: { currency: ["", "°C"] } });
+expectType<string>(LOCALES["es-MX"].time.shortMonths[0]);
+// @ts-expect-error The locale must be one of the built-in locales or a custom locale
+created.locale("pt-BR");
+expectType<ChartIssue[]>(created.validate());
+created
+  .hiddenSeries(["north"])
+  .rescaleVisible(true)
+  .toggleSerie("south", false)
+  .isolateSerie("north")
+  .on("toggle", ({ serie, hiddenSeries }) => console.log(serie, hiddenSeries));
+expectType<string[]>(created.hiddenSeries());
+created.addLegend({
+  widthOffset: 0.8,
+  heightOffset: 0.1,
+  size: 5,
+  spacing: 5,
+  interactive: true,
+});
+const strictChart = createChart(spec, { bindTo: svg, strict: true });
+expectType<typeof strictChart>(strictChart.strict(true));
+const error = new ChartValidationError(strictChart.validate());
+expectType<ChartIssue[]>(error.issues);
+expectType<boolean>(error.code === ISSUE_CODES.UNKNOWN_FIELD);
+// @ts-expect-error The type must be one of the charts of the library
+createChart({ ...spec, type: "GaugeChart" });
+// @ts-expect-error The serie must be a field of the rows
+createChart({ ...spec, series: "west" });
+
+export { markup, image };
@@ -0,0 +1,185 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BubbleChart,
+  ChartValidationError,
+  ISSUE_CODES,
+  MultiLineChart,
+  PieChart,
+  VBarChart,
+} from "../src/index.mjs";
+import { createChart, flowers, measures, sales } from "./helpers.mjs";
+
+("use strict");
+
+const codes = (chart) => chart.validate().map(({ code, path }) => [code, path]);
+
+describe("ChartValidationError", () => {
+  it("keeps the issues and writes them in the message", () => {
+    const error = new ChartValidationError([
+      {
+        code: ISSUE_CODES.UNKNOWN_FIELD,
+        severity: "error",
+        path: "xConfiguration.serie",
+        message: "The field date is not in the dataset",
+      },
+    ]);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, "ChartValidationError");
+    assert.equal(error.code, "UNKNOWN_FIELD");
+    assert.equal(
+      error.message,
+      "[UNKNOWN_FIELD] xConfiguration.serie: The field date is not in the dataset"
+    );
+  });
+});
+
+describe("Chart validation", () => {
+  it("throws before drawing when the x configuration is missing", () => {
+    const chart = createChart(VBarChart, sales).yConfiguration({
+      colorSeries: ["red", "blue"],
+      scale: "linear",
+    });
+    assert.throws(() => chart.init(), {
+      name: "ChartValidationError",
+      code: "MISSING_CONFIGURATION",
+    });
+    assert.equal(chart.svg.node().childNodes.length, 0);
+  });
+
+  it("finds the unknown fields, the invalid field types and the unknown scales", () => {
+    const chart = createChart(MultiLineChart, sales)
+      .xConfiguration({ serie: "date", scale: "time" })
+      .yConfiguration({ colorSeries: ["red"], scale: "logarithm" });
+    assert.deepEqual(codes(chart), [
+      ["UNKNOWN_SCALE", "yConfiguration.scale"],
+      ["UNKNOWN_FIELD", "xConfiguration.serie"],
+    ]);
+    chart.xConfiguration({ serie: "month", scale: "linear" });
+    chart.yConfiguration({ colorSeries: ["red"], scale: "linear" });
+    assert.deepEqual(codes(chart), [
+      ["INVALID_FIELD_TYPE", "xConfiguration.serie"],
+    ]);
+    chart.xConfiguration({ serie: "month", scale: "point" });
+    assert.deepEqual(codes(chart), []);
+  });
+
+  it("checks the series of the circular and bubble charts", () => {
+    const pie = createChart(PieChart, sales).xSerie("months");
+    assert.deepEqual(codes(pie), [["UNKNOWN_FIELD", "xSerie"]]);
+    const bubbles = createChart(BubbleChart, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .categoryConfiguration({ serie: "species", colors: ["red", "blue"] })
+      .radiusSerie("species");
+    assert.deepEqual(codes(bubbles), [["INVALID_FIELD_TYPE", "radiusSerie"]]);
+  });
+
+  it("checks the series of the secondary y axis and of the lines over the bars", () => {
+    const lines = createChart(MultiLineChart, measures)
+      .xConfiguration({ serie: "day", scale: "linear" })
+      .y2Configuration({ series: ["outside"], scale: "logarithm" });
+    assert.deepEqual(codes(lines), [
+      ["UNKNOWN_SCALE", "y2Configuration.scale"],
+      ["UNKNOWN_FIELD", "y2Configuration.series"],
+    ]);
+    const bars = createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .lineSeries(["month"])
+      .y2Configuration({ series: ["north"] });
+    assert.deepEqual(codes(bars), [
+      ["INVALID_FIELD_TYPE", "lineSeries"],
+      ["INVALID_VALUE", "y2Configuration.series"],
+    ]);
+    const bubbles = createChart(BubbleChart, flowers)
+      .xConfiguration({ serie: "sepal", scale: "linear" })
+      .categoryConfiguration({ serie: "species", colors: ["red", "blue"] })
+      .radiusSerie("leaves")
+      .y2Configuration({ series: ["petal"] });
+    assert.deepEqual(codes(bubbles), [["UNKNOWN_OPTION", "y2Configuration"]]);
+  });
+
+  it("requires a categorical x serie for the bars", () => {
+    const chart = createChart(VBarChart, measures)
+      .xConfiguration({ serie: "day", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    // The numbers of an x serie without a declared type are the names of the bars
+    assert.deepEqual(codes(chart), []);
+    for (const type of ["quantitative", "temporal"]) {
+      chart.schema({ day: type });
+      assert.deepEqual(codes(chart), [
+        ["INVALID_FIELD_TYPE", "xConfiguration.serie"],
+      ]);
+      assert.throws(() => chart.init(), { code: "INVALID_FIELD_TYPE" });
+    }
+    chart.schema({ day: "ordinal" });
+    assert.deepEqual(codes(chart), []);
+  });
+
+  it("requires the lines over the percentage and normalized bars on the secondary y axis", () => {
+    for (const mode of ["isPercentage", "isNormalized"]) {
+      const chart = createChart(VBarChart, sales)
+        .xConfiguration({ serie: "month", scale: "band" })
+        .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+        .lineSeries(["south"]);
+      chart[mode](true);
+      assert.deepEqual(codes(chart), [["INVALID_VALUE", "lineSeries"]]);
+      assert.throws(() => chart.init(), { code: "INVALID_VALUE" });
+      chart.y2Configuration({ series: ["south"] });
+      assert.deepEqual(codes(chart), []);
+      chart.init();
+      assert.ok(chart.y.domain()[1] <= 1.05);
+    }
+  });
+
+  it("checks the fields of the selected series", () => {
+    const chart = createChart(MultiLineChart, sales)
+      .xConfiguration({ serie: "month", scale: "point" })
+      .series({ North: "north", West: "west", Month: "month" });
+    assert.deepEqual(codes(chart), [
+      ["UNKNOWN_FIELD", "series.West"],
+      ["INVALID_FIELD_TYPE", "series.Month"],
+    ]);
+    chart.series((d) => ({ Total: d.north + d.south, Name: d.month }));
+    assert.deepEqual(codes(chart), [["INVALID_FIELD_TYPE", "series.Name"]]);
+    chart
+      .series({ North: "north", Total: (d) => d.north + d.south })
+      .y2Configuration({ series: ["Total"] });
+    assert.deepEqual(codes(chart), []);
+  });
+
+  it("logs the warnings and throws them in strict mode", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const draw = (chart) =>
+      chart
+        .xConfiguration({ serie: "day", scale: "linear" })
+        .yConfiguration({ colorSeries: ["red"], scale: "linear" })
+        .init();
+    draw(createChart(MultiLineChart, []));
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /^\[EMPTY_DATASET\]/);
+    assert.throws(() => draw(createChart(MultiLineChart, []).strict(true)), {
+      code: "EMPTY_DATASET",
+    });
+  });
+
+  it("ignores the invalid values of the setters and throws them in strict mode", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const chart = createChart(MultiLineChart, measures);
+    assert.equal(chart.width(-10), chart);
+    assert.equal(chart.width(), 600);
+    assert.match(
+      error.mock.calls[0].arguments[0],
+      /^\[INVALID_VALUE\] width: /
+    );
+    chart.strict(true);
+    assert.throws(() => chart.margin({ top: 10 }), {
+      name: "ChartValidationError",
+      code: "INVALID_VALUE",
+    });
+    assert.throws(() => chart.radius("big"), { code: "INVALID_VALUE" });
+    assert.throws(() => chart.y2AxisConfig({ position: "top" }), {
+      code: "INVALID_VALUE",
+    });
+    assert.equal(chart.y2AxisConfig({ position: "left" }), chart);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { format } from "d3";
+import { VBarChart } from "../src/index.mjs";
+import { createChart, findAll, numericAttributes, sales } from "./helpers.mjs";
+
+("use strict");
+
+const drawChart = (configure = (chart) => chart) => {
+  const chart = configure(
+    createChart(VBarChart, sales)
+      .xConfiguration({ serie: "month", scale: "band" })
+      .yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" })
+  );
+  chart.init();
+  return chart;
+};
+
+describe("VBarChart", () => {
+  it("computes the grant total of the numerical series", () => {
+    assert.equal(drawChart().grantTotal, 120);
+  });
+
+  it("sorts the bars by their total in descending order", () => {
+    const chart = drawChart();
+    assert.deepEqual(chart.x.domain(), ["Feb", "Mar", "Jan"]);
+    assert.deepEqual(
+      chart.dataset.map((row) => row.total),
+      [45, 45, 30]
+    );
+  });
+
+  it("sets the y domain from the stacked totals", () => {
+    assert.deepEqual(drawChart().y.domain(), [0, 1.05 * 45]);
+  });
+
+  it("sets the y domain from the values when the bars are grouped", () => {
+    const chart = drawChart((chart) => chart.isStacked(false));
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    assert.deepEqual(chart.x1.domain(), ["north", "south"]);
+  });
+
+  it("stacks a bar of each serie in a group of each category", () => {
+    const chart = drawChart();
+    chart.addBars();
+    const groups = findAll(chart, ".bars g.bar-group");
+    assert.deepEqual(
+      groups.map((group) => group.getAttribute("class")),
+      ["feb bar-group", "mar bar-group", "jan bar-group"]
+    );
+    const bars = findAll(chart, ".bars g.feb rect.bar");
+    assert.deepEqual(
+      bars.map((bar) => bar.style.fill),
+      ["red", "blue"]
+    );
+    // The second bar starts where the first one ends
+    const [north, south] = bars;
+    assert.equal(
+      +south.getAttribute("y") + +south.getAttribute("height"),
+      +north.getAttribute("y")
+    );
+    assert.equal(+north.getAttribute("height"), chart.y(0) - chart.y(30));
+  });
+
+  it("places the grouped bars side by side", () => {
+    const chart = drawChart((chart) => chart.isStacked(false));
+    chart.addBars();
+    const bars = findAll(chart, ".bars g.feb rect.bar");
+    assert.deepEqual(numericAttributes(bars, "x"), [
+      0,
+      chart.x.bandwidth() / 2,
+    ]);
+    assert.deepEqual(numericAttributes(bars, "width"), [
+      chart.x.bandwidth() / 2,
+      chart.x.bandwidth() / 2,
+    ]);
+  });
+
+  it("labels the bars with their values", () => {
+    const chart = drawChart();
+    chart.addBars();
+    chart.addLabels();
+    assert.deepEqual(
+      findAll(chart, ".bars text.text-label").map((label) => label.textContent),
+      ["30.0", "15.0", "25.0", "20.0", "20.0", "10.0"]
+    );
+  });
+
+  it("labels the bars with the percentage of the grant total", () => {
+    const chart = drawChart((chart) => chart.isPercentage(true));
+    chart.addBars();
+    chart.addLabels();
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * (45 / 120)]);
+    assert.deepEqual(
+      findAll(chart, ".bars g.feb text.text-label").map(
+        (label) => label.textContent
+      ),
+      ["0.3", "0.1"]
+    );
+  });
+
+  it("writes the values of the bars in the data table", () => {
+    const chart = drawChart((chart) =>
+      chart.isNormalized(true).yAxisConfig({
+        position: "left",
+        customizations: { tickFormat: format(".0%") },
+      })
+    );
+    chart.addDataTable();
+    // The normalized totals are equal, so the rows keep the order of the dataset
+    const [header, jan] = chart.dataTable.rows;
+    assert.deepEqual(
+      [...header.cells].map((cell) => cell.textContent),
+      ["month", "north", "south"]
+    );
+    assert.deepEqual(
+      [...jan.cells].map((cell) => cell.textContent),
+      ["Jan", "33%", "67%"]
+    );
+  });
+
+  it("draws the line series over the bars on the secondary y axis", () => {
+    const chart = drawChart((chart) =>
+      chart
+        .lineSeries(["south"])
+        .y2Configuration({ series: ["south"], scale: "linear" })
+        .y2AxisConfig({ customizations: { tickFormat: format(".1%") } })
+    );
+    chart.addBars();
+    chart.addLines();
+    // The bars and their domain only have the other series
+    assert.equal(chart.grantTotal, 60);
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    assert.deepEqual(chart.x1.domain(), ["north"]);
+    assert.equal(findAll(chart, "rect.bar").length, 3);
+    assert.deepEqual(chart.y2.domain(), [0.95 * 15, 1.05 * 25]);
+    const points = findAll(chart, ".lines g.south circle.point");
+    assert.deepEqual(
+      numericAttributes(points, "cx"),
+      chart.x.domain().map((month) => chart.x(month) + chart.x.bandwidth() / 2)
+    );
+    assert.deepEqual(
+      numericAttributes(points, "cy"),
+      [15, 25, 20].map((south) => chart.y2(south))
+    );
+    assert.equal(findAll(chart, ".lines path.serie")[0].style.stroke, "blue");
+    chart.addDataTable();
+    const [, feb] = chart.dataTable.rows;
+    assert.deepEqual(
+      [...feb.cells].map((cell) => cell.textContent),
+      ["Feb", "30.0", "1500.0%"]
+    );
+  });
+
+  it("fits the lines of the y axis in the domain of the bars", () => {
+    const chart = drawChart((chart) =>
+      chart.lineSeries(["south"]).isStacked(false)
+    );
+    assert.equal(chart.y2, undefined);
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    chart.yConfiguration({ colorSeries: ["red", "blue"], scale: "linear" });
+    chart.lineSeries(["north"]).render();
+    assert.deepEqual(chart.y.domain(), [0, 1.05 * 30]);
+    assert.deepEqual(chart.x1.domain(), ["south"]);
+  });
+
+  it("draws the years and the dates of the x serie as categories", () => {
+    for (const [first, second] of [
+      ["2019", "2020"],
+      ["2024-01-01", "2024-02-01"],
+    ]) {
+      const chart = createChart(VBarChart, [
+        { period: first, sales: 10 },
+        { period: second, sales: 30 },
+      ])
+        .xConfiguration({ serie: "period", scale: "band" })
+        .yConfiguration({ colorSeries: ["red"], scale: "linear" });
+      chart.init();
+      chart.addBars();
+      chart.addLabels();
+      assert.equal(chart.fieldsTypes.get("period"), "categorical");
+      assert.deepEqual(chart.x.domain(), [second, first]);
+      assert.deepEqual(
+        findAll(chart, "rect.bar").map((bar) => bar.getAttribute("class")),
+        [`${second} bar`, `${first} bar`]
+      );
+      assert.deepEqual(
+        findAll(chart, "text.text-label").map((label) => label.textContent),
+        ["30.0", "10.0"]
+      );
+    }
+  });
+});